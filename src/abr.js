@@ -0,0 +1,383 @@
+/**
+ * abr
+ *
+ * Adaptive bitrate strategies choose which variant of a master
+ * playlist to play. A strategy is a function that receives a read-only
+ * snapshot of the playback state and returns one of the variants in
+ * that snapshot.
+ */
+
+// A fudge factor to apply to advertised playlist bitrates to account for
+// temporary flucations in client bandwidth
+const bandwidthVariance = 1.2;
+
+/**
+ * A comparator function to sort two variants by bandwidth. Variants
+ * without bandwidth information sort last.
+ * @param left {object} a variant
+ * @param right {object} a variant
+ * @return {number} the difference between the bandwidths of left and
+ * right
+ */
+export const compareBandwidth = function(left, right) {
+  let leftBandwidth = (left.attributes && left.attributes.BANDWIDTH) ||
+    window.Number.MAX_VALUE;
+  let rightBandwidth = (right.attributes && right.attributes.BANDWIDTH) ||
+    window.Number.MAX_VALUE;
+
+  return leftBandwidth - rightBandwidth;
+};
+
+/**
+ * A comparator function to sort two variants by resolution (width),
+ * falling back to bandwidth for variants with the same width.
+ * @param left {object} a variant
+ * @param right {object} a variant
+ * @return {number} the difference between the widths of left and right
+ */
+export const compareResolution = function(left, right) {
+  let leftWidth;
+  let rightWidth;
+
+  if (left.attributes &&
+      left.attributes.RESOLUTION &&
+      left.attributes.RESOLUTION.width) {
+    leftWidth = left.attributes.RESOLUTION.width;
+  }
+  leftWidth = leftWidth || window.Number.MAX_VALUE;
+
+  if (right.attributes &&
+      right.attributes.RESOLUTION &&
+      right.attributes.RESOLUTION.width) {
+    rightWidth = right.attributes.RESOLUTION.width;
+  }
+  rightWidth = rightWidth || window.Number.MAX_VALUE;
+
+  // NOTE - Fallback to bandwidth sort as appropriate in cases where multiple renditions
+  // have the same media dimensions/ resolution
+  if (leftWidth === rightWidth &&
+      left.attributes.BANDWIDTH &&
+      right.attributes.BANDWIDTH) {
+    return left.attributes.BANDWIDTH - right.attributes.BANDWIDTH;
+  }
+  return leftWidth - rightWidth;
+};
+
+/**
+ * Limit a list of variants to those that satisfy every cap. If no
+ * variant satisfies a cap, the variant closest to satisfying it is kept
+ * so that there is always something to play. Variants without the
+ * attribute a cap applies to are not affected by it.
+ * @param variants {array} the variants to choose from
+ * @param caps {object} the caps to apply:
+ *  * `maxResolution` - an object with the largest `width` and `height`
+ *  * `playerSize` - an object with the `width` and `height` of the
+ *  player, in device pixels. Variants larger than the smallest variant
+ *  that covers the player are removed.
+ *  * `maxBitrate` - the highest BANDWIDTH to allow
+ *  * `minBitrate` - the lowest BANDWIDTH to allow
+ * @return {array} the variants that satisfy the caps
+ */
+export const capVariants = function(variants, caps) {
+  let result = variants;
+  let cover;
+  let keep = function(predicate, closest) {
+    let filtered = result.filter(predicate);
+
+    if (filtered.length) {
+      result = filtered;
+    } else if (result.length) {
+      result = [result.slice().sort(closest)[0]];
+    }
+  };
+  let bandwidth = function(variant) {
+    return variant.attributes && variant.attributes.BANDWIDTH;
+  };
+  let resolution = function(variant) {
+    return variant.attributes && variant.attributes.RESOLUTION;
+  };
+
+  if (caps.maxResolution) {
+    keep(function(variant) {
+      return !resolution(variant) ||
+        (resolution(variant).width <= caps.maxResolution.width &&
+         resolution(variant).height <= caps.maxResolution.height);
+    }, compareResolution);
+  }
+
+  if (caps.playerSize) {
+    // anything larger than the smallest variant that covers the player
+    // would be scaled down
+    result.forEach(function(variant) {
+      if (resolution(variant) &&
+          (resolution(variant).width >= caps.playerSize.width ||
+           resolution(variant).height >= caps.playerSize.height) &&
+          (!cover || compareResolution(variant, cover) < 0)) {
+        cover = variant;
+      }
+    });
+    if (cover) {
+      keep(function(variant) {
+        return !resolution(variant) ||
+          resolution(variant).width <= resolution(cover).width;
+      }, compareResolution);
+    }
+  }
+
+  if (typeof caps.maxBitrate === 'number') {
+    keep(function(variant) {
+      return !bandwidth(variant) || bandwidth(variant) <= caps.maxBitrate;
+    }, compareBandwidth);
+  }
+
+  if (typeof caps.minBitrate === 'number') {
+    keep(function(variant) {
+      return !bandwidth(variant) || bandwidth(variant) >= caps.minBitrate;
+    }, function(left, right) {
+      return compareBandwidth(right, left);
+    });
+  }
+
+  return result;
+};
+
+/**
+ * Chooses the highest bitrate variant that fits within the current
+ * bandwidth estimate and then the variant whose resolution best matches
+ * the player size.
+ * @param snapshot {object} the playback state, as described in the
+ * README
+ * @return {object} the selected variant
+ */
+export const defaultStrategy = function(snapshot) {
+  let sortedVariants = snapshot.variants.filter(function(variant) {
+    return !variant.excluded;
+  }).sort(compareBandwidth);
+  let bandwidthVariants = [];
+  let i;
+  let variant;
+  let variantResolution;
+  let bandwidthBestVariant;
+  let resolutionPlusOne;
+  let resolutionPlusOneAttribute;
+  let resolutionBestVariant;
+
+  // filter out any variant that has greater effective bitrate
+  // than the current estimated bandwidth
+  i = sortedVariants.length;
+  while (i--) {
+    variant = sortedVariants[i];
+
+    // ignore variants without bandwidth information
+    if (!variant.attributes || !variant.attributes.BANDWIDTH) {
+      continue;
+    }
+
+    if (variant.attributes.BANDWIDTH * bandwidthVariance < snapshot.bandwidth) {
+      bandwidthVariants.push(variant);
+
+      // since the variants are sorted in ascending order by
+      // bandwidth, the first viable variant is the best
+      if (!bandwidthBestVariant) {
+        bandwidthBestVariant = variant;
+      }
+    }
+  }
+
+  // iterate through the bandwidth-filtered variants from largest to
+  // smallest and find the best rendition by player dimension
+  bandwidthVariants.sort(compareResolution);
+  i = bandwidthVariants.length;
+  while (i--) {
+    variant = bandwidthVariants[i];
+
+    // ignore variants without resolution information
+    if (!variant.attributes ||
+        !variant.attributes.RESOLUTION ||
+        !variant.attributes.RESOLUTION.width ||
+        !variant.attributes.RESOLUTION.height) {
+      continue;
+    }
+
+    variantResolution = variant.attributes.RESOLUTION;
+
+    if (variantResolution.width === snapshot.playerWidth &&
+        variantResolution.height === snapshot.playerHeight) {
+      // if we have the exact resolution as the player use it
+      resolutionPlusOne = null;
+      resolutionBestVariant = variant;
+      break;
+    } else if (variantResolution.width < snapshot.playerWidth &&
+               variantResolution.height < snapshot.playerHeight) {
+      // if both dimensions are less than the player use the
+      // previous (next-largest) variant
+      break;
+    } else if (!resolutionPlusOne ||
+               (variantResolution.width < resolutionPlusOneAttribute.width &&
+                variantResolution.height < resolutionPlusOneAttribute.height)) {
+      // By only saving variants if they are smaller than the
+      // previously saved variant, we ensure that we also pick
+      // the highest bandwidth variant that is just-larger-than
+      // the video player
+      resolutionPlusOne = variant;
+      resolutionPlusOneAttribute = resolutionPlusOne.attributes.RESOLUTION;
+    }
+  }
+
+  // fallback chain of variants
+  return resolutionPlusOne ||
+    resolutionBestVariant ||
+    bandwidthBestVariant ||
+    sortedVariants[0];
+};
+
+// The buffer level, in seconds, below which the buffer-based strategy
+// defers to throughput estimates
+const BOLA_MINIMUM_BUFFER = 10;
+
+// The additional buffer, in seconds, to plan for each variant above the
+// lowest one
+const BOLA_BUFFER_PER_LEVEL = 2;
+
+// How far, in seconds, the buffer level must move past a switching point
+// before the buffer-based strategy changes variants
+const BOLA_HYSTERESIS = 2;
+
+/**
+ * Find the variant that maximizes the BOLA objective for a buffer level.
+ * @param variants {array} the candidate variants, sorted by ascending
+ * bandwidth
+ * @param utilities {array} the utility of each variant
+ * @param vp {number} the control parameter, in seconds
+ * @param gp {number} the weight of the utility relative to rebuffering
+ * @param bufferLevel {number} seconds of video buffered ahead of the
+ * playhead
+ * @return {number} the index of the best variant
+ */
+const bolaIndex = function(variants, utilities, vp, gp, bufferLevel) {
+  let best = 0;
+  let bestScore = -Infinity;
+  let score;
+  let i;
+
+  for (i = 0; i < variants.length; i++) {
+    score = (vp * (utilities[i] + gp) - bufferLevel) / variants[i].attributes.BANDWIDTH;
+    if (score >= bestScore) {
+      bestScore = score;
+      best = i;
+    }
+  }
+  return best;
+};
+
+/**
+ * Chooses variants from the amount of video buffered ahead of the
+ * playhead, following the BOLA algorithm. Throughput estimates are used
+ * instead while the buffer is too short to be meaningful, which is the
+ * case during startup and after seeks, and to keep upswitches within
+ * what the network can sustain.
+ * @param snapshot {object} the playback state, as described in the
+ * README
+ * @return {object} the selected variant
+ * @see https://arxiv.org/abs/1601.06748
+ */
+export const bolaStrategy = function(snapshot) {
+  let variants = snapshot.variants.filter(function(variant) {
+    return !variant.excluded && variant.attributes.BANDWIDTH;
+  }).sort(compareBandwidth);
+  let throughputVariant = defaultStrategy(snapshot);
+  let throughputIndex = variants.indexOf(throughputVariant);
+  let bufferLevel = snapshot.bufferLength;
+  let utilities;
+  let bufferTarget;
+  let gp;
+  let vp;
+  let current;
+  let index;
+
+  if (variants.length < 2 ||
+      snapshot.seeking ||
+      bufferLevel < BOLA_MINIMUM_BUFFER) {
+    return throughputVariant;
+  }
+
+  // the utility of each variant is the log of its bitrate, shifted so
+  // the lowest variant has a utility of one
+  utilities = variants.map(function(variant) {
+    return Math.log(variant.attributes.BANDWIDTH / variants[0].attributes.BANDWIDTH) + 1;
+  });
+  bufferTarget = Math.max(snapshot.goalBufferLength || 0,
+                          BOLA_MINIMUM_BUFFER + BOLA_BUFFER_PER_LEVEL * variants.length);
+  gp = (utilities[utilities.length - 1] - 1) / (bufferTarget / BOLA_MINIMUM_BUFFER - 1);
+  vp = BOLA_MINIMUM_BUFFER / gp;
+
+  current = -1;
+  variants.forEach(function(variant, i) {
+    if (variant.active) {
+      current = i;
+    }
+  });
+  if (current === -1) {
+    return variants[bolaIndex(variants, utilities, vp, gp, bufferLevel)];
+  }
+
+  // only switch once the buffer has moved comfortably past the point
+  // where another variant becomes preferable
+  index = bolaIndex(variants, utilities, vp, gp, bufferLevel - BOLA_HYSTERESIS);
+  if (index > current) {
+    // don't switch up beyond what the measured throughput supports
+    if (throughputIndex !== -1 && index > throughputIndex) {
+      index = Math.max(throughputIndex, current);
+    }
+    return variants[index];
+  }
+
+  index = bolaIndex(variants, utilities, vp, gp, bufferLevel + BOLA_HYSTERESIS);
+  if (index < current) {
+    return variants[index];
+  }
+  return variants[current];
+};
+
+const strategies = {
+  default: defaultStrategy,
+  bola: bolaStrategy
+};
+
+/**
+ * Make an adaptive bitrate strategy available for selection with the
+ * `abrStrategy` option. Registering a strategy under an existing name
+ * replaces it.
+ * @param name {string} the name to select the strategy by
+ * @param strategy {function} a function that receives a snapshot of
+ * the playback state and returns one of its variants
+ */
+export const registerStrategy = function(name, strategy) {
+  if (typeof strategy !== 'function') {
+    throw new Error('An ABR strategy must be a function, received ' +
+                    typeof strategy + ' for "' + name + '"');
+  }
+  strategies[name] = strategy;
+};
+
+/**
+ * Look up a registered adaptive bitrate strategy.
+ * @param name {string} the name the strategy was registered with
+ * @return {function} the strategy, or undefined if no strategy has
+ * been registered with that name
+ */
+export const getStrategy = function(name) {
+  if (Object.prototype.hasOwnProperty.call(strategies, name)) {
+    return strategies[name];
+  }
+};
+
+export default {
+  compareBandwidth,
+  compareResolution,
+  capVariants,
+  defaultStrategy,
+  bolaStrategy,
+  registerStrategy,
+  getStrategy
+};
@@ -0,0 +1,177 @@
+/**
+ * bandwidth-estimator
+ *
+ * Estimators turn the throughput measured for individual segment
+ * downloads into an estimate of the bandwidth available for the next
+ * one. Every estimator implements `sample(bytes, bandwidth)`,
+ * `estimate()` and `reset()`.
+ */
+
+/**
+ * An exponentially weighted moving average whose samples carry
+ * different weights. The influence of a sample halves every time
+ * `halfLife` worth of weight is sampled after it.
+ */
+class Ewma {
+  /**
+   * @param halfLife {number} the weight after which a sample's
+   * influence has halved
+   */
+  constructor(halfLife) {
+    this.alpha_ = Math.exp(Math.log(0.5) / halfLife);
+    this.estimate_ = 0;
+    this.totalWeight_ = 0;
+  }
+
+  sample(weight, value) {
+    let adjustedAlpha = Math.pow(this.alpha_, weight);
+
+    this.estimate_ = value * (1 - adjustedAlpha) + adjustedAlpha * this.estimate_;
+    this.totalWeight_ += weight;
+  }
+
+  getEstimate() {
+    // the average starts at zero, so scale it up until enough samples
+    // have been seen to outweigh the starting value
+    return this.estimate_ / (1 - Math.pow(this.alpha_, this.totalWeight_));
+  }
+}
+
+/**
+ * Tracks a fast and a slow moving average of throughput, weighting each
+ * download by its size, and reports the lower of the two. The fast
+ * average reacts quickly when bandwidth drops and the slow one keeps a
+ * single quick download from causing an upswitch.
+ */
+export class EwmaBandwidthEstimator {
+  /**
+   * @param options {object} (optional) the configuration of the
+   * estimator:
+   *  * `fastHalfLife` - the half-life of the fast average, in bytes
+   *  * `slowHalfLife` - the half-life of the slow average, in bytes
+   *  * `minimumBytes` - downloads smaller than this are ignored
+   *  * `minimumTotalBytes` - no estimate is made until this many bytes
+   *  have been sampled
+   */
+  constructor(options) {
+    options = options || {};
+
+    this.fastHalfLife_ = options.fastHalfLife || 512 * 1024;
+    this.slowHalfLife_ = options.slowHalfLife || 4 * 1024 * 1024;
+    this.minimumBytes_ = typeof options.minimumBytes === 'number' ?
+      options.minimumBytes : 16 * 1024;
+    this.minimumTotalBytes_ = typeof options.minimumTotalBytes === 'number' ?
+      options.minimumTotalBytes : 128 * 1024;
+    this.reset();
+  }
+
+  /**
+   * Record the throughput of a download.
+   * @param bytes {number} the size of the download
+   * @param bandwidth {number} the throughput of the download, in bits
+   * per second
+   */
+  sample(bytes, bandwidth) {
+    // small requests are dominated by latency rather than throughput
+    if (bytes < this.minimumBytes_ || !(bandwidth > 0) || !isFinite(bandwidth)) {
+      return;
+    }
+
+    this.fast_.sample(bytes, bandwidth);
+    this.slow_.sample(bytes, bandwidth);
+    this.bytesSampled_ += bytes;
+  }
+
+  /**
+   * @return {number} the estimated bandwidth in bits per second, or
+   * null if not enough data has been sampled yet
+   */
+  estimate() {
+    if (this.bytesSampled_ < this.minimumTotalBytes_) {
+      return null;
+    }
+    return Math.min(this.fast_.getEstimate(), this.slow_.getEstimate());
+  }
+
+  /**
+   * Discard all samples.
+   */
+  reset() {
+    this.fast_ = new Ewma(this.fastHalfLife_);
+    this.slow_ = new Ewma(this.slowHalfLife_);
+    this.bytesSampled_ = 0;
+  }
+}
+
+/**
+ * Uses the throughput of the most recent download as the estimate.
+ */
+export class LastSampleBandwidthEstimator {
+  constructor() {
+    this.reset();
+  }
+
+  sample(bytes, bandwidth) {
+    this.bandwidth_ = bandwidth;
+  }
+
+  estimate() {
+    return this.bandwidth_;
+  }
+
+  reset() {
+    this.bandwidth_ = null;
+  }
+}
+
+const estimators = {
+  'ewma': EwmaBandwidthEstimator,
+  'last-sample': LastSampleBandwidthEstimator
+};
+
+/**
+ * Make a bandwidth estimator available for selection with the
+ * `bandwidthEstimator` option. Registering an estimator under an
+ * existing name replaces it.
+ * @param name {string} the name to select the estimator by
+ * @param Estimator {function} a constructor that accepts the
+ * `bandwidthEstimator` option object and creates an object with
+ * `sample`, `estimate` and `reset` methods
+ */
+export const registerEstimator = function(name, Estimator) {
+  if (typeof Estimator !== 'function') {
+    throw new Error('A bandwidth estimator must be a constructor, received ' +
+                    typeof Estimator + ' for "' + name + '"');
+  }
+  estimators[name] = Estimator;
+};
+
+/**
+ * Create a bandwidth estimator.
+ * @param options {string|object} (optional) the name of a registered
+ * estimator or an object whose `algorithm` property names it. The
+ * object is passed along to the estimator to configure it.
+ * @return {object} the estimator, or null if the algorithm is not
+ * registered
+ */
+export const createEstimator = function(options) {
+  let algorithm;
+
+  if (typeof options === 'string') {
+    options = { algorithm: options };
+  }
+  options = options || {};
+  algorithm = options.algorithm || 'ewma';
+
+  if (!Object.prototype.hasOwnProperty.call(estimators, algorithm)) {
+    return null;
+  }
+  return new estimators[algorithm](options);
+};
+
+export default {
+  EwmaBandwidthEstimator,
+  LastSampleBandwidthEstimator,
+  registerEstimator,
+  createEstimator
+};
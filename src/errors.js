@@ -0,0 +1,97 @@
+/**
+ * errors
+ *
+ * The model problems during playback are reported with. Every report
+ * has a `type` naming the part of playback that failed and a `details`
+ * code naming what went wrong, so that a missing playlist can be told
+ * apart from a slow segment without parsing messages.
+ */
+
+export const ErrorTypes = {
+  // master and media playlist requests
+  MANIFEST: 'manifest',
+  // segment and initialization segment requests
+  NETWORK: 'network',
+  // key requests and decryption
+  KEY: 'key',
+  // appending to and playing from the source buffer
+  MEDIA: 'media',
+  // segments in a format the source buffer can't accept
+  MUX: 'mux'
+};
+
+export const ErrorDetails = {
+  MANIFEST_LOAD_ERROR: 'manifestLoadError',
+  MANIFEST_LOAD_TIMEOUT: 'manifestLoadTimeout',
+  PLAYLIST_LOAD_ERROR: 'playlistLoadError',
+  PLAYLIST_LOAD_TIMEOUT: 'playlistLoadTimeout',
+  SEGMENT_LOAD_ERROR: 'segmentLoadError',
+  SEGMENT_LOAD_TIMEOUT: 'segmentLoadTimeout',
+  INIT_SEGMENT_LOAD_ERROR: 'initSegmentLoadError',
+  KEY_LOAD_ERROR: 'keyLoadError',
+  KEY_INVALID: 'keyInvalid',
+  DECRYPT_ERROR: 'decryptError',
+  APPEND_ERROR: 'appendError',
+  BUFFER_FULL: 'bufferFull',
+  BUFFER_GAP: 'bufferGap',
+  BUFFER_STALLED: 'bufferStalled',
+  DROPPED_FRAMES: 'droppedFrames',
+  INCOMPATIBLE_SEGMENT_FORMAT: 'incompatibleSegmentFormat'
+};
+
+/**
+ * @param type {string} one of the `ErrorTypes`
+ * @param status {number} the HTTP status of the failed request, if any
+ * @return {number} the MediaError code the error is reported to the
+ * player with
+ */
+const mediaErrorCode = function(type, status) {
+  // MEDIA_ERR_DECODE
+  if (type === ErrorTypes.MEDIA || type === ErrorTypes.MUX) {
+    return 3;
+  }
+  // server errors are reported as MEDIA_ERR_SRC_NOT_SUPPORTED and
+  // everything else as MEDIA_ERR_NETWORK
+  return status >= 500 ? 4 : 2;
+};
+
+/**
+ * Create an error report. Properties that aren't specified get their
+ * default values, so every report has the same shape.
+ * @param properties {object} the properties of the error:
+ *  * `type` - one of the `ErrorTypes`
+ *  * `details` - one of the `ErrorDetails`
+ *  * `message` - a description of the error
+ *  * `fatal` - whether playback stopped because of the error. Defaults
+ *  to false.
+ *  * `url` - the URL of the request that failed, if any
+ *  * `status` - the HTTP status of the request that failed, if any
+ *  * `rendition` - the rendition that was playing, if any
+ *  * `retryCount` - the number of times the failed request was retried.
+ *  Defaults to 0.
+ *  * `code` - the MediaError code. Defaults to the one for the type.
+ * Any other properties are copied to the report as well.
+ * @return {object} the error report
+ */
+export const createError = function(properties) {
+  let error = {
+    type: null,
+    details: null,
+    message: '',
+    fatal: false,
+    url: null,
+    status: null,
+    rendition: null,
+    retryCount: 0
+  };
+
+  Object.keys(properties).forEach(function(key) {
+    if (typeof properties[key] !== 'undefined') {
+      error[key] = properties[key];
+    }
+  });
+  if (typeof error.code !== 'number') {
+    error.code = mediaErrorCode(error.type, error.status);
+  }
+  return error;
+};
@@ -37,6 +37,25 @@ const parseAttributes = function(attributes) {
   return result;
 };
 
+/**
+ * Parse a byte range of the form `<length>[@<offset>]`.
+ * @param byterange {string} the byte range attribute value
+ * @return {object} an object with a `length` and, if one was specified,
+ * an `offset`. Both are missing if the byte range is invalid.
+ */
+const parseByterange = function(byterange) {
+  let match = (/^([0-9]+)(?:@([0-9]+))?$/).exec(byterange);
+  let result = {};
+
+  if (match) {
+    result.length = parseInt(match[1], 10);
+    if (match[2]) {
+      result.offset = parseInt(match[2], 10);
+    }
+  }
+  return result;
+};
+
 /**
  * A line-level M3U8 parser event stream. It expects to receive input one
  * line at a time and performs a context-free parse of its contents. A stream
@@ -254,6 +273,18 @@ export default class ParseStream extends Stream {
       this.trigger('data', event);
       return;
     }
+    match = (/^#EXT-X-MEDIA:?(.*)$/).exec(line);
+    if (match) {
+      event = {
+        type: 'tag',
+        tagType: 'media'
+      };
+      if (match[1]) {
+        event.attributes = parseAttributes(match[1]);
+      }
+      this.trigger('data', event);
+      return;
+    }
     match = (/^#EXT-X-ENDLIST/).exec(line);
     if (match) {
       this.trigger('data', {
@@ -270,6 +301,168 @@ export default class ParseStream extends Stream {
       });
       return;
     }
+    match = (/^#EXT-X-START:?(.*)$/).exec(line);
+    if (match) {
+      event = {
+        type: 'tag',
+        tagType: 'start'
+      };
+      if (match[1]) {
+        event.attributes = parseAttributes(match[1]);
+        if (event.attributes['TIME-OFFSET']) {
+          event.attributes['TIME-OFFSET'] = parseFloat(event.attributes['TIME-OFFSET']);
+        }
+        if (event.attributes.PRECISE) {
+          event.attributes.PRECISE = (/YES/).test(event.attributes.PRECISE);
+        }
+      }
+      this.trigger('data', event);
+      return;
+    }
+    match = (/^#EXT-X-PROGRAM-DATE-TIME:?(.*)$/).exec(line);
+    if (match) {
+      event = {
+        type: 'tag',
+        tagType: 'program-date-time'
+      };
+      if (match[1]) {
+        event.dateTimeString = match[1];
+        event.dateTimeObject = new Date(match[1]);
+      }
+      this.trigger('data', event);
+      return;
+    }
+    match = (/^#EXT-X-MAP:?(.*)$/).exec(line);
+    if (match) {
+      event = {
+        type: 'tag',
+        tagType: 'map'
+      };
+      if (match[1]) {
+        event.attributes = parseAttributes(match[1]);
+        // parse the byterange into its length and optional offset
+        if (event.attributes.BYTERANGE) {
+          event.attributes.BYTERANGE = parseByterange(event.attributes.BYTERANGE);
+        }
+      }
+      this.trigger('data', event);
+      return;
+    }
+    match = (/^#EXT-X-PART-INF:?(.*)$/).exec(line);
+    if (match) {
+      event = {
+        type: 'tag',
+        tagType: 'part-inf'
+      };
+      if (match[1]) {
+        event.attributes = parseAttributes(match[1]);
+        if (event.attributes['PART-TARGET']) {
+          event.attributes['PART-TARGET'] = parseFloat(event.attributes['PART-TARGET']);
+        }
+      }
+      this.trigger('data', event);
+      return;
+    }
+    match = (/^#EXT-X-PART:(.*)$/).exec(line);
+    if (match) {
+      event = {
+        type: 'tag',
+        tagType: 'part'
+      };
+      if (match[1]) {
+        event.attributes = parseAttributes(match[1]);
+        if (event.attributes.DURATION) {
+          event.attributes.DURATION = parseFloat(event.attributes.DURATION);
+        }
+        if (event.attributes.INDEPENDENT) {
+          event.attributes.INDEPENDENT = (/YES/).test(event.attributes.INDEPENDENT);
+        }
+        if (event.attributes.GAP) {
+          event.attributes.GAP = (/YES/).test(event.attributes.GAP);
+        }
+        if (event.attributes.BYTERANGE) {
+          event.attributes.BYTERANGE = parseByterange(event.attributes.BYTERANGE);
+        }
+      }
+      this.trigger('data', event);
+      return;
+    }
+    match = (/^#EXT-X-PRELOAD-HINT:?(.*)$/).exec(line);
+    if (match) {
+      event = {
+        type: 'tag',
+        tagType: 'preload-hint'
+      };
+      if (match[1]) {
+        event.attributes = parseAttributes(match[1]);
+        if (event.attributes['BYTERANGE-START']) {
+          event.attributes['BYTERANGE-START'] =
+            parseInt(event.attributes['BYTERANGE-START'], 10);
+        }
+        if (event.attributes['BYTERANGE-LENGTH']) {
+          event.attributes['BYTERANGE-LENGTH'] =
+            parseInt(event.attributes['BYTERANGE-LENGTH'], 10);
+        }
+      }
+      this.trigger('data', event);
+      return;
+    }
+    match = (/^#EXT-X-SERVER-CONTROL:?(.*)$/).exec(line);
+    if (match) {
+      event = {
+        type: 'tag',
+        tagType: 'server-control'
+      };
+      if (match[1]) {
+        event.attributes = parseAttributes(match[1]);
+        ['CAN-SKIP-UNTIL', 'HOLD-BACK', 'PART-HOLD-BACK'].forEach(function(name) {
+          if (event.attributes[name]) {
+            event.attributes[name] = parseFloat(event.attributes[name]);
+          }
+        });
+        ['CAN-BLOCK-RELOAD', 'CAN-SKIP-DATERANGES'].forEach(function(name) {
+          if (event.attributes[name]) {
+            event.attributes[name] = (/YES/).test(event.attributes[name]);
+          }
+        });
+      }
+      this.trigger('data', event);
+      return;
+    }
+    match = (/^#EXT-X-RENDITION-REPORT:?(.*)$/).exec(line);
+    if (match) {
+      event = {
+        type: 'tag',
+        tagType: 'rendition-report'
+      };
+      if (match[1]) {
+        event.attributes = parseAttributes(match[1]);
+        if (event.attributes['LAST-MSN']) {
+          event.attributes['LAST-MSN'] = parseInt(event.attributes['LAST-MSN'], 10);
+        }
+        if (event.attributes['LAST-PART']) {
+          event.attributes['LAST-PART'] = parseInt(event.attributes['LAST-PART'], 10);
+        }
+      }
+      this.trigger('data', event);
+      return;
+    }
+    match = (/^#EXT-X-SKIP:?(.*)$/).exec(line);
+    if (match) {
+      event = {
+        type: 'tag',
+        tagType: 'skip'
+      };
+      if (match[1]) {
+        event.attributes = parseAttributes(match[1]);
+        if (event.attributes['SKIPPED-SEGMENTS']) {
+          event.attributes['SKIPPED-SEGMENTS'] =
+            parseInt(event.attributes['SKIPPED-SEGMENTS'], 10);
+        }
+      }
+      this.trigger('data', event);
+      return;
+    }
     match = (/^#EXT-X-KEY:?(.*)$/).exec(line);
     if (match) {
       event = {
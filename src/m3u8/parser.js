@@ -33,6 +33,7 @@ export default class Parser extends Stream {
     let uris = [];
     let currentUri = {};
     let key;
+    let map;
     let noop = function() {};
 
     // the manifest is empty until the parse stream begins delivering data
@@ -132,6 +133,196 @@ export default class Parser extends Stream {
                 key.iv = entry.attributes.IV;
               }
             },
+            map() {
+              if (!entry.attributes || !entry.attributes.URI) {
+                this.trigger('warn', {
+                  message: 'ignoring initialization section declaration without URI'
+                });
+                return;
+              }
+
+              // setup the initialization section for upcoming segments
+              map = {
+                uri: entry.attributes.URI
+              };
+
+              if (entry.attributes.BYTERANGE) {
+                if (!('length' in entry.attributes.BYTERANGE)) {
+                  this.trigger('warn', {
+                    message: 'ignoring invalid initialization section byterange'
+                  });
+                  return;
+                }
+                map.byterange = entry.attributes.BYTERANGE;
+                if (!('offset' in map.byterange)) {
+                  this.trigger('info', {
+                    message: 'defaulting initialization section offset to zero'
+                  });
+                  map.byterange.offset = 0;
+                }
+              }
+            },
+            start() {
+              if (!entry.attributes || !isFinite(entry.attributes['TIME-OFFSET'])) {
+                this.trigger('warn', {
+                  message: 'ignoring start declaration without a valid time offset'
+                });
+                return;
+              }
+              this.manifest.start = {
+                timeOffset: entry.attributes['TIME-OFFSET'],
+                precise: !!entry.attributes.PRECISE
+              };
+            },
+            'program-date-time'() {
+              if (!entry.dateTimeObject || isNaN(entry.dateTimeObject.getTime())) {
+                this.trigger('warn', {
+                  message: 'ignoring invalid program date time: ' + entry.dateTimeString
+                });
+                return;
+              }
+              // the date-time applies to the first sample of the next segment
+              currentUri.dateTimeString = entry.dateTimeString;
+              currentUri.dateTimeObject = entry.dateTimeObject;
+            },
+            part() {
+              let attributes = entry.attributes;
+              let part;
+              let previous;
+
+              if (!attributes || !attributes.URI || !isFinite(attributes.DURATION)) {
+                this.trigger('warn', {
+                  message: 'ignoring partial segment without a URI or duration'
+                });
+                return;
+              }
+
+              part = {
+                duration: attributes.DURATION,
+                uri: attributes.URI
+              };
+              if (attributes.INDEPENDENT) {
+                part.independent = true;
+              }
+              if (attributes.GAP) {
+                part.gap = true;
+              }
+              currentUri.parts = currentUri.parts || [];
+              if (attributes.BYTERANGE && 'length' in attributes.BYTERANGE) {
+                part.byterange = attributes.BYTERANGE;
+                // without an offset, the range follows the previous part
+                if (!('offset' in part.byterange)) {
+                  previous = currentUri.parts[currentUri.parts.length - 1];
+                  part.byterange.offset = 0;
+                  if (previous && previous.uri === part.uri && previous.byterange) {
+                    part.byterange.offset = previous.byterange.offset +
+                      previous.byterange.length;
+                  }
+                }
+              }
+              currentUri.parts.push(part);
+
+              // parts after the last segment belong to one that is still
+              // being produced
+              if (key) {
+                currentUri.key = key;
+              }
+              if (map) {
+                currentUri.map = map;
+              }
+              this.manifest.preloadSegment = currentUri;
+            },
+            'part-inf'() {
+              if (!entry.attributes || !isFinite(entry.attributes['PART-TARGET'])) {
+                this.trigger('warn', {
+                  message: 'ignoring part information without a part target duration'
+                });
+                return;
+              }
+              this.manifest.partTargetDuration = entry.attributes['PART-TARGET'];
+            },
+            'preload-hint'() {
+              let attributes = entry.attributes;
+              let hint;
+
+              if (!attributes || !attributes.TYPE || !attributes.URI) {
+                this.trigger('warn', {
+                  message: 'ignoring preload hint without a type or URI'
+                });
+                return;
+              }
+
+              hint = {
+                type: attributes.TYPE,
+                uri: attributes.URI
+              };
+              if (typeof attributes['BYTERANGE-START'] === 'number' ||
+                  typeof attributes['BYTERANGE-LENGTH'] === 'number') {
+                hint.byterange = {
+                  offset: attributes['BYTERANGE-START'] || 0
+                };
+                if (typeof attributes['BYTERANGE-LENGTH'] === 'number') {
+                  hint.byterange.length = attributes['BYTERANGE-LENGTH'];
+                }
+              }
+              currentUri.preloadHints = currentUri.preloadHints || [];
+              currentUri.preloadHints.push(hint);
+              this.manifest.preloadSegment = currentUri;
+            },
+            'server-control'() {
+              let attributes = entry.attributes || {};
+              let serverControl = {
+                canBlockReload: !!attributes['CAN-BLOCK-RELOAD']
+              };
+
+              if (isFinite(attributes['CAN-SKIP-UNTIL'])) {
+                serverControl.canSkipUntil = attributes['CAN-SKIP-UNTIL'];
+                serverControl.canSkipDateranges = !!attributes['CAN-SKIP-DATERANGES'];
+              }
+              if (isFinite(attributes['HOLD-BACK'])) {
+                serverControl.holdBack = attributes['HOLD-BACK'];
+              }
+              if (isFinite(attributes['PART-HOLD-BACK'])) {
+                serverControl.partHoldBack = attributes['PART-HOLD-BACK'];
+              }
+              this.manifest.serverControl = serverControl;
+            },
+            skip() {
+              let attributes = entry.attributes || {};
+
+              if (!isFinite(attributes['SKIPPED-SEGMENTS'])) {
+                this.trigger('warn', {
+                  message: 'ignoring skip declaration without a segment count'
+                });
+                return;
+              }
+              this.manifest.skip = {
+                skippedSegments: attributes['SKIPPED-SEGMENTS']
+              };
+            },
+            'rendition-report'() {
+              let attributes = entry.attributes;
+              let report;
+
+              if (!attributes || !attributes.URI) {
+                this.trigger('warn', {
+                  message: 'ignoring rendition report without a URI'
+                });
+                return;
+              }
+
+              report = {
+                uri: attributes.URI
+              };
+              if (isFinite(attributes['LAST-MSN'])) {
+                report.lastMsn = attributes['LAST-MSN'];
+              }
+              if (isFinite(attributes['LAST-PART'])) {
+                report.lastPart = attributes['LAST-PART'];
+              }
+              this.manifest.renditionReports = this.manifest.renditionReports || [];
+              this.manifest.renditionReports.push(report);
+            },
             'media-sequence'() {
               if (!isFinite(entry.number)) {
                 this.trigger('warn', {
@@ -159,6 +350,68 @@ export default class Parser extends Stream {
               }
               this.manifest.playlistType = entry.playlistType;
             },
+            media() {
+              let attributes = entry.attributes;
+              let mediaGroupType;
+              let rendition;
+
+              if (!attributes ||
+                  !attributes.TYPE ||
+                  !attributes['GROUP-ID'] ||
+                  !attributes.NAME) {
+                this.trigger('warn', {
+                  message: 'ignoring incomplete or missing media group'
+                });
+                return;
+              }
+
+              if (!this.manifest.mediaGroups) {
+                this.manifest.mediaGroups = {
+                  'AUDIO': {},
+                  'VIDEO': {},
+                  'CLOSED-CAPTIONS': {},
+                  'SUBTITLES': {}
+                };
+              }
+
+              mediaGroupType = this.manifest.mediaGroups[attributes.TYPE];
+              if (!mediaGroupType) {
+                this.trigger('warn', {
+                  message: 'ignoring unknown media group type: ' + attributes.TYPE
+                });
+                return;
+              }
+              mediaGroupType[attributes['GROUP-ID']] =
+                mediaGroupType[attributes['GROUP-ID']] || {};
+
+              // collect the rendition metadata
+              rendition = {
+                default: (/yes/i).test(attributes.DEFAULT)
+              };
+              if (rendition.default) {
+                rendition.autoselect = true;
+              } else {
+                rendition.autoselect = (/yes/i).test(attributes.AUTOSELECT);
+              }
+              if (attributes.LANGUAGE) {
+                rendition.language = attributes.LANGUAGE;
+              }
+              if (attributes.URI) {
+                rendition.uri = attributes.URI;
+              }
+              if (attributes['INSTREAM-ID']) {
+                rendition.instreamId = attributes['INSTREAM-ID'];
+              }
+              if (attributes.CHARACTERISTICS) {
+                rendition.characteristics = attributes.CHARACTERISTICS;
+              }
+              if (attributes.FORCED) {
+                rendition.forced = (/yes/i).test(attributes.FORCED);
+              }
+
+              // insert the new rendition
+              mediaGroupType[attributes['GROUP-ID']][attributes.NAME] = rendition;
+            },
             'stream-inf'() {
               this.manifest.playlists = uris;
 
@@ -203,6 +456,11 @@ export default class Parser extends Stream {
           currentUri.uri = entry.uri;
           uris.push(currentUri);
 
+          // the segment is complete now that its URI is known
+          if (this.manifest.preloadSegment === currentUri) {
+            delete this.manifest.preloadSegment;
+          }
+
           // if no explicit duration was declared, use the target duration
           if (this.manifest.targetDuration &&
               !('duration' in currentUri)) {
@@ -215,6 +473,10 @@ export default class Parser extends Stream {
           if (key) {
             currentUri.key = key;
           }
+          // annotate with the initialization section, if necessary
+          if (map) {
+            currentUri.map = map;
+          }
 
           // prepare for the next URI
           currentUri = {};
@@ -9,6 +9,119 @@ import resolveUrl from './resolve-url';
 import {mergeOptions} from 'video.js';
 import Stream from './stream';
 import m3u8 from './m3u8';
+import RetryPolicy from './retry-policy';
+import {ErrorTypes, ErrorDetails, createError} from './errors';
+import {RequestTypes} from './xhr';
+
+// the longest that backing off can put a playlist refresh off for, in
+// target durations
+const maxRefreshBackoff = 3;
+
+/**
+ * Calculate how long to wait before refreshing a live playlist that
+ * came back unchanged or failed to load. The wait starts at half the
+ * target duration and doubles with every consecutive attempt.
+ * @param targetDuration {number} the target duration of the playlist,
+ * in milliseconds
+ * @param attempts {number} the number of consecutive refreshes that
+ * were unchanged or failed
+ * @return {number} the delay before the next refresh, in milliseconds
+ */
+const backoffDelay = function(targetDuration, attempts) {
+  return Math.min(targetDuration / 2 * Math.pow(2, attempts - 1),
+                  targetDuration * maxRefreshBackoff);
+};
+
+/**
+ * @param playlist {object} a parsed media playlist
+ * @return {number} the number of partial segments published for the
+ * segment that hasn't completed yet
+ */
+const preloadPartCount = function(playlist) {
+  if (!playlist.preloadSegment || !playlist.preloadSegment.parts) {
+    return 0;
+  }
+  return playlist.preloadSegment.parts.length;
+};
+
+/**
+ * The query parameters of a blocking playlist reload. The server holds
+ * the request until the playlist contains the segment, or partial
+ * segment, after the newest one already loaded.
+ * @param media {object} the current version of the media playlist
+ * @return {string} the query parameters to request the next version
+ * of the playlist with
+ */
+const blockingReloadQuery = function(media) {
+  let query = '_HLS_msn=' + (media.mediaSequence + media.segments.length);
+
+  if (media.partTargetDuration) {
+    query += '&_HLS_part=' + preloadPartCount(media);
+  }
+  return query;
+};
+
+/**
+ * Determine whether the segments a playlist delta update skipped are
+ * all available in the cached version of the playlist.
+ * @param playlist {object} the cached media playlist
+ * @param delta {object} the parsed delta update
+ * @return {boolean} true if the delta update can be applied
+ */
+const canApplyDelta = function(playlist, delta) {
+  let offset;
+
+  if (!playlist || !playlist.segments) {
+    return false;
+  }
+  offset = delta.mediaSequence - playlist.mediaSequence;
+  return offset >= 0 &&
+    offset + delta.skip.skippedSegments <= playlist.segments.length;
+};
+
+/**
+ * Masters often list each variant more than once with the same
+ * bandwidth, resolution, codecs, frame rate and rendition groups, at
+ * URIs on different servers, so
+ * that playback can continue when one of them fails. Fold each set of
+ * redundant variants into the first one listed.
+ * @param playlists {array} the variants of a master playlist
+ * @return {array} the variants that aren't redundant. Variants that
+ * were listed more than once have all of their URIs in
+ * `redundantUris`, in the order they were listed.
+ */
+const groupRedundantVariants = function(playlists) {
+  let groups = {};
+
+  return playlists.filter(function(playlist) {
+    let attributes = playlist.attributes || {};
+    let resolution = attributes.RESOLUTION;
+    let key;
+
+    if (typeof attributes.BANDWIDTH === 'undefined') {
+      return true;
+    }
+    // variants that play different renditions aren't interchangeable
+    // even when their bitrate and resolution are the same
+    key = [
+      attributes.BANDWIDTH,
+      resolution ? resolution.width + 'x' + resolution.height : '',
+      attributes.CODECS || '',
+      attributes['FRAME-RATE'] || '',
+      attributes.AUDIO || '',
+      attributes.SUBTITLES || '',
+      attributes['CLOSED-CAPTIONS'] || ''
+    ].join('/');
+
+    if (!groups[key]) {
+      groups[key] = playlist;
+      return true;
+    }
+    groups[key].redundantUris = groups[key].redundantUris || [groups[key].uri];
+    groups[key].redundantUris.push(playlist.uri);
+    return false;
+  });
+};
 
 /**
  * Returns a new master playlist that is the result of merging an
@@ -17,30 +130,46 @@ import m3u8 from './m3u8';
  * entries in the original master playlist, null is returned.
  * @param master {object} a parsed master M3U8 object
  * @param media {object} a parsed media M3U8 object
+ * @param reloaded {boolean} (optional) whether the media playlist was
+ * loaded again from another of its redundant URIs. The segment URIs
+ * may differ even if the segments are the same, so the update is
+ * always merged.
  * @return {object} a new object that represents the original
  * master playlist with the updated media playlist merged in, or
  * null if the merge produced no change.
  */
-const updateMaster = function(master, media) {
+const updateMaster = function(master, media, reloaded) {
   let changed = false;
   let result = mergeOptions(master, {});
   let i = master.playlists.length;
+  let skipped = media.skip ? media.skip.skippedSegments : 0;
   let playlist;
 
   while (i--) {
     playlist = result.playlists[i];
     if (playlist.uri === media.uri) {
       // consider the playlist unchanged if the number of segments
-      // are equal and the media sequence number is unchanged
-      if (playlist.segments &&
+      // are equal, the media sequence number is unchanged and no
+      // partial segments were added
+      if (!reloaded &&
+          playlist.segments &&
           media.segments &&
-          playlist.segments.length === media.segments.length &&
-          playlist.mediaSequence === media.mediaSequence) {
+          playlist.segments.length === media.segments.length + skipped &&
+          playlist.mediaSequence === media.mediaSequence &&
+          preloadPartCount(playlist) === preloadPartCount(media)) {
         continue;
       }
 
       result.playlists[i] = mergeOptions(playlist, media);
-      result.playlists[media.uri] = result.playlists[i];
+      (playlist.redundantUris || [media.uri]).forEach(function(uri) {
+        result.playlists[uri] = result.playlists[i];
+      });
+      // a segment that has completed is no longer being preloaded
+      if (!media.preloadSegment) {
+        delete result.playlists[i].preloadSegment;
+      }
+      // the merged playlist is complete even if the update wasn't
+      delete result.playlists[i].skip;
 
       // if the update could overlap existing segment information,
       // merge the two lists
@@ -48,7 +177,8 @@ const updateMaster = function(master, media) {
         result.playlists[i].segments = updateSegments(playlist.segments,
                                                       media.segments,
                                                       media.mediaSequence -
-                                                      playlist.mediaSequence);
+                                                      playlist.mediaSequence,
+                                                      skipped);
       }
       changed = true;
     }
@@ -68,14 +198,19 @@ const updateMaster = function(master, media) {
  * specified. For live playlists, it should be the difference
  * between the media sequence numbers in the original and updated
  * playlists.
+ * @param skipped {number} (optional) the number of segments a
+ * playlist delta update left out before the first update segment.
+ * They are carried over from the original list.
  * @return a list of merged segment objects
  */
-const updateSegments = function(original, update, offset) {
-  let result = update.slice();
+const updateSegments = function(original, update, offset, skipped) {
+  let result;
   let length;
   let i;
 
   offset = offset || 0;
+  update = original.slice(offset, offset + (skipped || 0)).concat(update);
+  result = update.slice();
   length = Math.min(original.length, update.length + offset);
 
   for (i = offset; i < length; i++) {
@@ -85,16 +220,40 @@ const updateSegments = function(original, update, offset) {
 };
 
 export default class PlaylistLoader extends Stream {
-  constructor(srcUrl, hls, withCredentials) {
+  /**
+   * @param srcUrl {string} the URL of the master or media playlist
+   * @param hls {object} the HLS handler, used to make requests
+   * @param withCredentials {boolean} whether requests should be made
+   * with credentials
+   * @param options {object} (optional) the configuration of the
+   * loader:
+   *  * `alignRefreshToLastSegment` - refresh live playlists after the
+   *  duration of their last segment instead of the target duration
+   *  * `retry` - the configuration of the retry policy for failed
+   *  playlist requests
+   */
+  constructor(srcUrl, hls, withCredentials, options) {
     super();
     let loader = this;
     let dispose;
     let mediaUpdateTimeout;
     let request;
+    let retryTimeout;
+    let cancelRetry;
+    let refreshUri;
+    let requestPlaylist;
+    let requestError;
     let playlistRequestError;
     let haveMetadata;
+    let scheduleRefresh;
+    let lastMediaUpdate;
+    let skipUnavailable = false;
+    let unchangedRefreshes = 0;
+    let failedRefreshes = 0;
 
     this.hls_ = hls;
+    this.options_ = options || {};
+    this.retryPolicy_ = new RetryPolicy(this.options_.retry);
 
     // a flag that disables "expired time"-tracking this setting has
     // no effect when not playing a live stream
@@ -104,7 +263,79 @@ export default class PlaylistLoader extends Stream {
       throw new Error('A non-empty playlist URL is required');
     }
 
-    playlistRequestError = function(xhr, url, startingState) {
+    // request a playlist, making the request again if it fails in a
+    // way the retry policy allows. `playlist` is the variant a media
+    // playlist is requested for, if it isn't the manifest.
+    requestPlaylist = function(uri, playlist, callback) {
+      let attempts = 1;
+      let send = function() {
+        retryTimeout = null;
+        request = loader.hls_.xhr({
+          uri,
+          withCredentials,
+          requestType: playlist ? RequestTypes.MEDIA_PLAYLIST : RequestTypes.MANIFEST,
+          playlist
+        }, function(error, req) {
+          if (error && loader.retryPolicy_.shouldRetry(req, attempts)) {
+            loader.trigger('warning', requestError(req, uri, attempts - 1));
+            retryTimeout = window.setTimeout(send, loader.retryPolicy_.delay(attempts));
+            attempts++;
+            return;
+          }
+          callback(error, req, attempts - 1);
+        });
+      };
+
+      send();
+    };
+
+    cancelRetry = function() {
+      if (retryTimeout) {
+        window.clearTimeout(retryTimeout);
+        retryTimeout = null;
+      }
+    };
+
+    // point a variant at the URI its playlist was loaded from after
+    // the `onAuthFailure` hook of the xhr function refreshed its
+    // credentials, so later requests use it too
+    refreshUri = function(uri, refreshedUri) {
+      let playlist = loader.master.playlists[uri];
+      let redundantUris = playlist.redundantUris;
+
+      if (redundantUris) {
+        redundantUris[redundantUris.indexOf(uri)] = refreshedUri;
+      }
+      playlist.uri = refreshedUri;
+      loader.master.playlists[refreshedUri] = playlist;
+      return refreshedUri;
+    };
+
+    // describe a failed request for the master playlist, or for a
+    // media playlist once the master has loaded
+    requestError = function(xhr, url, retryCount) {
+      let master = !loader.master;
+      let details;
+
+      if (xhr.timedout) {
+        details = master ? ErrorDetails.MANIFEST_LOAD_TIMEOUT :
+          ErrorDetails.PLAYLIST_LOAD_TIMEOUT;
+      } else {
+        details = master ? ErrorDetails.MANIFEST_LOAD_ERROR :
+          ErrorDetails.PLAYLIST_LOAD_ERROR;
+      }
+      return createError({
+        type: ErrorTypes.MANIFEST,
+        details,
+        message: 'HLS playlist request error at URL: ' + url,
+        url,
+        status: xhr.status,
+        responseText: xhr.responseText,
+        retryCount
+      });
+    };
+
+    playlistRequestError = function(xhr, url, startingState, retryCount) {
       loader.setBandwidth(request || xhr);
 
       // any in-flight request is now finished
@@ -114,23 +345,33 @@ export default class PlaylistLoader extends Stream {
         loader.state = startingState;
       }
 
-      loader.error = {
-        playlist: loader.master.playlists[url],
-        status: xhr.status,
-        message: 'HLS playlist request error at URL: ' + url,
-        responseText: xhr.responseText,
-        code: (xhr.status >= 500) ? 4 : 2
-      };
+      loader.error = requestError(xhr, resolveUrl(loader.master.uri, url), retryCount);
+      loader.error.playlist = loader.master.playlists[url];
       loader.trigger('error');
     };
 
+    // refresh the active live playlist after a delay and report the
+    // timing of the refresh that just finished
+    scheduleRefresh = function(refreshDelay, refresh) {
+      window.clearTimeout(mediaUpdateTimeout);
+      mediaUpdateTimeout = window.setTimeout(function() {
+        loader.trigger('mediaupdatetimeout');
+      }, refreshDelay);
+
+      refresh.refreshDelay = refreshDelay;
+      loader.trigger('playlistrefresh', refresh);
+    };
+
     // update the playlist loader's state in response to a new or
     // updated playlist.
 
-    haveMetadata = function(xhr, url) {
+    haveMetadata = function(xhr, url, reloaded) {
       let parser;
+      let targetDuration;
       let refreshDelay;
+      let roundTripTime;
       let update;
+      let segments;
 
       loader.setBandwidth(request || xhr);
 
@@ -143,24 +384,60 @@ export default class PlaylistLoader extends Stream {
       parser.end();
       parser.manifest.uri = url;
 
+      // if the segments a delta update skipped aren't cached, request
+      // the full playlist instead
+      if (parser.manifest.skip &&
+          !canApplyDelta(loader.master.playlists[url], parser.manifest)) {
+        skipUnavailable = true;
+        return loader.trigger('mediaupdatetimeout');
+      }
+      skipUnavailable = false;
+      lastMediaUpdate = Date.now();
+
       // merge this playlist into the master
-      update = updateMaster(loader.master, parser.manifest);
-      refreshDelay = (parser.manifest.targetDuration || 10) * 1000;
+      update = updateMaster(loader.master, parser.manifest, reloaded);
+      targetDuration = (parser.manifest.targetDuration || 10) * 1000;
+      failedRefreshes = 0;
       if (update) {
         loader.master = update;
-        loader.updateMediaPlaylist_(parser.manifest);
+        // expired time is tracked from the first segment, which a
+        // delta update leaves out
+        loader.updateMediaPlaylist_(parser.manifest.skip ?
+                                    loader.master.playlists[url] :
+                                    parser.manifest);
+        unchangedRefreshes = 0;
+        refreshDelay = targetDuration;
+
+        segments = loader.media().segments;
+        if (loader.options_.alignRefreshToLastSegment &&
+            segments.length &&
+            segments[segments.length - 1].duration) {
+          refreshDelay = segments[segments.length - 1].duration * 1000;
+        }
+        // servers that support blocking reloads hold the next request
+        // until the playlist changes, so it can be made right away
+        if (loader.media().serverControl &&
+            loader.media().serverControl.canBlockReload) {
+          refreshDelay = 0;
+        }
       } else {
-        // if the playlist is unchanged since the last reload,
-        // try again after half the target duration
-        refreshDelay /= 2;
+        // if the playlist is unchanged since the last reload, try
+        // again after half the target duration, backing off if it
+        // stays unchanged
+        unchangedRefreshes++;
+        refreshDelay = backoffDelay(targetDuration, unchangedRefreshes);
       }
 
-      // refresh live playlists after a target duration passes
+      // refresh live playlists after a target duration passes. The
+      // wait is measured from when the request was made, so slow
+      // responses don't push every following refresh back.
       if (!loader.media().endList) {
-        window.clearTimeout(mediaUpdateTimeout);
-        mediaUpdateTimeout = window.setTimeout(function() {
-          loader.trigger('mediaupdatetimeout');
-        }, refreshDelay);
+        roundTripTime = xhr.requestTime ? Date.now() - xhr.requestTime : 0;
+        scheduleRefresh(Math.max(0, refreshDelay - roundTripTime), {
+          uri: url,
+          result: update ? 'updated' : 'unchanged',
+          roundTripTime
+        });
       }
 
       loader.trigger('loadedplaylist');
@@ -186,6 +463,7 @@ export default class PlaylistLoader extends Stream {
         request.abort();
         request = null;
       }
+      cancelRetry();
       window.clearTimeout(mediaUpdateTimeout);
       dispose.call(this);
     };
@@ -232,6 +510,7 @@ export default class PlaylistLoader extends Stream {
           request.abort();
           request = null;
         }
+        cancelRetry();
         loader.state = 'HAVE_METADATA';
         loader.media_ = playlist;
 
@@ -260,17 +539,22 @@ export default class PlaylistLoader extends Stream {
         request.abort();
         request = null;
       }
+      cancelRetry();
 
       // request the new playlist
-      request = this.hls_.xhr({
-        uri: resolveUrl(loader.master.uri, playlist.uri),
-        withCredentials
-      }, function(error, request) {
+      requestPlaylist(resolveUrl(loader.master.uri, playlist.uri),
+                      playlist,
+                      function(error, request, retryCount) {
+        let uri = playlist.uri;
+
         if (error) {
-          return playlistRequestError(request, playlist.uri, startingState);
+          return playlistRequestError(request, uri, startingState, retryCount);
+        }
+        if (request.refreshedUri) {
+          uri = refreshUri(uri, request.refreshedUri);
         }
 
-        haveMetadata(request, playlist.uri);
+        haveMetadata(request, uri);
 
         // fire loadedmetadata the first time a media playlist is loaded
         if (startingState === 'HAVE_MASTER') {
@@ -281,6 +565,54 @@ export default class PlaylistLoader extends Stream {
       });
     };
 
+    /**
+      * Switch a variant to another of the redundant URIs it is listed
+      * at. If the variant is the active media playlist, it is loaded
+      * again from the new URI. Its segments keep their timing
+      * information so playback can continue from the same position.
+      * @param playlist {object} the variant to switch
+      * @param uri {string} one of the variant's `redundantUris`
+      */
+    loader.useRedundantUri = function(playlist, uri) {
+      let startingState = loader.state;
+      let active;
+
+      playlist = loader.master.playlists[playlist.uri];
+      if (!playlist.redundantUris || playlist.redundantUris.indexOf(uri) === -1) {
+        throw new Error('Unknown redundant URI: ' + uri);
+      }
+      if (playlist.uri === uri) {
+        return;
+      }
+
+      active = !!loader.media_ && loader.media_.uri === playlist.uri;
+      playlist.uri = uri;
+      if (!active) {
+        return;
+      }
+
+      if (request) {
+        request.onreadystatechange = null;
+        request.abort();
+        request = null;
+      }
+      cancelRetry();
+      window.clearTimeout(mediaUpdateTimeout);
+      loader.state = 'SWITCHING_MEDIA';
+
+      requestPlaylist(resolveUrl(loader.master.uri, uri),
+                      playlist,
+                      function(error, request, retryCount) {
+        if (error) {
+          return playlistRequestError(request, uri, startingState, retryCount);
+        }
+        if (request.refreshedUri) {
+          uri = refreshUri(uri, request.refreshedUri);
+        }
+        haveMetadata(request, uri, true);
+      });
+    };
+
     loader.setBandwidth = function(xhr) {
       loader.bandwidth = xhr.bandwidth;
     };
@@ -293,44 +625,71 @@ export default class PlaylistLoader extends Stream {
 
     // live playlist staleness timeout
     loader.on('mediaupdatetimeout', function() {
+      let media = loader.media();
+      let serverControl = media.serverControl || {};
+      let query = [];
+      let uri;
+
       if (loader.state !== 'HAVE_METADATA') {
         // only refresh the media playlist if no other activity is going on
         return;
       }
 
+      uri = resolveUrl(loader.master.uri, media.uri);
+      if (serverControl.canBlockReload) {
+        query.push(blockingReloadQuery(media));
+      }
+      // servers can leave out the segments at the start of the playlist
+      // when the cached version is recent enough to contain them
+      if (serverControl.canSkipUntil &&
+          !skipUnavailable &&
+          Date.now() - lastMediaUpdate < serverControl.canSkipUntil * 1000 / 2) {
+        query.push('_HLS_skip=YES');
+      }
+      if (query.length) {
+        uri += (uri.indexOf('?') === -1 ? '?' : '&') + query.join('&');
+      }
+
       loader.state = 'HAVE_CURRENT_METADATA';
-      request = this.hls_.xhr({
-        uri: resolveUrl(loader.master.uri, loader.media().uri),
-        withCredentials
-      }, function(error, request) {
+      requestPlaylist(uri, media, function(error, request, retryCount) {
+        // refreshes are abandoned when switching to another playlist
+        if (request.aborted) {
+          return;
+        }
         if (error) {
-          return playlistRequestError(request, loader.media().uri);
+          // try again later, backing off while the failures continue
+          failedRefreshes++;
+          scheduleRefresh(backoffDelay((media.targetDuration || 10) * 1000,
+                                       failedRefreshes), {
+            uri: media.uri,
+            result: 'failed',
+            roundTripTime: request.requestTime ? Date.now() - request.requestTime : 0
+          });
+          return playlistRequestError(request, media.uri, 'HAVE_METADATA', retryCount);
+        }
+        // a refreshed URI for a blocking reload or delta update only
+        // applies to that request
+        if (request.refreshedUri && !query.length) {
+          refreshUri(media.uri, request.refreshedUri);
         }
         haveMetadata(request, loader.media().uri);
       });
     });
 
     // request the specified URL
-    request = this.hls_.xhr({
-      uri: srcUrl,
-      withCredentials
-    }, function(error, req) {
+    requestPlaylist(srcUrl, null, function(error, req, retryCount) {
       let parser;
-      let i;
 
       // clear the loader's request reference
       request = null;
 
       if (error) {
-        loader.error = {
-          status: req.status,
-          message: 'HLS playlist request error at URL: ' + srcUrl,
-          responseText: req.responseText,
-          // MEDIA_ERR_NETWORK
-          code: 2
-        };
+        loader.error = requestError(req, srcUrl, retryCount);
         return loader.trigger('error');
       }
+      if (req.refreshedUri) {
+        srcUrl = req.refreshedUri;
+      }
 
       parser = new m3u8.Parser();
       parser.push(req.responseText);
@@ -343,12 +702,14 @@ export default class PlaylistLoader extends Stream {
       // loaded a master playlist
       if (parser.manifest.playlists) {
         loader.master = parser.manifest;
+        loader.master.playlists = groupRedundantVariants(loader.master.playlists);
 
         // setup by-URI lookups
-        i = loader.master.playlists.length;
-        while (i--) {
-          loader.master.playlists[loader.master.playlists[i].uri] = loader.master.playlists[i];
-        }
+        loader.master.playlists.forEach(function(playlist) {
+          (playlist.redundantUris || [playlist.uri]).forEach(function(uri) {
+            loader.master.playlists[uri] = playlist;
+          });
+        });
 
         loader.trigger('loadedplaylist');
         if (!request) {
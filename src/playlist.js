@@ -167,6 +167,34 @@ export const duration = function(playlist, endSequence, includeTrailingTime) {
                           includeTrailingTime);
 };
 
+/**
+  * Calculates when a segment starts on the player timeline. Segments
+  * whose position has been observed in the buffer are placed exactly;
+  * otherwise, the position is estimated from the segment durations and
+  * the amount of content that has expired from a live playlist.
+  * @param playlist {object} a media playlist object
+  * @param mediaIndex {number} the index of the segment in the playlist
+  * @param expired {number} (optional) the duration of content that has
+  * been removed from the front of the playlist. Defaults to zero.
+  * @return {number} the start time of the segment, in seconds
+  */
+export const segmentStartTime = function(playlist, mediaIndex, expired) {
+  let endSequence = playlist.mediaSequence + mediaIndex;
+  let backward = backwardDuration(playlist, endSequence);
+  let forward;
+
+  if (backward.precise) {
+    return backward.result;
+  }
+
+  forward = forwardDuration(playlist, endSequence);
+  if (forward.precise) {
+    return forward.result;
+  }
+
+  return backward.result + (expired || 0);
+};
+
 /**
   * Calculates the interval of time that is currently seekable in a
   * playlist. The returned time ranges are relative to the earliest
@@ -202,6 +230,7 @@ export const seekable = function(playlist) {
 };
 
 Playlist.duration = duration;
+Playlist.segmentStartTime = segmentStartTime;
 Playlist.seekable = seekable;
 
 // exports
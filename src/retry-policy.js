@@ -0,0 +1,81 @@
+/**
+ * retry-policy
+ *
+ * Decides whether a failed request is made again and how long to wait
+ * before each new attempt. The waits grow exponentially and are
+ * randomized a little so that many players recovering from the same
+ * outage don't all retry at once.
+ */
+
+/**
+ * The default rule for which failures are worth retrying: network
+ * errors and timeouts, which have a status of zero, and server errors.
+ * Anything else, such as a 404 or a 410, is unlikely to succeed on
+ * another attempt.
+ * @param status {number} the HTTP status of the failed request
+ * @return {boolean} true if the request should be retried
+ */
+const retryableStatus = function(status) {
+  return status === 0 || status >= 500;
+};
+
+export default class RetryPolicy {
+  /**
+   * @param options {object} (optional) the configuration of the
+   * policy:
+   *  * `maxAttempts` - the most times a request is made, including the
+   *  first attempt. Defaults to 3.
+   *  * `initialDelay` - the wait before the first retry, in
+   *  milliseconds. Defaults to 1000.
+   *  * `maxDelay` - the longest wait before a retry, in milliseconds.
+   *  Defaults to 8000.
+   *  * `jitter` - the fraction by which each wait is randomly
+   *  lengthened or shortened. Defaults to 0.2.
+   *  * `statusCodes` - an object mapping HTTP status codes to whether
+   *  requests that fail with them are retried, overriding the default
+   *  rule of retrying network errors and 5xx responses only
+   */
+  constructor(options) {
+    options = options || {};
+
+    this.maxAttempts_ = typeof options.maxAttempts === 'number' ?
+      options.maxAttempts : 3;
+    this.initialDelay_ = typeof options.initialDelay === 'number' ?
+      options.initialDelay : 1000;
+    this.maxDelay_ = typeof options.maxDelay === 'number' ?
+      options.maxDelay : 8000;
+    this.jitter_ = typeof options.jitter === 'number' ? options.jitter : 0.2;
+    this.statusCodes_ = options.statusCodes || {};
+  }
+
+  /**
+   * @param request {object} the request that failed
+   * @param attempts {number} the number of times the request has been
+   * made so far
+   * @return {boolean} true if the request should be made again
+   */
+  shouldRetry(request, attempts) {
+    let status = request.status || 0;
+
+    if (request.aborted || attempts >= this.maxAttempts_) {
+      return false;
+    }
+    if (Object.prototype.hasOwnProperty.call(this.statusCodes_, status)) {
+      return !!this.statusCodes_[status];
+    }
+    return retryableStatus(status);
+  }
+
+  /**
+   * @param attempts {number} the number of times the request has been
+   * made so far
+   * @return {number} the time to wait before the next attempt, in
+   * milliseconds
+   */
+  delay(attempts) {
+    let delay = Math.min(this.initialDelay_ * Math.pow(2, attempts - 1),
+                         this.maxDelay_);
+
+    return delay * (1 + this.jitter_ * (Math.random() * 2 - 1));
+  }
+}
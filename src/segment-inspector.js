@@ -0,0 +1,217 @@
+/**
+ * Utilities for peeking at the timestamps inside of MPEG2-TS and
+ * fragmented MP4 segments without transmuxing them.
+ */
+
+// the number of bytes in an MPEG2-TS packet
+const MP2T_PACKET_LENGTH = 188;
+// the byte every MPEG2-TS packet starts with
+const SYNC_BYTE = 0x47;
+
+/**
+ * Parse the presentation timestamp out of a PES packet header.
+ * @param bytes {Uint8Array} the segment bytes
+ * @param offset {number} the offset of the PES header
+ * @return {number} the 33-bit PTS, or null if the header does not
+ * include one
+ */
+const parsePesPts = function(bytes, offset) {
+  let ptsDtsFlags;
+
+  // check for the PES start code prefix
+  if (bytes[offset] !== 0x00 ||
+      bytes[offset + 1] !== 0x00 ||
+      bytes[offset + 2] !== 0x01) {
+    return null;
+  }
+
+  ptsDtsFlags = bytes[offset + 7];
+  if (!(ptsDtsFlags & 0x80)) {
+    return null;
+  }
+
+  // the PTS is 33 bits spread across five bytes with marker bits in
+  // between. Multiply by powers of two instead of shifting so the
+  // result does not overflow 32-bit integers.
+  return (bytes[offset + 9] & 0x0e) * Math.pow(2, 29) +
+    (bytes[offset + 10] & 0xff) * Math.pow(2, 22) +
+    (bytes[offset + 11] & 0xfe) * Math.pow(2, 14) +
+    (bytes[offset + 12] & 0xff) * Math.pow(2, 7) +
+    (bytes[offset + 13] & 0xfe) / 2;
+};
+
+/**
+ * Find the presentation timestamp of the first PES packet in an
+ * MPEG2-TS segment.
+ * @param bytes {Uint8Array} the bytes of an MPEG2-TS segment
+ * @return {number} the first PTS in seconds, or null if none could be
+ * found
+ */
+export const firstPts = function(bytes) {
+  let offset = 0;
+  let payloadOffset;
+  let pts;
+
+  while (offset + MP2T_PACKET_LENGTH <= bytes.byteLength) {
+    // resynchronize if we have lost track of the packet boundaries
+    if (bytes[offset] !== SYNC_BYTE) {
+      offset++;
+      continue;
+    }
+
+    // only packets that start a payload can begin with a PES header
+    if (bytes[offset + 1] & 0x40) {
+      payloadOffset = offset + 4;
+
+      // skip over the adaptation field, if present
+      if ((bytes[offset + 3] & 0x30) > 0x10) {
+        payloadOffset += bytes[payloadOffset] + 1;
+      }
+
+      pts = parsePesPts(bytes, payloadOffset);
+      if (pts !== null) {
+        return pts / 90000;
+      }
+    }
+
+    offset += MP2T_PACKET_LENGTH;
+  }
+
+  return null;
+};
+
+/**
+ * Read an unsigned 32-bit integer.
+ * @param bytes {Uint8Array} the bytes to read from
+ * @param offset {number} the offset of the integer
+ * @return {number} the integer
+ */
+const readUint32 = function(bytes, offset) {
+  return (bytes[offset] * Math.pow(2, 24)) +
+    (bytes[offset + 1] << 16) +
+    (bytes[offset + 2] << 8) +
+    bytes[offset + 3];
+};
+
+/**
+ * Find the payloads of the MP4 boxes at a path in the box hierarchy.
+ * @param bytes {Uint8Array} the bytes of an MP4 segment
+ * @param path {array} the types of the boxes to descend through, for
+ * instance `['moov', 'trak']`
+ * @return {array} the payloads of all the boxes that match the path
+ */
+const findBox = function(bytes, path) {
+  let results = [];
+  let offset = 0;
+  let size;
+  let headerSize;
+  let type;
+  let end;
+
+  if (!path.length) {
+    return results;
+  }
+
+  while (offset + 8 <= bytes.byteLength) {
+    size = readUint32(bytes, offset);
+    headerSize = 8;
+    type = String.fromCharCode(bytes[offset + 4],
+                               bytes[offset + 5],
+                               bytes[offset + 6],
+                               bytes[offset + 7]);
+
+    if (size === 0) {
+      // the box extends to the end of the data
+      size = bytes.byteLength - offset;
+    } else if (size === 1) {
+      // the box has a 64-bit size
+      size = readUint32(bytes, offset + 8) * Math.pow(2, 32) +
+        readUint32(bytes, offset + 12);
+      headerSize = 16;
+    }
+    if (size < headerSize) {
+      break;
+    }
+    end = Math.min(offset + size, bytes.byteLength);
+
+    if (type === path[0]) {
+      if (path.length === 1) {
+        results.push(bytes.subarray(offset + headerSize, end));
+      } else {
+        results = results.concat(findBox(bytes.subarray(offset + headerSize, end),
+                                         path.slice(1)));
+      }
+    }
+    offset = end;
+  }
+
+  return results;
+};
+
+/**
+ * Determine the timescale of each track in an MP4 initialization
+ * segment.
+ * @param init {Uint8Array} the bytes of an MP4 initialization segment
+ * @return {object} the timescales of the tracks, indexed by track ID
+ */
+export const mp4Timescales = function(init) {
+  let result = {};
+
+  findBox(init, ['moov', 'trak']).forEach(function(trak) {
+    let tkhd = findBox(trak, ['tkhd'])[0];
+    let mdhd = findBox(trak, ['mdia', 'mdhd'])[0];
+
+    if (!tkhd || !mdhd) {
+      return;
+    }
+    // version 1 boxes have 64-bit creation and modification times
+    result[readUint32(tkhd, tkhd[0] === 0 ? 12 : 20)] =
+      readUint32(mdhd, mdhd[0] === 0 ? 12 : 20);
+  });
+
+  return result;
+};
+
+/**
+ * Find the earliest base media decode time of the tracks in an MP4
+ * media segment.
+ * @param timescales {object} the timescales of the tracks, as returned
+ * by `mp4Timescales`
+ * @param fragment {Uint8Array} the bytes of an MP4 media segment
+ * @return {number} the start time of the segment in seconds, or null if
+ * it could not be determined
+ */
+export const mp4StartTime = function(timescales, fragment) {
+  let result = null;
+
+  findBox(fragment, ['moof', 'traf']).forEach(function(traf) {
+    let tfhd = findBox(traf, ['tfhd'])[0];
+    let tfdt = findBox(traf, ['tfdt'])[0];
+    let baseMediaDecodeTime;
+    let startTime;
+
+    if (!tfhd || !tfdt) {
+      return;
+    }
+
+    baseMediaDecodeTime = readUint32(tfdt, 4);
+    // version 1 decode times are 64 bits long
+    if (tfdt[0] === 1) {
+      baseMediaDecodeTime = baseMediaDecodeTime * Math.pow(2, 32) +
+        readUint32(tfdt, 8);
+    }
+
+    startTime = baseMediaDecodeTime / (timescales[readUint32(tfhd, 4)] || 90000);
+    if (result === null || startTime < result) {
+      result = startTime;
+    }
+  });
+
+  return result;
+};
+
+export default {
+  firstPts,
+  mp4Timescales,
+  mp4StartTime
+};
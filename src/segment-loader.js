@@ -0,0 +1,932 @@
+/**
+ * segment-loader
+ *
+ * Downloads the media segments of a playlist as the playhead
+ * approaches them, decrypts them and appends them to a SourceBuffer.
+ * The main content and alternate audio are each loaded by one.
+ */
+import Playlist from './playlist';
+import Stream from './stream';
+import {ErrorTypes, ErrorDetails, createError} from './errors';
+import {RequestTypes} from './xhr';
+import {mp4Timescales, mp4StartTime} from './segment-inspector';
+
+// returns true if a key has failed to download and the retry policy
+// gave up on it. `failed` holds the error the key failed with.
+const keyFailed = function(key) {
+  return !!key.failed;
+};
+
+// returns true if an initialization segment has failed to download
+// and the retry policy gave up on it. `failed` holds the error the
+// initialization segment failed with.
+const initSegmentFailed = function(map) {
+  return !!map.failed;
+};
+
+/**
+ * Calculate the SourceBuffer timestamp offset that positions a segment
+ * at the specified time. Fragmented MP4 segments keep the timestamps
+ * they were packaged with, so those have to be cancelled out.
+ * @param time {number} where the segment should start on the player
+ * timeline
+ * @param segment {object} the segment to be appended
+ * @param bytes {Uint8Array} the bytes of the segment
+ * @return {number} the timestamp offset
+ */
+const mediaTimestampOffset = function(time, segment, bytes) {
+  if (!segment.map) {
+    return time;
+  }
+  return time - (mp4StartTime(mp4Timescales(segment.map.bytes), bytes) || 0);
+};
+
+/*
+ * Turns segment byterange into a string suitable for use in
+ * HTTP Range requests
+ */
+const byterangeStr = function(byterange) {
+  let byterangeStart;
+  let byterangeEnd;
+
+  // `byterangeEnd` is one less than `offset + length` because the HTTP range
+  // header uses inclusive ranges
+  byterangeEnd = byterange.offset + byterange.length - 1;
+  byterangeStart = byterange.offset;
+  return 'bytes=' + byterangeStart + '-' + byterangeEnd;
+};
+
+/*
+ * Defines headers for use in the xhr request for a particular segment.
+ */
+const segmentXhrHeaders = function(segment) {
+  let headers = {};
+
+  if ('byterange' in segment) {
+    headers.Range = byterangeStr(segment.byterange);
+  }
+  return headers;
+};
+
+export default class SegmentLoader extends Stream {
+  /**
+   * @param hls {object} the HLS handler, used to make requests and to
+   * consult the buffering goals
+   * @param settings {object} what to load and where to append it:
+   *  * `playlists` - returns the PlaylistLoader of the segments
+   *  * `sourceBuffer` - returns the SourceBuffer to append to
+   *  * `buffered` - returns the TimeRanges the appended content ends
+   *  up in
+   *  * `bufferedRange` - returns the buffered range containing the
+   *  time it is passed, or the current time
+   *  * `createDecrypter` - creates a decrypter, given the encrypted
+   *  bytes, the key, the IV and a callback for the decrypted bytes
+   *  * `label` - describes the segments in error messages
+   */
+  constructor(hls, settings) {
+    super();
+
+    this.hls_ = hls;
+    this.settings_ = settings;
+
+    // the segment info object for a segment that is in the process of
+    // being downloaded or processed
+    this.pendingSegment_ = null;
+    this.segmentXhr_ = null;
+    this.segmentRetryTimeout_ = null;
+    this.keyXhr_ = null;
+    this.keyRetryTimeout_ = null;
+
+    // where loading continues when no position is requested
+    this.lastSegmentLoaded_ = null;
+    this.lastPartLoaded_ = null;
+
+    // the identifier of the initialization segment in the SourceBuffer
+    // and whether it is still being appended
+    this.appendedInitSegment_ = null;
+    this.appendingInitSegment_ = false;
+
+    // outstanding initialization segment requests and retries,
+    // indexed by the identifiers returned by initSegmentId_
+    this.initSegmentXhrs_ = {};
+    this.initSegmentRetryTimeouts_ = {};
+  }
+
+  /**
+   * @return {SourceBuffer} the SourceBuffer segments are appended to
+   */
+  sourceBuffer() {
+    return this.settings_.sourceBuffer();
+  }
+
+  /**
+   * @return {TimeRanges} the content that has been appended
+   */
+  buffered() {
+    return this.settings_.buffered();
+  }
+
+  /**
+   * @return {object} the media playlist segments are loaded from
+   */
+  media() {
+    let playlists = this.settings_.playlists();
+
+    return playlists && playlists.media();
+  }
+
+  /**
+   * Determines whether there is enough data currently in the buffer
+   * and downloads a new segment if the buffered time is less than the
+   * goal.
+   * @param mediaIndex (optional) {number} the index of the segment to
+   * download. Defaults to the segment after the buffered content.
+   */
+  fill(mediaIndex) {
+    let hls = this.hls_;
+    let tech = hls.tech_;
+    let playlists = this.settings_.playlists();
+    let currentTime = tech.currentTime();
+    let currentBuffered = this.settings_.bufferedRange();
+    let outsideBufferedRanges = !(currentBuffered && currentBuffered.length);
+    let hasBufferedContent;
+    let currentBufferedEnd = 0;
+    let bufferedTime = 0;
+    let segment;
+    let segmentInfo;
+    let segmentTimestampOffset;
+    let nextPart;
+    let partIndex = null;
+    let media;
+
+    // if preload is set to "none", do not download segments until playback is requested
+    if (hls.loadingState_ !== 'segments') {
+      return;
+    }
+
+    // if a video has not been specified, do nothing
+    if (!tech.currentSrc() || !playlists) {
+      return;
+    }
+
+    // if there is a request already in flight or waiting to be
+    // retried, do nothing
+    if (this.segmentXhr_ || this.segmentRetryTimeout_) {
+      return;
+    }
+
+    // wait until the buffer is up to date
+    if (this.pendingSegment_) {
+      return;
+    }
+
+    // if no segments are available, do nothing
+    media = playlists.media();
+    if (playlists.state === 'HAVE_NOTHING' || !media || !media.segments) {
+      return;
+    }
+
+    // if a playlist switch is in progress, wait for it to finish
+    if (playlists.state === 'SWITCHING_MEDIA') {
+      return;
+    }
+
+    if (typeof mediaIndex === 'undefined') {
+      if (currentBuffered && currentBuffered.length) {
+        currentBufferedEnd = currentBuffered.end(0);
+        mediaIndex = playlists.getMediaIndexForTime_(currentBufferedEnd);
+        bufferedTime = Math.max(0, currentBufferedEnd - currentTime);
+
+        // if there is plenty of content in the buffer and we're not
+        // seeking, relax for awhile
+        if (bufferedTime >= hls.goalBufferLength_()) {
+          return;
+        }
+      } else {
+        mediaIndex = playlists.getMediaIndexForTime_(currentTime);
+      }
+
+      // low-latency streams continue with the part after the last one
+      // that was loaded
+      nextPart = this.nextPart_();
+      if (nextPart === false) {
+        return;
+      }
+      if (nextPart) {
+        mediaIndex = nextPart.mediaIndex;
+        partIndex = nextPart.partIndex;
+      }
+    }
+    segment = media.segments[mediaIndex];
+
+    // the parts of the segment being produced at the live edge can be
+    // loaded before the segment is complete
+    if (!segment && mediaIndex === media.segments.length &&
+        media.preloadSegment && media.preloadSegment.parts) {
+      segment = media.preloadSegment;
+      partIndex = partIndex === null ? 0 : partIndex;
+    }
+
+    // if the playlist has finished downloading
+    if (!segment) {
+      return;
+    }
+
+    // we have entered a state where we are fetching the same segment,
+    // try to walk forward
+    if (partIndex === null &&
+        this.lastSegmentLoaded_ &&
+        hls.playlistUriToUrl(this.lastSegmentLoaded_.uri, media) ===
+          hls.playlistUriToUrl(segment.uri, media) &&
+        this.lastSegmentLoaded_.byterange === segment.byterange) {
+      return this.fill(mediaIndex + 1);
+    }
+
+    // package up all the work to append the segment
+    segmentInfo = {
+      // resolve the segment URL relative to the playlist
+      uri: hls.playlistUriToUrl(partIndex === null ?
+                                segment.uri :
+                                segment.parts[partIndex].uri,
+                                media),
+      // the segment's mediaIndex & mediaSequence at the time it was requested
+      mediaIndex,
+      mediaSequence: media.mediaSequence,
+      // the segment's playlist
+      playlist: media,
+      segment,
+      // for low-latency streams, the partial segment to load instead
+      // of the whole segment
+      part: partIndex === null ? null : segment.parts[partIndex],
+      partIndex,
+      // The state of the buffer when this segment was requested
+      currentBufferedEnd,
+      // unencrypted bytes of the segment
+      bytes: null,
+      // when a key is defined for this segment, the encrypted bytes
+      encryptedBytes: null,
+      // optionally, the decrypter that is unencrypting the segment
+      decrypter: null,
+      // the state of the buffer before a segment is appended will be
+      // stored here so that the actual segment duration can be
+      // determined after it has been appended
+      buffered: null,
+      // The target timestampOffset for this segment when we append it
+      // to the source buffer
+      timestampOffset: null
+    };
+
+    segmentTimestampOffset = Playlist.duration(media, media.mediaSequence + mediaIndex) +
+      playlists.expired_;
+    if (partIndex) {
+      segmentTimestampOffset = segment.parts.slice(0, partIndex)
+        .reduce(function(time, part) {
+          return time + part.duration;
+        }, segmentTimestampOffset);
+    }
+    hasBufferedContent = this.buffered().length !== 0;
+
+    if (tech.seeking() && outsideBufferedRanges) {
+      // If there are discontinuities in the playlist, we can't be sure of anything
+      // related to time so we reset the timestamp offset and start appending data
+      // anew on every seek
+      if (media.discontinuityStarts.length) {
+        segmentInfo.timestampOffset = segmentTimestampOffset;
+      }
+    } else if (segment.discontinuity && !partIndex && currentBuffered.length) {
+      // If we aren't seeking and are crossing a discontinuity, we should set
+      // timestampOffset for new segments to be appended the end of the current
+      // buffered time-range
+      segmentInfo.timestampOffset = currentBuffered.end(0);
+    } else if (!hasBufferedContent && currentTime > 0.05) {
+      // If we are trying to play at a position that is not zero but we aren't
+      // currently seeking according to the video element
+      segmentInfo.timestampOffset = segmentTimestampOffset;
+    } else if (!hasBufferedContent && segment.map) {
+      // fragmented MP4 segments aren't rebased by a transmuxer so the
+      // first one has to be positioned explicitly
+      segmentInfo.timestampOffset = segmentTimestampOffset;
+    }
+
+    this.load(segmentInfo);
+  }
+
+  /**
+   * Find where to continue loading a low-latency stream after a partial
+   * segment was loaded.
+   * @return {object} the `mediaIndex` and `partIndex` to load next, with
+   * a null `partIndex` if the whole segment should be loaded; false if
+   * the next part hasn't been published yet; or null if loading didn't
+   * stop at a partial segment
+   */
+  nextPart_() {
+    let media = this.media();
+    let last = this.lastPartLoaded_;
+    let mediaIndex;
+    let segment;
+
+    if (!last) {
+      return null;
+    }
+
+    mediaIndex = last.mediaSequence - media.mediaSequence;
+    segment = media.segments[mediaIndex];
+    if (!segment && mediaIndex === media.segments.length) {
+      segment = media.preloadSegment;
+    }
+    if (!segment || !segment.parts) {
+      this.lastPartLoaded_ = null;
+      return null;
+    }
+
+    if (last.partIndex + 1 < segment.parts.length) {
+      return {
+        mediaIndex,
+        partIndex: last.partIndex + 1
+      };
+    }
+
+    // wait for more parts until the segment is complete
+    if (mediaIndex === media.segments.length) {
+      return false;
+    }
+
+    mediaIndex++;
+    segment = media.segments[mediaIndex];
+    if (!segment && mediaIndex === media.segments.length) {
+      segment = media.preloadSegment;
+    }
+    if (!segment) {
+      return false;
+    }
+    return {
+      mediaIndex,
+      partIndex: segment.parts && segment.parts.length ? 0 : null
+    };
+  }
+
+  /**
+   * Download a segment along with its key and initialization segment.
+   * Triggers `loaded` with the segment info and the request once the
+   * segment is pending, `timeout` with the error and the segment info
+   * if the request took too long, and `error` once the retries have
+   * run out.
+   * @param segmentInfo {object} the segment to download, as packaged
+   * by `fill`
+   */
+  load(segmentInfo) {
+    let hls = this.hls_;
+    let sourceBuffer = this.sourceBuffer();
+    let segment = segmentInfo.segment;
+    // partial segments are requested in place of the whole segment
+    let resource = segmentInfo.part || segment;
+    let removeToTime = 0;
+
+    // Chrome has a hard limit of 150mb of
+    // buffer and a very conservative "garbage collector"
+    // We manually clear out the old buffer to ensure
+    // we don't trigger the QuotaExceeded error
+    // on the source buffer during subsequent appends
+    if (sourceBuffer && !sourceBuffer.updating) {
+      removeToTime = hls.backBufferEnd_(this.settings_.bufferedRange());
+
+      if (removeToTime > 0) {
+        sourceBuffer.remove(0, removeToTime);
+      }
+    }
+
+    // if the segment is encrypted, request the key
+    if (segment.key) {
+      this.fetchKey_(segment, segmentInfo.playlist);
+    }
+
+    // request the initialization segment if it hasn't been downloaded
+    if (segment.map) {
+      this.fetchInitSegment_(segment, segmentInfo.playlist);
+    }
+
+    // request the next segment
+    this.segmentXhr_ = hls.xhr({
+      uri: segmentInfo.uri,
+      responseType: 'arraybuffer',
+      withCredentials: hls.options_.withCredentials,
+      // Set xhr timeout to 150% of the segment duration to allow us
+      // some time to switch renditions in the event of a catastrophic
+      // decrease in network performance or a server issue.
+      timeout: (resource.duration * 1.5) * 1000,
+      headers: segmentXhrHeaders(resource),
+      requestType: RequestTypes.SEGMENT,
+      playlist: segmentInfo.playlist,
+      segment
+    }, (error, request) => {
+      let segmentError;
+
+      // This is a timeout of a previously aborted segment request
+      // so simply ignore it
+      if (!this.segmentXhr_ || request !== this.segmentXhr_) {
+        return;
+      }
+
+      // the segment request is no longer outstanding
+      this.segmentXhr_ = null;
+
+      if (request.timedout) {
+        return this.trigger('timeout', createError({
+          type: ErrorTypes.NETWORK,
+          details: ErrorDetails.SEGMENT_LOAD_TIMEOUT,
+          message: 'HLS ' + this.settings_.label + ' request timed out at URL: ' +
+            segmentInfo.uri,
+          url: segmentInfo.uri
+        }), segmentInfo);
+      }
+
+      // otherwise, retry the request or trigger a network error
+      if (!request.aborted && error) {
+        segmentError = {
+          type: ErrorTypes.NETWORK,
+          details: ErrorDetails.SEGMENT_LOAD_ERROR,
+          message: 'HLS ' + this.settings_.label + ' request error at URL: ' +
+            segmentInfo.uri,
+          url: segmentInfo.uri,
+          status: request.status
+        };
+        this.segmentRetryTimeout_ = hls.scheduleRetry_(request, segmentInfo, () => {
+          this.segmentRetryTimeout_ = null;
+          this.load(segmentInfo);
+        }, segmentError);
+        if (this.segmentRetryTimeout_) {
+          return;
+        }
+        segmentError.retryCount = (segmentInfo.attempts || 1) - 1;
+        this.error = segmentError;
+        return this.trigger('error');
+      }
+
+      // stop processing if the request was aborted
+      if (!request.response) {
+        return;
+      }
+
+      if (segmentInfo.part) {
+        this.lastPartLoaded_ = {
+          mediaSequence: segmentInfo.mediaSequence + segmentInfo.mediaIndex,
+          partIndex: segmentInfo.partIndex
+        };
+      } else {
+        this.lastSegmentLoaded_ = segment;
+        this.lastPartLoaded_ = null;
+      }
+
+      if (segment.key) {
+        segmentInfo.encryptedBytes = new Uint8Array(request.response);
+      } else {
+        segmentInfo.bytes = new Uint8Array(request.response);
+      }
+
+      this.pendingSegment_ = segmentInfo;
+      this.trigger('loaded', segmentInfo, request);
+    });
+  }
+
+  /**
+   * Append the pending segment to the SourceBuffer once it has been
+   * decrypted and its initialization segment has been appended.
+   * Triggers `appending` with the segment info right before the
+   * segment is appended and `appenderror` with the exception if the
+   * append fails.
+   */
+  drain() {
+    let segmentInfo = this.pendingSegment_;
+    let sourceBuffer = this.sourceBuffer();
+    let mediaIndex;
+    let playlist;
+    let bytes;
+    let segment;
+    let segIv;
+    let initSegmentId;
+
+    // if the buffer is empty or the source buffer hasn't been created
+    // yet, do nothing
+    if (!segmentInfo || !sourceBuffer) {
+      return;
+    }
+
+    // the pending segment has already been appended and we're waiting
+    // for updateend to fire
+    if (segmentInfo.buffered) {
+      return;
+    }
+
+    // we can't append more data if the source buffer is busy processing
+    // what we've already sent
+    if (sourceBuffer.updating) {
+      return;
+    }
+
+    mediaIndex = segmentInfo.mediaIndex;
+    playlist = segmentInfo.playlist;
+    bytes = segmentInfo.bytes;
+    segment = segmentInfo.segment;
+
+    if (segment.key && !bytes) {
+      // this is an encrypted segment
+      // if the key download failed, we want to skip this segment
+      // but if the key hasn't downloaded yet, we want to try again later
+      if (keyFailed(segment.key)) {
+        this.error = segment.key.failed;
+        return this.trigger('error');
+      } else if (!segment.key.bytes) {
+        // waiting for the key bytes, try again later
+        this.fetchKey_(segment, playlist);
+        return;
+      } else if (segmentInfo.decrypter) {
+        // decryption is in progress, try again later
+        return;
+      }
+      // if the media sequence is greater than 2^32, the IV will be incorrect
+      // assuming 10s segments, that would be about 1300 years
+      segIv = segment.key.iv ||
+        new Uint32Array([0, 0, 0, mediaIndex + playlist.mediaSequence]);
+
+      // create a decrypter to incrementally decrypt the segment
+      segmentInfo.decrypter = this.settings_.createDecrypter(
+        segmentInfo.encryptedBytes,
+        segment.key.bytes,
+        segIv,
+        (error, localBytes) => {
+          if (error) {
+            this.trigger('warning', createError({
+              type: ErrorTypes.KEY,
+              details: ErrorDetails.DECRYPT_ERROR,
+              message: 'HLS could not decrypt the ' + this.settings_.label +
+                ' at URL: ' + segmentInfo.uri,
+              url: segmentInfo.uri
+            }));
+          }
+          segmentInfo.bytes = localBytes;
+        });
+      return;
+    }
+
+    if (segment.map) {
+      // if the initialization segment download failed, we want to skip
+      // this playlist but if it hasn't downloaded yet, try again later
+      if (initSegmentFailed(segment.map)) {
+        this.error = segment.map.failed;
+        return this.trigger('error');
+      } else if (!segment.map.bytes) {
+        this.fetchInitSegment_(segment, playlist);
+        return;
+      }
+
+      // append the initialization segment first if it is different
+      // from the last one
+      initSegmentId = this.initSegmentId_(segment.map, playlist);
+      if (this.appendedInitSegment_ !== initSegmentId) {
+        this.appendedInitSegment_ = initSegmentId;
+        this.appendingInitSegment_ = true;
+        try {
+          sourceBuffer.appendBuffer(segment.map.bytes);
+        } catch (error) {
+          this.appendedInitSegment_ = null;
+          this.appendingInitSegment_ = false;
+          this.trigger('appenderror', error);
+        }
+        return;
+      }
+    }
+
+    segmentInfo.buffered = this.buffered();
+
+    if (segmentInfo.timestampOffset !== null) {
+      sourceBuffer.timestampOffset =
+        mediaTimestampOffset(segmentInfo.timestampOffset, segment, bytes);
+    }
+    this.trigger('appending', segmentInfo);
+
+    // the segment is asynchronously added to the current buffered data
+    try {
+      sourceBuffer.appendBuffer(bytes);
+    } catch (error) {
+      // the segment stays pending so it can be appended again
+      segmentInfo.buffered = null;
+      this.trigger('appenderror', error);
+    }
+  }
+
+  /**
+   * Handle the `updateend` events of the SourceBuffer. Triggers
+   * `appended` with the segment info once the pending segment has been
+   * appended.
+   */
+  handleUpdateEnd() {
+    let segmentInfo = this.pendingSegment_;
+
+    // the initialization segment is in, so the media segment it
+    // belongs to can follow
+    if (this.appendingInitSegment_) {
+      this.appendingInitSegment_ = false;
+      return this.drain();
+    }
+
+    // stop here if the update errored or was aborted
+    if (!segmentInfo) {
+      return;
+    }
+
+    // In Firefox, the updateend event is triggered for both removing from the buffer and
+    // adding to the buffer. To prevent this code from executing on removals, we wait for
+    // segmentInfo to have a filled in buffered value before we continue processing.
+    if (!segmentInfo.buffered) {
+      return;
+    }
+
+    this.pendingSegment_ = null;
+    this.trigger('appended', segmentInfo);
+  }
+
+  /**
+   * Handle appends that the SourceBuffer reports have failed with an
+   * `error` event rather than by throwing from `appendBuffer`, like the
+   * appends of MPEG-TS segments once they have been transmuxed. The
+   * bytes of the segment were handed over to the SourceBuffer, so the
+   * segment is downloaded again instead of being appended again.
+   * Triggers `appenderror` with the error.
+   * @param error {Error} the error the SourceBuffer reported
+   */
+  handleSourceBufferError(error) {
+    let segmentInfo = this.pendingSegment_;
+
+    // an initialization segment is kept, so it is simply appended again
+    if (this.appendingInitSegment_) {
+      this.appendedInitSegment_ = null;
+      this.appendingInitSegment_ = false;
+      segmentInfo = null;
+    }
+
+    this.trigger('appenderror', error);
+
+    if (segmentInfo && this.pendingSegment_ === segmentInfo) {
+      this.pendingSegment_ = null;
+      this.lastSegmentLoaded_ = null;
+      this.lastPartLoaded_ = null;
+    }
+  }
+
+  /**
+   * @return {boolean} whether the pending segment is being appended
+   */
+  appending() {
+    return !!(this.pendingSegment_ && this.pendingSegment_.buffered);
+  }
+
+  /**
+   * Abandon the segment being loaded and continue loading at another
+   * segment.
+   * @param mediaIndex {number} the index of the segment to load next
+   */
+  restart(mediaIndex) {
+    this.lastSegmentLoaded_ = null;
+    this.lastPartLoaded_ = null;
+
+    // cancel outstanding requests and buffer appends
+    this.abort();
+    this.abortKey();
+
+    // begin filling the buffer at the new position
+    this.fill(mediaIndex);
+  }
+
+  /**
+   * Abort the outstanding segment request or retry and drop the
+   * pending segment.
+   */
+  abort() {
+    if (this.segmentXhr_) {
+      // Prevent error handler from running.
+      this.segmentXhr_.onreadystatechange = null;
+      this.segmentXhr_.abort();
+      this.segmentXhr_ = null;
+    }
+    if (this.segmentRetryTimeout_) {
+      window.clearTimeout(this.segmentRetryTimeout_);
+      this.segmentRetryTimeout_ = null;
+    }
+
+    // clear out the segment being processed
+    this.pendingSegment_ = null;
+  }
+
+  /**
+   * Abort the outstanding key request or retry.
+   */
+  abortKey() {
+    if (this.keyXhr_) {
+      this.keyXhr_.onreadystatechange = null;
+      this.keyXhr_.abort();
+      this.keyXhr_ = null;
+    }
+    if (this.keyRetryTimeout_) {
+      window.clearTimeout(this.keyRetryTimeout_);
+      this.keyRetryTimeout_ = null;
+    }
+  }
+
+  /**
+   * Abort all outstanding work and forget what has been loaded, so
+   * loading can start over in a reset or different SourceBuffer.
+   */
+  reset() {
+    this.abort();
+    this.abortKey();
+
+    Object.keys(this.initSegmentXhrs_).forEach((id) => {
+      this.initSegmentXhrs_[id].onreadystatechange = null;
+      this.initSegmentXhrs_[id].abort();
+    });
+    this.initSegmentXhrs_ = {};
+    Object.keys(this.initSegmentRetryTimeouts_).forEach((id) => {
+      window.clearTimeout(this.initSegmentRetryTimeouts_[id]);
+    });
+    this.initSegmentRetryTimeouts_ = {};
+
+    this.lastSegmentLoaded_ = null;
+    this.lastPartLoaded_ = null;
+
+    // initialization segments have to be appended again after the
+    // SourceBuffer is reset
+    this.appendedInitSegment_ = null;
+    this.appendingInitSegment_ = false;
+  }
+
+  /**
+   * @param map {object} the initialization segment of a media segment
+   * @param playlist {object} the media playlist the segment belongs to
+   * @return {string} an identifier that is the same for every segment
+   * that shares the initialization segment
+   */
+  initSegmentId_(map, playlist) {
+    let id = this.hls_.playlistUriToUrl(map.uri, playlist);
+
+    if (map.byterange) {
+      id += '#' + byterangeStr(map.byterange);
+    }
+    return id;
+  }
+
+  /**
+   * Attempt to retrieve the initialization segment for a particular
+   * media segment.
+   * @param segment {object} the segment whose initialization segment
+   * should be requested
+   * @param playlist {object} the media playlist the segment belongs to
+   */
+  fetchInitSegment_(segment, playlist) {
+    let hls = this.hls_;
+    let map = segment.map;
+    let id = this.initSegmentId_(map, playlist);
+    let headers = {};
+
+    // if there is a pending XHR or retry or the bytes are available
+    // already, don't do anything
+    if (this.initSegmentXhrs_[id] || this.initSegmentRetryTimeouts_[id] ||
+        map.bytes || initSegmentFailed(map)) {
+      return;
+    }
+
+    if (map.byterange) {
+      headers.Range = byterangeStr(map.byterange);
+    }
+
+    this.initSegmentXhrs_[id] = hls.xhr({
+      uri: hls.playlistUriToUrl(map.uri, playlist),
+      responseType: 'arraybuffer',
+      withCredentials: hls.options_.withCredentials,
+      headers,
+      requestType: RequestTypes.INIT_SEGMENT,
+      playlist,
+      segment
+    }, (error, request) => {
+      let initSegmentError;
+
+      delete this.initSegmentXhrs_[id];
+
+      if (error || !request.response) {
+        if (request.aborted) {
+          return;
+        }
+        initSegmentError = {
+          type: ErrorTypes.NETWORK,
+          details: ErrorDetails.INIT_SEGMENT_LOAD_ERROR,
+          message: 'HLS initialization segment request error at URL: ' +
+            request.url,
+          url: request.url,
+          status: request.status
+        };
+        this.initSegmentRetryTimeouts_[id] = hls.scheduleRetry_(request, map, () => {
+          delete this.initSegmentRetryTimeouts_[id];
+          this.fetchInitSegment_(segment, playlist);
+        }, initSegmentError);
+        if (!this.initSegmentRetryTimeouts_[id]) {
+          delete this.initSegmentRetryTimeouts_[id];
+          initSegmentError.retryCount = (map.attempts || 1) - 1;
+          map.failed = initSegmentError;
+        }
+        return;
+      }
+
+      map.bytes = new Uint8Array(request.response);
+
+      // check to see if this allows us to make progress buffering now
+      hls.checkBuffer_();
+    });
+  }
+
+  /**
+   * Attempt to retrieve the key for a particular media segment.
+   * @param segment {object} the segment whose key should be requested
+   * @param playlist {object} the media playlist the segment belongs to
+   */
+  fetchKey_(segment, playlist) {
+    let hls = this.hls_;
+    let key = segment.key;
+    let receiveKey;
+
+    // if there is a pending XHR or retry, don't do anything
+    if (this.keyXhr_ || this.keyRetryTimeout_) {
+      return;
+    }
+
+    /**
+    * Handle a key XHR response.
+    */
+    receiveKey = (keyRecieved) => {
+      return (error, request) => {
+        let view;
+        let keyError;
+
+        this.keyXhr_ = null;
+
+        if (error || !request.response || request.response.byteLength !== 16) {
+          if (request.aborted) {
+            return;
+          }
+          keyError = {
+            type: ErrorTypes.KEY,
+            details: error ? ErrorDetails.KEY_LOAD_ERROR : ErrorDetails.KEY_INVALID,
+            message: error ? 'HLS key request error at URL: ' + request.url :
+              'HLS key at URL ' + request.url + ' is invalid.',
+            url: request.url,
+            status: request.status
+          };
+
+          // the response may have been truncated on its way, so an
+          // invalid key is requested once more right away
+          if (!error && (keyRecieved.attempts || 1) < 2) {
+            keyRecieved.attempts = 2;
+            keyError.retryCount = 0;
+            this.trigger('warning', createError(keyError));
+            return this.fetchKey_(segment, playlist);
+          }
+          this.keyRetryTimeout_ = hls.scheduleRetry_(request, keyRecieved, () => {
+            this.keyRetryTimeout_ = null;
+            this.fetchKey_(segment, playlist);
+          }, keyError);
+          if (!this.keyRetryTimeout_) {
+            keyError.retryCount = (keyRecieved.attempts || 1) - 1;
+            keyRecieved.failed = keyError;
+          }
+          return;
+        }
+
+        view = new DataView(request.response);
+        keyRecieved.bytes = new Uint32Array([
+          view.getUint32(0),
+          view.getUint32(4),
+          view.getUint32(8),
+          view.getUint32(12)
+        ]);
+
+        // check to see if this allows us to make progress buffering now
+        hls.checkBuffer_();
+      };
+    };
+
+    // nothing to do if this segment is unencrypted
+    if (!key) {
+      return;
+    }
+
+    // request the key if the retry limit hasn't been reached
+    if (!key.bytes && !keyFailed(key)) {
+      this.keyXhr_ = hls.xhr({
+        uri: hls.playlistUriToUrl(key.uri, playlist),
+        responseType: 'arraybuffer',
+        withCredentials: hls.options_.withCredentials,
+        requestType: RequestTypes.KEY,
+        playlist,
+        segment
+      }, receiveKey(key));
+    }
+  }
+}
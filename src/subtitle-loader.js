@@ -0,0 +1,243 @@
+/**
+ * subtitle-loader
+ *
+ * Downloads the WebVTT segments of a subtitle rendition as the
+ * playhead approaches them and adds their cues to a text track.
+ */
+import PlaylistLoader from './playlist-loader';
+import Playlist from './playlist';
+import Stream from './stream';
+import resolveUrl from './resolve-url';
+import {ErrorTypes, ErrorDetails, createError} from './errors';
+import {RequestTypes} from './xhr';
+
+/**
+ * Determine the discontinuity sequence number of a segment. Segments
+ * that share a number were encoded with continuous timestamps so the
+ * same mapping from media timestamps to the player timeline applies to
+ * all of them.
+ * @param playlist {object} a media playlist object
+ * @param mediaIndex {number} the index of the segment in the playlist
+ * @return {number} the discontinuity sequence of the segment
+ */
+export const segmentTimeline = function(playlist, mediaIndex) {
+  let timeline = playlist.discontinuitySequence || 0;
+  let starts = playlist.discontinuityStarts || [];
+  let i;
+
+  for (i = 0; i < starts.length; i++) {
+    if (starts[i] <= mediaIndex) {
+      timeline++;
+    }
+  }
+  return timeline;
+};
+
+/**
+ * Parse the X-TIMESTAMP-MAP header of a WebVTT segment.
+ * @param text {string} the contents of a WebVTT segment
+ * @return {object} the mapping of local cue time to MPEG2-TS time,
+ * in seconds. Segments without the header map cue time zero to
+ * MPEG2-TS time zero.
+ * @see https://tools.ietf.org/html/draft-pantos-http-live-streaming-18#section-3.5
+ */
+export const parseTimestampMap = function(text) {
+  let header = (/X-TIMESTAMP-MAP=([^\r\n]*)/).exec(text);
+  let result = {
+    mpegts: 0,
+    local: 0
+  };
+  let match;
+
+  if (!header) {
+    return result;
+  }
+
+  match = (/MPEGTS:(\d+)/).exec(header[1]);
+  if (match) {
+    result.mpegts = parseInt(match[1], 10) / 90000;
+  }
+
+  match = (/LOCAL:(?:(\d+):)?(\d+):(\d+(?:\.\d+)?)/).exec(header[1]);
+  if (match) {
+    result.local = parseInt(match[1] || 0, 10) * 3600 +
+      parseInt(match[2], 10) * 60 +
+      parseFloat(match[3]);
+  }
+  return result;
+};
+
+export default class SubtitleLoader extends Stream {
+  /**
+   * @param srcUrl {string} the URL of the subtitle media playlist
+   * @param hls {object} the HLS handler, used to make requests
+   * @param withCredentials {boolean} whether requests should be made
+   * with credentials
+   * @param track {object} the text track to add cues to
+   */
+  constructor(srcUrl, hls, withCredentials, track) {
+    super();
+
+    this.hls_ = hls;
+    this.withCredentials_ = withCredentials;
+    this.track = track;
+    this.request_ = null;
+
+    // a fetched segment that is waiting for the timeline mapping of
+    // its discontinuity sequence to become available
+    this.pendingSegment_ = null;
+
+    // the URLs of segments whose cues have already been added
+    this.loadedSegments_ = {};
+
+    this.playlists = new PlaylistLoader(srcUrl, hls, withCredentials);
+    this.playlists.on('error', () => {
+      this.error = this.playlists.error;
+      this.trigger('error');
+    });
+  }
+
+  /**
+   * Abort any outstanding work and clean up.
+   */
+  dispose() {
+    if (this.request_) {
+      this.request_.onreadystatechange = null;
+      this.request_.abort();
+      this.request_ = null;
+    }
+    this.playlists.dispose();
+    super.dispose();
+  }
+
+  /**
+   * Download the next subtitle segment between the playhead and the
+   * buffer goal, if it hasn't been loaded yet.
+   * @param currentTime {number} the current playback position
+   * @param goal {number} how far ahead of the playhead to download
+   * subtitles, in seconds
+   * @param mappings {object} the offsets between media timestamps and
+   * the player timeline, indexed by discontinuity sequence
+   */
+  fill(currentTime, goal, mappings) {
+    let media = this.playlists.media();
+    let start;
+    let end;
+    let i;
+    let uri;
+
+    if (this.pendingSegment_) {
+      this.appendCues_(mappings);
+    }
+
+    if (this.request_ || this.pendingSegment_ || !media || !media.segments) {
+      return;
+    }
+
+    for (i = 0; i < media.segments.length; i++) {
+      // place segments on the same timeline that is used for video
+      start = Playlist.duration(media, media.mediaSequence + i) + this.playlists.expired_;
+      end = start + media.segments[i].duration;
+
+      if (end <= currentTime) {
+        continue;
+      }
+      if (start > currentTime + goal) {
+        return;
+      }
+
+      uri = resolveUrl(resolveUrl(this.playlists.master.uri, media.uri),
+                       media.segments[i].uri);
+      if (!this.loadedSegments_[uri]) {
+        return this.loadSegment_(uri, media, i, mappings);
+      }
+    }
+  }
+
+  loadSegment_(uri, playlist, mediaIndex, mappings) {
+    this.request_ = this.hls_.xhr({
+      uri,
+      withCredentials: this.withCredentials_,
+      requestType: RequestTypes.SEGMENT,
+      playlist,
+      segment: playlist.segments[mediaIndex]
+    }, (error, request) => {
+      // ignore responses to requests that have been abandoned
+      if (request !== this.request_) {
+        return;
+      }
+      this.request_ = null;
+
+      // skip segments that cannot be loaded instead of retrying them
+      // indefinitely
+      this.loadedSegments_[uri] = true;
+
+      // a missing segment only loses a few cues so report it without
+      // stopping the rest of the track from loading
+      if (error) {
+        return this.trigger('warning', createError({
+          type: ErrorTypes.NETWORK,
+          details: request.timedout ? ErrorDetails.SEGMENT_LOAD_TIMEOUT :
+            ErrorDetails.SEGMENT_LOAD_ERROR,
+          message: 'HLS subtitle segment request error at URL: ' + uri,
+          url: uri,
+          status: request.status
+        }));
+      }
+
+      this.pendingSegment_ = {
+        text: request.responseText,
+        timeline: segmentTimeline(playlist, mediaIndex)
+      };
+      this.appendCues_(mappings);
+    });
+  }
+
+  /**
+   * Parse the pending WebVTT segment and add its cues to the text
+   * track, once the timeline it belongs to and the WebVTT parser are
+   * available. vtt.js may still be loading when the first segment
+   * arrives so the segment is kept until a later fill.
+   * @param mappings {object} the offsets between media timestamps and
+   * the player timeline, indexed by discontinuity sequence
+   */
+  appendCues_(mappings) {
+    let segment = this.pendingSegment_;
+    let timestampMap;
+    let offset;
+    let parser;
+    let cues = [];
+
+    if (typeof mappings[segment.timeline] === 'undefined' || !window.WebVTT) {
+      return;
+    }
+    this.pendingSegment_ = null;
+
+    // convert cue times to MPEG2-TS time and then to the player
+    // timeline
+    timestampMap = parseTimestampMap(segment.text);
+    offset = timestampMap.mpegts - timestampMap.local + mappings[segment.timeline];
+
+    // prefer native cues so they can be added to native text tracks
+    parser = new window.WebVTT.Parser(window,
+                                      window.VTTCue ? {} : window.vttjs,
+                                      window.WebVTT.StringDecoder());
+    parser.oncue = function(cue) {
+      cues.push(cue);
+    };
+    parser.onparsingerror = (error) => {
+      this.trigger('warn', {
+        message: 'WebVTT parsing error: ' + error.message
+      });
+    };
+    parser.parse(segment.text);
+    parser.flush();
+
+    cues.forEach((cue) => {
+      cue.startTime += offset;
+      cue.endTime += offset;
+      this.track.addCue(cue);
+    });
+    this.trigger('cuesadded');
+  }
+}
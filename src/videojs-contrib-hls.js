@@ -5,13 +5,27 @@
  */
 import PlaylistLoader from './playlist-loader';
 import Playlist from './playlist';
-import xhrFactory from './xhr';
+import xhrFactory, {RequestTypes} from './xhr';
 import {Decrypter, AsyncStream, decrypt} from './decrypter';
 import utils from './bin-utils';
 import {MediaSource, URL} from 'videojs-contrib-media-sources';
 import m3u8 from './m3u8';
 import videojs from 'video.js';
 import resolveUrl from './resolve-url';
+import SubtitleLoader, {segmentTimeline} from './subtitle-loader';
+import SegmentLoader from './segment-loader';
+import {firstPts} from './segment-inspector';
+import {registerEstimator, createEstimator} from './bandwidth-estimator';
+import RetryPolicy from './retry-policy';
+import {ErrorTypes, ErrorDetails, createError} from './errors';
+import {
+  compareBandwidth,
+  compareResolution,
+  capVariants,
+  defaultStrategy,
+  registerStrategy,
+  getStrategy
+} from './abr';
 
 const Hls = {
   PlaylistLoader,
@@ -20,6 +34,9 @@ const Hls = {
   AsyncStream,
   decrypt,
   utils,
+  ErrorTypes,
+  ErrorDetails,
+  RequestTypes,
   xhr: xhrFactory()
 };
 
@@ -123,21 +140,7 @@ Hls.isSupported = function() {
  * than zero if the bandwidth of right is greater than left and
  * exactly zero if the two are equal.
  */
-Hls.comparePlaylistBandwidth = function(left, right) {
-  let leftBandwidth;
-  let rightBandwidth;
-
-  if (left.attributes && left.attributes.BANDWIDTH) {
-    leftBandwidth = left.attributes.BANDWIDTH;
-  }
-  leftBandwidth = leftBandwidth || window.Number.MAX_VALUE;
-  if (right.attributes && right.attributes.BANDWIDTH) {
-    rightBandwidth = right.attributes.BANDWIDTH;
-  }
-  rightBandwidth = rightBandwidth || window.Number.MAX_VALUE;
-
-  return leftBandwidth - rightBandwidth;
-};
+Hls.comparePlaylistBandwidth = compareBandwidth;
 
 /**
  * A comparator function to sort two playlist object by resolution (width).
@@ -148,42 +151,102 @@ Hls.comparePlaylistBandwidth = function(left, right) {
  * than zero if the resolution.width of right is greater than left and
  * exactly zero if the two are equal.
  */
-Hls.comparePlaylistResolution = function(left, right) {
-  let leftWidth;
-  let rightWidth;
+Hls.comparePlaylistResolution = compareResolution;
 
-  if (left.attributes &&
-      left.attributes.RESOLUTION &&
-      left.attributes.RESOLUTION.width) {
-    leftWidth = left.attributes.RESOLUTION.width;
-  }
+/**
+ * Make an adaptive bitrate strategy available to HLS sources. Select it
+ * with the `abrStrategy` option.
+ * @param name {string} the name to select the strategy by
+ * @param strategy {function} a function that receives a read-only
+ * snapshot of the playback state and returns one of its variants
+ */
+Hls.registerAbrStrategy = registerStrategy;
 
-  leftWidth = leftWidth || window.Number.MAX_VALUE;
+/**
+ * Make a bandwidth estimator available to HLS sources. Select it with
+ * the `bandwidthEstimator` option.
+ * @param name {string} the name to select the estimator by
+ * @param Estimator {function} a constructor for objects with `sample`,
+ * `estimate` and `reset` methods
+ */
+Hls.registerBandwidthEstimator = registerEstimator;
+
+// The options that can be set both globally in `videojs.options.hls`
+// and on individual sources
+const sourceOptions = [
+  'withCredentials',
+  'abrStrategy',
+  'bandwidthEstimator',
+  'maxBitrate',
+  'minBitrate',
+  'maxResolution',
+  'capLevelToPlayerSize',
+  'pixelRatio',
+  'goalBufferLength',
+  'maxBufferLength',
+  'backBufferLength',
+  'maxGapLength',
+  'liveSyncDuration',
+  'targetLatency',
+  'liveMaxLatencyDuration',
+  'alignRefreshToLastSegment',
+  'retry',
+  'mediaErrorRecoveryAttempts'
+];
+
+// The number of segment download measurements to keep for adaptive
+// bitrate strategies
+const bandwidthHistoryLength = 20;
 
-  if (right.attributes &&
-      right.attributes.RESOLUTION &&
-      right.attributes.RESOLUTION.width) {
-    rightWidth = right.attributes.RESOLUTION.width;
-  }
+// 5 minute blacklist
+const blacklistDuration = 5 * 60 * 1000;
 
-  rightWidth = rightWidth || window.Number.MAX_VALUE;
+// The share of frames that may be dropped before a variant is considered
+// too demanding for the device to decode
+const droppedFramesThreshold = 0.2;
 
-  // NOTE - Fallback to bandwidth sort as appropriate in cases where multiple renditions
-  // have the same media dimensions/ resolution
-  if (leftWidth === rightWidth &&
-      left.attributes.BANDWIDTH &&
-      right.attributes.BANDWIDTH) {
-    return left.attributes.BANDWIDTH - right.attributes.BANDWIDTH;
-  }
-  return leftWidth - rightWidth;
-};
+// How long to count dropped frames before comparing them to the
+// threshold, in milliseconds
+const droppedFramesSamplePeriod = 5000;
 
-// A fudge factor to apply to advertised playlist bitrates to account for
-// temporary flucations in client bandwidth
-const bandwidthVariance = 1.2;
+// The fewest frames that have to be decoded during a sample period for
+// the dropped frame ratio to be meaningful
+const droppedFramesMinimumFrames = 60;
 
-// 5 minute blacklist
-const blacklistDuration = 5 * 60 * 1000;
+// 2 minute exclusion for variants that drop too many frames
+const droppedFramesExcludeDuration = 2 * 60 * 1000;
+
+// The buffer goal is never reduced below this many seconds after the
+// source buffer runs out of space
+const minimumGoalBufferLength = 10;
+
+// How many times in a row a segment append can run out of space before
+// playback fails
+const maxQuotaExceededRetries = 3;
+
+// How many times in a row the MediaSource is recreated after a segment
+// fails to append before playback fails
+const defaultMediaErrorRecoveryAttempts = 3;
+
+// The largest gap between buffered ranges, in seconds, that is skipped
+// over automatically when playback stalls in front of it
+const defaultMaxGapLength = 1;
+
+// How long, in milliseconds, the current time can stay the same during
+// playback before the player is considered stalled
+const stallTimeout = 1000;
+
+// How far the live latency can be from the target, in seconds, before
+// the playback rate is adjusted
+const liveSyncTolerance = 0.5;
+
+// How much faster or slower than normal to play while converging on
+// the target live latency
+const liveSyncRateChange = 0.05;
+
+// The change in live latency, in seconds, that is reported with a
+// livelatencychange event
+const liveLatencyChangeThreshold = 1;
 
 // Fudge factor to account for TimeRanges rounding
 const TIME_FUDGE_FACTOR = 1 / 30;
@@ -192,9 +255,83 @@ const Component = videojs.getComponent('Component');
 // The amount of time to wait between checking the state of the buffer
 const bufferCheckInterval = 500;
 
-// returns true if a key has failed to download within a certain amount of retries
-const keyFailed = function(key) {
-  return key.retries && key.retries >= 2;
+// How long the player size must stay the same before the variant is
+// re-evaluated, so that resizing a window doesn't trigger a selection
+// for every intermediate size
+const sizeChangeDelay = 250;
+
+/**
+ * Read the decoded and dropped video frame counts from a tech.
+ * @param tech {object} the tech to read the counts from
+ * @return {object} an object with `droppedVideoFrames` and
+ * `totalVideoFrames`, or null if the tech doesn't report them
+ */
+const videoPlaybackQuality = function(tech) {
+  let el = tech.el();
+  let quality;
+
+  try {
+    if (typeof tech.getVideoPlaybackQuality === 'function') {
+      quality = tech.getVideoPlaybackQuality();
+    } else if (el && typeof el.getVideoPlaybackQuality === 'function') {
+      quality = el.getVideoPlaybackQuality();
+    } else if (el && typeof el.webkitDecodedFrameCount === 'number') {
+      quality = {
+        droppedVideoFrames: el.webkitDroppedFrameCount,
+        totalVideoFrames: el.webkitDecodedFrameCount
+      };
+    }
+  } catch (e) {
+    // older Flash SWFs don't report playback quality
+    return null;
+  }
+
+  if (!quality ||
+      typeof quality.droppedVideoFrames !== 'number' ||
+      typeof quality.totalVideoFrames !== 'number') {
+    return null;
+  }
+  return quality;
+};
+
+/**
+ * Create a decrypter for a segment. The decrypter is looked up on the
+ * `Hls` object every time so that it can be replaced.
+ */
+const createDecrypter = function(encrypted, key, iv, done) {
+  return new Hls.Decrypter(encrypted, key, iv, done);
+};
+
+/**
+ * @param playlist {object} a variant of the master playlist
+ * @return {object} the `id`, `bandwidth`, `resolution` and `codecs`
+ * that identify the variant
+ */
+const describeVariant = function(playlist) {
+  let attributes = playlist.attributes || {};
+
+  return {
+    id: playlist.uri,
+    bandwidth: attributes.BANDWIDTH,
+    resolution: attributes.RESOLUTION && {
+      width: attributes.RESOLUTION.width,
+      height: attributes.RESOLUTION.height
+    },
+    codecs: attributes.CODECS
+  };
+};
+
+/**
+ * Determine whether a media playlist is made up of fragmented MP4
+ * segments. Fragmented MP4 segments always reference an
+ * initialization segment through EXT-X-MAP.
+ * @param playlist {object} a media playlist object
+ * @return {boolean} whether the segments are fragmented MP4s
+ */
+const isFmp4Playlist = function(playlist) {
+  return !!(playlist.segments &&
+            playlist.segments.length &&
+            playlist.segments[0].map);
 };
 
 /**
@@ -249,6 +386,19 @@ const updateSegmentMetadata = function(playlist, segmentIndex, segmentEnd) {
   }
 };
 
+/**
+ * @param playlist {object} a media playlist object
+ * @param segmentIndex {number} the index of the segment a part belongs to
+ * @param partIndex {number} the index of the part
+ * @return {boolean} whether the part is the last one of a segment the
+ * playlist has been completed with
+ */
+const isLastPart = function(playlist, segmentIndex, partIndex) {
+  let segment = playlist.segments[segmentIndex];
+
+  return !!(segment && segment.parts && partIndex === segment.parts.length - 1);
+};
+
 /**
  * Determines if we should call endOfStream on the media source based on the state
  * of the buffer or if appened segment was the final segment in the playlist.
@@ -300,7 +450,87 @@ const parseCodecs = function(codecs) {
   return result;
 };
 
-const filterBufferedRanges = function(predicate) {
+/**
+ * Splits a CODECS attribute into the codecs that belong in the main
+ * SourceBuffer and the codecs of a demuxed audio SourceBuffer.
+ * @param codecs {string} the value of a CODECS attribute
+ * @return {object} an object with comma-separated `video` and `audio`
+ * codec strings
+ */
+const splitCodecs = function(codecs) {
+  let video = [];
+  let audio = [];
+
+  codecs.split(',').forEach(function(codec) {
+    codec = codec.replace(/^\s+|\s+$/g, '');
+    if ((/^(mp4a|ac-3|ec-3)/i).test(codec)) {
+      audio.push(codec);
+    } else if (codec) {
+      video.push(codec);
+    }
+  });
+
+  return {
+    video: video.join(','),
+    audio: audio.join(',')
+  };
+};
+
+/**
+ * Finds the alternate audio rendition that should be played alongside
+ * a variant stream. The DEFAULT rendition is preferred, followed by
+ * the first AUTOSELECT rendition and finally the first one listed.
+ * @param master {object} a parsed master playlist
+ * @param media {object} a variant from the master playlist
+ * @return {object} the rendition from `master.mediaGroups`, or
+ * undefined if the variant does not reference an AUDIO group
+ */
+const selectAudioRendition = function(master, media) {
+  let group;
+  let names;
+  let i;
+
+  if (!master.mediaGroups ||
+      !media.attributes ||
+      !media.attributes.AUDIO) {
+    return;
+  }
+
+  group = master.mediaGroups.AUDIO[media.attributes.AUDIO];
+  if (!group) {
+    return;
+  }
+
+  names = Object.keys(group);
+  for (i = 0; i < names.length; i++) {
+    if (group[names[i]].default) {
+      return group[names[i]];
+    }
+  }
+  for (i = 0; i < names.length; i++) {
+    if (group[names[i]].autoselect) {
+      return group[names[i]];
+    }
+  }
+  return group[names[0]];
+};
+
+/**
+ * Convert a TimeRanges object into an array of [start, end] pairs
+ * @param timeRanges {TimeRanges} the time ranges to convert
+ * @return {array} an array with an entry for each time range
+ */
+const bufferedToArray = function(timeRanges) {
+  let result = [];
+  let i;
+
+  for (i = 0; i < timeRanges.length; i++) {
+    result.push([timeRanges.start(i), timeRanges.end(i)]);
+  }
+  return result;
+};
+
+const filterBufferedRanges = function(predicate, getBuffered) {
   return function(time) {
     let i;
     let ranges = [];
@@ -312,7 +542,7 @@ const filterBufferedRanges = function(predicate) {
     // change behind the scenes from line-to-line. By reading `currentTime`
     // after `buffered`, we ensure that it is always a current or later
     // value during playback.
-    let buffered = tech.buffered();
+    let buffered = getBuffered ? getBuffered.call(this) : tech.buffered();
 
     if (typeof time === 'undefined') {
       time = tech.currentTime();
@@ -362,9 +592,30 @@ export default class HlsHandler extends Component {
     this.tech_ = tech;
     this.source_ = options.source;
     this.mode_ = options.mode;
-    // the segment info object for a segment that is in the process of
-    // being downloaded or processed
-    this.pendingSegment_ = null;
+
+    // download the segments of the active variant and alternate audio
+    // rendition and append them to their SourceBuffers
+    this.mainSegmentLoader_ = new SegmentLoader(this, {
+      playlists: () => this.playlists,
+      sourceBuffer: () => this.sourceBuffer,
+      buffered: () => this.tech_.buffered(),
+      bufferedRange: (time) => this.findBufferedRange_(time),
+      createDecrypter,
+      label: 'segment'
+    });
+    this.audioSegmentLoader_ = new SegmentLoader(this, {
+      playlists: () => this.audioPlaylists_,
+      sourceBuffer: () => this.audioSourceBuffer_,
+      buffered: () => this.audioBuffered_(),
+      bufferedRange: (time) => this.findAudioBufferedRange_(time),
+      createDecrypter,
+      label: 'audio segment'
+    });
+    this.setupSegmentLoaders_();
+
+    // the offset between the media timestamps of each discontinuity
+    // sequence and the player timeline, used to place subtitle cues
+    this.timelineMappings_ = {};
 
     // start playlist selection at a reasonable bandwidth for
     // broadband internet
@@ -372,6 +623,9 @@ export default class HlsHandler extends Component {
     this.bandwidth = options.bandwidth || 4194304;
     this.bytesReceived = 0;
 
+    // the most recent segment download measurements, oldest first
+    this.bandwidthHistory_ = [];
+
     // loadingState_ tracks how far along the buffering process we
     // have been given permission to proceed. There are three possible
     // values:
@@ -395,6 +649,14 @@ export default class HlsHandler extends Component {
     });
 
     this.on(this.tech_, 'play', this.play);
+
+    // the caps and the variant that best fits the player depend on the
+    // size of the player
+    this.sizeChangeHandler_ = this.handleSizeChange_.bind(this);
+    window.addEventListener('resize', this.sizeChangeHandler_);
+    if (_player) {
+      this.on(_player, 'fullscreenchange', this.handleSizeChange_);
+    }
   }
   src(src) {
     let oldMediaPlaylist;
@@ -409,19 +671,32 @@ export default class HlsHandler extends Component {
     // load the MediaSource into the player
     this.mediaSource.addEventListener('sourceopen', this.handleSourceOpen.bind(this));
 
+    // options on the source take precedence over the global options
     this.options_ = {};
-    if (typeof this.source_.withCredentials !== 'undefined') {
-      this.options_.withCredentials = this.source_.withCredentials;
-    } else if (videojs.options.hls) {
-      this.options_.withCredentials = videojs.options.hls.withCredentials;
+    sourceOptions.forEach((option) => {
+      if (typeof this.source_[option] !== 'undefined') {
+        this.options_[option] = this.source_[option];
+      } else if (videojs.options.hls) {
+        this.options_[option] = videojs.options.hls[option];
+      }
+    });
+    this.bandwidthEstimator_ = createEstimator(this.options_.bandwidthEstimator);
+    if (!this.bandwidthEstimator_) {
+      videojs.log.warn('Unknown bandwidth estimator, using the default');
+      this.bandwidthEstimator_ = createEstimator();
     }
+    this.retryPolicy_ = new RetryPolicy(this.options_.retry);
+
     this.playlists = new Hls.PlaylistLoader(this.source_.src,
                                             this.tech_.hls,
-                                            this.options_.withCredentials);
+                                            this.options_.withCredentials,
+                                            this.playlistLoaderOptions_());
 
     this.tech_.one('canplay', this.setupFirstPlay.bind(this));
 
     this.playlists.on('loadedmetadata', () => {
+      let startPosition;
+
       oldMediaPlaylist = this.playlists.media();
 
       // if this isn't a live video and preload permits, start
@@ -432,7 +707,17 @@ export default class HlsHandler extends Component {
         this.loadingState_ = 'segments';
       }
 
+      this.setupAudio_();
+      this.setupSubtitles_();
       this.setupSourceBuffer_();
+
+      // live streams pick their start position on first play
+      if (oldMediaPlaylist.endList) {
+        startPosition = this.startPosition_();
+        if (startPosition) {
+          this.tech_.setCurrentTime(startPosition);
+        }
+      }
       this.setupFirstPlay();
       this.fillBuffer();
       this.tech_.trigger('loadedmetadata');
@@ -442,6 +727,10 @@ export default class HlsHandler extends Component {
       this.blacklistCurrentPlaylist_(this.playlists.error);
     });
 
+    this.playlists.on('warning', (error) => {
+      this.reportError_(error);
+    });
+
     this.playlists.on('loadedplaylist', () => {
       let updatedPlaylist = this.playlists.media();
       let seekable;
@@ -452,6 +741,31 @@ export default class HlsHandler extends Component {
         return;
       }
 
+      // the Flash tech only plays MPEG2-TS segments, so fragmented MP4
+      // variants will never become playable
+      if (this.mode_ === 'flash' && isFmp4Playlist(updatedPlaylist)) {
+        this.blacklistCurrentPlaylist_({
+          type: ErrorTypes.MUX,
+          details: ErrorDetails.INCOMPATIBLE_SEGMENT_FORMAT,
+          message: 'HLS playlist uses fragmented MP4 segments, which cannot ' +
+            'be played with Flash.',
+          url: resolveUrl(this.playlists.master.uri, updatedPlaylist.uri)
+        });
+        updatedPlaylist.excludeUntil = Infinity;
+        return;
+      }
+
+      // the container can't change once the SourceBuffer is created
+      if (this.sourceBuffer && isFmp4Playlist(updatedPlaylist) !== this.fmp4_) {
+        return this.blacklistCurrentPlaylist_({
+          type: ErrorTypes.MUX,
+          details: ErrorDetails.INCOMPATIBLE_SEGMENT_FORMAT,
+          message: 'HLS playlist uses a different segment format than the ' +
+            'active SourceBuffer.',
+          url: resolveUrl(this.playlists.master.uri, updatedPlaylist.uri)
+        });
+      }
+
       this.updateDuration(this.playlists.media());
 
       // update seekable
@@ -464,11 +778,33 @@ export default class HlsHandler extends Component {
       oldMediaPlaylist = updatedPlaylist;
     });
 
+    this.playlists.on('playlistrefresh', (refresh) => {
+      this.tech_.trigger(videojs.mergeOptions({
+        type: 'playlistrefresh',
+        bubbles: true
+      }, refresh));
+    });
+
     this.playlists.on('mediachange', () => {
+      let media = this.playlists.media();
+
+      // the SourceBuffer waits for a variant that can be played if the
+      // first one couldn't
+      if (!this.sourceBuffer) {
+        this.setupSourceBuffer_();
+      }
+
       this.tech_.trigger({
         type: 'mediachange',
         bubbles: true
       });
+      this.tech_.trigger({
+        type: 'qualitychange',
+        bubbles: true,
+        representation: this.representations().filter(function(representation) {
+          return media && representation.id === media.uri;
+        })[0]
+      });
     });
 
     // do nothing if the tech has been disposed already
@@ -517,6 +853,7 @@ export default class HlsHandler extends Component {
     let videoCodec = null;
     let audioProfile = null;
     let codecs;
+    let audioGroup = this.audioPlaylists_ && media.attributes.AUDIO;
 
     if (media.attributes && media.attributes.CODECS) {
       codecs = parseCodecs(media.attributes.CODECS);
@@ -552,12 +889,22 @@ export default class HlsHandler extends Component {
           (audioProfile === '5' && variantCodecs.audioProfile !== '5')) {
         variant.excludeUntil = Infinity;
       }
+      // variants that rely on a different group of alternate audio
+      // renditions cannot share the alternate audio SourceBuffer
+      if (audioGroup &&
+          (!variant.attributes || variant.attributes.AUDIO !== audioGroup)) {
+        variant.excludeUntil = Infinity;
+      }
     });
   }
 
   setupSourceBuffer_() {
     let media = this.playlists.media();
+    let audioMedia = this.audioPlaylists_ && this.audioPlaylists_.media();
+    let container;
     let mimeType;
+    let codecs;
+    let audioMimeType;
 
     // wait until a media playlist is available and the Media Source is
     // attached
@@ -565,21 +912,154 @@ export default class HlsHandler extends Component {
       return;
     }
 
+    // wait for another variant if this one can't be played with Flash
+    if (this.mode_ === 'flash' && isFmp4Playlist(media)) {
+      return;
+    }
+
+    // the segment format of the alternate audio is only known once its
+    // playlist has loaded, and every SourceBuffer has to be created
+    // before media is appended to any of them
+    if (this.audioPlaylists_ && !audioMedia) {
+      return;
+    }
+
+    if (media.attributes && media.attributes.CODECS) {
+      codecs = media.attributes.CODECS;
+    }
+
+    // fragmented MP4 segments are appended to a native SourceBuffer
+    this.fmp4_ = isFmp4Playlist(media);
+    container = this.fmp4_ ? 'video/mp4' : 'video/mp2t';
+
+    // when audio is delivered separately, the audio codecs belong to
+    // the alternate audio SourceBuffer instead of the main one. Its
+    // segments can be in a different format than the video's.
+    if (audioMedia) {
+      audioMimeType = isFmp4Playlist(audioMedia) ? 'audio/mp4' : 'video/mp2t';
+      if (codecs) {
+        codecs = splitCodecs(codecs);
+        if (codecs.audio) {
+          audioMimeType += '; codecs="' + codecs.audio + '"';
+        }
+        codecs = codecs.video;
+      }
+    }
+
     // if the codecs were explicitly specified, pass them along to the
     // source buffer
-    mimeType = 'video/mp2t';
-    if (media.attributes && media.attributes.CODECS) {
-      mimeType += '; codecs="' + media.attributes.CODECS + '"';
+    mimeType = container;
+    if (codecs) {
+      mimeType += '; codecs="' + codecs + '"';
     }
     this.sourceBuffer = this.mediaSource.addSourceBuffer(mimeType);
+    this.listenToSourceBuffer_(this.sourceBuffer, this.mainSegmentLoader_);
+
+    if (audioMimeType) {
+      this.audioSourceBuffer_ = this.mediaSource.addSourceBuffer(audioMimeType);
+      this.listenToSourceBuffer_(this.audioSourceBuffer_, this.audioSegmentLoader_);
+    }
 
     // exclude any incompatible variant streams from future playlist
     // selection
     this.excludeIncompatibleVariants_(media);
+  }
+
+  /**
+   * React to the progress of the segment loaders. Problems with the
+   * active variant are worked around by switching to another one,
+   * while problems with the alternate audio are fatal.
+   */
+  setupSegmentLoaders_() {
+    let main = this.mainSegmentLoader_;
+    let audio = this.audioSegmentLoader_;
+
+    main.on('loaded', (segmentInfo, request) => {
+      this.setBandwidth(request);
+      this.tech_.trigger('progress');
+      this.drainBuffer();
+
+      // figure out what stream the next segment should be downloaded from
+      // with the updated bandwidth information
+      this.playlists.media(this.selectPlaylist());
+    });
+    main.on('timeout', (error, segmentInfo) => {
+      let playlist = segmentInfo.playlist;
+      let resource = segmentInfo.part || segmentInfo.segment;
+
+      // the segment could not be downloaded within 150% of its
+      // duration, so the throughput was at most two thirds of its
+      // bitrate
+      if (playlist.attributes && playlist.attributes.BANDWIDTH) {
+        this.sampleBandwidth_(playlist.attributes.BANDWIDTH * resource.duration / 8,
+                              playlist.attributes.BANDWIDTH / 1.5,
+                              playlist.attributes.BANDWIDTH / 1.5);
+      }
+      error.rendition = describeVariant(playlist);
+      this.reportError_(error);
+
+      // we may have better luck with another playlist
+      this.playlists.media(this.selectPlaylist());
+    });
+    main.on('error', () => {
+      this.blacklistCurrentPlaylist_(main.error);
+    });
+    main.on('appending', (segmentInfo) => {
+      this.updateTimelineMapping_(segmentInfo);
+    });
+    main.on('appended', (segmentInfo) => {
+      this.handleSegmentAppended_(segmentInfo);
+    });
+
+    audio.on('loaded', (segmentInfo, request) => {
+      this.bytesReceived += request.bytesReceived || 0;
+      audio.drain();
+    });
+    // timed out requests are retried on the next buffer check
+    audio.on('timeout', (error) => {
+      this.reportError_(error);
+    });
+    audio.on('error', () => {
+      videojs.log.warn('Problem encountered with the alternate audio ' +
+                       'HLS segment.');
+      this.reportError_(videojs.mergeOptions(audio.error, {
+        fatal: true
+      }));
+    });
+    audio.on('appended', (segmentInfo) => {
+      this.handleAudioSegmentAppended_(segmentInfo);
+    });
 
-    // transition the sourcebuffer to the ended state if we've hit the end of
-    // the playlist
-    this.sourceBuffer.addEventListener('updateend', this.updateEndHandler_.bind(this));
+    [main, audio].forEach((loader) => {
+      loader.on('warning', (error) => {
+        this.reportError_(error);
+      });
+      loader.on('appenderror', (error) => {
+        this.handleAppendError_(error, loader);
+      });
+    });
+  }
+
+  /**
+   * Pass the `updateend` and `error` events of a SourceBuffer to the
+   * segment loader that appends to it. Appends of MPEG-TS segments
+   * fail with an `error` event once they have been transmuxed rather
+   * than by throwing from `appendBuffer`.
+   * @param sourceBuffer {SourceBuffer} the source buffer to watch
+   * @param loader {SegmentLoader} the segment loader that appends to it
+   */
+  listenToSourceBuffer_(sourceBuffer, loader) {
+    sourceBuffer.addEventListener('updateend', () => {
+      loader.handleUpdateEnd();
+    });
+    sourceBuffer.addEventListener('error', (event) => {
+      // ignore source buffers that have been replaced
+      if (sourceBuffer !== loader.sourceBuffer()) {
+        return;
+      }
+      loader.handleSourceBufferError(event.error ||
+                                     new Error('The source buffer reported an error'));
+    });
   }
 
   /**
@@ -588,6 +1068,8 @@ export default class HlsHandler extends Component {
    */
   setupFirstPlay() {
     let seekable;
+    let startPosition;
+    let holdBack;
     let media = this.playlists.media();
 
     // check that everything is ready to begin buffering
@@ -595,8 +1077,11 @@ export default class HlsHandler extends Component {
     // 1) the video is a live stream of unknown duration
     if (this.duration() === Infinity &&
 
-        // 2) the player has not played before and is not paused
+        // 2) the player has not played before and is not paused. A
+        // MediaSource created by recoverMediaError doesn't count as a
+        // fresh start.
         this.tech_.played().length === 0 &&
+        !this.playedBeforeRecovery_ &&
         !this.tech_.paused() &&
 
         // 3) the Media Source and Source Buffers are ready
@@ -611,15 +1096,93 @@ export default class HlsHandler extends Component {
 
       // trigger the playlist loader to start "expired time"-tracking
       this.playlists.trigger('firstplay');
+      if (this.audioPlaylists_) {
+        this.audioPlaylists_.trigger('firstplay');
+      }
+      this.activeSubtitleLoaders_().forEach(function(loader) {
+        loader.playlists.trigger('firstplay');
+      });
 
-      // seek to the latest media position for live videos
+      // seek to the requested start position or the latest media
+      // position for live videos
+      startPosition = this.startPosition_();
       seekable = this.seekable();
-      if (seekable.length) {
+      holdBack = this.liveSyncDuration_();
+      // low-latency streams advertise how far behind the live edge
+      // playback should begin
+      if (holdBack === null && media.serverControl &&
+          typeof media.serverControl.partHoldBack === 'number') {
+        holdBack = media.serverControl.partHoldBack;
+      }
+      if (startPosition !== null) {
+        this.tech_.setCurrentTime(startPosition);
+      } else if (seekable.length && holdBack !== null) {
+        this.tech_.setCurrentTime(Math.max(seekable.start(0),
+                                           this.liveEdge_() - holdBack));
+      } else if (seekable.length) {
         this.tech_.setCurrentTime(seekable.end(0));
       }
     }
   }
 
+  /**
+   * Determine where playback should begin. A `startTime` on the source
+   * takes precedence over an EXT-X-START declared in the media playlist,
+   * which in turn takes precedence over one in the master playlist.
+   * Negative offsets are measured back from the end of the playlist.
+   * @return {number} the initial playback position, or null if no start
+   * position was specified
+   */
+  startPosition_() {
+    let media = this.playlists.media();
+    let master = this.playlists.master;
+    let start;
+    let seekable;
+    let time;
+    let mediaIndex;
+
+    if (!media || !media.segments || !media.segments.length) {
+      return null;
+    }
+
+    if (typeof this.source_.startTime === 'number') {
+      start = {
+        timeOffset: this.source_.startTime,
+        precise: true
+      };
+    } else {
+      start = media.start || (master && master.start);
+    }
+    if (!start) {
+      return null;
+    }
+
+    if (start.timeOffset < 0) {
+      time = Hls.Playlist.segmentStartTime(media,
+                                           media.segments.length,
+                                           this.playlists.expired_) + start.timeOffset;
+    } else {
+      time = Hls.Playlist.segmentStartTime(media, 0, this.playlists.expired_) +
+        start.timeOffset;
+    }
+
+    // keep the start position within the playable range
+    seekable = this.seekable();
+    if (seekable.length) {
+      time = Math.max(seekable.start(0), Math.min(seekable.end(0), time));
+    }
+
+    // begin at the start of the segment containing the requested
+    // position unless the position was declared precise
+    if (!start.precise) {
+      mediaIndex = Math.min(Math.max(this.playlists.getMediaIndexForTime_(time), 0),
+                            media.segments.length - 1);
+      time = Hls.Playlist.segmentStartTime(media, mediaIndex, this.playlists.expired_);
+    }
+
+    return time;
+  }
+
   /**
    * Begin playing the video.
    */
@@ -657,6 +1220,9 @@ export default class HlsHandler extends Component {
       return 0;
     }
 
+    // the alternate audio buffer is maintained independently
+    this.setAudioCurrentTime_(currentTime);
+
     // if the seek location is already buffered, continue buffering as
     // usual
     if (buffered && buffered.length) {
@@ -664,23 +1230,14 @@ export default class HlsHandler extends Component {
     }
 
     // if we are in the middle of appending a segment, let it finish up
-    if (this.pendingSegment_ && this.pendingSegment_.buffered) {
+    if (this.mainSegmentLoader_.appending()) {
       return currentTime;
     }
 
-    this.lastSegmentLoaded_ = null;
-
-    // cancel outstanding requests and buffer appends
-    this.cancelSegmentXhr();
-
-    // abort outstanding key requests, if necessary
-    if (this.keyXhr_) {
-      this.keyXhr_.aborted = true;
-      this.cancelKeyXhr();
-    }
+    this.mainEnded_ = false;
 
     // begin filling the buffer at the new position
-    this.fillBuffer(this.playlists.getMediaIndexForTime_(currentTime));
+    this.mainSegmentLoader_.restart(this.playlists.getMediaIndexForTime_(currentTime));
   }
 
   duration() {
@@ -729,428 +1286,840 @@ export default class HlsHandler extends Component {
   }
 
   /**
-   * Update the player duration
+   * @return {number} the end of the last segment of a live playlist on
+   * the player timeline, or null if the stream isn't live
    */
-  updateDuration(playlist) {
-    let oldDuration = this.mediaSource.duration;
-    let newDuration = Hls.Playlist.duration(playlist);
-    let buffered = this.tech_.buffered();
-    let setDuration = () => {
-      this.mediaSource.duration = newDuration;
-      this.tech_.trigger('durationchange');
-
-      this.mediaSource.removeEventListener('sourceopen', setDuration);
-    };
+  liveEdge_() {
+    let media = this.playlists && this.playlists.media();
+    let seekable = this.seekable();
+    let unsafeSegments;
 
-    if (buffered.length > 0) {
-      newDuration = Math.max(newDuration, buffered.end(buffered.length - 1));
+    if (!media || media.endList || !media.segments || !seekable.length) {
+      return null;
     }
 
-    // if the duration has changed, invalidate the cached value
-    if (oldDuration !== newDuration) {
-      // update the duration
-      if (this.mediaSource.readyState !== 'open') {
-        this.mediaSource.addEventListener('sourceopen', setDuration);
-      } else if (!this.sourceBuffer || !this.sourceBuffer.updating) {
-        this.mediaSource.duration = newDuration;
-        this.tech_.trigger('durationchange');
-      }
+    // the last few segments are left out of the seekable range
+    unsafeSegments = media.segments.slice(Math.max(0, media.segments.length -
+                                                   Hls.Playlist.UNSAFE_LIVE_SEGMENTS));
+    // the published parts of the segment being produced extend the edge
+    if (media.preloadSegment && media.preloadSegment.parts) {
+      unsafeSegments = unsafeSegments.concat(media.preloadSegment.parts);
     }
+    return unsafeSegments.reduce(function(end, segment) {
+      return end + (segment.duration || media.targetDuration || 0);
+    }, seekable.end(0));
   }
 
   /**
-   * Clear all buffers and reset any state relevant to the current
-   * source. After this function is called, the tech should be in a
-   * state suitable for switching to a different video.
+   * The distance between the current time and the live edge of the
+   * stream. The live edge moves forward continuously but playlists only
+   * reveal it when they are refreshed, so it is projected forward by
+   * up to a target duration from where it was last seen.
+   * @return {number} the live latency in seconds, or null if the stream
+   * isn't live
    */
-  resetSrc_() {
-    this.cancelSegmentXhr();
-    this.cancelKeyXhr();
+  liveLatency() {
+    let media = this.playlists && this.playlists.media();
+    let liveEdge = this.liveEdge_();
+    let now = Date.now();
 
-    if (this.sourceBuffer && this.mediaSource.readyState === 'open') {
-      this.sourceBuffer.abort();
+    if (liveEdge === null) {
+      return null;
     }
-  }
 
-  cancelKeyXhr() {
-    if (this.keyXhr_) {
-      this.keyXhr_.onreadystatechange = null;
-      this.keyXhr_.abort();
-      this.keyXhr_ = null;
+    if (!this.liveEdgeUpdate_ || this.liveEdgeUpdate_.liveEdge !== liveEdge) {
+      this.liveEdgeUpdate_ = {
+        liveEdge,
+        time: now
+      };
     }
+    liveEdge += Math.min((now - this.liveEdgeUpdate_.time) / 1000,
+                         media.targetDuration || 0);
+    return Math.max(0, liveEdge - this.tech_.currentTime());
   }
 
-  cancelSegmentXhr() {
-    if (this.segmentXhr_) {
-      // Prevent error handler from running.
-      this.segmentXhr_.onreadystatechange = null;
-      this.segmentXhr_.abort();
-      this.segmentXhr_ = null;
+  /**
+   * @return {number} the live latency to maintain, or null if none was
+   * configured
+   */
+  liveSyncDuration_() {
+    if (typeof this.options_.liveSyncDuration === 'number') {
+      return this.options_.liveSyncDuration;
     }
-
-    // clear out the segment being processed
-    this.pendingSegment_ = null;
+    if (typeof this.options_.targetLatency === 'number') {
+      return this.options_.targetLatency;
+    }
+    return null;
   }
 
   /**
-  * Abort all outstanding work and cleanup.
-  */
-  dispose() {
-    this.stopCheckingBuffer_();
+   * Report changes in live latency and keep it close to the configured
+   * target by playing slightly faster or slower, or by seeking if
+   * playback has fallen too far behind.
+   */
+  checkLiveSync_() {
+    let latency = this.liveLatency();
+    let liveSyncDuration = this.liveSyncDuration_();
+    let maxLatency = this.options_.liveMaxLatencyDuration;
+    let currentTime = this.tech_.currentTime();
+    let rate = this.liveSyncRate_ || 1;
+    let seekable;
+    let buffered;
+    let bufferedAhead;
 
-    if (this.playlists) {
-      this.playlists.dispose();
+    // the latency isn't meaningful until playback has moved to the
+    // live edge
+    if (latency === null || this.tech_.seeking() || this.tech_.played().length === 0) {
+      return;
     }
 
-    this.resetSrc_();
-    super.dispose();
+    if (typeof this.reportedLiveLatency_ !== 'number' ||
+        Math.abs(latency - this.reportedLiveLatency_) >= liveLatencyChangeThreshold) {
+      this.reportedLiveLatency_ = latency;
+      this.tech_.trigger({
+        type: 'livelatencychange',
+        bubbles: true,
+        latency
+      });
+    }
+
+    if (liveSyncDuration === null || this.tech_.paused()) {
+      return;
+    }
+
+    if (typeof maxLatency !== 'number') {
+      maxLatency = liveSyncDuration * 3;
+    }
+    if (latency > maxLatency) {
+      videojs.log.warn('Live latency of ' + latency + ' seconds is too high. ' +
+                       'Seeking closer to the live edge.');
+      // only undo a playback rate change that was made here, not one
+      // made by the viewer
+      if (!this.tech_.featuresPlaybackRate || this.tech_.playbackRate() === rate) {
+        this.setLiveSyncRate_(1);
+      } else {
+        this.liveSyncRate_ = 1;
+      }
+      seekable = this.seekable();
+      this.tech_.setCurrentTime(Math.min(seekable.end(0),
+                                         Math.max(seekable.start(0),
+                                                  currentTime + latency -
+                                                  liveSyncDuration)));
+      return;
+    }
+
+    // leave the playback rate alone if the viewer has changed it
+    if (!this.tech_.featuresPlaybackRate || this.tech_.playbackRate() !== rate) {
+      return;
+    }
+
+    // only speed up while there is video buffered to play through
+    buffered = this.findBufferedRange_();
+    bufferedAhead = buffered.length ? buffered.end(0) - currentTime : 0;
+
+    if (latency > liveSyncDuration + liveSyncTolerance && bufferedAhead > 1) {
+      rate = 1 + liveSyncRateChange;
+    } else if (latency < liveSyncDuration - liveSyncTolerance) {
+      rate = 1 - liveSyncRateChange;
+    } else if ((rate > 1 && (latency <= liveSyncDuration || bufferedAhead <= 1)) ||
+               (rate < 1 && latency >= liveSyncDuration)) {
+      // play normally again once the target has been reached
+      rate = 1;
+    }
+    this.setLiveSyncRate_(rate);
   }
 
   /**
-   * Chooses the appropriate media playlist based on the current
-   * bandwidth estimate and the player size.
-   * @return the highest bitrate playlist less than the currently detected
-   * bandwidth, accounting for some amount of bandwidth variance
+   * Change the playback rate to converge on the target live latency.
+   * @param rate {number} the new playback rate
    */
-  selectPlaylist() {
-    let effectiveBitrate;
-    let sortedPlaylists = this.playlists.master.playlists.slice();
-    let bandwidthPlaylists = [];
-    let now = +new Date();
-    let i;
-    let variant;
-    let bandwidthBestVariant;
-    let resolutionPlusOne;
-    let resolutionPlusOneAttribute;
-    let resolutionBestVariant;
-    let width;
-    let height;
-
-    sortedPlaylists.sort(Hls.comparePlaylistBandwidth);
-
-    // filter out any playlists that have been excluded due to
-    // incompatible configurations or playback errors
-    sortedPlaylists = sortedPlaylists.filter((localVariant) => {
-      if (typeof localVariant.excludeUntil !== 'undefined') {
-        return now >= localVariant.excludeUntil;
+  setLiveSyncRate_(rate) {
+    if (rate === (this.liveSyncRate_ || 1)) {
+      return;
+    }
+    this.liveSyncRate_ = rate;
+    if (this.tech_.featuresPlaybackRate) {
+      this.tech_.setPlaybackRate(rate);
+    }
+  }
+
+  /**
+   * Pair the segments of the active media playlist that carry an
+   * EXT-X-PROGRAM-DATE-TIME with their start times on the player
+   * timeline.
+   * @return {array} an object with `time` and `date` properties for
+   * each segment with a program date-time, in playlist order
+   */
+  programDateTimeAnchors_() {
+    let media = this.playlists && this.playlists.media();
+    let anchors = [];
+    let time;
+
+    if (!media || !media.segments || !media.segments.length) {
+      return anchors;
+    }
+
+    time = Hls.Playlist.segmentStartTime(media, 0, this.playlists.expired_);
+    media.segments.forEach(function(segment) {
+      // prefer positions that were observed in the buffer over the
+      // running estimate
+      if (typeof segment.start !== 'undefined') {
+        time = segment.start;
+      }
+      if (segment.dateTimeObject) {
+        anchors.push({
+          time,
+          date: segment.dateTimeObject
+        });
+      }
+      if (typeof segment.end !== 'undefined') {
+        time = segment.end;
+      } else {
+        time += segment.duration;
       }
-      return true;
     });
 
-    // filter out any variant that has greater effective bitrate
-    // than the current estimated bandwidth
-    i = sortedPlaylists.length;
-    while (i--) {
-      variant = sortedPlaylists[i];
+    return anchors;
+  }
 
-      // ignore playlists without bandwidth information
-      if (!variant.attributes || !variant.attributes.BANDWIDTH) {
-        continue;
-      }
+  /**
+   * Convert a position on the player timeline to a wall-clock time.
+   * @param time {number} a position on the player timeline, in seconds
+   * @return {Date} the program date-time of the position, or null if
+   * the active media playlist doesn't specify program date-times
+   */
+  timeToProgramDateTime(time) {
+    let anchors = this.programDateTimeAnchors_();
+    let anchor = anchors[0];
+    let i;
 
-      effectiveBitrate = variant.attributes.BANDWIDTH * bandwidthVariance;
+    if (!anchor) {
+      return null;
+    }
 
-      if (effectiveBitrate < this.bandwidth) {
-        bandwidthPlaylists.push(variant);
+    // measure from the closest program date-time before the position
+    for (i = 1; i < anchors.length && anchors[i].time <= time; i++) {
+      anchor = anchors[i];
+    }
+    return new Date(anchor.date.getTime() + (time - anchor.time) * 1000);
+  }
 
-        // since the playlists are sorted in ascending order by
-        // bandwidth, the first viable variant is the best
-        if (!bandwidthBestVariant) {
-          bandwidthBestVariant = variant;
-        }
-      }
+  /**
+   * Convert a wall-clock time to a position on the player timeline.
+   * @param date {Date} a program date-time
+   * @return {number} the position on the player timeline, in seconds,
+   * or null if the active media playlist doesn't specify program
+   * date-times
+   */
+  programDateTimeToTime(date) {
+    let anchors = this.programDateTimeAnchors_();
+    let anchor = anchors[0];
+    let target = new Date(date).getTime();
+    let i;
+
+    if (!anchor) {
+      return null;
     }
 
-    i = bandwidthPlaylists.length;
+    // measure from the closest program date-time before the target
+    for (i = 1; i < anchors.length && anchors[i].date.getTime() <= target; i++) {
+      anchor = anchors[i];
+    }
+    return anchor.time + (target - anchor.date.getTime()) / 1000;
+  }
 
-    // sort variants by resolution
-    bandwidthPlaylists.sort(Hls.comparePlaylistResolution);
+  /**
+   * @return {Date} the wall-clock time of the current playback
+   * position, or null if it isn't known
+   */
+  currentProgramDateTime() {
+    return this.timeToProgramDateTime(this.tech_.currentTime());
+  }
 
-    // forget our old variant from above,
-    // or we might choose that in high-bandwidth scenarios
-    // (this could be the lowest bitrate rendition as  we go through all of them above)
-    variant = null;
+  /**
+   * Seek to the position that corresponds to a wall-clock time.
+   * @param date {Date} the program date-time to seek to
+   * @return {number} the position that was seeked to, or null if the
+   * date-time couldn't be mapped to a seekable position
+   */
+  seekToDate(date) {
+    let time = this.programDateTimeToTime(date);
+    let seekable = this.seekable();
 
-    width = parseInt(safeGetComputedStyle(this.tech_.el(), 'width'), 10);
-    height = parseInt(safeGetComputedStyle(this.tech_.el(), 'height'), 10);
+    if (time === null) {
+      videojs.log.warn('Unable to seek to ' + date + ' because the ' +
+                       'playlist does not specify program date-times.');
+      return null;
+    }
+    if (seekable.length &&
+        (time < seekable.start(0) || time > seekable.end(0))) {
+      videojs.log.warn('Unable to seek to ' + date + ' because it is ' +
+                       'outside of the seekable range.');
+      return null;
+    }
 
-    // iterate through the bandwidth-filtered playlists and find
-    // best rendition by player dimension
-    while (i--) {
-      variant = bandwidthPlaylists[i];
+    this.tech_.setCurrentTime(time);
+    return time;
+  }
 
-      // ignore playlists without resolution information
-      if (!variant.attributes ||
-          !variant.attributes.RESOLUTION ||
-          !variant.attributes.RESOLUTION.width ||
-          !variant.attributes.RESOLUTION.height) {
-        continue;
-      }
+  /**
+   * Update the player duration
+   */
+  updateDuration(playlist) {
+    let oldDuration = this.mediaSource.duration;
+    let newDuration = Hls.Playlist.duration(playlist);
+    let buffered = this.tech_.buffered();
+    let setDuration = () => {
+      this.mediaSource.duration = newDuration;
+      this.tech_.trigger('durationchange');
+
+      this.mediaSource.removeEventListener('sourceopen', setDuration);
+    };
 
-      // since the playlists are sorted, the first variant that has
-      // dimensions less than or equal to the player size is the best
-
-      let variantResolution = variant.attributes.RESOLUTION;
-
-      if (variantResolution.width === width &&
-          variantResolution.height === height) {
-        // if we have the exact resolution as the player use it
-        resolutionPlusOne = null;
-        resolutionBestVariant = variant;
-        break;
-      } else if (variantResolution.width < width &&
-                 variantResolution.height < height) {
-        // if both dimensions are less than the player use the
-        // previous (next-largest) variant
-        break;
-      } else if (!resolutionPlusOne ||
-                 (variantResolution.width < resolutionPlusOneAttribute.width &&
-                  variantResolution.height < resolutionPlusOneAttribute.height)) {
-        // If we still haven't found a good match keep a
-        // reference to the previous variant for the next loop
-        // iteration
-
-        // By only saving variants if they are smaller than the
-        // previously saved variant, we ensure that we also pick
-        // the highest bandwidth variant that is just-larger-than
-        // the video player
-        resolutionPlusOne = variant;
-        resolutionPlusOneAttribute = resolutionPlusOne.attributes.RESOLUTION;
+    if (buffered.length > 0) {
+      newDuration = Math.max(newDuration, buffered.end(buffered.length - 1));
+    }
+
+    // if the duration has changed, invalidate the cached value
+    if (oldDuration !== newDuration) {
+      // update the duration
+      if (this.mediaSource.readyState !== 'open') {
+        this.mediaSource.addEventListener('sourceopen', setDuration);
+      } else if (!this.sourceBuffer || !this.sourceBuffer.updating) {
+        this.mediaSource.duration = newDuration;
+        this.tech_.trigger('durationchange');
       }
     }
+  }
+
+  /**
+   * Clear all buffers and reset any state relevant to the current
+   * source. After this function is called, the tech should be in a
+   * state suitable for switching to a different video.
+   */
+  resetSrc_() {
+    this.mainSegmentLoader_.reset();
+    this.audioSegmentLoader_.reset();
 
-    // fallback chain of variants
-    return resolutionPlusOne ||
-      resolutionBestVariant ||
-      bandwidthBestVariant ||
-      sortedPlaylists[0];
+    if (this.sourceBuffer && this.mediaSource.readyState === 'open') {
+      this.sourceBuffer.abort();
+    }
+    if (this.audioSourceBuffer_ && this.mediaSource.readyState === 'open') {
+      this.audioSourceBuffer_.abort();
+    }
+  }
+
+  cancelKeyXhr() {
+    this.mainSegmentLoader_.abortKey();
+  }
+
+  cancelSegmentXhr() {
+    this.mainSegmentLoader_.abort();
   }
 
   /**
-   * Periodically request new segments and append video data.
+  * Abort all outstanding work and cleanup.
+  */
+  dispose() {
+    this.stopCheckingBuffer_();
+    if (this.failbackTimeout_) {
+      window.clearTimeout(this.failbackTimeout_);
+    }
+    if (this.sizeChangeTimeout_) {
+      window.clearTimeout(this.sizeChangeTimeout_);
+    }
+    window.removeEventListener('resize', this.sizeChangeHandler_);
+
+    if (this.playlists) {
+      this.playlists.dispose();
+    }
+    if (this.audioPlaylists_) {
+      this.audioPlaylists_.dispose();
+    }
+    if (this.audioTracks_) {
+      this.audioTracks_.forEach((track) => {
+        this.tech_.audioTracks().removeTrack(track);
+      });
+    }
+    if (this.subtitleTracks_) {
+      this.subtitleTracks_.forEach((track) => {
+        if (track.loader_) {
+          track.loader_.dispose();
+        }
+        this.tech_.removeRemoteTextTrack(track);
+      });
+    }
+
+    this.resetSrc_();
+    super.dispose();
+  }
+
+  /**
+   * Chooses the appropriate media playlist with the adaptive bitrate
+   * strategy selected by the `abrStrategy` option.
+   * @return the media playlist to play
    */
-  checkBuffer_() {
-    // calling this method directly resets any outstanding buffer checks
-    if (this.checkBufferTimeout_) {
-      window.clearTimeout(this.checkBufferTimeout_);
-      this.checkBufferTimeout_ = null;
+  selectPlaylist() {
+    let playlists = this.playlists.master.playlists;
+    let snapshot = this.abrSnapshot_();
+    let name = this.options_.abrStrategy || 'default';
+    let strategy = getStrategy(name);
+    let selected;
+
+    if (!strategy) {
+      videojs.log.warn('Unknown ABR strategy "' + name + '", using the default');
+      strategy = defaultStrategy;
     }
 
-    this.fillBuffer();
-    this.drainBuffer();
+    selected = snapshot.variants.indexOf(strategy(snapshot));
+    if (selected === -1 && strategy !== defaultStrategy) {
+      videojs.log.warn('ABR strategy "' + name + '" did not select a variant, ' +
+                       'using the default');
+      selected = snapshot.variants.indexOf(defaultStrategy(snapshot));
+    }
 
-    // wait awhile and try again
-    this.checkBufferTimeout_ = window.setTimeout((this.checkBuffer_).bind(this),
-                                                  bufferCheckInterval);
+    return playlists[selected];
   }
 
   /**
-   * Setup a periodic task to request new segments if necessary and
-   * append bytes into the SourceBuffer.
+   * List the variants of the master playlist so they can be shown to
+   * viewers and enabled or disabled individually. Disabled variants
+   * are never selected, so enabling a single one pins playback to it.
+   * @return {array} an object for each variant with its `id`,
+   * `bandwidth`, `resolution` and `codecs`, and an `enabled` function
+   * that returns whether the variant may be selected when called
+   * without arguments and changes that when called with a boolean
    */
-  startCheckingBuffer_() {
-    this.checkBuffer_();
+  representations() {
+    if (!this.playlists || !this.playlists.master) {
+      return [];
+    }
+
+    return this.playlists.master.playlists.map((playlist) => {
+      let representation = describeVariant(playlist);
+
+      representation.enabled = (enable) => {
+        let selectable;
+
+        if (typeof enable === 'undefined') {
+          return !playlist.disabled;
+        }
+        if (!enable === !!playlist.disabled) {
+          return enable;
+        }
+
+        // there would be nothing left to play
+        selectable = this.selectableVariants_();
+        if (!enable && selectable.length === 1 && selectable[0] === playlist) {
+          videojs.log.warn('Ignoring a request to disable the last enabled ' +
+                           'representation, ' + playlist.uri + '.');
+          return true;
+        }
+
+        playlist.disabled = !enable;
+        // apply the change right away instead of after the next
+        // segment download
+        if (this.playlists.media()) {
+          this.playlists.media(this.selectPlaylist());
+        }
+        return enable;
+      };
+      return representation;
+    });
   }
 
   /**
-   * Stop the periodic task requesting new segments and feeding the
-   * SourceBuffer.
+   * Re-evaluate the active variant once the player has stopped being
+   * resized.
    */
-  stopCheckingBuffer_() {
-    if (this.checkBufferTimeout_) {
-      window.clearTimeout(this.checkBufferTimeout_);
-      this.checkBufferTimeout_ = null;
+  handleSizeChange_() {
+    if (this.sizeChangeTimeout_) {
+      window.clearTimeout(this.sizeChangeTimeout_);
     }
+    this.sizeChangeTimeout_ = window.setTimeout(() => {
+      this.sizeChangeTimeout_ = null;
+      if (!this.playlists || !this.playlists.media()) {
+        return;
+      }
+      this.playlists.media(this.selectPlaylist());
+    }, sizeChangeDelay);
   }
 
   /**
-   * Determines whether there is enough video data currently in the buffer
-   * and downloads a new segment if the buffered time is less than the goal.
-   * @param seekToTime (optional) {number} the offset into the downloaded segment
-   * to seek to, in seconds
+   * @return {array} the variants of the master playlist that are
+   * neither disabled nor excluded, before any caps are applied
    */
-  fillBuffer(mediaIndex) {
-    let tech = this.tech_;
-    let currentTime = tech.currentTime();
-    let hasBufferedContent = (this.tech_.buffered().length !== 0);
-    let currentBuffered = this.findBufferedRange_();
-    let outsideBufferedRanges = !(currentBuffered && currentBuffered.length);
-    let currentBufferedEnd = 0;
-    let bufferedTime = 0;
-    let segment;
-    let segmentInfo;
-    let segmentTimestampOffset;
-
-    // if preload is set to "none", do not download segments until playback is requested
-    if (this.loadingState_ !== 'segments') {
+  selectableVariants_() {
+    let now = Date.now();
+
+    return this.playlists.master.playlists.filter(function(playlist) {
+      return !playlist.disabled &&
+        !(typeof playlist.excludeUntil !== 'undefined' && now < playlist.excludeUntil);
+    });
+  }
+
+  /**
+   * Capture the state adaptive bitrate strategies base their decisions
+   * on. The snapshot is frozen so strategies cannot modify the playlists
+   * or the handler.
+   * @return {object} the playback state, as described in the README
+   */
+  abrSnapshot_() {
+    let media = this.playlists.media();
+    let buffered = this.findBufferedRange_();
+    let currentTime = this.tech_.currentTime();
+    let pixelRatio = this.options_.pixelRatio || window.devicePixelRatio || 1;
+    let playerWidth = parseInt(safeGetComputedStyle(this.tech_.el(), 'width'), 10) *
+      pixelRatio;
+    let playerHeight = parseInt(safeGetComputedStyle(this.tech_.el(), 'height'), 10) *
+      pixelRatio;
+    let playlists = this.playlists.master.playlists;
+    let available;
+    let allowed;
+    let variants;
+
+    // apply the caps to the variants that could otherwise be selected
+    available = this.selectableVariants_();
+    allowed = capVariants(available, {
+      maxBitrate: this.options_.maxBitrate,
+      minBitrate: this.options_.minBitrate,
+      maxResolution: this.options_.maxResolution,
+      playerSize: this.options_.capLevelToPlayerSize ? {
+        width: playerWidth,
+        height: playerHeight
+      } : null
+    });
+
+    variants = playlists.map(function(playlist, index) {
+      let attributes = videojs.mergeOptions(playlist.attributes || {});
+
+      if (attributes.RESOLUTION) {
+        Object.freeze(attributes.RESOLUTION);
+      }
+      return Object.freeze({
+        index,
+        uri: playlist.uri,
+        attributes: Object.freeze(attributes),
+        excluded: allowed.indexOf(playlist) === -1,
+        disabled: !!playlist.disabled,
+        capped: available.indexOf(playlist) !== -1 && allowed.indexOf(playlist) === -1,
+        excludeUntil: playlist.excludeUntil,
+        active: playlist === media
+      });
+    });
+
+    return Object.freeze({
+      variants: Object.freeze(variants),
+      bandwidth: this.bandwidth,
+      bandwidthHistory: Object.freeze(this.bandwidthHistory_.map(function(sample) {
+        return Object.freeze(videojs.mergeOptions(sample));
+      })),
+      currentTime,
+      seeking: this.tech_.seeking(),
+      bufferLength: buffered.length ? buffered.end(0) - currentTime : 0,
+      goalBufferLength: this.goalBufferLength_(),
+      playerWidth,
+      playerHeight,
+      pixelRatio
+    });
+  }
+
+  /**
+   * Detect playback that has stopped in front of a gap in the buffer
+   * and skip over the gap if it is small enough. Gaps can be left by
+   * discontinuities or by audio and video that start at different
+   * times, and playback would wait in front of them forever.
+   */
+  checkStall_() {
+    let currentTime = this.tech_.currentTime();
+    let now = Date.now();
+    let maxGapLength = this.options_.maxGapLength;
+    let buffered;
+    let next;
+    let gap;
+    let diagnostics;
+
+    // nothing can be buffered before a media playlist is loaded
+    if (!this.playlists || !this.playlists.media()) {
       return;
     }
 
-    // if a video has not been specified, do nothing
-    if (!tech.currentSrc() || !this.playlists) {
+    if (this.tech_.paused() || this.tech_.seeking() || this.tech_.ended() ||
+        !this.lastPlayheadPosition_ ||
+        this.lastPlayheadPosition_.currentTime !== currentTime) {
+      this.lastPlayheadPosition_ = {
+        currentTime,
+        time: now
+      };
       return;
     }
-
-    // if there is a request already in flight, do nothing
-    if (this.segmentXhr_) {
+    if (now - this.lastPlayheadPosition_.time < stallTimeout) {
       return;
     }
 
-    // wait until the buffer is up to date
-    if (this.pendingSegment_) {
+    // playback is waiting for data if it is still inside a buffered
+    // range or there's nothing buffered ahead to jump to
+    buffered = this.findBufferedRange_();
+    if (buffered.length && buffered.end(0) - currentTime > TIME_FUDGE_FACTOR) {
+      return;
+    }
+    next = this.findNextBufferedRange_();
+    if (!next.length) {
       return;
     }
 
-    // if no segments are available, do nothing
-    if (this.playlists.state === 'HAVE_NOTHING' ||
-        !this.playlists.media() ||
-        !this.playlists.media().segments) {
+    if (typeof maxGapLength !== 'number') {
+      maxGapLength = defaultMaxGapLength;
+    }
+    gap = next.start(0) - currentTime;
+    diagnostics = {
+      currentTime,
+      gap,
+      buffered: bufferedToArray(this.tech_.buffered())
+    };
+
+    if (gap <= maxGapLength) {
+      videojs.log.warn('Playback stalled at ' + currentTime + '. Skipping a gap of ' +
+                       gap + ' seconds.');
+      this.reportError_({
+        type: ErrorTypes.MEDIA,
+        details: ErrorDetails.BUFFER_GAP,
+        message: 'HLS skipped a gap of ' + gap + ' seconds in the buffer'
+      });
+      this.tech_.setCurrentTime(next.start(0) + TIME_FUDGE_FACTOR);
+      this.lastPlayheadPosition_ = null;
+      return this.tech_.trigger(videojs.mergeOptions({
+        type: 'gapjumped',
+        bubbles: true
+      }, diagnostics));
+    }
+
+    // only report a stall once for each position
+    if (this.lastPlayheadPosition_.stalled) {
       return;
     }
+    this.lastPlayheadPosition_.stalled = true;
+    videojs.log.warn('Playback stalled at ' + currentTime + ' in front of a gap of ' +
+                     gap + ' seconds.');
+    this.reportError_({
+      type: ErrorTypes.MEDIA,
+      details: ErrorDetails.BUFFER_STALLED,
+      message: 'HLS playback stalled in front of a gap of ' + gap + ' seconds'
+    });
+    // video.js passes stalled on to the player without the diagnostics,
+    // so the event doesn't bubble up to player listeners a second time
+    this.tech_.trigger(videojs.mergeOptions({
+      type: 'stalled'
+    }, diagnostics));
+  }
 
-    // if a playlist switch is in progress, wait for it to finish
-    if (this.playlists.state === 'SWITCHING_MEDIA') {
+  /**
+   * Measure the share of frames dropped while playing the active variant
+   * and, if the device can't keep up, exclude the variant for a while so
+   * a less demanding one is selected.
+   */
+  checkDroppedFrames_() {
+    let media = this.playlists && this.playlists.media();
+    let sample = this.droppedFramesSample_;
+    let now = Date.now();
+    let quality;
+    let dropped;
+    let total;
+    let alternatives;
+
+    // only frames dropped during playback are meaningful
+    if (!media || this.tech_.paused() || this.tech_.seeking()) {
+      this.droppedFramesSample_ = null;
       return;
     }
 
-    if (typeof mediaIndex === 'undefined') {
-      if (currentBuffered && currentBuffered.length) {
-        currentBufferedEnd = currentBuffered.end(0);
-        mediaIndex = this.playlists.getMediaIndexForTime_(currentBufferedEnd);
-        bufferedTime = Math.max(0, currentBufferedEnd - currentTime);
+    quality = videoPlaybackQuality(this.tech_);
+    if (!quality) {
+      return;
+    }
 
-        // if there is plenty of content in the buffer and we're not
-        // seeking, relax for awhile
-        if (bufferedTime >= Hls.GOAL_BUFFER_LENGTH) {
-          return;
-        }
-      } else {
-        mediaIndex = this.playlists.getMediaIndexForTime_(this.tech_.currentTime());
-      }
+    // start a new sample period when the variant changes so the counts
+    // only reflect the active variant
+    if (!sample || sample.uri !== media.uri) {
+      this.droppedFramesSample_ = {
+        uri: media.uri,
+        time: now,
+        dropped: quality.droppedVideoFrames,
+        total: quality.totalVideoFrames
+      };
+      return;
+    }
+    if (now - sample.time < droppedFramesSamplePeriod) {
+      return;
     }
-    segment = this.playlists.media().segments[mediaIndex];
 
-    // if the video has finished downloading
-    if (!segment) {
+    dropped = quality.droppedVideoFrames - sample.dropped;
+    total = quality.totalVideoFrames - sample.total;
+    this.droppedFramesSample_ = {
+      uri: media.uri,
+      time: now,
+      dropped: quality.droppedVideoFrames,
+      total: quality.totalVideoFrames
+    };
+    if (total < droppedFramesMinimumFrames || dropped / total <= droppedFramesThreshold) {
       return;
     }
 
-    // we have entered a state where we are fetching the same segment,
-    // try to walk forward
-    if (this.lastSegmentLoaded_ &&
-        this.playlistUriToUrl(this.lastSegmentLoaded_.uri) === this.playlistUriToUrl(segment.uri) &&
-        this.lastSegmentLoaded_.byterange === segment.byterange) {
-      return this.fillBuffer(mediaIndex + 1);
+    // keep playing the variant if there is nothing less demanding to
+    // switch to
+    alternatives = this.playlists.master.playlists.filter(function(playlist) {
+      return playlist !== media &&
+        !playlist.disabled &&
+        !(playlist.excludeUntil > now) &&
+        Hls.comparePlaylistBandwidth(playlist, media) < 0;
+    });
+    if (!alternatives.length) {
+      return;
     }
 
-    // package up all the work to append the segment
-    segmentInfo = {
-      // resolve the segment URL relative to the playlist
-      uri: this.playlistUriToUrl(segment.uri),
-      // the segment's mediaIndex & mediaSequence at the time it was requested
-      mediaIndex,
-      mediaSequence: this.playlists.media().mediaSequence,
-      // the segment's playlist
-      playlist: this.playlists.media(),
-      // The state of the buffer when this segment was requested
-      currentBufferedEnd,
-      // unencrypted bytes of the segment
-      bytes: null,
-      // when a key is defined for this segment, the encrypted bytes
-      encryptedBytes: null,
-      // optionally, the decrypter that is unencrypting the segment
-      decrypter: null,
-      // the state of the buffer before a segment is appended will be
-      // stored here so that the actual segment duration can be
-      // determined after it has been appended
-      buffered: null,
-      // The target timestampOffset for this segment when we append it
-      // to the source buffer
-      timestampOffset: null
-    };
+    videojs.log.warn('Dropped ' + dropped + ' of ' + total + ' frames playing ' +
+                     media.uri + '. Switching to another playlist.');
+    this.reportError_({
+      type: ErrorTypes.MEDIA,
+      details: ErrorDetails.DROPPED_FRAMES,
+      message: 'HLS dropped ' + dropped + ' of ' + total + ' frames'
+    });
+    media.excludeUntil = now + droppedFramesExcludeDuration;
+    this.playlists.media(this.selectPlaylist());
+  }
 
-    if (mediaIndex > 0) {
-      segmentTimestampOffset = Hls.Playlist.duration(segmentInfo.playlist,
-        segmentInfo.playlist.mediaSequence + mediaIndex) + this.playlists.expired_;
+  /**
+   * Periodically request new segments and append video data.
+   */
+  checkBuffer_() {
+    // calling this method directly resets any outstanding buffer checks
+    if (this.checkBufferTimeout_) {
+      window.clearTimeout(this.checkBufferTimeout_);
+      this.checkBufferTimeout_ = null;
     }
 
-    if (this.tech_.seeking() && outsideBufferedRanges) {
-      // If there are discontinuities in the playlist, we can't be sure of anything
-      // related to time so we reset the timestamp offset and start appending data
-      // anew on every seek
-      if (segmentInfo.playlist.discontinuityStarts.length) {
-        segmentInfo.timestampOffset = segmentTimestampOffset;
-      }
-    } else if (segment.discontinuity && currentBuffered.length) {
-      // If we aren't seeking and are crossing a discontinuity, we should set
-      // timestampOffset for new segments to be appended the end of the current
-      // buffered time-range
-      segmentInfo.timestampOffset = currentBuffered.end(0);
-    } else if (!hasBufferedContent && this.tech_.currentTime() > 0.05) {
-      // If we are trying to play at a position that is not zero but we aren't
-      // currently seeking according to the video element
-      segmentInfo.timestampOffset = segmentTimestampOffset;
+    this.checkDroppedFrames_();
+    this.checkStall_();
+    this.checkLiveSync_();
+    this.fillBuffer();
+    this.drainBuffer();
+    this.audioSegmentLoader_.fill();
+    this.audioSegmentLoader_.drain();
+    this.fillSubtitles_();
+
+    // wait awhile and try again
+    this.checkBufferTimeout_ = window.setTimeout((this.checkBuffer_).bind(this),
+                                                  bufferCheckInterval);
+  }
+
+  /**
+   * Setup a periodic task to request new segments if necessary and
+   * append bytes into the SourceBuffer.
+   */
+  startCheckingBuffer_() {
+    this.checkBuffer_();
+  }
+
+  /**
+   * Stop the periodic task requesting new segments and feeding the
+   * SourceBuffer.
+   */
+  stopCheckingBuffer_() {
+    if (this.checkBufferTimeout_) {
+      window.clearTimeout(this.checkBufferTimeout_);
+      this.checkBufferTimeout_ = null;
     }
+  }
 
-    this.loadSegment(segmentInfo);
+  /**
+   * Determines whether there is enough video data currently in the buffer
+   * and downloads a new segment if the buffered time is less than the goal.
+   * @param mediaIndex (optional) {number} the index of the segment to
+   * download
+   */
+  fillBuffer(mediaIndex) {
+    this.mainSegmentLoader_.fill(mediaIndex);
   }
 
-  playlistUriToUrl(segmentRelativeUrl) {
+  playlistUriToUrl(segmentRelativeUrl, playlist) {
     let playListUrl;
 
+    playlist = playlist || this.playlists.media();
+
       // resolve the segment URL relative to the playlist
-    if (this.playlists.media().uri === this.source_.src) {
+    if (playlist.uri === this.source_.src) {
       playListUrl = resolveUrl(this.source_.src, segmentRelativeUrl);
     } else {
       playListUrl =
-        resolveUrl(resolveUrl(this.source_.src, this.playlists.media().uri || ''),
+        resolveUrl(resolveUrl(this.source_.src, playlist.uri || ''),
                    segmentRelativeUrl);
     }
     return playListUrl;
   }
 
   /*
-   * Turns segment byterange into a string suitable for use in
-   * HTTP Range requests
+   * Sets `segmentXhrTime`, appends to the `bytesReceived` and feeds the
+   * bandwidth estimator. `bandwidth` is set to the estimate or, until
+   * the estimator has enough data, to the measurement itself. Expects an
+   * object with:
+   *  * `roundTripTime` - the round trip time for the request we're setting the time for
+   *  * `bandwidth` - the measured bandwidth of the request
+   *  * `bytesReceived` - amount of bytes downloaded
+   * `bandwidth` is the only required property.
    */
-  byterangeStr_(byterange) {
-    let byterangeStart;
-    let byterangeEnd;
+  setBandwidth(localXhr) {
+    this.segmentXhrTime = localXhr.roundTripTime;
+    this.bytesReceived += localXhr.bytesReceived || 0;
+
+    this.sampleBandwidth_(localXhr.bytesReceived || 0,
+                          localXhr.bandwidth,
+                          localXhr.bandwidth);
+
+    this.bandwidthHistory_.push({
+      bandwidth: localXhr.bandwidth,
+      bytesReceived: localXhr.bytesReceived || 0,
+      roundTripTime: localXhr.roundTripTime,
+      timestamp: Date.now()
+    });
+    if (this.bandwidthHistory_.length > bandwidthHistoryLength) {
+      this.bandwidthHistory_.shift();
+    }
 
-    // `byterangeEnd` is one less than `offset + length` because the HTTP range
-    // header uses inclusive ranges
-    byterangeEnd = byterange.offset + byterange.length - 1;
-    byterangeStart = byterange.offset;
-    return 'bytes=' + byterangeStart + '-' + byterangeEnd;
+    this.tech_.trigger('bandwidthupdate');
   }
 
-  /*
-   * Defines headers for use in the xhr request for a particular segment.
+  /**
+   * Feeds a measurement to the bandwidth estimator and copies its
+   * estimate to `bandwidth`. Values assigned to `bandwidth` in between
+   * are used for playlist selection until the next measurement.
+   * @param bytes {number} the size of the download
+   * @param bandwidth {number} the measured throughput, in bits per second
+   * @param fallback {number} (optional) the bandwidth to use if the
+   * estimator does not have enough data yet
    */
-  segmentXhrHeaders_(segment) {
-    let headers = {};
+  sampleBandwidth_(bytes, bandwidth, fallback) {
+    let estimate;
 
-    if ('byterange' in segment) {
-      headers.Range = this.byterangeStr_(segment.byterange);
+    this.bandwidthEstimator_.sample(bytes, bandwidth);
+    estimate = this.bandwidthEstimator_.estimate();
+    if (typeof estimate === 'number') {
+      this.bandwidth = estimate;
+    } else if (typeof fallback === 'number') {
+      this.bandwidth = fallback;
     }
-    return headers;
   }
 
-  /*
-   * Sets `bandwidth`, `segmentXhrTime`, and appends to the `bytesReceived.
-   * Expects an object with:
-   *  * `roundTripTime` - the round trip time for the request we're setting the time for
-   *  * `bandwidth` - the bandwidth we want to set
-   *  * `bytesReceived` - amount of bytes downloaded
-   * `bandwidth` is the only required property.
+  /**
+   * The bandwidth estimator's current estimate.
+   * @return {number} the estimated bandwidth, in bits per second
    */
-  setBandwidth(localXhr) {
-    // calculate the download bandwidth
-    this.segmentXhrTime = localXhr.roundTripTime;
-    this.bandwidth = localXhr.bandwidth;
-    this.bytesReceived += localXhr.bytesReceived || 0;
+  bandwidthEstimate() {
+    let estimate = this.bandwidthEstimator_ && this.bandwidthEstimator_.estimate();
 
-    this.tech_.trigger('bandwidthupdate');
+    if (typeof estimate === 'number') {
+      return estimate;
+    }
+    return this.bandwidth;
   }
 
   /*
@@ -1162,6 +2131,8 @@ export default class HlsHandler extends Component {
     let currentPlaylist;
     let nextPlaylist;
 
+    error = createError(error);
+
     // If the `error` was generated by the playlist loader, it will contain
     // the playlist we were trying to load (but failed) and that should be
     // blacklisted instead of the currently selected playlist which is likely
@@ -1171,8 +2142,17 @@ export default class HlsHandler extends Component {
     // If there is no current playlist, then an error occurred while we were
     // trying to load the master OR while we were disposing of the tech
     if (!currentPlaylist) {
-      this.error = error;
-      return this.mediaSource.endOfStream('network');
+      error.fatal = true;
+      return this.reportError_(error);
+    }
+    error.rendition = error.rendition || describeVariant(currentPlaylist);
+
+    // Load the same rendition from another server if it is available
+    // at more than one URI. Decode errors won't be fixed that way.
+    if (error.code !== 3 && this.failover_(currentPlaylist)) {
+      videojs.log.warn('Problem encountered with the current ' +
+                       'HLS playlist. Switching to a redundant stream.');
+      return this.reportError_(error);
     }
 
     // Blacklist this playlist
@@ -1184,214 +2164,475 @@ export default class HlsHandler extends Component {
     if (nextPlaylist) {
       videojs.log.warn('Problem encountered with the current ' +
                        'HLS playlist. Switching to another playlist.');
+      this.reportError_(error);
+      return this.playlists.media(nextPlaylist);
+    }
+    videojs.log.warn('Problem encountered with the current ' +
+                     'HLS playlist. No suitable alternatives found.');
+    // We have no more playlists we can select so we must fail
+    error.fatal = true;
+    return this.reportError_(error);
+  }
+
+  /**
+   * Report a problem to listeners. Problems that playback recovers from
+   * fire `warning`. Fatal ones fire `hlserror` and end the stream with
+   * an error, which the player takes from the tech.
+   * @param error {object} the properties of the error, as accepted by
+   * `createError`. The active rendition is filled in if none is given.
+   * @return {object} the error report
+   */
+  reportError_(error) {
+    let media = this.playlists && this.playlists.media();
+
+    error = createError(error);
+    if (!error.rendition && media) {
+      error.rendition = describeVariant(media);
+    }
+
+    if (!error.fatal) {
+      this.tech_.trigger({
+        type: 'warning',
+        bubbles: true,
+        error
+      });
+      return error;
+    }
+
+    this.error = error;
+    this.tech_.trigger({
+      type: 'hlserror',
+      bubbles: true,
+      error
+    });
+    // the tech keeps the error and fires `error`, so the player's
+    // `error()` receives the same payload. The HTML5 tech only reports
+    // the errors of its media element, so the stream is ended with one
+    // for the element to report instead.
+    this.tech_.error(error);
+    if (this.tech_.error()) {
+      this.mediaSource.endOfStream();
+    } else {
+      this.mediaSource.endOfStream(error.code === 3 ? 'decode' : 'network');
+    }
+    return error;
+  }
+
+  /**
+   * Switch a variant that failed to load to the next of its redundant
+   * URIs that hasn't failed recently. The URI that failed is avoided
+   * for as long as a blacklisted playlist would be, after which
+   * playback returns to the primary URI.
+   * @param playlist {object} the variant that failed
+   * @return {boolean} true if the variant was switched to another URI
+   */
+  failover_(playlist) {
+    let now = Date.now();
+    let uris;
+    let next;
+    let media;
+
+    playlist = this.playlists.master.playlists[playlist.uri];
+    uris = playlist.redundantUris;
+    if (!uris) {
+      return false;
+    }
+
+    playlist.excludedUris = playlist.excludedUris || {};
+    playlist.excludedUris[playlist.uri] = now + blacklistDuration;
+    next = uris.filter(function(uri) {
+      return !(playlist.excludedUris[uri] > now);
+    })[0];
+    if (!next) {
+      return false;
+    }
+
+    this.useRedundantUri_(playlist, next);
+    // the loader reloads the active variant itself, but a variant that
+    // failed to load in the first place has to be requested again
+    media = this.playlists.media();
+    if (!media || media.uri !== next) {
+      this.playlists.media(next);
+    }
+    if (next !== uris[0] && !this.failbackTimeout_) {
+      this.failbackTimeout_ = window.setTimeout(() => this.failback_(),
+                                                playlist.excludedUris[uris[0]] - now);
+    }
+    return true;
+  }
+
+  /**
+   * Return variants that failed over to a backup URI to their primary
+   * URI, once the primary has been avoided for long enough.
+   */
+  failback_() {
+    let now = Date.now();
+    let retryAt = Infinity;
+
+    this.failbackTimeout_ = null;
+    this.playlists.master.playlists.forEach((playlist) => {
+      let primary = playlist.redundantUris && playlist.redundantUris[0];
+
+      if (!primary || playlist.uri === primary) {
+        return;
+      }
+      if (playlist.excludedUris[primary] > now) {
+        retryAt = Math.min(retryAt, playlist.excludedUris[primary]);
+        return;
+      }
+      this.useRedundantUri_(playlist, primary);
+    });
+
+    if (retryAt < Infinity) {
+      this.failbackTimeout_ = window.setTimeout(() => this.failback_(), retryAt - now);
+    }
+  }
+
+  /**
+   * Load a variant from another of its redundant URIs, keeping the
+   * quality level and playback position.
+   * @param playlist {object} the variant to switch
+   * @param uri {string} the URI to load the variant from
+   */
+  useRedundantUri_(playlist, uri) {
+    let from = playlist.uri;
+
+    this.playlists.useRedundantUri(playlist, uri);
+    this.tech_.trigger({
+      type: 'failover',
+      bubbles: true,
+      from,
+      to: uri
+    });
+  }
+
+  /**
+   * Make a failed request again after a delay if the retry policy
+   * allows it.
+   * @param request {object} the request that failed
+   * @param attempt {object} tracks the number of times the request has
+   * been made in its `attempts` property, which is incremented if the
+   * request will be retried
+   * @param retry {function} makes the request again
+   * @param error {object} describes the failure. It is reported as a
+   * warning if the request will be retried.
+   * @return {number} the timeout that will retry the request, or null
+   * if the request shouldn't be retried
+   */
+  scheduleRetry_(request, attempt, retry, error) {
+    let attempts = attempt.attempts || 1;
+
+    if (!this.retryPolicy_.shouldRetry(request, attempts)) {
+      return null;
+    }
+    attempt.attempts = attempts + 1;
+    videojs.log.warn('Request to ' + request.url + ' failed, retrying.');
+    error.retryCount = attempts - 1;
+    this.reportError_(error);
+    return window.setTimeout(retry, this.retryPolicy_.delay(attempts));
+  }
+
+  /**
+   * @return {object} the configuration of the playlist loaders for the
+   * variant and alternate audio playlists
+   */
+  playlistLoaderOptions_() {
+    return {
+      alignRefreshToLastSegment: !!this.options_.alignRefreshToLastSegment,
+      retry: this.options_.retry
+    };
+  }
+
+  /**
+   * @return {number} the number of seconds of video to buffer ahead of
+   * the current time before pausing segment downloads
+   */
+  goalBufferLength_() {
+    let goal = Hls.GOAL_BUFFER_LENGTH;
 
-      return this.playlists.media(nextPlaylist);
+    if (typeof this.options_.goalBufferLength === 'number') {
+      goal = this.options_.goalBufferLength;
     }
-    videojs.log.warn('Problem encountered with the current ' +
-                     'HLS playlist. No suitable alternatives found.');
-    // We have no more playlists we can select so we must fail
-    this.error = error;
-    return this.mediaSource.endOfStream('network');
+    if (typeof this.options_.maxBufferLength === 'number') {
+      goal = Math.min(goal, this.options_.maxBufferLength);
+    }
+    // stay below the point where the source buffer ran out of space
+    if (typeof this.quotaGoalBufferLength_ === 'number') {
+      goal = Math.min(goal, this.quotaGoalBufferLength_);
+    }
+    return goal;
   }
 
-  loadSegment(segmentInfo) {
-    let segment = segmentInfo.playlist.segments[segmentInfo.mediaIndex];
-    let removeToTime = 0;
+  /**
+   * Determine how much of a buffer can be removed to stay within the
+   * back-buffer and maximum buffer lengths.
+   * @param buffered {TimeRanges} the buffered range containing the
+   * current time
+   * @return {number} the time before which buffered content should be
+   * removed
+   */
+  backBufferEnd_(buffered) {
     let seekable = this.seekable();
     let currentTime = this.tech_.currentTime();
+    let backBufferLength = this.options_.backBufferLength;
+    let maxBufferLength = this.options_.maxBufferLength;
+    let seekableStart = null;
+    let removeToTime;
+    let bufferedAhead;
 
-    // Chrome has a hard limit of 150mb of
-    // buffer and a very conservative "garbage collector"
-    // We manually clear out the old buffer to ensure
-    // we don't trigger the QuotaExceeded error
-    // on the source buffer during subsequent appends
-    if (this.sourceBuffer && !this.sourceBuffer.updating) {
-      // If we have a seekable range use that as the limit for what can be removed safely
-      // otherwise remove anything older than 1 minute before the current play head
-      if (seekable.length && seekable.start(0) > 0 && seekable.start(0) < currentTime) {
-        removeToTime = seekable.start(0);
-      } else {
-        removeToTime = currentTime - 60;
-      }
+    // content before the seekable window can't be played again
+    if (seekable.length && seekable.start(0) > 0 && seekable.start(0) < currentTime) {
+      seekableStart = seekable.start(0);
+    }
 
-      if (removeToTime > 0) {
-        this.sourceBuffer.remove(0, removeToTime);
+    if (typeof backBufferLength === 'number') {
+      removeToTime = currentTime - backBufferLength;
+      if (seekableStart !== null) {
+        removeToTime = Math.max(removeToTime, seekableStart);
       }
+    } else if (seekableStart !== null) {
+      removeToTime = seekableStart;
+    } else {
+      // otherwise remove anything older than 1 minute before the
+      // current play head
+      removeToTime = currentTime - 60;
     }
 
-    // if the segment is encrypted, request the key
-    if (segment.key) {
-      this.fetchKey_(segment);
-    }
-
-    // request the next segment
-    this.segmentXhr_ = this.tech_.hls.xhr({
-      uri: segmentInfo.uri,
-      responseType: 'arraybuffer',
-      withCredentials: this.source_.withCredentials,
-      // Set xhr timeout to 150% of the segment duration to allow us
-      // some time to switch renditions in the event of a catastrophic
-      // decrease in network performance or a server issue.
-      timeout: (segment.duration * 1.5) * 1000,
-      headers: this.segmentXhrHeaders_(segment)
-    }, (error, request) => {
-      // This is a timeout of a previously aborted segment request
-      // so simply ignore it
-      if (!this.segmentXhr_ || request !== this.segmentXhr_) {
-        return;
-      }
+    // make room for the content ahead of the play head
+    if (typeof maxBufferLength === 'number') {
+      bufferedAhead = buffered && buffered.length ? buffered.end(0) - currentTime : 0;
+      removeToTime = Math.max(removeToTime,
+                              currentTime - Math.max(0, maxBufferLength - bufferedAhead));
+    }
+    return removeToTime;
+  }
 
-      // the segment request is no longer outstanding
-      this.segmentXhr_ = null;
+  loadSegment(segmentInfo) {
+    this.mainSegmentLoader_.load(segmentInfo);
+  }
 
-      // if a segment request times out, we may have better luck with another playlist
-      if (request.timedout) {
-        this.bandwidth = 1;
-        return this.playlists.media(this.selectPlaylist());
-      }
+  drainBuffer() {
+    this.mainSegmentLoader_.drain();
+  }
 
-      // otherwise, trigger a network error
-      if (!request.aborted && error) {
-        return this.blacklistCurrentPlaylist_({
-          status: request.status,
-          message: 'HLS segment request error at URL: ' + segmentInfo.uri,
-          code: (request.status >= 500) ? 4 : 2
-        });
-      }
+  /**
+   * Recover from an append to the source buffer that failed. If the
+   * source buffer is full, buffered content is removed to make room for
+   * the pending segment, which is appended again on the next buffer
+   * check, and less video is buffered from then on. Running out of
+   * space repeatedly is fatal. Other errors are recovered from with
+   * `handleMediaError_`.
+   * @param error {Error} the exception thrown by `appendBuffer`
+   * @param loader {SegmentLoader} the segment loader whose append
+   * failed, either the main or the alternate audio one
+   */
+  handleAppendError_(error, loader) {
+    let sourceBuffer = loader.sourceBuffer();
+    let currentTime = this.tech_.currentTime();
+    let buffered = loader.buffered();
+    let media = loader.media();
+    let removeToTime;
+    let removeFromTime;
+
+    if (error.name !== 'QuotaExceededError' && error.code !== 22) {
+      return this.handleMediaError_({
+        type: ErrorTypes.MEDIA,
+        details: ErrorDetails.APPEND_ERROR,
+        message: 'HLS could not append a segment: ' + error.message
+      });
+    }
 
-      // stop processing if the request was aborted
-      if (!request.response) {
-        return;
+    this.quotaExceededCount_ = (this.quotaExceededCount_ || 0) + 1;
+    this.quotaGoalBufferLength_ = Math.max(minimumGoalBufferLength,
+                                           this.goalBufferLength_() / 2);
+
+    // keep the segment being played so the current frame isn't removed
+    removeToTime = currentTime - ((media && media.targetDuration) || 10);
+    removeFromTime = currentTime + this.goalBufferLength_();
+
+    if (this.quotaExceededCount_ <= maxQuotaExceededRetries && buffered.length) {
+      // make room by removing content behind the play head first, and
+      // content far ahead of it if there is none
+      if (buffered.start(0) < removeToTime) {
+        videojs.log.warn('The source buffer is full. Removing content ' +
+                         'before ' + removeToTime + '.');
+        this.reportError_({
+          type: ErrorTypes.MEDIA,
+          details: ErrorDetails.BUFFER_FULL,
+          message: 'HLS ran out of space in the source buffer'
+        });
+        return sourceBuffer.remove(0, removeToTime);
       }
-
-      this.lastSegmentLoaded_ = segment;
-      this.setBandwidth(request);
-
-      if (segment.key) {
-        segmentInfo.encryptedBytes = new Uint8Array(request.response);
-      } else {
-        segmentInfo.bytes = new Uint8Array(request.response);
+      if (buffered.end(buffered.length - 1) > removeFromTime) {
+        videojs.log.warn('The source buffer is full. Removing content ' +
+                         'after ' + removeFromTime + '.');
+        this.reportError_({
+          type: ErrorTypes.MEDIA,
+          details: ErrorDetails.BUFFER_FULL,
+          message: 'HLS ran out of space in the source buffer'
+        });
+        return sourceBuffer.remove(removeFromTime, Infinity);
       }
+    }
 
-      this.pendingSegment_ = segmentInfo;
-
-      this.tech_.trigger('progress');
-      this.drainBuffer();
-
-      // figure out what stream the next segment should be downloaded from
-      // with the updated bandwidth information
-      this.playlists.media(this.selectPlaylist());
+    return this.reportError_({
+      type: ErrorTypes.MEDIA,
+      details: ErrorDetails.BUFFER_FULL,
+      message: 'HLS ran out of space in the source buffer',
+      fatal: true
     });
-
   }
 
-  drainBuffer() {
-    let segmentInfo;
-    let mediaIndex;
-    let playlist;
-    let bytes;
-    let segment;
-    let decrypter;
-    let segIv;
-
-    // if the buffer is empty or the source buffer hasn't been created
-    // yet, do nothing
-    if (!this.pendingSegment_ || !this.sourceBuffer) {
-      return;
-    }
+  /**
+   * Recover from a segment that couldn't be appended by recreating the
+   * MediaSource, up to `mediaErrorRecoveryAttempts` times before a
+   * segment after the failed one has been appended. If the rendition
+   * fails again before then, its segments are probably corrupt, so it
+   * is excluded and another one is selected.
+   * @param error {object} the properties of the error, as accepted by
+   * `createError`
+   * @return {object} the error report
+   */
+  handleMediaError_(error) {
+    let media = this.playlists.media();
+    let segmentInfo = this.mainSegmentLoader_.pendingSegment_;
+    let maxAttempts = this.options_.mediaErrorRecoveryAttempts;
+    let nextPlaylist;
 
-    // the pending segment has already been appended and we're waiting
-    // for updateend to fire
-    if (this.pendingSegment_.buffered) {
-      return;
+    if (typeof maxAttempts !== 'number') {
+      maxAttempts = defaultMediaErrorRecoveryAttempts;
+    }
+    error = createError(error);
+    this.mediaErrorRecoveries_ = (this.mediaErrorRecoveries_ || 0) + 1;
+    if (!media || this.mediaErrorRecoveries_ > maxAttempts) {
+      error.fatal = true;
+      return this.reportError_(error);
+    }
+    error.rendition = describeVariant(media);
+
+    if (this.mediaErrorUri_ === media.uri) {
+      media.excludeUntil = Date.now() + blacklistDuration;
+      nextPlaylist = this.selectPlaylist();
+      if (!nextPlaylist) {
+        videojs.log.warn('Repeated media errors playing ' + media.uri +
+                         '. No suitable alternatives found.');
+        error.fatal = true;
+        return this.reportError_(error);
+      }
+      videojs.log.warn('Repeated media errors playing ' + media.uri +
+                       '. Switching to another playlist.');
+      this.playlists.media(nextPlaylist);
     }
+    this.mediaErrorUri_ = media.uri;
+    if (segmentInfo) {
+      this.mediaErrorSequence_ = segmentInfo.mediaSequence + segmentInfo.mediaIndex;
+    }
+
+    this.reportError_(error);
+    this.recoverMediaError();
+    return error;
+  }
+
+  /**
+   * Replace the MediaSource and its SourceBuffers after a media error,
+   * without reloading the playlists. Playback continues in the active
+   * rendition from the current position.
+   */
+  recoverMediaError() {
+    let currentTime = this.tech_.currentTime();
+    let paused = this.tech_.paused();
+    let mediaSource;
 
-    // we can't append more data if the source buffer is busy processing
-    // what we've already sent
-    if (this.sourceBuffer.updating) {
+    if (!this.mediaSource || !this.playlists) {
       return;
     }
+    videojs.log.warn('Recovering from a media error at ' + currentTime + '.');
+    this.playedBeforeRecovery_ = this.playedBeforeRecovery_ ||
+      this.tech_.played().length > 0;
 
-    segmentInfo = this.pendingSegment_;
-    mediaIndex = segmentInfo.mediaIndex;
-    playlist = segmentInfo.playlist;
-    bytes = segmentInfo.bytes;
-    segment = playlist.segments[mediaIndex];
-
-    if (segment.key && !bytes) {
-      // this is an encrypted segment
-      // if the key download failed, we want to skip this segment
-      // but if the key hasn't downloaded yet, we want to try again later
-      if (keyFailed(segment.key)) {
-        return this.blacklistCurrentPlaylist_({
-          message: 'HLS segment key request error.',
-          code: 4
-        });
-      } else if (!segment.key.bytes) {
-        // waiting for the key bytes, try again later
+    this.resetSrc_();
+    this.sourceBuffer = null;
+    this.audioSourceBuffer_ = null;
+    this.mainEnded_ = false;
+    this.audioEnded_ = false;
+    this.error = null;
+
+    mediaSource = new videojs.MediaSource({ mode: this.mode_ });
+    this.mediaSource = mediaSource;
+    mediaSource.addEventListener('sourceopen', () => {
+      // a newer recovery replaced this MediaSource before it opened
+      if (mediaSource !== this.mediaSource || this.sourceBuffer) {
         return;
-      } else if (segmentInfo.decrypter) {
-        // decryption is in progress, try again later
+      }
+      this.setupSourceBuffer_();
+      if (!this.sourceBuffer) {
         return;
       }
-      // if the media sequence is greater than 2^32, the IV will be incorrect
-      // assuming 10s segments, that would be about 1300 years
-      segIv = segment.key.iv ||
-        new Uint32Array([0, 0, 0, mediaIndex + playlist.mediaSequence]);
-
-      // create a decrypter to incrementally decrypt the segment
-      decrypter = new Hls.Decrypter(segmentInfo.encryptedBytes,
-                                    segment.key.bytes,
-                                    segIv,
-                                    function(error, localBytes) {
-                                      if (error) {
-                                        videojs.log.warn(error);
-                                      }
-                                      segmentInfo.bytes = localBytes;
-                                    });
-      segmentInfo.decrypter = decrypter;
-      return;
-    }
-
-    this.pendingSegment_.buffered = this.tech_.buffered();
-
-    if (segmentInfo.timestampOffset !== null) {
-      this.sourceBuffer.timestampOffset = segmentInfo.timestampOffset;
-    }
+      this.updateDuration(this.playlists.media());
+      if (currentTime) {
+        this.tech_.setCurrentTime(currentTime);
+      }
+      if (!paused) {
+        this.tech_.play();
+      }
+      this.fillBuffer(this.playlists.getMediaIndexForTime_(currentTime));
+    });
 
-    // the segment is asynchronously added to the current buffered data
-    this.sourceBuffer.appendBuffer(bytes);
+    // a media error may have stopped the buffer checks
+    this.startCheckingBuffer_();
+    this.tech_.src(videojs.URL.createObjectURL(mediaSource));
   }
 
-  updateEndHandler_() {
-    let segmentInfo = this.pendingSegment_;
+  /**
+   * Update the timeline and decide what to load next once a segment of
+   * the active variant has been appended.
+   * @param segmentInfo {object} the segment that was appended
+   */
+  handleSegmentAppended_(segmentInfo) {
     let playlist;
     let currentMediaIndex;
     let currentBuffered;
     let seekable;
     let timelineUpdate;
     let isEndOfStream;
+    let partial;
 
-    // stop here if the update errored or was aborted
-    if (!segmentInfo) {
-      this.pendingSegment_ = null;
-      return;
-    }
+    this.quotaExceededCount_ = 0;
 
-    // In Firefox, the updateend event is triggered for both removing from the buffer and
-    // adding to the buffer. To prevent this code from executing on removals, we wait for
-    // segmentInfo to have a filled in buffered value before we continue processing.
-    if (!segmentInfo.buffered) {
-      return;
+    // loading restarts from the play head after a media error, so the
+    // error has only been recovered from once a segment after the one
+    // that failed is appended
+    if (typeof this.mediaErrorSequence_ !== 'number' ||
+        segmentInfo.mediaSequence + segmentInfo.mediaIndex > this.mediaErrorSequence_) {
+      this.mediaErrorRecoveries_ = 0;
+      this.mediaErrorUri_ = null;
+      this.mediaErrorSequence_ = null;
     }
 
-    this.pendingSegment_ = null;
-
     playlist = segmentInfo.playlist;
     currentMediaIndex = segmentInfo.mediaIndex +
       (segmentInfo.mediaSequence - playlist.mediaSequence);
+
+    // the segment a part belongs to may have been completed by a later
+    // version of the playlist than the one the part was requested from
+    if (segmentInfo.part && playlist.uri === this.playlists.media().uri) {
+      playlist = this.playlists.media();
+      currentMediaIndex = segmentInfo.mediaIndex +
+        (segmentInfo.mediaSequence - playlist.mediaSequence);
+    }
+    partial = segmentInfo.part &&
+      !isLastPart(playlist, currentMediaIndex, segmentInfo.partIndex);
+
     currentBuffered = this.findBufferedRange_();
-    isEndOfStream = detectEndOfStream(playlist, this.mediaSource, currentMediaIndex, currentBuffered);
+    isEndOfStream = !partial &&
+      detectEndOfStream(playlist, this.mediaSource, currentMediaIndex, currentBuffered);
+    this.mainEnded_ = isEndOfStream;
+
+    // wait for the alternate audio to finish buffering before
+    // signaling the end of the stream
+    if (this.audioPlaylists_ && !this.audioEnded_) {
+      isEndOfStream = false;
+    }
 
     // if we switched renditions don't try to add segment timeline
     // information to the playlist
@@ -1421,6 +2662,12 @@ export default class HlsHandler extends Component {
       }
     }
 
+    // the timing of a part doesn't describe the whole segment, so wait
+    // until its last part is in
+    if (partial) {
+      return this.fillBuffer();
+    }
+
     timelineUpdate = Hls.findSoleUncommonTimeRangesEnd_(segmentInfo.buffered,
                                                         this.tech_.buffered());
 
@@ -1450,68 +2697,427 @@ export default class HlsHandler extends Component {
   }
 
   /**
-   * Attempt to retrieve the key for a particular media segment.
+   * Create a playlist loader for the alternate audio rendition that
+   * accompanies the active variant, if there is one, and expose the
+   * renditions of the variant's AUDIO group as audio tracks. Renditions
+   * without a URI are muxed into the variant and need no extra work.
+   */
+  setupAudio_() {
+    let rendition = selectAudioRendition(this.playlists.master,
+                                         this.playlists.media());
+
+    if (!rendition) {
+      return;
+    }
+
+    this.setupAudioTracks_(rendition);
+
+    if (!rendition.uri) {
+      return;
+    }
+
+    this.loadAudioRendition_(rendition);
+  }
+
+  /**
+   * Start loading the playlist of an alternate audio rendition.
+   * @param rendition {object} an AUDIO rendition from the master
+   * playlist's media groups
+   */
+  loadAudioRendition_(rendition) {
+    let loader = new Hls.PlaylistLoader(
+      resolveUrl(this.playlists.master.uri, rendition.uri),
+      this.tech_.hls,
+      this.options_.withCredentials,
+      this.playlistLoaderOptions_());
+
+    this.audioRendition_ = rendition;
+    this.audioPlaylists_ = loader;
+
+    loader.on('loadedmetadata', () => {
+      if (!this.sourceBuffer) {
+        this.setupSourceBuffer_();
+      }
+      this.audioSegmentLoader_.fill();
+    });
+
+    loader.on('error', () => {
+      videojs.log.warn('Problem encountered with the alternate audio ' +
+                       'HLS playlist.');
+      this.reportError_(videojs.mergeOptions(loader.error, {
+        fatal: true
+      }));
+    });
+
+    loader.on('warning', (error) => {
+      this.reportError_(error);
+    });
+  }
+
+  /**
+   * Populate the tech's audio track list with one track for each
+   * rendition in the AUDIO group of the active variant.
+   * @param activeRendition {object} the rendition that is initially
+   * enabled
    */
-  fetchKey_(segment) {
-    let key;
-    let settings;
-    let receiveKey;
+  setupAudioTracks_(activeRendition) {
+    let group;
 
-    // if there is a pending XHR or no segments, don't do anything
-    if (this.keyXhr_) {
+    // audio tracks are only available in video.js 5.10 and later
+    if (!this.tech_.audioTracks || !videojs.AudioTrack) {
       return;
     }
 
-    settings = this.options_;
+    group = this.playlists.master.mediaGroups.AUDIO[
+      this.playlists.media().attributes.AUDIO];
 
-    /**
-    * Handle a key XHR response.
-    */
-    receiveKey = (keyRecieved) => {
-      return (error, request) => {
-        let view;
+    this.audioTracks_ = Object.keys(group).map((name) => {
+      let rendition = group[name];
+      let kind = 'alternative';
+      let track;
 
-        this.keyXhr_ = null;
+      if ((/describes-video/).test(rendition.characteristics)) {
+        kind = 'main-desc';
+      } else if (rendition.default) {
+        kind = 'main';
+      }
 
-        if (error || !request.response || request.response.byteLength !== 16) {
-          keyRecieved.retries = keyRecieved.retries || 0;
-          keyRecieved.retries++;
-          if (!request.aborted) {
-            // try fetching again
-            this.fetchKey_(segment);
-          }
-          return;
-        }
+      track = new videojs.AudioTrack({
+        id: name,
+        kind,
+        label: name,
+        language: rendition.language || '',
+        enabled: rendition === activeRendition
+      });
+      track.rendition_ = rendition;
 
-        view = new DataView(request.response);
-        keyRecieved.bytes = new Uint32Array([
-          view.getUint32(0),
-          view.getUint32(4),
-          view.getUint32(8),
-          view.getUint32(12)
-        ]);
+      this.tech_.audioTracks().addTrack(track);
+      return track;
+    });
 
-        // check to see if this allows us to make progress buffering now
-        this.checkBuffer_();
-      };
-    };
+    this.on(this.tech_.audioTracks(), 'change', this.handleAudioTrackChange_);
+  }
+
+  /**
+   * Switch the alternate audio rendition to match the enabled audio
+   * track. Only the audio buffer is flushed and refilled so video
+   * playback continues uninterrupted.
+   */
+  handleAudioTrackChange_() {
+    let enabled = this.audioTracks_.filter(function(track) {
+      return track.enabled;
+    })[0];
+    let rendition = enabled && enabled.rendition_;
 
-    key = segment.key;
+    if (!rendition || rendition === this.audioRendition_) {
+      return;
+    }
+
+    // switching is only possible between renditions that are delivered
+    // separately from the video
+    if (!rendition.uri || !this.audioSourceBuffer_) {
+      videojs.log.warn('Switching to the "' + enabled.id + '" audio track ' +
+                       'is not supported because it is muxed with the video.');
+      return;
+    }
+
+    this.audioPlaylists_.dispose();
+    this.audioSegmentLoader_.reset();
+    this.audioEnded_ = false;
+
+    // flush the buffered audio of the previous rendition
+    if (this.audioSourceBuffer_.updating) {
+      this.audioSourceBuffer_.abort();
+    }
+    this.audioSourceBuffer_.remove(0, Infinity);
+
+    this.loadAudioRendition_(rendition);
+
+    // keep track of expired time in live streams that have started
+    if (this.tech_.played().length) {
+      this.audioPlaylists_.trigger('firstplay');
+    }
+  }
+
+  /**
+   * Reset the alternate audio buffering process to start at the
+   * specified position if that position is not already buffered.
+   * @param currentTime {number} the new playback position
+   */
+  setAudioCurrentTime_(currentTime) {
+    let buffered;
+
+    if (!this.audioPlaylists_ ||
+        !this.audioPlaylists_.media() ||
+        !this.audioSourceBuffer_) {
+      return;
+    }
+
+    buffered = this.findAudioBufferedRange_(currentTime);
+    if (buffered && buffered.length) {
+      return;
+    }
+
+    // if we are in the middle of appending a segment, let it finish up
+    if (this.audioSegmentLoader_.appending()) {
+      return;
+    }
+
+    this.audioEnded_ = false;
+    this.audioSegmentLoader_.restart(
+      this.audioPlaylists_.getMediaIndexForTime_(currentTime));
+  }
+
+  /**
+   * @return {TimeRanges} the content in the alternate audio
+   * SourceBuffer, which is empty until the SourceBuffer is created
+   */
+  audioBuffered_() {
+    if (!this.audioSourceBuffer_) {
+      return videojs.createTimeRanges();
+    }
+    return this.audioSourceBuffer_.buffered;
+  }
+
+  /**
+   * Update the audio timeline and decide what to load next once an
+   * alternate audio segment has been appended.
+   * @param segmentInfo {object} the segment that was appended
+   */
+  handleAudioSegmentAppended_(segmentInfo) {
+    let playlist;
+    let mediaIndex;
+    let timelineUpdate;
+
+    playlist = this.audioPlaylists_.media();
+    mediaIndex = segmentInfo.mediaIndex +
+      (segmentInfo.mediaSequence - playlist.mediaSequence);
+
+    timelineUpdate = Hls.findSoleUncommonTimeRangesEnd_(segmentInfo.buffered,
+                                                        this.audioSourceBuffer_.buffered);
+    updateSegmentMetadata(playlist, mediaIndex, timelineUpdate);
+
+    this.audioEnded_ = detectEndOfStream(playlist,
+                                         this.mediaSource,
+                                         mediaIndex,
+                                         this.findAudioBufferedRange_());
+    if (this.audioEnded_) {
+      if (this.mainEnded_) {
+        return this.mediaSource.endOfStream();
+      }
+      return;
+    }
+
+    // if the append did not extend the buffer, walk forward to the
+    // next segment
+    if (timelineUpdate === null &&
+        segmentInfo.buffered.length === this.audioSourceBuffer_.buffered.length) {
+      return this.audioSegmentLoader_.fill(mediaIndex + 1);
+    }
+    this.audioSegmentLoader_.fill();
+  }
+
+  /**
+   * Record how the media timestamps of a segment's discontinuity
+   * sequence translate to the player timeline, so subtitle cues can be
+   * placed alongside the video they accompany.
+   * @param segmentInfo {object} the segment that is about to be
+   * appended
+   */
+  updateTimelineMapping_(segmentInfo) {
+    let timeline = segmentTimeline(segmentInfo.playlist, segmentInfo.mediaIndex);
+    let pts;
+
+    // the mapping only changes when the timestamp offset does
+    if (segmentInfo.timestampOffset === null &&
+        typeof this.timelineMappings_[timeline] !== 'undefined') {
+      return;
+    }
+
+    // WebVTT timestamp maps of fragmented MP4 streams refer to the
+    // decode times of the media, which the SourceBuffer offsets directly
+    if (segmentInfo.segment.map) {
+      pts = 0;
+    } else {
+      pts = firstPts(segmentInfo.bytes);
+    }
+    if (pts === null) {
+      return;
+    }
+    this.timelineMappings_[timeline] =
+      (this.sourceBuffer.timestampOffset || 0) - pts;
+  }
+
+  /**
+   * Create a text track for each rendition in the SUBTITLES group of
+   * the active variant and enable the ones the master playlist
+   * recommends.
+   */
+  setupSubtitles_() {
+    let master = this.playlists.master;
+    let groupId = (this.playlists.media().attributes || {}).SUBTITLES;
+    let language = (window.navigator.language || '').toLowerCase();
+    let group;
+    let selected;
 
-    // nothing to do if this segment is unencrypted
-    if (!key) {
+    if (!groupId || !master.mediaGroups || !master.mediaGroups.SUBTITLES[groupId]) {
       return;
     }
+    group = master.mediaGroups.SUBTITLES[groupId];
+
+    this.subtitleTracks_ = Object.keys(group).map((name) => {
+      let rendition = group[name];
+      let track = this.tech_.addRemoteTextTrack({
+        kind: 'subtitles',
+        label: name,
+        language: rendition.language || ''
+      }, true).track;
+
+      track.rendition_ = rendition;
+      track.loader_ = null;
+      track.mode = 'disabled';
+      return track;
+    });
+
+    // show the default subtitles or, failing that, the ones the player
+    // may automatically select in the user's language
+    selected = this.subtitleTracks_.filter(function(track) {
+      return !track.rendition_.forced && track.rendition_.default;
+    })[0] || this.subtitleTracks_.filter(function(track) {
+      let trackLanguage = (track.rendition_.language || '').toLowerCase();
+
+      return !track.rendition_.forced &&
+        track.rendition_.autoselect &&
+        trackLanguage &&
+        language.split('-')[0] === trackLanguage.split('-')[0];
+    })[0];
+    if (selected) {
+      selected.mode = 'showing';
+    }
+
+    this.on(this.tech_.textTracks(), 'change', this.handleTextTrackChange_);
+    this.handleTextTrackChange_();
+  }
+
+  /**
+   * Show forced subtitles when no other subtitles are and download
+   * subtitles only for the tracks that are enabled.
+   */
+  handleTextTrackChange_() {
+    let audioRendition;
+    let audioLanguage;
+    let forced;
+    let regularShowing;
+    let enabledAudio;
+
+    regularShowing = this.subtitleTracks_.some(function(track) {
+      return !track.rendition_.forced && track.mode === 'showing';
+    });
+
+    // forced subtitles translate dialogue the audio doesn't, so prefer
+    // the ones in the language of the audio
+    enabledAudio = (this.audioTracks_ || []).filter(function(track) {
+      return track.enabled;
+    })[0];
+    audioRendition = enabledAudio ? enabledAudio.rendition_ :
+      selectAudioRendition(this.playlists.master, this.playlists.media());
+    audioLanguage = audioRendition && audioRendition.language;
+    forced = this.subtitleTracks_.filter(function(track) {
+      return track.rendition_.forced;
+    });
+    forced = forced.filter(function(track) {
+      return track.rendition_.language === audioLanguage;
+    })[0] || forced[0];
+
+    this.subtitleTracks_.forEach((track) => {
+      if (track.rendition_.forced) {
+        let mode = !regularShowing && track === forced ? 'showing' : 'disabled';
+
+        if (track.mode !== mode) {
+          track.mode = mode;
+        }
+      }
+
+      if (track.mode === 'disabled') {
+        if (track.loader_) {
+          track.loader_.dispose();
+          track.loader_ = null;
+        }
+        return;
+      }
+
+      if (!track.loader_ && track.rendition_.uri) {
+        this.loadSubtitleRendition_(track);
+      }
+    });
+  }
+
+  /**
+   * Start loading the subtitles of a text track.
+   * @param track {object} a text track created for a SUBTITLES
+   * rendition
+   */
+  loadSubtitleRendition_(track) {
+    let loader = new SubtitleLoader(
+      resolveUrl(this.playlists.master.uri, track.rendition_.uri),
+      this.tech_.hls,
+      this.options_.withCredentials,
+      track);
+
+    track.loader_ = loader;
+
+    loader.playlists.on('loadedmetadata', () => {
+      this.fillSubtitles_();
+    });
+
+    // subtitles are not essential for playback so stop loading them
+    // instead of interrupting the video if the playlist is unavailable
+    loader.on('error', () => {
+      videojs.log.warn('Problem encountered loading the "' + track.label +
+                       '" subtitles.');
+      this.reportError_(loader.error);
+      if (track.loader_ === loader) {
+        loader.dispose();
+        track.loader_ = null;
+      }
+    });
+    loader.on('warning', (error) => {
+      this.reportError_(error);
+    });
+    loader.on('warn', function(warning) {
+      videojs.log.warn(warning.message);
+    });
+
+    // keep track of expired time in live streams that have started
+    if (this.tech_.played().length) {
+      loader.playlists.trigger('firstplay');
+    }
+  }
+
+  /**
+   * @return {array} the subtitle loaders of the enabled text tracks
+   */
+  activeSubtitleLoaders_() {
+    return (this.subtitleTracks_ || []).filter(function(track) {
+      return track.loader_;
+    }).map(function(track) {
+      return track.loader_;
+    });
+  }
 
-    // request the key if the retry limit hasn't been reached
-    if (!key.bytes && !keyFailed(key)) {
-      this.keyXhr_ = this.tech_.hls.xhr({
-        uri: this.playlistUriToUrl(key.uri),
-        responseType: 'arraybuffer',
-        withCredentials: settings.withCredentials
-      }, receiveKey(key));
+  /**
+   * Download the subtitles for the content ahead of the playhead.
+   */
+  fillSubtitles_() {
+    if (this.loadingState_ !== 'segments') {
       return;
     }
+
+    this.activeSubtitleLoaders_().forEach((loader) => {
+      loader.fill(this.tech_.currentTime(),
+                  this.goalBufferLength_(),
+                  this.timelineMappings_);
+    });
   }
 }
 
@@ -1540,6 +3146,21 @@ HlsHandler.prototype.findNextBufferedRange_ =
     return start - TIME_FUDGE_FACTOR >= time;
   });
 
+/**
+ * Attempts to find the range of the alternate audio SourceBuffer that
+ * contains the specified time.
+ * @param time (optional) {number} the time to filter on. Defaults to
+ * currentTime.
+ * @return a new TimeRanges object.
+ */
+HlsHandler.prototype.findAudioBufferedRange_ =
+  filterBufferedRanges(function(start, end, time) {
+    return start - TIME_FUDGE_FACTOR <= time &&
+      end + TIME_FUDGE_FACTOR >= time;
+  }, function() {
+    return this.audioBuffered_();
+  });
+
 /**
  * The Source Handler object, which informs video.js what additional
  * MIME types are supported and sets up playback. It is registered
@@ -1571,6 +3192,14 @@ const HlsSourceHandler = function(mode) {
       if (videojs.Hls.xhr.beforeRequest) {
         tech.hls.xhr.beforeRequest = videojs.Hls.xhr.beforeRequest;
       }
+      if (videojs.Hls.xhr.onAuthFailure) {
+        tech.hls.xhr.onAuthFailure = videojs.Hls.xhr.onAuthFailure;
+      }
+      // interceptors registered globally run before the player's own
+      tech.hls.xhr.requestInterceptors =
+        (videojs.Hls.xhr.requestInterceptors || []).slice();
+      tech.hls.xhr.responseInterceptors =
+        (videojs.Hls.xhr.responseInterceptors || []).slice();
 
       tech.hls.src(source.src);
       return tech.hls;
@@ -1,14 +1,118 @@
 /**
- * A wrapper for videojs.xhr that tracks bandwidth.
+ * A wrapper for videojs.xhr that tracks bandwidth and passes requests
+ * and responses through the registered interceptors.
  */
 import {xhr as videojsXHR, mergeOptions} from 'video.js';
 
+// The kinds of requests, which interceptors receive as `requestType`
+export const RequestTypes = {
+  // the playlist a source is loaded from, usually a master playlist
+  MANIFEST: 'manifest',
+  MEDIA_PLAYLIST: 'media-playlist',
+  SEGMENT: 'segment',
+  KEY: 'key',
+  INIT_SEGMENT: 'init-segment'
+};
+
+// The request options that describe what a request is for rather than
+// how it is made. They are passed to interceptors instead of videojs.xhr.
+const contextOptions = ['requestType', 'playlist', 'segment'];
+
+/**
+ * @param request {object} a finished request
+ * @return {boolean} true if the server refused the request because its
+ * credentials were missing or have expired
+ */
+const isAuthFailure = function(request) {
+  return request.status === 401 || request.status === 403;
+};
+
+/**
+ * Pass a value through interceptors in order. Each interceptor receives
+ * the value the one before it returned, or resolved with if it
+ * returned a promise, and an interceptor that returns nothing leaves
+ * the value as it is. The chain continues synchronously until an
+ * interceptor returns a promise.
+ * @param interceptors {array} the interceptor functions
+ * @param value {*} the value to pass to the first interceptor
+ * @param context {object} passed to every interceptor after the value
+ * @param callback {function} called with an error if an interceptor
+ * threw or its promise was rejected, or else with null and the value
+ * the last interceptor produced
+ */
+const runInterceptors = function(interceptors, value, context, callback) {
+  let next = function(index, current) {
+    let result;
+
+    if (index >= interceptors.length) {
+      return callback(null, current);
+    }
+    try {
+      result = interceptors[index](current, context);
+    } catch (error) {
+      return callback(error);
+    }
+    if (result && typeof result.then === 'function') {
+      return result.then(function(resolved) {
+        next(index + 1, typeof resolved === 'undefined' ? current : resolved);
+      }, function(error) {
+        callback(error || new Error('An HLS interceptor was rejected'));
+      });
+    }
+    next(index + 1, typeof result === 'undefined' ? current : result);
+  };
+
+  next(0, value);
+};
+
+/**
+ * Replace the body of a finished request. The response properties of
+ * XMLHttpRequests are read-only, so they are shadowed by properties of
+ * the request object itself.
+ * @param request {object} the finished request
+ * @param body {string|ArrayBuffer} the new body
+ * @param binary {boolean} whether the request was made for binary data
+ */
+const setResponseBody = function(request, body, binary) {
+  Object.defineProperty(request, 'response', {
+    value: body,
+    configurable: true,
+    writable: true
+  });
+  if (!binary) {
+    Object.defineProperty(request, 'responseText', {
+      value: body,
+      configurable: true,
+      writable: true
+    });
+  }
+};
+
 const xhrFactory = function() {
   const xhr = function XhrFunction(options, callback) {
+    let request;
+    let context = {};
+    let requestOptions = {};
+    let cancelled = false;
+    let waiting = false;
+    let credentialsRefreshed = false;
+    let handleResponse;
+    let interceptResponse;
+    let refreshCredentials;
+    let send;
+
+    Object.keys(options).forEach(function(key) {
+      if (contextOptions.indexOf(key) === -1) {
+        requestOptions[key] = options[key];
+      } else {
+        context[key] = options[key];
+      }
+    });
+
     // Add a default timeout for all hls requests
     options = mergeOptions({
       timeout: 45e3
-    }, options);
+    }, requestOptions);
 
     // Allow an optional user-specified function to modify the option
     // object before we construct the xhr request
@@ -21,7 +125,13 @@ const xhrFactory = function() {
       }
     }
 
-    let request = videojsXHR(options, function(error, response) {
+    handleResponse = function(error, response) {
+      // a cancelled request can report back while new credentials are
+      // being fetched for it or its response is being intercepted
+      if (waiting) {
+        return;
+      }
+
       if (!error && request.response) {
         request.responseTime = (new Date()).getTime();
         request.roundTripTime = request.responseTime - request.requestTime;
@@ -52,13 +162,127 @@ const xhrFactory = function() {
                           (request && (request.response || request.responseText)));
       }
 
-      callback(error, request);
-    });
+      // ask for new credentials once before giving up on a request the
+      // server refused
+      if (error &&
+          !credentialsRefreshed &&
+          isAuthFailure(request) &&
+          typeof XhrFunction.onAuthFailure === 'function') {
+        return refreshCredentials(error);
+      }
+
+      if (error) {
+        return callback(error, request);
+      }
+      interceptResponse();
+    };
+
+    // let the response interceptors transform the body
+    interceptResponse = function() {
+      let interceptors = XhrFunction.responseInterceptors || [];
+      let binary = options.responseType === 'arraybuffer';
+      let responseContext = {
+        requestType: context.requestType,
+        playlist: context.playlist,
+        segment: context.segment,
+        request
+      };
+
+      if (!interceptors.length) {
+        return callback(null, request);
+      }
+
+      waiting = true;
+      runInterceptors(interceptors,
+                      binary ? request.response : request.responseText,
+                      responseContext,
+                      function(error, body) {
+                        waiting = false;
 
-    request.requestTime = (new Date()).getTime();
+                        // the request was cancelled in the meantime
+                        if (request.aborted || request.readyState !== 4) {
+                          return;
+                        }
+                        if (error) {
+                          return callback(error, request);
+                        }
+                        setResponseBody(request, body, binary);
+                        callback(null, request);
+                      });
+    };
+
+    // make the request again with the credentials the `onAuthFailure`
+    // hook provided. The same XMLHttpRequest object is reused, so
+    // references to the request stay valid.
+    refreshCredentials = function(error) {
+      let done = function(credentials) {
+        waiting = false;
+
+        // the request was cancelled in the meantime
+        if (request.aborted || request.readyState !== 4) {
+          return;
+        }
+        if (!credentials) {
+          return callback(error, request);
+        }
+        if (typeof credentials === 'string') {
+          options = mergeOptions(options, { uri: credentials });
+          send();
+          request.refreshedUri = credentials;
+          return;
+        }
+        options = mergeOptions(options, { headers: credentials });
+        send();
+      };
+      let result;
+
+      waiting = true;
+      credentialsRefreshed = true;
+      result = XhrFunction.onAuthFailure(request);
+      if (!result || typeof result.then !== 'function') {
+        return done(result);
+      }
+      result.then(done, function() {
+        done(null);
+      });
+    };
+
+    send = function() {
+      request = videojsXHR(mergeOptions(options, { xhr: request }), handleResponse);
+      request.requestTime = (new Date()).getTime();
+    };
+
+    if (!(XhrFunction.requestInterceptors || []).length) {
+      send();
+      return request;
+    }
+
+    // the request object is handed out before the request interceptors
+    // have finished, so aborting it has to stop the request from being
+    // made
+    request = new videojsXHR.XMLHttpRequest();
+    request.abort = function() {
+      cancelled = true;
+    };
+    runInterceptors(XhrFunction.requestInterceptors, options, context,
+                    function(error, interceptedOptions) {
+                      delete request.abort;
+                      if (cancelled || request.aborted) {
+                        return;
+                      }
+                      if (error) {
+                        return callback(error, request);
+                      }
+                      options = interceptedOptions;
+                      send();
+                    });
     return request;
   };
 
+  // interceptors run in the order they were added
+  xhr.requestInterceptors = [];
+  xhr.responseInterceptors = [];
+
   return xhr;
 };
 
@@ -0,0 +1,217 @@
+import QUnit from 'qunit';
+import {
+  capVariants,
+  defaultStrategy,
+  bolaStrategy,
+  registerStrategy,
+  getStrategy
+} from '../src/abr';
+
+const variant = function(bandwidth, width, height, excluded) {
+  let attributes = { BANDWIDTH: bandwidth };
+
+  if (width) {
+    attributes.RESOLUTION = { width, height };
+  }
+  return {
+    attributes,
+    excluded: !!excluded
+  };
+};
+
+QUnit.module('ABR strategies');
+
+QUnit.test('the default strategy selects by bandwidth', function() {
+  let variants = [variant(100), variant(1000), variant(10000)];
+
+  QUnit.strictEqual(defaultStrategy({ variants, bandwidth: 5000 }),
+                    variants[1],
+                    'selected the highest variant below the bandwidth');
+  QUnit.strictEqual(defaultStrategy({ variants, bandwidth: 1 }),
+                    variants[0],
+                    'fell back to the lowest variant');
+});
+
+QUnit.test('the default strategy ignores excluded variants', function() {
+  let variants = [variant(100), variant(1000, null, null, true)];
+
+  QUnit.strictEqual(defaultStrategy({ variants, bandwidth: 5000 }),
+                    variants[0],
+                    'skipped the excluded variant');
+
+  variants[0].excluded = true;
+  QUnit.strictEqual(defaultStrategy({ variants, bandwidth: 5000 }),
+                    undefined,
+                    'selected nothing when every variant is excluded');
+});
+
+QUnit.test('the default strategy matches the player size', function() {
+  let variants = [
+    variant(100, 320, 180),
+    variant(1000, 640, 360),
+    variant(2000, 1280, 720)
+  ];
+
+  QUnit.strictEqual(defaultStrategy({
+    variants,
+    bandwidth: Infinity,
+    playerWidth: 640,
+    playerHeight: 360
+  }), variants[1], 'selected the exact resolution');
+  QUnit.strictEqual(defaultStrategy({
+    variants,
+    bandwidth: Infinity,
+    playerWidth: 500,
+    playerHeight: 300
+  }), variants[1], 'selected the next larger resolution');
+});
+
+QUnit.test('the buffer-based strategy uses throughput while the buffer is short',
+function() {
+  let variants = [variant(100000), variant(500000), variant(1000000), variant(2000000)];
+  let snapshot = {
+    variants,
+    bandwidth: 1000000,
+    bufferLength: 5,
+    goalBufferLength: 30
+  };
+
+  QUnit.strictEqual(bolaStrategy(snapshot),
+                    variants[1],
+                    'used the throughput estimate during startup');
+
+  snapshot.bufferLength = 28;
+  snapshot.seeking = true;
+  QUnit.strictEqual(bolaStrategy(snapshot),
+                    variants[1],
+                    'used the throughput estimate while seeking');
+
+  snapshot.seeking = false;
+  QUnit.strictEqual(bolaStrategy(snapshot),
+                    variants[3],
+                    'used the buffer level once the buffer was long enough');
+});
+
+QUnit.test('the buffer-based strategy rides out slow downloads', function() {
+  let variants = [variant(100000), variant(500000), variant(1000000), variant(2000000)];
+  let snapshot = {
+    variants,
+    bandwidth: 1,
+    bufferLength: 28,
+    goalBufferLength: 30
+  };
+
+  variants[3].active = true;
+  QUnit.strictEqual(bolaStrategy(snapshot),
+                    variants[3],
+                    'kept the current variant with a full buffer');
+
+  snapshot.bufferLength = 15;
+  QUnit.strictEqual(bolaStrategy(snapshot),
+                    variants[1],
+                    'switched down as the buffer drained');
+});
+
+QUnit.test('the buffer-based strategy switches with hysteresis', function() {
+  let variants = [variant(100000), variant(500000), variant(1000000), variant(2000000)];
+  let snapshot = {
+    variants,
+    bandwidth: Infinity,
+    bufferLength: 28.5,
+    goalBufferLength: 30
+  };
+
+  variants[2].active = true;
+  QUnit.strictEqual(bolaStrategy(snapshot),
+                    variants[2],
+                    'did not switch up just past the switching point');
+  snapshot.bufferLength = 30;
+  QUnit.strictEqual(bolaStrategy(snapshot),
+                    variants[3],
+                    'switched up well past the switching point');
+
+  variants[2].active = false;
+  variants[3].active = true;
+  snapshot.bufferLength = 26;
+  QUnit.strictEqual(bolaStrategy(snapshot),
+                    variants[3],
+                    'did not switch down just below the switching point');
+  snapshot.bufferLength = 24;
+  QUnit.strictEqual(bolaStrategy(snapshot),
+                    variants[2],
+                    'switched down well below the switching point');
+});
+
+QUnit.test('the buffer-based strategy limits upswitches to the throughput', function() {
+  let variants = [variant(100000), variant(500000), variant(1000000), variant(2000000)];
+
+  variants[1].active = true;
+  QUnit.strictEqual(bolaStrategy({
+    variants,
+    bandwidth: 1000000,
+    bufferLength: 30,
+    goalBufferLength: 30
+  }), variants[1], 'did not switch up past the throughput estimate');
+});
+
+QUnit.test('caps variants by bitrate', function() {
+  let variants = [variant(100), variant(1000), variant(10000), { attributes: {} }];
+
+  QUnit.deepEqual(capVariants(variants, { maxBitrate: 1000 }),
+                  [variants[0], variants[1], variants[3]],
+                  'removed variants above the maximum');
+  QUnit.deepEqual(capVariants(variants, { minBitrate: 1000 }),
+                  [variants[1], variants[2], variants[3]],
+                  'removed variants below the minimum');
+  QUnit.deepEqual(capVariants(variants.slice(0, 3), { maxBitrate: 10 }),
+                  [variants[0]],
+                  'kept the lowest variant when all are above the maximum');
+  QUnit.deepEqual(capVariants(variants.slice(0, 3), { minBitrate: 1e6 }),
+                  [variants[2]],
+                  'kept the highest variant when all are below the minimum');
+});
+
+QUnit.test('caps variants by resolution', function() {
+  let variants = [
+    variant(100, 320, 180),
+    variant(1000, 640, 360),
+    variant(2000, 1280, 720),
+    variant(4000, 1920, 1080)
+  ];
+
+  QUnit.deepEqual(capVariants(variants, { maxResolution: { width: 1280, height: 720 } }),
+                  variants.slice(0, 3),
+                  'removed variants above the maximum resolution');
+  QUnit.deepEqual(capVariants(variants, { maxResolution: { width: 100, height: 100 } }),
+                  [variants[0]],
+                  'kept the smallest variant when all are too large');
+
+  QUnit.deepEqual(capVariants(variants, { playerSize: { width: 600, height: 338 } }),
+                  variants.slice(0, 2),
+                  'kept the smallest variant that covers the player');
+  QUnit.deepEqual(capVariants(variants, { playerSize: { width: 1200, height: 676 } }),
+                  variants.slice(0, 3),
+                  'allowed larger variants for larger players');
+  QUnit.deepEqual(capVariants(variants, { playerSize: { width: 3840, height: 2160 } }),
+                  variants,
+                  'does not cap players larger than every variant');
+});
+
+QUnit.test('registers strategies', function() {
+  let strategy = function() {};
+
+  QUnit.strictEqual(getStrategy('default'), defaultStrategy, 'has a default');
+  QUnit.strictEqual(getStrategy('bola'), bolaStrategy, 'has a buffer-based strategy');
+  QUnit.strictEqual(getStrategy('abr-test'), undefined, 'unknown names are undefined');
+  QUnit.strictEqual(getStrategy('hasOwnProperty'),
+                    undefined,
+                    'does not look up inherited properties');
+
+  registerStrategy('abr-test', strategy);
+  QUnit.strictEqual(getStrategy('abr-test'), strategy, 'registered the strategy');
+
+  QUnit.throws(function() {
+    registerStrategy('abr-test', 'not a function');
+  }, 'strategies must be functions');
+  QUnit.strictEqual(getStrategy('abr-test'), strategy, 'kept the previous strategy');
+});
@@ -0,0 +1,104 @@
+import QUnit from 'qunit';
+import {
+  EwmaBandwidthEstimator,
+  LastSampleBandwidthEstimator,
+  registerEstimator,
+  createEstimator
+} from '../src/bandwidth-estimator';
+
+QUnit.module('Bandwidth Estimators');
+
+QUnit.test('waits for enough data before estimating', function() {
+  let estimator = new EwmaBandwidthEstimator({
+    minimumTotalBytes: 100000
+  });
+
+  QUnit.strictEqual(estimator.estimate(), null, 'no estimate without samples');
+  estimator.sample(50000, 1000000);
+  QUnit.strictEqual(estimator.estimate(), null, 'no estimate with too few bytes');
+  estimator.sample(50000, 1000000);
+  QUnit.ok(Math.abs(estimator.estimate() - 1000000) < 1, 'estimated the bandwidth');
+
+  estimator.reset();
+  QUnit.strictEqual(estimator.estimate(), null, 'discarded the samples');
+});
+
+QUnit.test('ignores tiny downloads', function() {
+  let estimator = new EwmaBandwidthEstimator({
+    minimumBytes: 1000,
+    minimumTotalBytes: 0
+  });
+
+  estimator.sample(100000, 1000000);
+  estimator.sample(999, 1);
+  estimator.sample(100000, Infinity);
+  QUnit.ok(Math.abs(estimator.estimate() - 1000000) < 1,
+           'small and unmeasurable downloads did not affect the estimate');
+});
+
+QUnit.test('reacts quickly to drops but slowly to spikes', function() {
+  let options = {
+    fastHalfLife: 100000,
+    slowHalfLife: 1000000,
+    minimumTotalBytes: 0
+  };
+  let spike = new EwmaBandwidthEstimator(options);
+  let drop = new EwmaBandwidthEstimator(options);
+  let i;
+
+  for (i = 0; i < 20; i++) {
+    spike.sample(100000, 1000000);
+    drop.sample(100000, 1000000);
+  }
+
+  // the fast average alone would jump to 5.5Mbps
+  spike.sample(100000, 10000000);
+  QUnit.ok(spike.estimate() < 2000000, 'a single fast download has little effect');
+
+  drop.sample(200000, 100000);
+  QUnit.ok(drop.estimate() < 400000, 'a slow download lowers the estimate quickly');
+});
+
+QUnit.test('weights samples by their size', function() {
+  let small = new EwmaBandwidthEstimator({ minimumTotalBytes: 0 });
+  let large = new EwmaBandwidthEstimator({ minimumTotalBytes: 0 });
+
+  small.sample(1000000, 1000000);
+  small.sample(20000, 100000);
+  large.sample(1000000, 1000000);
+  large.sample(1000000, 100000);
+
+  QUnit.ok(small.estimate() > large.estimate(),
+           'a larger download has more influence');
+});
+
+QUnit.test('the last-sample estimator uses the latest download', function() {
+  let estimator = new LastSampleBandwidthEstimator();
+
+  QUnit.strictEqual(estimator.estimate(), null, 'no estimate without samples');
+  estimator.sample(10, 5000);
+  estimator.sample(10, 2000);
+  QUnit.strictEqual(estimator.estimate(), 2000, 'used the latest sample');
+});
+
+QUnit.test('creates registered estimators', function() {
+  let Estimator = function(options) {
+    this.options = options;
+  };
+
+  QUnit.ok(createEstimator() instanceof EwmaBandwidthEstimator,
+           'defaults to the moving average');
+  QUnit.ok(createEstimator('last-sample') instanceof LastSampleBandwidthEstimator,
+           'creates estimators by name');
+  QUnit.strictEqual(createEstimator('unregistered'), null, 'unknown names are null');
+
+  registerEstimator('estimator-test', Estimator);
+  QUnit.strictEqual(createEstimator({
+    algorithm: 'estimator-test',
+    setting: 7
+  }).options.setting, 7, 'passed the options to the estimator');
+
+  QUnit.throws(function() {
+    registerEstimator('estimator-test', {});
+  }, 'estimators must be constructors');
+});
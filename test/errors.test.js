@@ -0,0 +1,56 @@
+import QUnit from 'qunit';
+import {ErrorTypes, ErrorDetails, createError} from '../src/errors';
+
+QUnit.module('Errors');
+
+QUnit.test('fills in default values', function() {
+  let error = createError({
+    type: ErrorTypes.NETWORK,
+    details: ErrorDetails.SEGMENT_LOAD_ERROR
+  });
+
+  QUnit.deepEqual(error, {
+    type: 'network',
+    details: 'segmentLoadError',
+    message: '',
+    fatal: false,
+    url: null,
+    status: null,
+    rendition: null,
+    retryCount: 0,
+    code: 2
+  }, 'filled in the defaults');
+});
+
+QUnit.test('copies the specified properties', function() {
+  let error = createError({
+    type: ErrorTypes.MANIFEST,
+    details: ErrorDetails.PLAYLIST_LOAD_ERROR,
+    fatal: true,
+    url: 'media.m3u8',
+    status: 404,
+    retryCount: 2,
+    responseText: 'not found',
+    message: undefined
+  });
+
+  QUnit.strictEqual(error.fatal, true, 'copied fatal');
+  QUnit.strictEqual(error.url, 'media.m3u8', 'copied the URL');
+  QUnit.strictEqual(error.status, 404, 'copied the status');
+  QUnit.strictEqual(error.retryCount, 2, 'copied the retry count');
+  QUnit.strictEqual(error.responseText, 'not found', 'copied extra properties');
+  QUnit.strictEqual(error.message, '', 'ignored undefined properties');
+});
+
+QUnit.test('maps errors to MediaError codes', function() {
+  QUnit.strictEqual(createError({type: ErrorTypes.MEDIA}).code, 3,
+                    'media errors are decode errors');
+  QUnit.strictEqual(createError({type: ErrorTypes.MUX}).code, 3,
+                    'mux errors are decode errors');
+  QUnit.strictEqual(createError({type: ErrorTypes.NETWORK, status: 404}).code, 2,
+                    'client errors are network errors');
+  QUnit.strictEqual(createError({type: ErrorTypes.MANIFEST, status: 500}).code, 4,
+                    'server errors are unsupported source errors');
+  QUnit.strictEqual(createError({type: ErrorTypes.KEY, code: 1}).code, 1,
+                    'a specified code is kept');
+});
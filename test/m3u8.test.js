@@ -504,6 +504,54 @@ QUnit.test('parses #EXT-X-STREAM-INF with arbitrary attributes', function() {
                     'alphabetic attributes are parsed');
   QUnit.strictEqual(element.attributes.MIXED, '123abc', 'mixed attributes are parsed');
 });
+// #EXT-X-MEDIA
+QUnit.test('parses minimal #EXT-X-MEDIA tags', function() {
+  let manifest = '#EXT-X-MEDIA\n';
+  let element;
+
+  this.parseStream.on('data', function(elem) {
+    element = elem;
+  });
+  this.lineStream.push(manifest);
+
+  QUnit.ok(element, 'an event was triggered');
+  QUnit.strictEqual(element.type, 'tag', 'the line type is tag');
+  QUnit.strictEqual(element.tagType, 'media', 'the tag type is media');
+  QUnit.ok(!element.attributes, 'no attributes are parsed');
+});
+QUnit.test('parses #EXT-X-MEDIA with common attributes', function() {
+  let manifest = '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aac",NAME="English",' +
+    'DEFAULT=YES,AUTOSELECT=YES,LANGUAGE="en",URI="en/audio.m3u8"\n';
+  let element;
+
+  this.parseStream.on('data', function(elem) {
+    element = elem;
+  });
+  this.lineStream.push(manifest);
+
+  QUnit.ok(element, 'an event was triggered');
+  QUnit.strictEqual(element.type, 'tag', 'the line type is tag');
+  QUnit.strictEqual(element.tagType, 'media', 'the tag type is media');
+  QUnit.strictEqual(element.attributes.TYPE, 'AUDIO', 'type is parsed');
+  QUnit.strictEqual(element.attributes['GROUP-ID'], 'aac', 'group-id is parsed');
+  QUnit.strictEqual(element.attributes.NAME, 'English', 'name is parsed');
+  QUnit.strictEqual(element.attributes.DEFAULT, 'YES', 'default is parsed');
+  QUnit.strictEqual(element.attributes.AUTOSELECT, 'YES', 'autoselect is parsed');
+  QUnit.strictEqual(element.attributes.LANGUAGE, 'en', 'language is parsed');
+  QUnit.strictEqual(element.attributes.URI, 'en/audio.m3u8', 'uri is parsed');
+});
+QUnit.test('does not confuse #EXT-X-MEDIA-SEQUENCE with #EXT-X-MEDIA', function() {
+  let manifest = '#EXT-X-MEDIA-SEQUENCE:7\n';
+  let element;
+
+  this.parseStream.on('data', function(elem) {
+    element = elem;
+  });
+  this.lineStream.push(manifest);
+
+  QUnit.strictEqual(element.tagType, 'media-sequence', 'the tag type is media-sequence');
+  QUnit.strictEqual(element.number, 7, 'the sequence number is parsed');
+});
 // #EXT-X-ENDLIST
 QUnit.test('parses #EXT-X-ENDLIST tags', function() {
   let manifest = '#EXT-X-ENDLIST\n';
@@ -637,6 +685,220 @@ QUnit.test('parses prefixed with 0x or 0X #EXT-X-KEY:IV tags', function() {
   ]), 'parsed an IV value with 0X');
 });
 
+// #EXT-X-MAP
+QUnit.test('parses #EXT-X-MAP tags', function() {
+  let manifest = '#EXT-X-MAP:URI="init.mp4"\n';
+  let element;
+
+  this.parseStream.on('data', function(elem) {
+    element = elem;
+  });
+  this.lineStream.push(manifest);
+
+  QUnit.ok(element, 'an event was triggered');
+  QUnit.deepEqual(element, {
+    type: 'tag',
+    tagType: 'map',
+    attributes: {
+      URI: 'init.mp4'
+    }
+  }, 'parsed the uri');
+
+  manifest = '#EXT-X-MAP:URI="main.mp4",BYTERANGE="720@1024"\n';
+  this.lineStream.push(manifest);
+  QUnit.deepEqual(element.attributes.BYTERANGE, {
+    length: 720,
+    offset: 1024
+  }, 'parsed the byterange');
+
+  manifest = '#EXT-X-MAP:URI="main.mp4",BYTERANGE="720"\n';
+  this.lineStream.push(manifest);
+  QUnit.deepEqual(element.attributes.BYTERANGE, {
+    length: 720
+  }, 'parsed a byterange without an offset');
+});
+
+// #EXT-X-PROGRAM-DATE-TIME
+QUnit.test('parses #EXT-X-PROGRAM-DATE-TIME tags', function() {
+  let manifest = '#EXT-X-PROGRAM-DATE-TIME:2016-06-22T09:20:16.166-04:00\n';
+  let element;
+
+  this.parseStream.on('data', function(elem) {
+    element = elem;
+  });
+  this.lineStream.push(manifest);
+
+  QUnit.ok(element, 'an event was triggered');
+  QUnit.strictEqual(element.type, 'tag', 'the line type is tag');
+  QUnit.strictEqual(element.tagType,
+                    'program-date-time',
+                    'the tag type is program-date-time');
+  QUnit.strictEqual(element.dateTimeString,
+                    '2016-06-22T09:20:16.166-04:00',
+                    'kept the date-time string');
+  QUnit.strictEqual(element.dateTimeObject.getTime(),
+                    Date.UTC(2016, 5, 22, 13, 20, 16, 166),
+                    'parsed the date-time');
+});
+
+// #EXT-X-START
+QUnit.test('parses #EXT-X-START tags', function() {
+  let manifest = '#EXT-X-START:TIME-OFFSET=-12.5,PRECISE=YES\n';
+  let element;
+
+  this.parseStream.on('data', function(elem) {
+    element = elem;
+  });
+  this.lineStream.push(manifest);
+
+  QUnit.ok(element, 'an event was triggered');
+  QUnit.deepEqual(element, {
+    type: 'tag',
+    tagType: 'start',
+    attributes: {
+      'TIME-OFFSET': -12.5,
+      'PRECISE': true
+    }
+  }, 'parsed the attributes');
+
+  manifest = '#EXT-X-START:TIME-OFFSET=10,PRECISE=NO\n';
+  this.lineStream.push(manifest);
+  QUnit.strictEqual(element.attributes['TIME-OFFSET'], 10, 'parsed the offset');
+  QUnit.strictEqual(element.attributes.PRECISE, false, 'parsed PRECISE=NO');
+});
+
+// low-latency HLS
+QUnit.test('parses #EXT-X-PART tags', function() {
+  let manifest = '#EXT-X-PART:DURATION=0.33334,URI="part1.0.mp4",INDEPENDENT=YES,' +
+    'BYTERANGE=1000@200\n';
+  let element;
+
+  this.parseStream.on('data', function(elem) {
+    element = elem;
+  });
+  this.lineStream.push(manifest);
+
+  QUnit.ok(element, 'an event was triggered');
+  QUnit.deepEqual(element, {
+    type: 'tag',
+    tagType: 'part',
+    attributes: {
+      DURATION: 0.33334,
+      URI: 'part1.0.mp4',
+      INDEPENDENT: true,
+      BYTERANGE: {
+        length: 1000,
+        offset: 200
+      }
+    }
+  }, 'parsed the attributes');
+
+  manifest = '#EXT-X-PART:DURATION=1,URI="part1.1.mp4",GAP=YES\n';
+  this.lineStream.push(manifest);
+  QUnit.strictEqual(element.attributes.GAP, true, 'parsed GAP');
+});
+
+QUnit.test('parses #EXT-X-PART-INF tags', function() {
+  let manifest = '#EXT-X-PART-INF:PART-TARGET=0.5\n';
+  let element;
+
+  this.parseStream.on('data', function(elem) {
+    element = elem;
+  });
+  this.lineStream.push(manifest);
+
+  QUnit.deepEqual(element, {
+    type: 'tag',
+    tagType: 'part-inf',
+    attributes: {
+      'PART-TARGET': 0.5
+    }
+  }, 'parsed the part target');
+});
+
+QUnit.test('parses #EXT-X-PRELOAD-HINT tags', function() {
+  let manifest = '#EXT-X-PRELOAD-HINT:TYPE=PART,URI="part2.mp4",' +
+    'BYTERANGE-START=100,BYTERANGE-LENGTH=50\n';
+  let element;
+
+  this.parseStream.on('data', function(elem) {
+    element = elem;
+  });
+  this.lineStream.push(manifest);
+
+  QUnit.deepEqual(element, {
+    type: 'tag',
+    tagType: 'preload-hint',
+    attributes: {
+      'TYPE': 'PART',
+      'URI': 'part2.mp4',
+      'BYTERANGE-START': 100,
+      'BYTERANGE-LENGTH': 50
+    }
+  }, 'parsed the attributes');
+});
+
+QUnit.test('parses #EXT-X-SERVER-CONTROL tags', function() {
+  let manifest = '#EXT-X-SERVER-CONTROL:CAN-BLOCK-RELOAD=YES,CAN-SKIP-UNTIL=36,' +
+    'CAN-SKIP-DATERANGES=NO,HOLD-BACK=12.5,PART-HOLD-BACK=1.5\n';
+  let element;
+
+  this.parseStream.on('data', function(elem) {
+    element = elem;
+  });
+  this.lineStream.push(manifest);
+
+  QUnit.deepEqual(element, {
+    type: 'tag',
+    tagType: 'server-control',
+    attributes: {
+      'CAN-BLOCK-RELOAD': true,
+      'CAN-SKIP-UNTIL': 36,
+      'CAN-SKIP-DATERANGES': false,
+      'HOLD-BACK': 12.5,
+      'PART-HOLD-BACK': 1.5
+    }
+  }, 'parsed the attributes');
+});
+
+QUnit.test('parses #EXT-X-RENDITION-REPORT tags', function() {
+  let manifest = '#EXT-X-RENDITION-REPORT:URI="../low.m3u8",LAST-MSN=273,LAST-PART=2\n';
+  let element;
+
+  this.parseStream.on('data', function(elem) {
+    element = elem;
+  });
+  this.lineStream.push(manifest);
+
+  QUnit.deepEqual(element, {
+    type: 'tag',
+    tagType: 'rendition-report',
+    attributes: {
+      'URI': '../low.m3u8',
+      'LAST-MSN': 273,
+      'LAST-PART': 2
+    }
+  }, 'parsed the attributes');
+});
+
+QUnit.test('parses #EXT-X-SKIP tags', function() {
+  let manifest = '#EXT-X-SKIP:SKIPPED-SEGMENTS=12\n';
+  let element;
+
+  this.parseStream.on('data', function(elem) {
+    element = elem;
+  });
+  this.lineStream.push(manifest);
+
+  QUnit.deepEqual(element, {
+    type: 'tag',
+    tagType: 'skip',
+    attributes: {
+      'SKIPPED-SEGMENTS': 12
+    }
+  }, 'parsed the attributes');
+});
+
 QUnit.test('ignores empty lines', function() {
   let manifest = '\n';
   let event = false;
@@ -655,6 +917,129 @@ QUnit.test('can be constructed', function() {
   QUnit.notStrictEqual(typeof new Parser(), 'undefined', 'parser is defined');
 });
 
+QUnit.test('ignores #EXT-X-MEDIA tags without a type, group or name', function() {
+  let parser = new Parser();
+  let warnings = 0;
+
+  parser.on('warn', function() {
+    warnings++;
+  });
+  parser.push('#EXTM3U\n' +
+              '#EXT-X-MEDIA:TYPE=AUDIO,NAME="English",URI="en.m3u8"\n' +
+              '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aac",NAME="Deutsch",URI="de.m3u8"\n');
+  parser.end();
+
+  QUnit.strictEqual(warnings, 1, 'warned about the incomplete media group');
+  QUnit.deepEqual(Object.keys(parser.manifest.mediaGroups.AUDIO.aac),
+                  ['Deutsch'],
+                  'only the complete rendition was added');
+});
+
+QUnit.test('ignores #EXT-X-MAP tags without a URI', function() {
+  let parser = new Parser();
+  let warnings = 0;
+
+  parser.on('warn', function() {
+    warnings++;
+  });
+  parser.push('#EXTM3U\n' +
+              '#EXT-X-MAP:BYTERANGE="720@0"\n' +
+              '#EXTINF:6,\n' +
+              'segment.m4s\n');
+  parser.end();
+
+  QUnit.strictEqual(warnings, 1, 'warned about the missing uri');
+  QUnit.ok(!parser.manifest.segments[0].map, 'did not attach the map');
+});
+
+QUnit.test('ignores #EXT-X-START tags without a time offset', function() {
+  let parser = new Parser();
+  let warnings = 0;
+
+  parser.on('warn', function() {
+    warnings++;
+  });
+  parser.push('#EXTM3U\n' +
+              '#EXT-X-START:PRECISE=YES\n' +
+              '#EXTINF:10,\n' +
+              '0.ts\n');
+  parser.end();
+
+  QUnit.strictEqual(warnings, 1, 'warned about the missing offset');
+  QUnit.ok(!parser.manifest.start, 'did not set a start position');
+});
+
+QUnit.test('partial segment byte ranges continue from the previous part', function() {
+  let parser = new Parser();
+
+  parser.push('#EXTM3U\n' +
+              '#EXT-X-TARGETDURATION:2\n' +
+              '#EXT-X-PART:DURATION=1,URI="0.mp4",BYTERANGE=100@0\n' +
+              '#EXT-X-PART:DURATION=1,URI="0.mp4",BYTERANGE=150\n' +
+              '#EXTINF:2,\n' +
+              '0.mp4\n' +
+              '#EXT-X-PART:DURATION=1,URI="1.mp4",BYTERANGE=120\n');
+  parser.end();
+
+  QUnit.deepEqual(parser.manifest.segments[0].parts[1].byterange,
+                  { length: 150, offset: 100 },
+                  'followed the previous part');
+  QUnit.deepEqual(parser.manifest.preloadSegment.parts[0].byterange,
+                  { length: 120, offset: 0 },
+                  'started a new resource at zero');
+});
+
+QUnit.test('ignores partial segments without a URI or duration', function() {
+  let parser = new Parser();
+  let warnings = 0;
+
+  parser.on('warn', function() {
+    warnings++;
+  });
+  parser.push('#EXTM3U\n' +
+              '#EXT-X-PART:URI="0.mp4"\n' +
+              '#EXT-X-PART:DURATION=1\n' +
+              '#EXTINF:2,\n' +
+              '0.mp4\n');
+  parser.end();
+
+  QUnit.strictEqual(warnings, 2, 'warned about the invalid parts');
+  QUnit.ok(!parser.manifest.segments[0].parts, 'did not add the parts');
+  QUnit.ok(!parser.manifest.preloadSegment, 'no segment is being produced');
+});
+
+QUnit.test('attaches program date-times to the following segment', function() {
+  let parser = new Parser();
+  let warnings = 0;
+
+  parser.on('warn', function() {
+    warnings++;
+  });
+  parser.push('#EXTM3U\n' +
+              '#EXT-X-PROGRAM-DATE-TIME:2016-06-22T09:20:16.166Z\n' +
+              '#EXTINF:10,\n' +
+              '0.ts\n' +
+              '#EXTINF:10,\n' +
+              '1.ts\n' +
+              '#EXT-X-PROGRAM-DATE-TIME:not a date\n' +
+              '#EXTINF:10,\n' +
+              '2.ts\n');
+  parser.end();
+
+  QUnit.ok(parser.manifest.segments[0].dateTimeObject instanceof Date,
+           'parsed a Date');
+  QUnit.strictEqual(parser.manifest.segments[0].dateTimeObject.getTime(),
+                    Date.UTC(2016, 5, 22, 9, 20, 16, 166),
+                    'parsed the date-time');
+  QUnit.strictEqual(parser.manifest.segments[0].dateTimeString,
+                    '2016-06-22T09:20:16.166Z',
+                    'kept the date-time string');
+  QUnit.ok(!parser.manifest.segments[1].dateTimeObject,
+           'the date-time only applies to one segment');
+  QUnit.ok(!parser.manifest.segments[2].dateTimeObject, 'ignored the invalid date-time');
+  QUnit.strictEqual(warnings, 1, 'warned about the invalid date-time');
+});
+
 QUnit.module('m3u8s');
 
 QUnit.test('parses static manifests as expected', function() {
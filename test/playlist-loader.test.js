@@ -193,6 +193,164 @@ QUnit.test('returns to HAVE_METADATA after refreshing the playlist', function()
   QUnit.strictEqual(loader.state, 'HAVE_METADATA', 'the state is correct');
 });
 
+QUnit.test('makes blocking reloads when the server supports them', function() {
+  let loader = new PlaylistLoader('live.m3u8?token=1', this.fakeHls);
+
+  this.requests.pop().respond(200, null,
+                              '#EXTM3U\n' +
+                              '#EXT-X-TARGETDURATION:4\n' +
+                              '#EXT-X-SERVER-CONTROL:CAN-BLOCK-RELOAD=YES\n' +
+                              '#EXT-X-PART-INF:PART-TARGET=1\n' +
+                              '#EXT-X-MEDIA-SEQUENCE:10\n' +
+                              '#EXTINF:4,\n' +
+                              '10.ts\n' +
+                              '#EXT-X-PART:DURATION=1,URI="11.0.ts"\n' +
+                              '#EXT-X-PART:DURATION=1,URI="11.1.ts"\n');
+  this.clock.tick(0);
+
+  QUnit.strictEqual(loader.state, 'HAVE_CURRENT_METADATA', 'reloaded immediately');
+  QUnit.strictEqual(this.requests.length, 1, 'requested the playlist');
+  QUnit.strictEqual(this.requests[0].url,
+                    urlTo('live.m3u8?token=1&_HLS_msn=11&_HLS_part=2'),
+                    'requested the next partial segment');
+});
+
+QUnit.test('updates the playlist when partial segments are added', function() {
+  let loader = new PlaylistLoader('live.m3u8', this.fakeHls);
+  let loadedplaylists = 0;
+
+  loader.on('loadedplaylist', function() {
+    loadedplaylists++;
+  });
+  this.requests.pop().respond(200, null,
+                              '#EXTM3U\n' +
+                              '#EXT-X-TARGETDURATION:4\n' +
+                              '#EXT-X-SERVER-CONTROL:CAN-BLOCK-RELOAD=YES\n' +
+                              '#EXT-X-PART-INF:PART-TARGET=1\n' +
+                              '#EXTINF:4,\n' +
+                              '0.ts\n' +
+                              '#EXT-X-PART:DURATION=1,URI="1.0.ts"\n');
+  this.clock.tick(0);
+  this.requests.pop().respond(200, null,
+                              '#EXTM3U\n' +
+                              '#EXT-X-TARGETDURATION:4\n' +
+                              '#EXT-X-SERVER-CONTROL:CAN-BLOCK-RELOAD=YES\n' +
+                              '#EXT-X-PART-INF:PART-TARGET=1\n' +
+                              '#EXTINF:4,\n' +
+                              '0.ts\n' +
+                              '#EXT-X-PART:DURATION=1,URI="1.0.ts"\n' +
+                              '#EXT-X-PART:DURATION=1,URI="1.1.ts"\n');
+
+  QUnit.strictEqual(loadedplaylists, 2, 'loaded both playlists');
+  QUnit.strictEqual(loader.media().preloadSegment.parts.length, 2, 'updated the parts');
+  this.clock.tick(0);
+  QUnit.strictEqual(this.requests[0].url,
+                    urlTo('live.m3u8?_HLS_msn=1&_HLS_part=2'),
+                    'requested the next partial segment');
+
+  this.requests.pop().respond(200, null,
+                              '#EXTM3U\n' +
+                              '#EXT-X-TARGETDURATION:4\n' +
+                              '#EXT-X-SERVER-CONTROL:CAN-BLOCK-RELOAD=YES\n' +
+                              '#EXT-X-PART-INF:PART-TARGET=1\n' +
+                              '#EXTINF:4,\n' +
+                              '0.ts\n' +
+                              '#EXTINF:4,\n' +
+                              '1.ts\n');
+  QUnit.ok(!loader.media().preloadSegment, 'removed the completed segment');
+  this.clock.tick(0);
+  QUnit.strictEqual(this.requests[0].url,
+                    urlTo('live.m3u8?_HLS_msn=2&_HLS_part=0'),
+                    'requested the first part of the next segment');
+});
+
+QUnit.test('splices playlist delta updates into the cached segments', function() {
+  let loader = new PlaylistLoader('live.m3u8', this.fakeHls);
+  let segments;
+
+  this.requests.pop().respond(200, null,
+                              '#EXTM3U\n' +
+                              '#EXT-X-SERVER-CONTROL:CAN-SKIP-UNTIL=36\n' +
+                              '#EXT-X-MEDIA-SEQUENCE:0\n' +
+                              '#EXTINF:10,\n' +
+                              '0.ts\n' +
+                              '#EXTINF:10,\n' +
+                              '1.ts\n' +
+                              '#EXTINF:10,\n' +
+                              '2.ts\n');
+  loader.media().segments[1].start = 10;
+  loader.media().segments[1].end = 20;
+  // 10s, one target duration
+  this.clock.tick(10 * 1000);
+
+  QUnit.strictEqual(this.requests[0].url,
+                    urlTo('live.m3u8?_HLS_skip=YES'),
+                    'requested a delta update');
+  this.requests.pop().respond(200, null,
+                              '#EXTM3U\n' +
+                              '#EXT-X-SERVER-CONTROL:CAN-SKIP-UNTIL=36\n' +
+                              '#EXT-X-MEDIA-SEQUENCE:1\n' +
+                              '#EXT-X-SKIP:SKIPPED-SEGMENTS=1\n' +
+                              '#EXTINF:10,\n' +
+                              '2.ts\n' +
+                              '#EXTINF:10,\n' +
+                              '3.ts\n');
+
+  segments = loader.media().segments;
+  QUnit.deepEqual(segments.map(function(segment) {
+    return segment.uri;
+  }), ['1.ts', '2.ts', '3.ts'], 'spliced in the skipped segments');
+  QUnit.strictEqual(segments[0].start, 10, 'preserved the segment start');
+  QUnit.strictEqual(segments[0].end, 20, 'preserved the segment end');
+  QUnit.ok(!loader.media().skip, 'the merged playlist is complete');
+});
+
+QUnit.test('requests the full playlist if a delta update cannot be applied', function() {
+  let loader = new PlaylistLoader('live.m3u8', this.fakeHls);
+
+  this.requests.pop().respond(200, null,
+                              '#EXTM3U\n' +
+                              '#EXT-X-SERVER-CONTROL:CAN-SKIP-UNTIL=36\n' +
+                              '#EXT-X-MEDIA-SEQUENCE:0\n' +
+                              '#EXTINF:10,\n' +
+                              '0.ts\n');
+  // 10s, one target duration
+  this.clock.tick(10 * 1000);
+  this.requests.pop().respond(200, null,
+                              '#EXTM3U\n' +
+                              '#EXT-X-SERVER-CONTROL:CAN-SKIP-UNTIL=36\n' +
+                              '#EXT-X-MEDIA-SEQUENCE:0\n' +
+                              '#EXT-X-SKIP:SKIPPED-SEGMENTS=2\n' +
+                              '#EXTINF:10,\n' +
+                              '2.ts\n');
+
+  QUnit.strictEqual(this.requests.length, 1, 'made another request');
+  QUnit.strictEqual(this.requests[0].url,
+                    urlTo('live.m3u8'),
+                    'requested the full playlist');
+  QUnit.deepEqual(loader.media().segments.map(function(segment) {
+    return segment.uri;
+  }), ['0.ts'], 'ignored the delta update');
+});
+
+QUnit.test('does not request delta updates for outdated playlists', function() {
+  let loader = new PlaylistLoader('live.m3u8', this.fakeHls);
+
+  this.requests.pop().respond(200, null,
+                              '#EXTM3U\n' +
+                              '#EXT-X-SERVER-CONTROL:CAN-SKIP-UNTIL=12\n' +
+                              '#EXT-X-MEDIA-SEQUENCE:0\n' +
+                              '#EXTINF:10,\n' +
+                              '0.ts\n');
+  // 10s, one target duration, is more than half the skip boundary
+  this.clock.tick(10 * 1000);
+
+  QUnit.strictEqual(loader.state, 'HAVE_CURRENT_METADATA', 'refreshed the playlist');
+  QUnit.strictEqual(this.requests[0].url,
+                    urlTo('live.m3u8'),
+                    'requested the full playlist');
+});
+
 QUnit.test('does not increment expired seconds before firstplay is triggered',
 function() {
   let loader = new PlaylistLoader('live.m3u8', this.fakeHls);
@@ -359,7 +517,9 @@ function() {
 
 QUnit.test('emits an error when an initial playlist request fails', function() {
   let errors = [];
-  let loader = new PlaylistLoader('master.m3u8', this.fakeHls);
+  let loader = new PlaylistLoader('master.m3u8', this.fakeHls, false, {
+    retry: {maxAttempts: 1}
+  });
 
   loader.on('error', function() {
     errors.push(loader.error);
@@ -368,11 +528,169 @@ QUnit.test('emits an error when an initial playlist request fails', function() {
 
   QUnit.strictEqual(errors.length, 1, 'emitted one error');
   QUnit.strictEqual(errors[0].status, 500, 'http status is captured');
+  QUnit.strictEqual(errors[0].type, 'manifest', 'a manifest error');
+  QUnit.strictEqual(errors[0].details, 'manifestLoadError', 'the master failed');
+  QUnit.strictEqual(errors[0].url, 'master.m3u8', 'captured the URL');
+  QUnit.strictEqual(errors[0].retryCount, 0, 'was not retried');
+});
+
+QUnit.test('retries playlist requests that fail with a server error', function() {
+  let errors = 0;
+  let warnings = [];
+  let loader = new PlaylistLoader('media.m3u8', this.fakeHls);
+
+  loader.on('error', function() {
+    errors++;
+  });
+  loader.on('warning', function(event) {
+    warnings.push(event);
+  });
+  this.requests.pop().respond(503);
+  QUnit.strictEqual(this.requests.length, 0, 'waits before retrying');
+  QUnit.strictEqual(warnings.length, 1, 'emitted a warning');
+  QUnit.strictEqual(warnings[0].details, 'manifestLoadError', 'described the failure');
+  QUnit.strictEqual(warnings[0].status, 503, 'captured the status');
+
+  this.clock.tick(1200);
+  QUnit.strictEqual(this.requests.length, 1, 'retried the request');
+  this.requests.pop().respond(200, null,
+                              '#EXTM3U\n' +
+                              '#EXTINF:10,\n' +
+                              '0.ts\n' +
+                              '#EXT-X-ENDLIST\n');
+  QUnit.strictEqual(errors, 0, 'emitted no errors');
+  QUnit.strictEqual(loader.state, 'HAVE_METADATA', 'loaded the playlist');
+});
+
+QUnit.test('does not retry playlist requests that are not found', function() {
+  let errors = 0;
+  let loader = new PlaylistLoader('media.m3u8', this.fakeHls);
+
+  loader.on('error', function() {
+    errors++;
+  });
+  this.requests.pop().respond(404);
+  this.clock.tick(10 * 1000);
+
+  QUnit.strictEqual(this.requests.length, 0, 'did not retry');
+  QUnit.strictEqual(errors, 1, 'emitted an error');
+});
+
+QUnit.test('refreshes credentials and keeps the refreshed playlist URI', function() {
+  let failures = [];
+  let loader = new PlaylistLoader('master.m3u8', this.fakeHls);
+  let request;
+
+  this.fakeHls.xhr.onAuthFailure = function(req) {
+    failures.push(req.status);
+    return {
+      then(resolve) {
+        resolve(urlTo('low.m3u8?token=2'));
+      }
+    };
+  };
+  this.requests.pop().respond(200, null,
+                              '#EXTM3U\n' +
+                              '#EXT-X-STREAM-INF:BANDWIDTH=1\n' +
+                              'low.m3u8\n');
+  request = this.requests.pop();
+  request.respond(403);
+
+  QUnit.deepEqual(failures, [403], 'consulted the hook');
+  QUnit.strictEqual(request.url, urlTo('low.m3u8?token=2'), 'made the request again');
+  request.respond(200, null,
+                  '#EXTM3U\n' +
+                  '#EXT-X-MEDIA-SEQUENCE:0\n' +
+                  '#EXTINF:10,\n' +
+                  'low-0.ts\n');
+  QUnit.strictEqual(loader.state, 'HAVE_METADATA', 'loaded the playlist');
+  QUnit.strictEqual(loader.media().uri, urlTo('low.m3u8?token=2'), 'stored the new URI');
+  QUnit.strictEqual(loader.master.playlists[urlTo('low.m3u8?token=2')],
+                    loader.media(),
+                    'can look up the playlist by its new URI');
+
+  this.clock.tick(10 * 1000);
+  QUnit.strictEqual(this.requests.pop().url,
+                    urlTo('low.m3u8?token=2'),
+                    'refreshed the playlist from the new URI');
+});
+
+QUnit.test('emits an error if credentials cannot be refreshed', function() {
+  let errors = 0;
+  let loader = new PlaylistLoader('master.m3u8', this.fakeHls);
+
+  this.fakeHls.xhr.onAuthFailure = function() {
+    return {
+      then(resolve, reject) {
+        reject(new Error('no credentials'));
+      }
+    };
+  };
+  loader.on('error', function() {
+    errors++;
+  });
+  this.requests.pop().respond(401);
+
+  QUnit.strictEqual(errors, 1, 'emitted an error');
+  QUnit.strictEqual(loader.error.status, 401, 'captured the status');
+});
+
+QUnit.test('passes playlist requests through the interceptors', function() {
+  let types = [];
+  let loader;
+
+  this.fakeHls.xhr.requestInterceptors.push(function(options, context) {
+    types.push(context.requestType);
+  });
+  this.fakeHls.xhr.responseInterceptors.push(function(body, context) {
+    if (context.requestType === 'media-playlist') {
+      return body + '#EXT-X-ENDLIST\n';
+    }
+  });
+  loader = new PlaylistLoader('master.m3u8', this.fakeHls);
+  this.requests.pop().respond(200, null,
+                              '#EXTM3U\n' +
+                              '#EXT-X-STREAM-INF:BANDWIDTH=1\n' +
+                              'low.m3u8\n');
+  this.requests.pop().respond(200, null,
+                              '#EXTM3U\n' +
+                              '#EXT-X-MEDIA-SEQUENCE:0\n' +
+                              '#EXTINF:10,\n' +
+                              'low-0.ts\n');
+
+  QUnit.deepEqual(types, ['manifest', 'media-playlist'], 'passed the request types');
+  QUnit.ok(loader.media().endList, 'parsed the transformed playlist');
+});
+
+QUnit.test('emits an error if an interceptor fails', function() {
+  let errors = 0;
+  let reject;
+  let loader;
+
+  this.fakeHls.xhr.requestInterceptors.push(function() {
+    return {
+      then(resolve, fail) {
+        reject = fail;
+      }
+    };
+  });
+  loader = new PlaylistLoader('master.m3u8', this.fakeHls, false, {
+    retry: {maxAttempts: 1}
+  });
+  loader.on('error', function() {
+    errors++;
+  });
+  reject(new Error('no token'));
+
+  QUnit.strictEqual(errors, 1, 'emitted an error');
+  QUnit.ok(!this.requests[0].url, 'made no request');
 });
 
 QUnit.test('errors when an initial media playlist request fails', function() {
   let errors = [];
-  let loader = new PlaylistLoader('master.m3u8', this.fakeHls);
+  let loader = new PlaylistLoader('master.m3u8', this.fakeHls, false, {
+    retry: {maxAttempts: 1}
+  });
 
   loader.on('error', function() {
     errors.push(loader.error);
@@ -388,6 +706,8 @@ QUnit.test('errors when an initial media playlist request fails', function() {
 
   QUnit.strictEqual(errors.length, 1, 'emitted one error');
   QUnit.strictEqual(errors[0].status, 500, 'http status is captured');
+  QUnit.strictEqual(errors[0].details, 'playlistLoadError', 'a media playlist failed');
+  QUnit.ok((/\/media\.m3u8$/).test(errors[0].url), 'captured the URL');
 });
 
 // http://tools.ietf.org/html/draft-pantos-http-live-streaming-12#section-6.3.4
@@ -418,6 +738,120 @@ function() {
                     'requested the media playlist');
 });
 
+QUnit.test('measures the refresh delay from the start of the request', function() {
+  let loader = new PlaylistLoader('live.m3u8', this.fakeHls);
+
+  this.requests.pop().respond(200, null,
+                              '#EXTM3U\n' +
+                              '#EXT-X-MEDIA-SEQUENCE:0\n' +
+                              '#EXTINF:10,\n' +
+                              '0.ts\n');
+  // trigger a refresh
+  this.clock.tick(10 * 1000);
+  // the response takes 3s to arrive
+  this.clock.tick(3 * 1000);
+  this.requests.pop().respond(200, null,
+                              '#EXTM3U\n' +
+                              '#EXT-X-MEDIA-SEQUENCE:1\n' +
+                              '#EXTINF:10,\n' +
+                              '1.ts\n');
+
+  this.clock.tick(7 * 1000 - 1);
+  QUnit.strictEqual(this.requests.length, 0, 'waited for the target duration');
+  this.clock.tick(1);
+  QUnit.strictEqual(loader.state, 'HAVE_CURRENT_METADATA', 'refreshed the playlist');
+  QUnit.strictEqual(this.requests.length, 1, 'refreshed a target duration later');
+});
+
+QUnit.test('backs off while a playlist stays unchanged', function() {
+  let loader = new PlaylistLoader('live.m3u8', this.fakeHls);
+  let refreshes = [];
+  let playlist = '#EXTM3U\n' +
+    '#EXT-X-MEDIA-SEQUENCE:0\n' +
+    '#EXTINF:10,\n' +
+    '0.ts\n';
+
+  loader.on('playlistrefresh', function(refresh) {
+    refreshes.push(refresh);
+  });
+  this.requests.pop().respond(200, null, playlist);
+  // trigger a refresh
+  this.clock.tick(10 * 1000);
+  this.requests.pop().respond(200, null, playlist);
+  this.clock.tick(5 * 1000);
+  this.requests.pop().respond(200, null, playlist);
+  this.clock.tick(10 * 1000);
+  this.requests.pop().respond(200, null, playlist);
+  this.clock.tick(20 * 1000);
+  this.requests.pop().respond(200, null, playlist);
+
+  QUnit.deepEqual(refreshes.map(function(refresh) {
+    return refresh.refreshDelay;
+  }), [10000, 5000, 10000, 20000, 30000], 'backed off up to three target durations');
+  QUnit.deepEqual(refreshes[1], {
+    uri: 'live.m3u8',
+    result: 'unchanged',
+    roundTripTime: 0,
+    refreshDelay: 5000
+  }, 'reported the timing of the refresh');
+  QUnit.strictEqual(refreshes[0].result, 'updated', 'the first load was an update');
+});
+
+QUnit.test('retries failed playlist refreshes with backoff', function() {
+  let loader = new PlaylistLoader('live.m3u8', this.fakeHls, false, {
+    retry: {maxAttempts: 1}
+  });
+  let errors = 0;
+
+  loader.on('error', function() {
+    errors++;
+  });
+  this.requests.pop().respond(200, null,
+                              '#EXTM3U\n' +
+                              '#EXT-X-MEDIA-SEQUENCE:0\n' +
+                              '#EXTINF:10,\n' +
+                              '0.ts\n');
+  // trigger a refresh
+  this.clock.tick(10 * 1000);
+  this.requests.pop().respond(500, null, '');
+  QUnit.strictEqual(errors, 1, 'emitted an error');
+  QUnit.strictEqual(loader.state, 'HAVE_METADATA', 'ready to refresh again');
+
+  this.clock.tick(5 * 1000);
+  QUnit.strictEqual(this.requests.length, 1, 'retried after half a target duration');
+  this.requests.pop().respond(500, null, '');
+
+  this.clock.tick(5 * 1000);
+  QUnit.strictEqual(this.requests.length, 0, 'backed off');
+  this.clock.tick(5 * 1000);
+  QUnit.strictEqual(this.requests.length, 1, 'retried after a target duration');
+  this.requests.pop().respond(200, null,
+                              '#EXTM3U\n' +
+                              '#EXT-X-MEDIA-SEQUENCE:1\n' +
+                              '#EXTINF:10,\n' +
+                              '1.ts\n');
+  QUnit.strictEqual(loader.media().mediaSequence, 1, 'updated the playlist');
+});
+
+QUnit.test('can refresh after the duration of the last segment', function() {
+  let loader = new PlaylistLoader('live.m3u8', this.fakeHls, false, {
+    alignRefreshToLastSegment: true
+  });
+
+  this.requests.pop().respond(200, null,
+                              '#EXTM3U\n' +
+                              '#EXT-X-TARGETDURATION:10\n' +
+                              '#EXT-X-MEDIA-SEQUENCE:0\n' +
+                              '#EXTINF:10,\n' +
+                              '0.ts\n' +
+                              '#EXTINF:4,\n' +
+                              '1.ts\n');
+  this.clock.tick(4 * 1000);
+
+  QUnit.strictEqual(loader.state, 'HAVE_CURRENT_METADATA', 'refreshed the playlist');
+  QUnit.strictEqual(this.requests.length, 1, 'requested the playlist');
+});
+
 QUnit.test('preserves segment metadata across playlist refreshes', function() {
   let loader = new PlaylistLoader('live.m3u8', this.fakeHls);
   let segment;
@@ -510,7 +944,9 @@ QUnit.test('media-sequence updates are considered a playlist change', function()
 QUnit.test('emits an error if a media refresh fails', function() {
   let errors = 0;
   let errorResponseText = 'custom error message';
-  let loader = new PlaylistLoader('live.m3u8', this.fakeHls);
+  let loader = new PlaylistLoader('live.m3u8', this.fakeHls, false, {
+    retry: {maxAttempts: 1}
+  });
 
   loader.on('error', function() {
     errors++;
@@ -1023,3 +1459,130 @@ QUnit.test('does not misintrepret playlists missing newlines at the end', functi
                                 '#EXT-X-ENDLIST');
   QUnit.ok(loader.media().endList, 'flushed the final line of input');
 });
+
+QUnit.test('groups redundant variants', function() {
+  let loader = new PlaylistLoader('master.m3u8', this.fakeHls);
+
+  this.requests.pop().respond(200, null,
+                              '#EXTM3U\n' +
+                              '#EXT-X-STREAM-INF:BANDWIDTH=1,RESOLUTION=2x1\n' +
+                              'http://primary.example.com/low.m3u8\n' +
+                              '#EXT-X-STREAM-INF:BANDWIDTH=2,RESOLUTION=4x2\n' +
+                              'http://primary.example.com/high.m3u8\n' +
+                              '#EXT-X-STREAM-INF:BANDWIDTH=1,RESOLUTION=2x1\n' +
+                              'http://backup.example.com/low.m3u8\n' +
+                              '#EXT-X-STREAM-INF:BANDWIDTH=2,RESOLUTION=4x4\n' +
+                              'http://backup.example.com/high.m3u8\n');
+
+  QUnit.strictEqual(loader.master.playlists.length, 3, 'folded the redundant variant');
+  QUnit.deepEqual(loader.master.playlists[0].redundantUris, [
+    'http://primary.example.com/low.m3u8',
+    'http://backup.example.com/low.m3u8'
+  ], 'listed the redundant URIs');
+  QUnit.strictEqual(loader.master.playlists[0].uri,
+                    'http://primary.example.com/low.m3u8',
+                    'starts with the primary URI');
+  QUnit.strictEqual(loader.master.playlists['http://backup.example.com/low.m3u8'],
+                    loader.master.playlists[0],
+                    'looks up variants by their backup URIs');
+  QUnit.ok(!loader.master.playlists[1].redundantUris,
+           'variants with a different resolution are not redundant');
+});
+
+QUnit.test('does not group variants that play different renditions', function() {
+  let loader = new PlaylistLoader('master.m3u8', this.fakeHls);
+
+  this.requests.pop().respond(200, null,
+                              '#EXTM3U\n' +
+                              '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aac",NAME="en",' +
+                              'URI="aac.m3u8"\n' +
+                              '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="ac3",NAME="en",' +
+                              'URI="ac3.m3u8"\n' +
+                              '#EXT-X-STREAM-INF:BANDWIDTH=1,AUDIO="aac"\n' +
+                              'aac/low.m3u8\n' +
+                              '#EXT-X-STREAM-INF:BANDWIDTH=1,AUDIO="ac3"\n' +
+                              'ac3/low.m3u8\n' +
+                              '#EXT-X-STREAM-INF:BANDWIDTH=1,FRAME-RATE=30\n' +
+                              '30/low.m3u8\n' +
+                              '#EXT-X-STREAM-INF:BANDWIDTH=1,FRAME-RATE=60\n' +
+                              '60/low.m3u8\n');
+
+  QUnit.strictEqual(loader.master.playlists.length, 4, 'kept every variant');
+  QUnit.ok(!loader.master.playlists[0].redundantUris,
+           'variants in different audio groups are not redundant');
+  QUnit.ok(!loader.master.playlists[2].redundantUris,
+           'variants with different frame rates are not redundant');
+});
+
+QUnit.test('reloads the active variant from a redundant URI', function() {
+  let loader = new PlaylistLoader('master.m3u8', this.fakeHls);
+  let segment;
+
+  this.requests.pop().respond(200, null,
+                              '#EXTM3U\n' +
+                              '#EXT-X-STREAM-INF:BANDWIDTH=1\n' +
+                              'http://primary.example.com/live.m3u8\n' +
+                              '#EXT-X-STREAM-INF:BANDWIDTH=1\n' +
+                              'http://backup.example.com/live.m3u8\n');
+  this.requests.pop().respond(200, null,
+                              '#EXTM3U\n' +
+                              '#EXT-X-MEDIA-SEQUENCE:0\n' +
+                              '#EXTINF:10,\n' +
+                              'http://primary.example.com/0.ts\n' +
+                              '#EXTINF:10,\n' +
+                              'http://primary.example.com/1.ts\n');
+  segment = loader.media().segments[1];
+  segment.end = 20;
+
+  loader.useRedundantUri(loader.media(), 'http://backup.example.com/live.m3u8');
+  QUnit.strictEqual(loader.state, 'SWITCHING_MEDIA', 'reloading the playlist');
+  QUnit.strictEqual(this.requests.length, 1, 'requested the playlist');
+  QUnit.strictEqual(this.requests[0].url,
+                    'http://backup.example.com/live.m3u8',
+                    'requested the backup URI');
+  this.requests.pop().respond(200, null,
+                              '#EXTM3U\n' +
+                              '#EXT-X-MEDIA-SEQUENCE:0\n' +
+                              '#EXTINF:10,\n' +
+                              'http://backup.example.com/0.ts\n' +
+                              '#EXTINF:10,\n' +
+                              'http://backup.example.com/1.ts\n');
+
+  QUnit.strictEqual(loader.state, 'HAVE_METADATA', 'loaded the playlist');
+  QUnit.strictEqual(loader.media().uri,
+                    'http://backup.example.com/live.m3u8',
+                    'switched the URI');
+  QUnit.strictEqual(loader.media().segments[1].uri,
+                    'http://backup.example.com/1.ts',
+                    'updated the segment URIs');
+  QUnit.strictEqual(loader.media().segments[1].end, 20, 'kept the segment timing');
+  QUnit.strictEqual(loader.master.playlists.length, 1, 'did not switch variants');
+});
+
+QUnit.test('switches inactive variants to a redundant URI without loading them',
+function() {
+  let loader = new PlaylistLoader('master.m3u8', this.fakeHls);
+
+  this.requests.pop().respond(200, null,
+                              '#EXTM3U\n' +
+                              '#EXT-X-STREAM-INF:BANDWIDTH=1\n' +
+                              'low.m3u8\n' +
+                              '#EXT-X-STREAM-INF:BANDWIDTH=2\n' +
+                              'high.m3u8\n' +
+                              '#EXT-X-STREAM-INF:BANDWIDTH=2\n' +
+                              'high-backup.m3u8\n');
+  this.requests.pop().respond(200, null,
+                              '#EXTM3U\n' +
+                              '#EXTINF:10,\n' +
+                              '0.ts\n' +
+                              '#EXT-X-ENDLIST\n');
+
+  loader.useRedundantUri(loader.master.playlists[1], 'high-backup.m3u8');
+  QUnit.strictEqual(this.requests.length, 0, 'did not request the variant');
+  QUnit.strictEqual(loader.master.playlists[1].uri,
+                    'high-backup.m3u8',
+                    'switched the URI');
+  QUnit.throws(function() {
+    loader.useRedundantUri(loader.master.playlists[0], 'high.m3u8');
+  }, 'only redundant URIs can be used');
+});
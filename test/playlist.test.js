@@ -267,6 +267,52 @@ QUnit.test('a non-positive length interval has zero duration', function() {
   QUnit.equal(Playlist.duration(playlist, -1), 0, 'negative length duration is zero');
 });
 
+QUnit.module('Playlist Segment Start Time');
+
+QUnit.test('estimates start times from segment durations and expired time', function() {
+  let playlist = {
+    mediaSequence: 10,
+    segments: [{
+      duration: 10,
+      uri: '10.ts'
+    }, {
+      duration: 9,
+      uri: '11.ts'
+    }, {
+      duration: 10,
+      uri: '12.ts'
+    }]
+  };
+
+  QUnit.equal(Playlist.segmentStartTime(playlist, 0, 100), 100, 'first segment');
+  QUnit.equal(Playlist.segmentStartTime(playlist, 2, 100), 119, 'later segment');
+  QUnit.equal(Playlist.segmentStartTime(playlist, 2), 19, 'expired defaults to zero');
+});
+
+QUnit.test('uses timeline values when available', function() {
+  let playlist = {
+    mediaSequence: 10,
+    segments: [{
+      duration: 10,
+      uri: '10.ts'
+    }, {
+      duration: 9,
+      end: 58,
+      uri: '11.ts'
+    }, {
+      duration: 10,
+      uri: '12.ts'
+    }]
+  };
+
+  QUnit.equal(Playlist.segmentStartTime(playlist, 0, 100),
+              39,
+              'walks backward from later timeline information');
+  QUnit.equal(Playlist.segmentStartTime(playlist, 2, 100),
+              58,
+              'starts at the end of the previous segment');
+});
+
 QUnit.module('Playlist Seekable');
 
 QUnit.test('calculates seekable time ranges from the available segments', function() {
@@ -0,0 +1,63 @@
+import QUnit from 'qunit';
+import RetryPolicy from '../src/retry-policy';
+
+QUnit.module('Retry Policy');
+
+QUnit.test('retries network and server errors by default', function() {
+  let policy = new RetryPolicy();
+
+  QUnit.ok(policy.shouldRetry({status: 0}, 1), 'retries network errors');
+  QUnit.ok(policy.shouldRetry({status: 500}, 1), 'retries server errors');
+  QUnit.ok(policy.shouldRetry({status: 503}, 2), 'retries server errors again');
+  QUnit.ok(!policy.shouldRetry({status: 404}, 1), 'does not retry 404s');
+  QUnit.ok(!policy.shouldRetry({status: 410}, 1), 'does not retry 410s');
+  QUnit.ok(!policy.shouldRetry({status: 500, aborted: true}, 1),
+           'does not retry aborted requests');
+});
+
+QUnit.test('stops after the maximum number of attempts', function() {
+  let policy = new RetryPolicy({maxAttempts: 2});
+
+  QUnit.ok(policy.shouldRetry({status: 500}, 1), 'retries the first failure');
+  QUnit.ok(!policy.shouldRetry({status: 500}, 2), 'gives up after two attempts');
+});
+
+QUnit.test('status code rules override the defaults', function() {
+  let policy = new RetryPolicy({
+    statusCodes: {
+      404: true,
+      503: false
+    }
+  });
+
+  QUnit.ok(policy.shouldRetry({status: 404}, 1), 'retries 404s');
+  QUnit.ok(!policy.shouldRetry({status: 503}, 1), 'does not retry 503s');
+  QUnit.ok(policy.shouldRetry({status: 500}, 1), 'retries other server errors');
+});
+
+QUnit.test('backs off exponentially up to a maximum', function() {
+  let policy = new RetryPolicy({
+    initialDelay: 500,
+    maxDelay: 3000,
+    jitter: 0
+  });
+
+  QUnit.strictEqual(policy.delay(1), 500, 'waits the initial delay');
+  QUnit.strictEqual(policy.delay(2), 1000, 'doubles the delay');
+  QUnit.strictEqual(policy.delay(3), 2000, 'doubles the delay again');
+  QUnit.strictEqual(policy.delay(4), 3000, 'caps the delay');
+});
+
+QUnit.test('randomizes delays by the jitter', function() {
+  let policy = new RetryPolicy({
+    initialDelay: 1000,
+    jitter: 0.5
+  });
+  let delay;
+  let i;
+
+  for (i = 0; i < 20; i++) {
+    delay = policy.delay(1);
+    QUnit.ok(delay >= 500 && delay <= 1500, 'delay is within the jitter');
+  }
+});
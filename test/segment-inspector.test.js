@@ -0,0 +1,149 @@
+import QUnit from 'qunit';
+import {firstPts, mp4Timescales, mp4StartTime} from '../src/segment-inspector';
+
+// build a single MPEG2-TS packet that starts a PES packet with the
+// specified 90kHz presentation timestamp
+const pesPacket = function(pts, adaptationFieldLength) {
+  let packet = new Uint8Array(188);
+  let offset = 4;
+
+  packet[0] = 0x47;
+  // payload_unit_start_indicator
+  packet[1] = 0x40;
+  packet[2] = 0x11;
+  packet[3] = 0x10;
+
+  if (adaptationFieldLength) {
+    packet[3] = 0x30;
+    packet[4] = adaptationFieldLength;
+    offset += adaptationFieldLength + 1;
+  }
+
+  packet.set([
+    // PES start code and stream id
+    0x00, 0x00, 0x01, 0xe0,
+    // PES packet length
+    0x00, 0x00,
+    // flags: PTS only
+    0x80, 0x80,
+    // PES header data length
+    0x05,
+    0x21 | ((Math.floor(pts / Math.pow(2, 30)) & 0x07) << 1),
+    Math.floor(pts / Math.pow(2, 22)) & 0xff,
+    ((Math.floor(pts / Math.pow(2, 15)) & 0x7f) << 1) | 0x01,
+    Math.floor(pts / Math.pow(2, 7)) & 0xff,
+    ((pts & 0x7f) << 1) | 0x01
+  ], offset);
+
+  return packet;
+};
+
+const concat = function(...arrays) {
+  let result = new Uint8Array(arrays.reduce(function(length, array) {
+    return length + array.byteLength;
+  }, 0));
+  let offset = 0;
+
+  arrays.forEach(function(array) {
+    result.set(array, offset);
+    offset += array.byteLength;
+  });
+  return result;
+};
+
+// build an MP4 box with the specified type and contents
+const box = function(type, ...payloads) {
+  let payload = concat(...payloads);
+  let result = new Uint8Array(payload.byteLength + 8);
+
+  new DataView(result.buffer).setUint32(0, result.byteLength);
+  result.set([
+    type.charCodeAt(0),
+    type.charCodeAt(1),
+    type.charCodeAt(2),
+    type.charCodeAt(3)
+  ], 4);
+  result.set(payload, 8);
+  return result;
+};
+
+// build a full box payload with the version and 32-bit fields
+const fullBox = function(version, ...fields) {
+  let result = new Uint8Array(4 + fields.length * 4);
+  let view = new DataView(result.buffer);
+
+  result[0] = version;
+  fields.forEach(function(field, i) {
+    view.setUint32(4 + i * 4, field);
+  });
+  return result;
+};
+
+// build an initialization segment with a track for each timescale
+const initSegment = function(...timescales) {
+  return box('moov', ...timescales.map(function(timescale, i) {
+    return box('trak',
+               // creation time, modification time, track ID
+               box('tkhd', fullBox(0, 0, 0, i + 1, 0)),
+               // creation time, modification time, timescale
+               box('mdia', box('mdhd', fullBox(0, 0, 0, timescale, 0))));
+  }));
+};
+
+QUnit.module('Segment Inspector');
+
+QUnit.test('finds the first presentation timestamp', function() {
+  QUnit.strictEqual(firstPts(concat(pesPacket(900000), pesPacket(990000))),
+                    10,
+                    'converted the first PTS to seconds');
+});
+
+QUnit.test('skips over adaptation fields', function() {
+  QUnit.strictEqual(firstPts(pesPacket(180000, 7)), 2, 'parsed the PTS');
+});
+
+QUnit.test('skips packets that do not start a PES packet', function() {
+  let continuation = pesPacket(0);
+
+  continuation[1] = 0x00;
+  QUnit.strictEqual(firstPts(concat(continuation, pesPacket(90000))),
+                    1,
+                    'ignored the continuation packet');
+});
+
+QUnit.test('parses timestamps larger than 32 bits', function() {
+  let pts = Math.pow(2, 32) + 90000;
+
+  QUnit.strictEqual(firstPts(pesPacket(pts)), pts / 90000, 'parsed the PTS');
+});
+
+QUnit.test('returns null if there is no timestamp', function() {
+  QUnit.strictEqual(firstPts(new Uint8Array(188)), null, 'no sync byte');
+  QUnit.strictEqual(firstPts(new Uint8Array(0)), null, 'no bytes');
+});
+
+QUnit.test('reads the timescale of each MP4 track', function() {
+  QUnit.deepEqual(mp4Timescales(initSegment(90000, 48000)), {
+    1: 90000,
+    2: 48000
+  }, 'found the timescales');
+});
+
+QUnit.test('finds the earliest MP4 decode time', function() {
+  let timescales = mp4Timescales(initSegment(90000, 48000));
+  let fragment = box('moof',
+                     box('traf',
+                         box('tfhd', fullBox(0, 1)),
+                         box('tfdt', fullBox(0, 900000))),
+                     box('traf',
+                         box('tfhd', fullBox(0, 2)),
+                         // a 64-bit decode time
+                         box('tfdt', fullBox(1, 0, 48000 * 9))));
+
+  QUnit.strictEqual(mp4StartTime(timescales, concat(fragment, box('mdat'))),
+                    9,
+                    'found the start time of the earliest track');
+  QUnit.strictEqual(mp4StartTime(timescales, box('mdat')),
+                    null,
+                    'returns null without a movie fragment');
+});
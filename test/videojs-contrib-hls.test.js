@@ -164,6 +164,35 @@ const absoluteUrl = function(relativeUrl) {
     );
 };
 
+// build an MP4 box with the specified type and contents
+const mp4Box = function(type, ...payloads) {
+  let size = payloads.reduce(function(length, payload) {
+    return length + payload.byteLength;
+  }, 8);
+  let result = new Uint8Array(size);
+  let offset = 8;
+
+  new DataView(result.buffer).setUint32(0, size);
+  result.set(type.split('').map(function(character) {
+    return character.charCodeAt(0);
+  }), 4);
+  payloads.forEach(function(payload) {
+    result.set(payload, offset);
+    offset += payload.byteLength;
+  });
+  return result;
+};
+
+// build the payload of an MP4 full box out of 32-bit fields
+const mp4FullBox = function(...fields) {
+  let result = new Uint8Array(4 + fields.length * 4);
+
+  fields.forEach(function(field, i) {
+    new DataView(result.buffer).setUint32(4 + i * 4, field);
+  });
+  return result;
+};
+
 // a no-op MediaSource implementation to allow synchronous testing
 class MockMediaSource extends videojs.EventTarget {
   static open() {}
@@ -579,6 +608,95 @@ QUnit.test('calls `remove` based on currentTime when loading a vod segment', fun
   QUnit.deepEqual(removes[0], [0, 120 - 60], 'remove called with the right range');
 });
 
+QUnit.test('keeps the configured back-buffer length', function() {
+  let removes = [];
+
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl',
+    backBufferLength: 10
+  });
+  openMediaSource(this.player, this.clock);
+  this.player.tech_.hls.mediaSource.addSourceBuffer = function() {
+    return new (videojs.extend(videojs.EventTarget, {
+      constructor() {},
+      abort() {},
+      buffered: videojs.createTimeRange(),
+      appendBuffer() {},
+      remove(start, end) {
+        removes.push([start, end]);
+      }
+    }))();
+  };
+  this.player.tech_.hls.bandwidth = 20e10;
+  standardXHRResponse(this.requests[0]);
+  this.player.currentTime(120);
+  standardXHRResponse(this.requests[1]);
+  standardXHRResponse(this.requests[2]);
+
+  QUnit.equal(removes.length, 1, 'remove called');
+  QUnit.deepEqual(removes[0], [0, 120 - 10], 'kept ten seconds behind the play head');
+});
+
+QUnit.test('keeps the whole back-buffer if requested', function() {
+  let removes = [];
+
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl',
+    backBufferLength: Infinity
+  });
+  openMediaSource(this.player, this.clock);
+  this.player.tech_.hls.mediaSource.addSourceBuffer = function() {
+    return new (videojs.extend(videojs.EventTarget, {
+      constructor() {},
+      abort() {},
+      buffered: videojs.createTimeRange(),
+      appendBuffer() {},
+      remove(start, end) {
+        removes.push([start, end]);
+      }
+    }))();
+  };
+  this.player.tech_.hls.bandwidth = 20e10;
+  standardXHRResponse(this.requests[0]);
+  this.player.currentTime(120);
+  standardXHRResponse(this.requests[1]);
+  standardXHRResponse(this.requests[2]);
+
+  QUnit.equal(removes.length, 0, 'nothing was removed');
+});
+
+QUnit.test('limits the total buffer length', function() {
+  let removes = [];
+
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl',
+    maxBufferLength: 30
+  });
+  openMediaSource(this.player, this.clock);
+  this.player.tech_.hls.mediaSource.addSourceBuffer = function() {
+    return new (videojs.extend(videojs.EventTarget, {
+      constructor() {},
+      abort() {},
+      buffered: videojs.createTimeRange(),
+      appendBuffer() {},
+      remove(start, end) {
+        removes.push([start, end]);
+      }
+    }))();
+  };
+  this.player.tech_.hls.bandwidth = 20e10;
+  standardXHRResponse(this.requests[0]);
+  this.player.currentTime(120);
+  standardXHRResponse(this.requests[1]);
+  standardXHRResponse(this.requests[2]);
+
+  QUnit.equal(removes.length, 1, 'remove called');
+  QUnit.deepEqual(removes[0], [0, 120 - 30], 'kept at most thirty seconds buffered');
+});
+
 QUnit.test('codecs are passed to the source buffer', function() {
   let codecs = [];
 
@@ -600,1143 +718,3135 @@ QUnit.test('codecs are passed to the source buffer', function() {
   QUnit.equal(codecs[0], 'video/mp2t; codecs="video, audio"', 'specified the codecs');
 });
 
-QUnit.test('including HLS as a tech does not error', function() {
-  let player = createPlayer({
-    techOrder: ['hls', 'html5']
+QUnit.test('loads the default alternate audio rendition', function() {
+  this.player.src({
+    src: 'manifest/alternateAudio.m3u8',
+    type: 'application/vnd.apple.mpegurl'
   });
+  openMediaSource(this.player, this.clock);
 
-  QUnit.ok(player, 'created the player');
+  // master
+  standardXHRResponse(this.requests[0]);
+  // video media playlist
+  standardXHRResponse(this.requests[1]);
+
+  QUnit.strictEqual(this.requests[2].url,
+                    absoluteUrl('manifest/media1.m3u8'),
+                    'requested the default audio rendition');
+  QUnit.ok(this.player.tech_.hls.audioPlaylists_, 'created an audio playlist loader');
 });
 
-// Warns: 'player.hls is deprecated. Use player.tech.hls instead.'
-QUnit.test('creates a PlaylistLoader on init', function() {
+QUnit.test('creates a separate SourceBuffer for alternate audio', function() {
+  let mimeTypes = [];
+
   this.player.src({
-    src: 'manifest/playlist.m3u8',
+    src: 'manifest/alternateAudio.m3u8',
     type: 'application/vnd.apple.mpegurl'
   });
   openMediaSource(this.player, this.clock);
+  this.player.tech_.hls.mediaSource.addSourceBuffer = function(mimeType) {
+    mimeTypes.push(mimeType);
+    return new (videojs.extend(videojs.EventTarget, {
+      constructor() {},
+      abort() {},
+      buffered: videojs.createTimeRange(),
+      appendBuffer() {},
+      remove() {}
+    }))();
+  };
+
+  standardXHRResponse(this.requests[0]);
+  standardXHRResponse(this.requests[1]);
+  QUnit.deepEqual(mimeTypes, [], 'waits for the audio playlist');
+
+  // audio playlist
+  standardXHRResponse(this.requests[2]);
+  QUnit.deepEqual(mimeTypes, [
+    'video/mp2t; codecs="avc1.4d400d"',
+    'video/mp2t; codecs="mp4a.40.2"'
+  ], 'split the codecs between the two source buffers');
+  QUnit.ok(this.player.tech_.hls.audioSourceBuffer_, 'created an audio source buffer');
+});
+
+QUnit.test('picks the alternate audio SourceBuffer type from the audio segments', function() {
+  let mimeTypes = [];
+
   this.player.src({
-    src: 'manifest/playlist.m3u8',
+    src: 'manifest/alternateAudio.m3u8',
     type: 'application/vnd.apple.mpegurl'
   });
   openMediaSource(this.player, this.clock);
+  // the Flash tech these tests run with can't play fragmented MP4s
+  this.player.tech_.hls.mode_ = 'html5';
+  this.player.tech_.hls.mediaSource.addSourceBuffer = function(mimeType) {
+    mimeTypes.push(mimeType);
+    return new (videojs.extend(videojs.EventTarget, {
+      constructor() {},
+      abort() {},
+      buffered: videojs.createTimeRange(),
+      appendBuffer() {},
+      remove() {}
+    }))();
+  };
 
-  QUnit.equal(this.requests[0].aborted, true, 'aborted previous src');
+  standardXHRResponse(this.requests[0]);
   standardXHRResponse(this.requests[1]);
-  QUnit.ok(this.player.tech_.hls.playlists.master,
-           'set the master playlist');
-  QUnit.ok(this.player.tech_.hls.playlists.media(),
-           'set the media playlist');
-  QUnit.ok(this.player.tech_.hls.playlists.media().segments,
-           'the segment entries are parsed');
-  QUnit.strictEqual(this.player.tech_.hls.playlists.master.playlists[0],
-                    this.player.tech_.hls.playlists.media(),
-                    'the playlist is selected');
+  // audio playlist
+  this.requests[2].respond(200, null,
+                           '#EXTM3U\n' +
+                           '#EXT-X-MAP:URI="audio-init.mp4"\n' +
+                           '#EXTINF:10,\n' +
+                           'audio-0.m4s\n' +
+                           '#EXT-X-ENDLIST\n');
+
+  QUnit.deepEqual(mimeTypes, [
+    'video/mp2t; codecs="avc1.4d400d"',
+    'audio/mp4; codecs="mp4a.40.2"'
+  ], 'fragmented MP4 audio accompanies MPEG2-TS video');
 });
 
-QUnit.test('re-initializes the playlist loader when switching sources', function() {
-  // source is set
+QUnit.test('downloads and appends alternate audio segments', function() {
+  let appends = [];
+  let hls;
+
   this.player.src({
-    src: 'manifest/media.m3u8',
+    src: 'manifest/alternateAudio.m3u8',
     type: 'application/vnd.apple.mpegurl'
   });
   openMediaSource(this.player, this.clock);
-  // loader gets media playlist
+  this.player.tech_.trigger('play');
+  hls = this.player.tech_.hls;
+
   standardXHRResponse(this.requests.shift());
-  // request a segment
   standardXHRResponse(this.requests.shift());
-  // change the source
-  this.player.src({
-    src: 'manifest/master.m3u8',
-    type: 'application/vnd.apple.mpegurl'
-  });
-  // maybe not needed if https://github.com/videojs/video.js/issues/2326 gets fixed
-  this.clock.tick(1);
-  QUnit.ok(!this.player.tech_.hls.playlists.media(), 'no media playlist');
-  QUnit.equal(this.player.tech_.hls.playlists.state,
-              'HAVE_NOTHING',
-              'reset the playlist loader state');
-  QUnit.equal(this.requests.length, 1, 'requested the new src');
-
-  // buffer check
-  this.player.tech_.hls.checkBuffer_();
-  QUnit.equal(this.requests.length, 1, 'did not request a stale segment');
-
-  // sourceopen
-  openMediaSource(this.player, this.clock);
+  QUnit.ok((/media-00001\.ts$/).test(this.requests[1].url), 'requested video');
+  // audio playlist
+  standardXHRResponse(this.requests[0]);
+  hls.audioSourceBuffer_.appendBuffer = function(bytes) {
+    appends.push(bytes);
+  };
+  QUnit.ok((/media1-00001\.ts$/).test(this.requests[2].url), 'requested audio');
 
-  QUnit.equal(this.requests.length, 1, 'made one request');
-  QUnit.ok(this.requests[0].url.indexOf('master.m3u8') >= 0,
-           'requested only the new playlist');
+  standardXHRResponse(this.requests[2]);
+  QUnit.strictEqual(appends.length, 1, 'appended the audio segment');
+  QUnit.ok(hls.audioSegmentLoader_.pendingSegment_, 'waits for the audio append to finish');
+  QUnit.ok(!hls.mainSegmentLoader_.pendingSegment_, 'the video segment is still downloading');
 });
 
-QUnit.test('sets the duration if one is available on the playlist', function() {
-  let events = 0;
+QUnit.test('positions fragmented MP4 alternate audio by its decode time', function() {
+  let appends = [];
+  let hls;
+  let initRequest;
+  let segmentRequest;
+  // track 1 has a timescale of 48kHz
+  let init = mp4Box('moov',
+                    mp4Box('trak',
+                           mp4Box('tkhd', mp4FullBox(0, 0, 1, 0)),
+                           mp4Box('mdia', mp4Box('mdhd', mp4FullBox(0, 0, 48000, 0)))));
+  // the fragment starts 100 seconds into the media timeline
+  let fragment = mp4Box('moof',
+                        mp4Box('traf',
+                               mp4Box('tfhd', mp4FullBox(1)),
+                               mp4Box('tfdt', mp4FullBox(48000 * 100))));
 
   this.player.src({
-    src: 'manifest/media.m3u8',
+    src: 'manifest/alternateAudio.m3u8',
     type: 'application/vnd.apple.mpegurl'
   });
   openMediaSource(this.player, this.clock);
-  this.player.tech_.on('durationchange', function() {
-    events++;
-  });
+  // the Flash tech these tests run with can't play fragmented MP4s
+  this.player.tech_.hls.mode_ = 'html5';
+  this.player.tech_.trigger('play');
+  hls = this.player.tech_.hls;
 
-  standardXHRResponse(this.requests[0]);
-  QUnit.equal(this.player.tech_.hls.mediaSource.duration,
-              40,
-              'set the duration');
-  QUnit.equal(events, 1, 'durationchange is fired');
+  standardXHRResponse(this.requests.shift());
+  standardXHRResponse(this.requests.shift());
+  // audio playlist
+  this.requests.shift().respond(200, null,
+                                '#EXTM3U\n' +
+                                '#EXT-X-MAP:URI="audio-init.mp4"\n' +
+                                '#EXTINF:10,\n' +
+                                'audio-0.m4s\n' +
+                                '#EXT-X-ENDLIST\n');
+  hls.audioSourceBuffer_.appendBuffer = function(bytes) {
+    appends.push(bytes);
+  };
+  initRequest = this.requests.filter(function(request) {
+    return (/audio-init\.mp4$/).test(request.url);
+  })[0];
+  segmentRequest = this.requests.filter(function(request) {
+    return (/audio-0\.m4s$/).test(request.url);
+  })[0];
+  initRequest.response = init.buffer;
+  initRequest.respond(200, null, '');
+  segmentRequest.response = fragment.buffer;
+  segmentRequest.respond(200, null, '');
+
+  QUnit.strictEqual(appends.length, 1, 'appended the initialization segment');
+  hls.audioSourceBuffer_.trigger('updateend');
+  QUnit.strictEqual(appends.length, 2, 'appended the media segment');
+  QUnit.strictEqual(hls.audioSourceBuffer_.timestampOffset,
+                    -100,
+                    'moved the first fragment to the start of the timeline');
 });
 
-QUnit.test('estimates individual segment durations if needed', function() {
-  let changes = 0;
+QUnit.test('requests alternate audio keys alongside video keys', function() {
+  let hls;
+  let keyRequests;
+  let encryptedPlaylist = function(keyUri, segmentUri) {
+    return '#EXTM3U\n' +
+      '#EXT-X-KEY:METHOD=AES-128,URI="' + keyUri + '"\n' +
+      '#EXTINF:10,\n' +
+      segmentUri + '\n' +
+      '#EXT-X-ENDLIST\n';
+  };
 
   this.player.src({
-    src: 'http://example.com/manifest/missingExtinf.m3u8',
+    src: 'manifest/alternateAudio.m3u8',
     type: 'application/vnd.apple.mpegurl'
   });
   openMediaSource(this.player, this.clock);
-  this.player.tech_.hls.mediaSource.duration = NaN;
-  this.player.tech_.on('durationchange', function() {
-    changes++;
-  });
+  this.player.tech_.trigger('play');
+  hls = this.player.tech_.hls;
 
-  standardXHRResponse(this.requests[0]);
-  QUnit.strictEqual(this.player.tech_.hls.mediaSource.duration,
-                    this.player.tech_.hls.playlists.media().segments.length * 10,
-                    'duration is updated');
-  QUnit.strictEqual(changes, 1, 'one durationchange fired');
+  standardXHRResponse(this.requests.shift());
+  this.requests.shift().respond(200, null,
+                                encryptedPlaylist('video-key', 'video.ts'));
+  this.requests.shift().respond(200, null,
+                                encryptedPlaylist('audio-key', 'audio.ts'));
+
+  keyRequests = this.requests.filter(function(request) {
+    return (/-key$/).test(request.url);
+  }).map(function(request) {
+    return request.url;
+  });
+  QUnit.deepEqual(keyRequests, [
+    absoluteUrl('manifest/video-key'),
+    absoluteUrl('manifest/audio-key')
+  ], 'requested both keys at once');
+  QUnit.ok(hls.mainSegmentLoader_.keyXhr_, 'the video key is outstanding');
+  QUnit.ok(hls.audioSegmentLoader_.keyXhr_, 'the audio key is outstanding');
+
+  hls.audioSegmentLoader_.abortKey();
+  QUnit.ok(hls.mainSegmentLoader_.keyXhr_, 'cancelling the audio key leaves the video key alone');
 });
 
-QUnit.test('translates seekable by the starting time for live playlists', function() {
-  let seekable;
+QUnit.test('waits for alternate audio before signaling the end of stream', function() {
+  let endOfStreams = 0;
+  let hls;
+  let audioBuffered = [];
 
   this.player.src({
-    src: 'media.m3u8',
+    src: 'alternateAudio.m3u8',
     type: 'application/vnd.apple.mpegurl'
   });
   openMediaSource(this.player, this.clock);
+  hls = this.player.tech_.hls;
+  this.player.tech_.buffered = function() {
+    return videojs.createTimeRanges([[0, 10]]);
+  };
+  hls.mediaSource.endOfStream = function() {
+    endOfStreams++;
+  };
+  this.player.tech_.trigger('play');
+
+  standardXHRResponse(this.requests.shift());
   this.requests.shift().respond(200, null,
                                 '#EXTM3U\n' +
-                                '#EXT-X-MEDIA-SEQUENCE:15\n' +
-                                '#EXTINF:10,\n' +
-                                '0.ts\n' +
                                 '#EXTINF:10,\n' +
-                                '1.ts\n' +
-                                '#EXTINF:10,\n' +
-                                '2.ts\n' +
-                                '#EXTINF:10,\n' +
-                                '3.ts\n');
+                                'video.ts\n' +
+                                '#EXT-X-ENDLIST\n');
+  // audio playlist
+  this.requests[0].respond(200, null,
+                           '#EXTM3U\n' +
+                           '#EXTINF:10,\n' +
+                           'audio.ts\n' +
+                           '#EXT-X-ENDLIST\n');
+  hls.audioSourceBuffer_.buffered = videojs.createTimeRanges(audioBuffered);
 
-  seekable = this.player.seekable();
-  QUnit.equal(seekable.length, 1, 'one seekable range');
-  QUnit.equal(seekable.start(0), 0, 'the earliest possible position is at zero');
-  QUnit.equal(seekable.end(0), 10, 'end is relative to the start');
+  // video segment
+  standardXHRResponse(this.requests[1]);
+  hls.sourceBuffer.trigger('updateend');
+  QUnit.strictEqual(endOfStreams, 0, 'waited for the audio');
+
+  // audio segment
+  standardXHRResponse(this.requests[2]);
+  hls.audioSourceBuffer_.buffered = videojs.createTimeRanges([[0, 10]]);
+  hls.audioSourceBuffer_.trigger('updateend');
+  QUnit.strictEqual(endOfStreams, 1, 'signaled the end of stream');
 });
 
-QUnit.test('starts downloading a segment on loadedmetadata', function() {
+QUnit.test('creates an audio track for each alternate audio rendition', function() {
+  let audioTracks;
+
   this.player.src({
-    src: 'manifest/media.m3u8',
+    src: 'manifest/alternateAudio.m3u8',
     type: 'application/vnd.apple.mpegurl'
   });
-  this.player.buffered = function() {
-    return videojs.createTimeRange(0, 0);
-  };
   openMediaSource(this.player, this.clock);
-
   standardXHRResponse(this.requests[0]);
   standardXHRResponse(this.requests[1]);
-  QUnit.strictEqual(this.requests[1].url,
-                    absoluteUrl('manifest/media-00001.ts'),
-                    'the first segment is requested');
+
+  audioTracks = this.player.tech_.audioTracks();
+  QUnit.strictEqual(audioTracks.length, 3, 'created three audio tracks');
+  QUnit.strictEqual(audioTracks[0].id, 'English', 'named the first track');
+  QUnit.strictEqual(audioTracks[0].language, 'en', 'set the language');
+  QUnit.strictEqual(audioTracks[0].kind, 'main', 'the default track is main');
+  QUnit.ok(audioTracks[0].enabled, 'the default track is enabled');
+  QUnit.strictEqual(audioTracks[1].kind, 'alternative', 'set the track kind');
+  QUnit.ok(!audioTracks[1].enabled, 'other tracks are disabled');
+  QUnit.strictEqual(audioTracks[2].kind,
+                    'main-desc',
+                    'described video is recognized from its characteristics');
 });
 
-QUnit.test('return an empty buffered region when there are no SourceBuffers but a real MediaSource exists', function() {
+QUnit.test('switching audio tracks only refills the audio buffer', function() {
+  let audioRemoves = [];
+  let videoRemoves = 0;
+  let hls;
+  let segmentXhr;
+
   this.player.src({
-    src: 'manifest/media.m3u8',
+    src: 'manifest/alternateAudio.m3u8',
     type: 'application/vnd.apple.mpegurl'
   });
-  this.player.tech_.buffered = function() {
-    return videojs.createTimeRanges([[0, 10]]);
-  };
   openMediaSource(this.player, this.clock);
+  this.player.tech_.trigger('play');
+  hls = this.player.tech_.hls;
+  standardXHRResponse(this.requests.shift());
+  standardXHRResponse(this.requests.shift());
+  // English audio playlist
+  standardXHRResponse(this.requests.shift());
+  segmentXhr = hls.mainSegmentLoader_.segmentXhr_;
+  hls.sourceBuffer.remove = function() {
+    videoRemoves++;
+  };
+  hls.audioSourceBuffer_.remove = function(start, end) {
+    audioRemoves.push([start, end]);
+  };
+  this.requests.length = 0;
 
-  standardXHRResponse(this.requests[0]);
-  standardXHRResponse(this.requests[1]);
-  this.player.currentTime(3);
-  this.clock.tick(1);
-
-  QUnit.equal(this.player.tech_.hls.findBufferedRange_().end(0),
-              10,
-              'inside the first buffered region');
-
-  // Simulate the condition with no source buffers
-  this.player.hls.mediaSource.mediaSource_.sourceBuffers = [];
-
-  QUnit.equal(this.player.tech_.hls.findBufferedRange_().length,
-              0,
-              'empty TimeRanges returned');
+  this.player.tech_.audioTracks()[1].enabled = true;
 
-   // Simulate the condition with no media source (ie. Flash)
-  delete this.player.hls.mediaSource.mediaSource_;
+  QUnit.strictEqual(this.requests[0].url,
+                    absoluteUrl('manifest/media2.m3u8'),
+                    'requested the new audio rendition');
+  QUnit.deepEqual(audioRemoves, [[0, Infinity]], 'flushed the audio buffer');
+  QUnit.strictEqual(videoRemoves, 0, 'did not touch the video buffer');
+  QUnit.strictEqual(hls.mainSegmentLoader_.segmentXhr_, segmentXhr, 'the video download continues');
+  QUnit.ok(!hls.audioSegmentLoader_.segmentXhr_, 'aborted the old audio download');
 
-  QUnit.equal(this.player.tech_.hls.findBufferedRange_().end(0),
-              10,
-              'empty TimeRanges returned');
+  standardXHRResponse(this.requests[0]);
+  QUnit.ok((/media2-00001\.ts$/).test(this.requests[1].url),
+           'requested audio from the new rendition');
 });
 
-QUnit.test('finds the correct buffered region based on currentTime', function() {
+QUnit.test('creates a text track for each subtitle rendition', function() {
+  let tracks;
+
   this.player.src({
-    src: 'manifest/media.m3u8',
+    src: 'manifest/subtitles.m3u8',
     type: 'application/vnd.apple.mpegurl'
   });
-  this.player.tech_.buffered = function() {
-    return videojs.createTimeRanges([[0, 5], [6, 12]]);
-  };
   openMediaSource(this.player, this.clock);
-
   standardXHRResponse(this.requests[0]);
   standardXHRResponse(this.requests[1]);
-  this.player.currentTime(3);
-  this.clock.tick(1);
-  QUnit.equal(this.player.tech_.hls.findBufferedRange_().end(0),
-              5,
-              'inside the first buffered region');
-  this.player.currentTime(6);
-  this.clock.tick(1);
-  QUnit.equal(this.player.tech_.hls.findBufferedRange_().end(0),
-              12,
-              'inside the second buffered region');
+
+  tracks = this.player.tech_.textTracks();
+  QUnit.strictEqual(tracks.length, 3, 'created three text tracks');
+  QUnit.strictEqual(tracks[0].kind, 'subtitles', 'set the kind');
+  QUnit.strictEqual(tracks[0].label, 'English', 'set the label');
+  QUnit.strictEqual(tracks[0].language, 'en', 'set the language');
+  QUnit.strictEqual(tracks[0].mode, 'showing', 'the default track is showing');
+  QUnit.strictEqual(tracks[1].mode, 'disabled', 'other tracks are disabled');
+  QUnit.strictEqual(tracks[2].mode,
+                    'disabled',
+                    'forced subtitles are hidden behind the default subtitles');
+  QUnit.strictEqual(this.requests[2].url,
+                    absoluteUrl('manifest/subtitles/en.m3u8'),
+                    'requested the default subtitles');
+  QUnit.strictEqual(this.requests.length, 4, 'only loads enabled subtitles');
 });
 
-QUnit.test('recognizes absolute URIs and requests them unmodified', function() {
+QUnit.test('shows forced subtitles when no other subtitles are enabled', function() {
+  let tracks;
+
   this.player.src({
-    src: 'manifest/absoluteUris.m3u8',
+    src: 'manifest/subtitles.m3u8',
     type: 'application/vnd.apple.mpegurl'
   });
   openMediaSource(this.player, this.clock);
+  standardXHRResponse(this.requests.shift());
+  standardXHRResponse(this.requests.shift());
+  tracks = this.player.tech_.textTracks();
+  this.requests.length = 0;
 
-  standardXHRResponse(this.requests[0]);
-  standardXHRResponse(this.requests[1]);
-  QUnit.strictEqual(this.requests[1].url,
-                    'http://example.com/00001.ts',
-                    'the first segment is requested');
-});
+  tracks[0].mode = 'disabled';
 
-QUnit.test('recognizes domain-relative URLs', function() {
-  this.player.src({
-    src: 'manifest/domainUris.m3u8',
-    type: 'application/vnd.apple.mpegurl'
-  });
-  openMediaSource(this.player, this.clock);
+  QUnit.strictEqual(tracks[2].mode, 'showing', 'showed the forced subtitles');
+  QUnit.strictEqual(this.requests.length, 1, 'made one request');
+  QUnit.strictEqual(this.requests[0].url,
+                    absoluteUrl('manifest/subtitles/en-forced.m3u8'),
+                    'requested the forced subtitles');
+  QUnit.ok(!tracks[0].loader_, 'stopped loading the disabled subtitles');
 
-  standardXHRResponse(this.requests[0]);
-  standardXHRResponse(this.requests[1]);
-  QUnit.strictEqual(this.requests[1].url,
-                    window.location.protocol + '//' + window.location.host +
-                    '/00001.ts',
-                    'the first segment is requested');
+  tracks[1].mode = 'showing';
+  QUnit.strictEqual(tracks[2].mode, 'disabled', 'hid the forced subtitles');
 });
 
-QUnit.test('re-initializes the handler for each source', function() {
-  let firstPlaylists;
-  let secondPlaylists;
-  let firstMSE;
-  let secondMSE;
-  let aborts = 0;
+QUnit.test('places subtitle cues on the video timeline', function() {
+  let hls;
+  let cues;
+  let videoSegment = new Uint8Array(188);
+
+  // a PES packet with a presentation timestamp of ten seconds
+  videoSegment.set([
+    0x47, 0x40, 0x11, 0x10,
+    0x00, 0x00, 0x01, 0xe0, 0x00, 0x00, 0x80, 0x80, 0x05,
+    0x21, 0x00, 0x37, 0x77, 0x41
+  ]);
 
   this.player.src({
-    src: 'manifest/master.m3u8',
+    src: 'manifest/subtitles.m3u8',
     type: 'application/vnd.apple.mpegurl'
   });
   openMediaSource(this.player, this.clock);
-  firstPlaylists = this.player.tech_.hls.playlists;
-  firstMSE = this.player.tech_.hls.mediaSource;
+  this.player.tech_.trigger('play');
+  hls = this.player.tech_.hls;
   standardXHRResponse(this.requests.shift());
   standardXHRResponse(this.requests.shift());
-  this.player.tech_.hls.sourceBuffer.abort = function() {
-    aborts++;
-  };
 
-  this.player.src({
-    src: 'manifest/master.m3u8',
-    type: 'application/vnd.apple.mpegurl'
-  });
-  openMediaSource(this.player, this.clock);
-  secondPlaylists = this.player.tech_.hls.playlists;
-  secondMSE = this.player.tech_.hls.mediaSource;
+  // subtitle playlist
+  this.requests.shift().respond(200, null,
+                                '#EXTM3U\n' +
+                                '#EXTINF:10,\n' +
+                                'en-0.vtt\n' +
+                                '#EXT-X-ENDLIST\n');
+  // video segment
+  this.requests[0].response = videoSegment.buffer;
+  this.requests.shift().respond(200, null, '');
+  QUnit.strictEqual(hls.timelineMappings_[0], -10, 'mapped the video timestamps');
 
-  QUnit.equal(1, aborts, 'aborted the old source buffer');
-  QUnit.ok(this.requests[0].aborted, 'aborted the old segment request');
-  QUnit.notStrictEqual(firstPlaylists,
-                       secondPlaylists,
-                       'the playlist object is not reused');
-  QUnit.notStrictEqual(firstMSE, secondMSE, 'the media source object is not reused');
+  QUnit.strictEqual(this.requests[0].url,
+                    absoluteUrl('manifest/subtitles/en-0.vtt'),
+                    'requested the subtitle segment');
+  this.requests.shift().respond(200, null,
+                                'WEBVTT\n' +
+                                'X-TIMESTAMP-MAP=MPEGTS:1080000,LOCAL:00:00:00.000\n' +
+                                '\n' +
+                                '00:00:01.000 --> 00:00:02.000\n' +
+                                'Hello\n');
+
+  cues = this.player.tech_.textTracks()[0].cues;
+  QUnit.strictEqual(cues.length, 1, 'added a cue');
+  QUnit.strictEqual(cues[0].text, 'Hello', 'parsed the cue text');
+  QUnit.strictEqual(cues[0].startTime, 3, 'offset the cue start');
+  QUnit.strictEqual(cues[0].endTime, 4, 'offset the cue end');
 });
 
-QUnit.test('triggers an error when a master playlist request errors', function() {
+QUnit.test('keeps loading subtitles after a segment fails', function() {
+  let hls;
+  let warnings = [];
+  let track;
+
   this.player.src({
-    src: 'manifest/master.m3u8',
+    src: 'manifest/subtitles.m3u8',
     type: 'application/vnd.apple.mpegurl'
   });
   openMediaSource(this.player, this.clock);
-  this.requests.pop().respond(500);
+  this.player.tech_.trigger('play');
+  hls = this.player.tech_.hls;
+  this.player.tech_.on('warning', function(event) {
+    warnings.push(event.error);
+  });
+  standardXHRResponse(this.requests.shift());
+  standardXHRResponse(this.requests.shift());
+  track = this.player.tech_.textTracks()[0];
+
+  this.requests.shift().respond(200, null,
+                                '#EXTM3U\n' +
+                                '#EXTINF:10,\n' +
+                                'en-0.vtt\n' +
+                                '#EXTINF:10,\n' +
+                                'en-1.vtt\n' +
+                                '#EXT-X-ENDLIST\n');
+  this.requests.shift().respond(200, null, '');
+  hls.timelineMappings_[0] = 0;
+
+  QUnit.strictEqual(this.requests[0].url,
+                    absoluteUrl('manifest/subtitles/en-0.vtt'),
+                    'requested the first subtitle segment');
+  this.requests.shift().respond(404);
 
-  QUnit.equal(this.player.tech_.hls.mediaSource.error_,
-              'network',
-              'a network error is triggered');
+  QUnit.strictEqual(warnings.length, 1, 'reported a warning');
+  QUnit.strictEqual(warnings[0].details,
+                    'segmentLoadError',
+                    'described the failure');
+  QUnit.ok(!hls.error, 'did not stop playback');
+  QUnit.ok(track.loader_, 'kept loading the subtitles');
+
+  this.clock.tick(500);
+  QUnit.strictEqual(this.requests[this.requests.length - 1].url,
+                    absoluteUrl('manifest/subtitles/en-1.vtt'),
+                    'requested the next subtitle segment');
 });
 
-QUnit.test('downloads media playlists after loading the master', function() {
+QUnit.test('waits for vtt.js before parsing subtitles', function() {
+  let hls;
+  let track;
+  let WebVTT = window.WebVTT;
+
   this.player.src({
-    src: 'manifest/master.m3u8',
+    src: 'manifest/subtitles.m3u8',
     type: 'application/vnd.apple.mpegurl'
   });
   openMediaSource(this.player, this.clock);
+  this.player.tech_.trigger('play');
+  hls = this.player.tech_.hls;
+  standardXHRResponse(this.requests.shift());
+  standardXHRResponse(this.requests.shift());
+  track = this.player.tech_.textTracks()[0];
 
-  this.player.tech_.hls.bandwidth = 20e10;
-  standardXHRResponse(this.requests[0]);
-  standardXHRResponse(this.requests[1]);
-  standardXHRResponse(this.requests[2]);
+  this.requests.shift().respond(200, null,
+                                '#EXTM3U\n' +
+                                '#EXTINF:10,\n' +
+                                'en-0.vtt\n' +
+                                '#EXT-X-ENDLIST\n');
+  this.requests.shift().respond(200, null, '');
+  hls.timelineMappings_[0] = 0;
 
-  QUnit.strictEqual(this.requests[0].url,
-                    'manifest/master.m3u8',
-                    'master playlist requested');
-  QUnit.strictEqual(this.requests[1].url,
-                    absoluteUrl('manifest/media2.m3u8'),
-                    'media playlist requested');
-  QUnit.strictEqual(this.requests[2].url,
-                    absoluteUrl('manifest/media2-00001.ts'),
-                    'first segment requested');
+  window.WebVTT = undefined;
+  this.requests.shift().respond(200, null,
+                                'WEBVTT\n' +
+                                '\n' +
+                                '00:00:01.000 --> 00:00:02.000\n' +
+                                'Hello\n');
+  QUnit.strictEqual(track.cues.length, 0, 'did not parse the segment yet');
+
+  window.WebVTT = WebVTT;
+  this.clock.tick(500);
+  QUnit.strictEqual(track.cues.length, 1, 'parsed the segment once vtt.js loaded');
+  QUnit.strictEqual(track.cues[0].text, 'Hello', 'parsed the cue text');
 });
 
-QUnit.test('upshifts if the initial bandwidth hint is high', function() {
+QUnit.test('creates an MP4 SourceBuffer for fragmented MP4 playlists', function() {
+  let mimeTypes = [];
+
   this.player.src({
-    src: 'manifest/master.m3u8',
+    src: 'fmp4.m3u8',
     type: 'application/vnd.apple.mpegurl'
   });
   openMediaSource(this.player, this.clock);
-
-  this.player.tech_.hls.bandwidth = 10e20;
+  // the Flash tech these tests run with can't play fragmented MP4s
+  this.player.tech_.hls.mode_ = 'html5';
+  this.player.tech_.hls.mediaSource.addSourceBuffer = function(mimeType) {
+    mimeTypes.push(mimeType);
+    return new (videojs.extend(videojs.EventTarget, {
+      constructor() {},
+      abort() {},
+      buffered: videojs.createTimeRange(),
+      appendBuffer() {},
+      remove() {}
+    }))();
+  };
   standardXHRResponse(this.requests[0]);
-  standardXHRResponse(this.requests[1]);
-  standardXHRResponse(this.requests[2]);
 
-  QUnit.strictEqual(this.requests[0].url,
-                    'manifest/master.m3u8',
-                    'master playlist requested');
-  QUnit.strictEqual(this.requests[1].url,
-                    absoluteUrl('manifest/media2.m3u8'),
-                    'media playlist requested');
-  QUnit.strictEqual(this.requests[2].url,
-                    absoluteUrl('manifest/media2-00001.ts'),
-                    'first segment requested');
+  QUnit.deepEqual(mimeTypes,
+                  ['video/mp4'],
+                  'created an MP4 SourceBuffer without guessing the codecs');
 });
 
-QUnit.test('downshifts if the initial bandwidth hint is low', function() {
+QUnit.test('appends the initialization segment before media segments', function() {
+  let appends = [];
+  let hls;
+  let segmentRequest;
+
   this.player.src({
-    src: 'manifest/master.m3u8',
+    src: 'fmp4.m3u8',
     type: 'application/vnd.apple.mpegurl'
   });
   openMediaSource(this.player, this.clock);
-
-  this.player.tech_.hls.bandwidth = 100;
-  standardXHRResponse(this.requests[0]);
-  standardXHRResponse(this.requests[1]);
-  standardXHRResponse(this.requests[2]);
+  // the Flash tech these tests run with can't play fragmented MP4s
+  this.player.tech_.hls.mode_ = 'html5';
+  this.player.tech_.trigger('play');
+  hls = this.player.tech_.hls;
+  standardXHRResponse(this.requests.shift());
+  hls.sourceBuffer.appendBuffer = function(bytes) {
+    appends.push(bytes);
+  };
 
   QUnit.strictEqual(this.requests[0].url,
-                    'manifest/master.m3u8',
-                    'master playlist requested');
-  QUnit.strictEqual(this.requests[1].url,
-                    absoluteUrl('manifest/media1.m3u8'),
-                    'media playlist requested');
-  QUnit.strictEqual(this.requests[2].url,
-                    absoluteUrl('manifest/media1-00001.ts'),
-                    'first segment requested');
+                    absoluteUrl('main.mp4'),
+                    'requested the initialization segment');
+  QUnit.strictEqual(this.requests[0].requestHeaders.Range,
+                    'bytes=0-719',
+                    'requested the initialization segment byterange');
+  segmentRequest = this.requests[1];
+  QUnit.strictEqual(segmentRequest.url,
+                    absoluteUrl('segment-0.m4s'),
+                    'requested the media segment');
+
+  segmentRequest.response = new Uint8Array([1]).buffer;
+  segmentRequest.respond(200, null, '');
+  QUnit.strictEqual(appends.length, 0, 'waits for the initialization segment');
+
+  this.requests[0].response = new Uint8Array([0]).buffer;
+  this.requests[0].respond(200, null, '');
+  QUnit.strictEqual(appends.length, 1, 'appended the initialization segment');
+  QUnit.deepEqual(appends[0], new Uint8Array([0]), 'appended the init bytes');
+
+  hls.sourceBuffer.trigger('updateend');
+  QUnit.strictEqual(appends.length, 2, 'appended the media segment');
+  QUnit.deepEqual(appends[1], new Uint8Array([1]), 'appended the media bytes');
 });
 
-QUnit.test('starts checking the buffer on init', function() {
-  let player;
-  let fills = 0;
-  let drains = 0;
+QUnit.test('only appends the initialization segment again when it changes', function() {
+  let appends = [];
+  let hls;
 
-  player = createPlayer();
-  player.src({
-    src: 'manifest/master.m3u8',
+  this.player.src({
+    src: 'fmp4.m3u8',
     type: 'application/vnd.apple.mpegurl'
   });
-  openMediaSource(player, this.clock);
+  openMediaSource(this.player, this.clock);
+  // the Flash tech these tests run with can't play fragmented MP4s
+  this.player.tech_.hls.mode_ = 'html5';
+  this.player.tech_.trigger('play');
+  hls = this.player.tech_.hls;
+  standardXHRResponse(this.requests.shift());
+  hls.sourceBuffer.appendBuffer = function(bytes) {
+    appends.push(bytes);
+  };
 
-  // wait long enough for the buffer check interval to expire and
-  // trigger fill/drainBuffer
-  player.tech_.hls.fillBuffer = function() {
-    fills++;
+  // first initialization and media segments
+  standardXHRResponse(this.requests.shift());
+  standardXHRResponse(this.requests.shift());
+  hls.sourceBuffer.trigger('updateend');
+  this.player.tech_.buffered = function() {
+    return videojs.createTimeRanges([[0, 6]]);
   };
-  player.tech_.hls.drainBuffer = function() {
-    drains++;
+  hls.sourceBuffer.trigger('updateend');
+  QUnit.strictEqual(appends.length, 2, 'appended the first segment');
+
+  // the second segment shares the initialization segment
+  QUnit.strictEqual(this.requests[0].url,
+                    absoluteUrl('segment-1.m4s'),
+                    'requested the second segment');
+  standardXHRResponse(this.requests.shift());
+  this.player.tech_.buffered = function() {
+    return videojs.createTimeRanges([[0, 12]]);
   };
-  this.clock.tick(500);
-  QUnit.equal(fills, 1, 'called fillBuffer');
-  QUnit.equal(drains, 1, 'called drainBuffer');
+  hls.sourceBuffer.trigger('updateend');
+  QUnit.strictEqual(appends.length, 3, 'appended only the media segment');
 
-  player.dispose();
-  this.clock.tick(100 * 1000);
-  QUnit.equal(fills, 1, 'did not call fillBuffer again');
-  QUnit.equal(drains, 1, 'did not call drainBuffer again');
+  // the third segment has a new one
+  QUnit.strictEqual(this.requests[0].url,
+                    absoluteUrl('main-1.mp4'),
+                    'requested the new initialization segment');
+  standardXHRResponse(this.requests.shift());
+  standardXHRResponse(this.requests.shift());
+  QUnit.strictEqual(appends.length, 4, 'appended the new initialization segment');
+  hls.sourceBuffer.trigger('updateend');
+  QUnit.strictEqual(appends.length, 5, 'appended the media segment');
 });
 
-QUnit.test('buffer checks are noops until a media playlist is ready', function() {
+QUnit.test('retries initialization segment requests before blacklisting', function() {
+  let hls;
+  let errors = [];
+
   this.player.src({
-    src: 'manifest/media.m3u8',
-    type: 'application/vnd.apple.mpegurl'
+    src: 'fmp4.m3u8',
+    type: 'application/vnd.apple.mpegurl',
+    retry: {maxAttempts: 2}
   });
   openMediaSource(this.player, this.clock);
-  this.player.tech_.hls.checkBuffer_();
+  // the Flash tech these tests run with can't play fragmented MP4s
+  this.player.tech_.hls.mode_ = 'html5';
+  this.player.tech_.trigger('play');
+  this.player.on('hlserror', function(event) {
+    errors.push(event.error);
+  });
+  hls = this.player.tech_.hls;
+  standardXHRResponse(this.requests.shift());
 
-  QUnit.strictEqual(1, this.requests.length, 'one request was made');
   QUnit.strictEqual(this.requests[0].url,
-                    'manifest/media.m3u8',
-                    'media playlist requested');
+                    absoluteUrl('main.mp4'),
+                    'requested the initialization segment');
+  this.requests.shift().respond(503);
+  standardXHRResponse(this.requests.shift());
+  QUnit.strictEqual(this.requests.length, 0, 'waited to retry');
+
+  this.clock.tick(1200);
+  QUnit.strictEqual(this.requests[0].url,
+                    absoluteUrl('main.mp4'),
+                    'retried the initialization segment');
+  this.requests.shift().respond(503);
+  QUnit.strictEqual(errors.length, 0, 'waited for the media segment to need it');
+
+  this.clock.tick(500);
+  QUnit.strictEqual(this.requests.length, 0, 'stopped retrying');
+  QUnit.strictEqual(errors.length, 1, 'reported an error');
+  QUnit.strictEqual(errors[0].details, 'initSegmentLoadError', 'described the error');
+  QUnit.strictEqual(errors[0].status, 503, 'included the status');
+  QUnit.strictEqual(errors[0].retryCount, 1, 'was retried once');
+  QUnit.strictEqual(hls.error, errors[0], 'stopped playback');
 });
 
-QUnit.test('buffer checks are noops when only the master is ready', function() {
+QUnit.test('blacklists fragmented MP4 variants with Flash', function() {
+  let hls;
+  let mimeTypes = [];
+  let fmp4;
+
   this.player.src({
-    src: 'manifest/master.m3u8',
+    src: 'master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  hls = this.player.tech_.hls;
+  hls.bandwidth = 1;
+  hls.mediaSource.addSourceBuffer = function(mimeType) {
+    mimeTypes.push(mimeType);
+    return new (videojs.extend(videojs.EventTarget, {
+      constructor() {},
+      abort() {},
+      buffered: videojs.createTimeRange(),
+      appendBuffer() {},
+      remove() {}
+    }))();
+  };
+  this.requests.shift().respond(200, null,
+                                '#EXTM3U\n' +
+                                '#EXT-X-STREAM-INF:BANDWIDTH=1\n' +
+                                'fmp4.m3u8\n' +
+                                '#EXT-X-STREAM-INF:BANDWIDTH=2\n' +
+                                'media.m3u8\n');
+  standardXHRResponse(this.requests.shift());
+  fmp4 = hls.playlists.master.playlists['fmp4.m3u8'];
+
+  QUnit.strictEqual(fmp4.excludeUntil, Infinity, 'blacklisted the fMP4 variant');
+  QUnit.strictEqual(mimeTypes.length, 0, 'did not create a SourceBuffer for it');
+  QUnit.strictEqual(this.requests[0].url,
+                    absoluteUrl('media.m3u8'),
+                    'switched to the MPEG2-TS variant');
+
+  standardXHRResponse(this.requests.shift());
+  QUnit.deepEqual(mimeTypes, ['video/mp2t'], 'created an MPEG2-TS SourceBuffer');
+  QUnit.ok(!hls.error, 'kept playing');
+});
+
+QUnit.test('maps the player timeline to program date-times', function() {
+  let hls;
+
+  this.player.src({
+    src: 'media.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  hls = this.player.tech_.hls;
+  this.requests.shift().respond(200, null,
+                                '#EXTM3U\n' +
+                                '#EXT-X-TARGETDURATION:10\n' +
+                                '#EXT-X-PROGRAM-DATE-TIME:2016-06-22T14:30:00.000Z\n' +
+                                '#EXTINF:10,\n' +
+                                '0.ts\n' +
+                                '#EXTINF:10,\n' +
+                                '1.ts\n' +
+                                '#EXT-X-DISCONTINUITY\n' +
+                                '#EXT-X-PROGRAM-DATE-TIME:2016-06-22T14:32:00.000Z\n' +
+                                '#EXTINF:10,\n' +
+                                '2.ts\n' +
+                                '#EXT-X-ENDLIST\n');
+
+  this.player.tech_.time_ = 15;
+  QUnit.strictEqual(hls.currentProgramDateTime().getTime(),
+                    Date.UTC(2016, 5, 22, 14, 30, 15),
+                    'counted forward from the previous date-time');
+  this.player.tech_.time_ = 25;
+  QUnit.strictEqual(hls.currentProgramDateTime().getTime(),
+                    Date.UTC(2016, 5, 22, 14, 32, 5),
+                    'used the date-time after the discontinuity');
+
+  QUnit.strictEqual(hls.seekToDate(new Date(Date.UTC(2016, 5, 22, 14, 32, 5))),
+                    25,
+                    'seeked after the discontinuity');
+  QUnit.strictEqual(this.player.tech_.time_, 25, 'set the current time');
+  QUnit.strictEqual(hls.seekToDate(new Date(Date.UTC(2016, 5, 22, 14, 30, 5))),
+                    5,
+                    'seeked before the discontinuity');
+  QUnit.strictEqual(hls.seekToDate(new Date(Date.UTC(2016, 5, 22, 14, 40))),
+                    null,
+                    'does not seek outside the seekable range');
+  QUnit.strictEqual(this.player.tech_.time_, 5, 'did not change the current time');
+});
+
+QUnit.test('program date-times stay aligned across live playlist refreshes',
+function() {
+  let hls;
+
+  this.player.src({
+    src: 'live.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  hls = this.player.tech_.hls;
+  this.requests.shift().respond(200, null,
+                                '#EXTM3U\n' +
+                                '#EXT-X-MEDIA-SEQUENCE:0\n' +
+                                '#EXT-X-TARGETDURATION:10\n' +
+                                '#EXT-X-PROGRAM-DATE-TIME:2016-06-22T14:30:00.000Z\n' +
+                                '#EXTINF:10,\n' +
+                                '0.ts\n' +
+                                '#EXT-X-PROGRAM-DATE-TIME:2016-06-22T14:30:10.000Z\n' +
+                                '#EXTINF:10,\n' +
+                                '1.ts\n');
+  hls.playlists.trigger('firstplay');
+
+  this.clock.tick(10 * 1000);
+  this.requests.pop().respond(200, null,
+                              '#EXTM3U\n' +
+                              '#EXT-X-MEDIA-SEQUENCE:1\n' +
+                              '#EXT-X-TARGETDURATION:10\n' +
+                              '#EXT-X-PROGRAM-DATE-TIME:2016-06-22T14:30:10.000Z\n' +
+                              '#EXTINF:10,\n' +
+                              '1.ts\n' +
+                              '#EXT-X-PROGRAM-DATE-TIME:2016-06-22T14:30:20.000Z\n' +
+                              '#EXTINF:10,\n' +
+                              '2.ts\n');
+  QUnit.strictEqual(hls.playlists.expired_, 10, 'tracked the expired segment');
+
+  QUnit.strictEqual(hls.timeToProgramDateTime(15).getTime(),
+                    Date.UTC(2016, 5, 22, 14, 30, 15),
+                    'accounted for the expired segment');
+  QUnit.strictEqual(hls.programDateTimeToTime(new Date(Date.UTC(2016, 5, 22,
+                                                                14, 30, 25))),
+                    25,
+                    'converted a date-time to a position');
+});
+
+QUnit.test('program date-time conversions require program date-times', function() {
+  this.player.src({
+    src: 'manifest/media.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  standardXHRResponse(this.requests.shift());
+
+  QUnit.strictEqual(this.player.tech_.hls.currentProgramDateTime(),
+                    null,
+                    'no program date-time');
+  QUnit.strictEqual(this.player.tech_.hls.seekToDate(new Date()), null, 'did not seek');
+});
+
+QUnit.test('begins VOD playback at the EXT-X-START offset', function() {
+  this.player.src({
+    src: 'media.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  this.requests.shift().respond(200, null,
+                                '#EXTM3U\n' +
+                                '#EXT-X-TARGETDURATION:10\n' +
+                                '#EXT-X-START:TIME-OFFSET=15,PRECISE=YES\n' +
+                                '#EXTINF:10,\n' +
+                                '0.ts\n' +
+                                '#EXTINF:10,\n' +
+                                '1.ts\n' +
+                                '#EXTINF:10,\n' +
+                                '2.ts\n' +
+                                '#EXT-X-ENDLIST\n');
+
+  QUnit.strictEqual(this.player.tech_.time_, 15, 'started at the precise offset');
+});
+
+QUnit.test('begins imprecise starts at the segment boundary', function() {
+  this.player.src({
+    src: 'media.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  this.requests.shift().respond(200, null,
+                                '#EXTM3U\n' +
+                                '#EXT-X-TARGETDURATION:10\n' +
+                                '#EXT-X-START:TIME-OFFSET=15\n' +
+                                '#EXTINF:10,\n' +
+                                '0.ts\n' +
+                                '#EXTINF:10,\n' +
+                                '1.ts\n' +
+                                '#EXTINF:10,\n' +
+                                '2.ts\n' +
+                                '#EXT-X-ENDLIST\n');
+
+  QUnit.strictEqual(this.player.tech_.time_,
+                    10,
+                    'started at the beginning of the segment');
+});
+
+QUnit.test('counts negative EXT-X-START offsets from the live edge', function() {
+  this.player.autoplay(true);
+  this.player.src({
+    src: 'master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  this.player.tech_.readyState = function() {
+    return 1;
+  };
+  this.player.tech_.trigger('play');
+  this.requests.shift().respond(200, null,
+                                '#EXTM3U\n' +
+                                '#EXT-X-START:TIME-OFFSET=-25,PRECISE=YES\n' +
+                                '#EXT-X-STREAM-INF:BANDWIDTH=1000\n' +
+                                'media.m3u8\n');
+  this.requests.shift().respond(200, null,
+                                '#EXTM3U\n' +
+                                '#EXT-X-TARGETDURATION:10\n' +
+                                '#EXTINF:10,\n' +
+                                '0.ts\n' +
+                                '#EXTINF:10,\n' +
+                                '1.ts\n' +
+                                '#EXTINF:10,\n' +
+                                '2.ts\n' +
+                                '#EXTINF:10,\n' +
+                                '3.ts\n' +
+                                '#EXTINF:10,\n' +
+                                '4.ts\n');
+  this.clock.tick(1);
+
+  QUnit.strictEqual(this.player.tech_.time_,
+                    20,
+                    'used the master playlist offset, limited to the safe live window');
+});
+
+QUnit.test('a source startTime overrides EXT-X-START', function() {
+  this.player.src({
+    src: 'media.m3u8',
+    type: 'application/vnd.apple.mpegurl',
+    startTime: 22
+  });
+  openMediaSource(this.player, this.clock);
+  this.requests.shift().respond(200, null,
+                                '#EXTM3U\n' +
+                                '#EXT-X-TARGETDURATION:10\n' +
+                                '#EXT-X-START:TIME-OFFSET=15\n' +
+                                '#EXTINF:10,\n' +
+                                '0.ts\n' +
+                                '#EXTINF:10,\n' +
+                                '1.ts\n' +
+                                '#EXTINF:10,\n' +
+                                '2.ts\n' +
+                                '#EXT-X-ENDLIST\n');
+
+  QUnit.strictEqual(this.player.tech_.time_, 22, 'started at the source start time');
+});
+
+QUnit.test('including HLS as a tech does not error', function() {
+  let player = createPlayer({
+    techOrder: ['hls', 'html5']
+  });
+
+  QUnit.ok(player, 'created the player');
+});
+
+// Warns: 'player.hls is deprecated. Use player.tech.hls instead.'
+QUnit.test('creates a PlaylistLoader on init', function() {
+  this.player.src({
+    src: 'manifest/playlist.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  this.player.src({
+    src: 'manifest/playlist.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+
+  QUnit.equal(this.requests[0].aborted, true, 'aborted previous src');
+  standardXHRResponse(this.requests[1]);
+  QUnit.ok(this.player.tech_.hls.playlists.master,
+           'set the master playlist');
+  QUnit.ok(this.player.tech_.hls.playlists.media(),
+           'set the media playlist');
+  QUnit.ok(this.player.tech_.hls.playlists.media().segments,
+           'the segment entries are parsed');
+  QUnit.strictEqual(this.player.tech_.hls.playlists.master.playlists[0],
+                    this.player.tech_.hls.playlists.media(),
+                    'the playlist is selected');
+});
+
+QUnit.test('re-initializes the playlist loader when switching sources', function() {
+  // source is set
+  this.player.src({
+    src: 'manifest/media.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  // loader gets media playlist
+  standardXHRResponse(this.requests.shift());
+  // request a segment
+  standardXHRResponse(this.requests.shift());
+  // change the source
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  // maybe not needed if https://github.com/videojs/video.js/issues/2326 gets fixed
+  this.clock.tick(1);
+  QUnit.ok(!this.player.tech_.hls.playlists.media(), 'no media playlist');
+  QUnit.equal(this.player.tech_.hls.playlists.state,
+              'HAVE_NOTHING',
+              'reset the playlist loader state');
+  QUnit.equal(this.requests.length, 1, 'requested the new src');
+
+  // buffer check
+  this.player.tech_.hls.checkBuffer_();
+  QUnit.equal(this.requests.length, 1, 'did not request a stale segment');
+
+  // sourceopen
+  openMediaSource(this.player, this.clock);
+
+  QUnit.equal(this.requests.length, 1, 'made one request');
+  QUnit.ok(this.requests[0].url.indexOf('master.m3u8') >= 0,
+           'requested only the new playlist');
+});
+
+QUnit.test('sets the duration if one is available on the playlist', function() {
+  let events = 0;
+
+  this.player.src({
+    src: 'manifest/media.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  this.player.tech_.on('durationchange', function() {
+    events++;
+  });
+
+  standardXHRResponse(this.requests[0]);
+  QUnit.equal(this.player.tech_.hls.mediaSource.duration,
+              40,
+              'set the duration');
+  QUnit.equal(events, 1, 'durationchange is fired');
+});
+
+QUnit.test('estimates individual segment durations if needed', function() {
+  let changes = 0;
+
+  this.player.src({
+    src: 'http://example.com/manifest/missingExtinf.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  this.player.tech_.hls.mediaSource.duration = NaN;
+  this.player.tech_.on('durationchange', function() {
+    changes++;
+  });
+
+  standardXHRResponse(this.requests[0]);
+  QUnit.strictEqual(this.player.tech_.hls.mediaSource.duration,
+                    this.player.tech_.hls.playlists.media().segments.length * 10,
+                    'duration is updated');
+  QUnit.strictEqual(changes, 1, 'one durationchange fired');
+});
+
+QUnit.test('translates seekable by the starting time for live playlists', function() {
+  let seekable;
+
+  this.player.src({
+    src: 'media.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  this.requests.shift().respond(200, null,
+                                '#EXTM3U\n' +
+                                '#EXT-X-MEDIA-SEQUENCE:15\n' +
+                                '#EXTINF:10,\n' +
+                                '0.ts\n' +
+                                '#EXTINF:10,\n' +
+                                '1.ts\n' +
+                                '#EXTINF:10,\n' +
+                                '2.ts\n' +
+                                '#EXTINF:10,\n' +
+                                '3.ts\n');
+
+  seekable = this.player.seekable();
+  QUnit.equal(seekable.length, 1, 'one seekable range');
+  QUnit.equal(seekable.start(0), 0, 'the earliest possible position is at zero');
+  QUnit.equal(seekable.end(0), 10, 'end is relative to the start');
+});
+
+QUnit.test('starts downloading a segment on loadedmetadata', function() {
+  this.player.src({
+    src: 'manifest/media.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  this.player.buffered = function() {
+    return videojs.createTimeRange(0, 0);
+  };
+  openMediaSource(this.player, this.clock);
+
+  standardXHRResponse(this.requests[0]);
+  standardXHRResponse(this.requests[1]);
+  QUnit.strictEqual(this.requests[1].url,
+                    absoluteUrl('manifest/media-00001.ts'),
+                    'the first segment is requested');
+});
+
+QUnit.test('return an empty buffered region when there are no SourceBuffers but a real MediaSource exists', function() {
+  this.player.src({
+    src: 'manifest/media.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  this.player.tech_.buffered = function() {
+    return videojs.createTimeRanges([[0, 10]]);
+  };
+  openMediaSource(this.player, this.clock);
+
+  standardXHRResponse(this.requests[0]);
+  standardXHRResponse(this.requests[1]);
+  this.player.currentTime(3);
+  this.clock.tick(1);
+
+  QUnit.equal(this.player.tech_.hls.findBufferedRange_().end(0),
+              10,
+              'inside the first buffered region');
+
+  // Simulate the condition with no source buffers
+  this.player.hls.mediaSource.mediaSource_.sourceBuffers = [];
+
+  QUnit.equal(this.player.tech_.hls.findBufferedRange_().length,
+              0,
+              'empty TimeRanges returned');
+
+   // Simulate the condition with no media source (ie. Flash)
+  delete this.player.hls.mediaSource.mediaSource_;
+
+  QUnit.equal(this.player.tech_.hls.findBufferedRange_().end(0),
+              10,
+              'empty TimeRanges returned');
+});
+
+QUnit.test('finds the correct buffered region based on currentTime', function() {
+  this.player.src({
+    src: 'manifest/media.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  this.player.tech_.buffered = function() {
+    return videojs.createTimeRanges([[0, 5], [6, 12]]);
+  };
+  openMediaSource(this.player, this.clock);
+
+  standardXHRResponse(this.requests[0]);
+  standardXHRResponse(this.requests[1]);
+  this.player.currentTime(3);
+  this.clock.tick(1);
+  QUnit.equal(this.player.tech_.hls.findBufferedRange_().end(0),
+              5,
+              'inside the first buffered region');
+  this.player.currentTime(6);
+  this.clock.tick(1);
+  QUnit.equal(this.player.tech_.hls.findBufferedRange_().end(0),
+              12,
+              'inside the second buffered region');
+});
+
+QUnit.test('recognizes absolute URIs and requests them unmodified', function() {
+  this.player.src({
+    src: 'manifest/absoluteUris.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+
+  standardXHRResponse(this.requests[0]);
+  standardXHRResponse(this.requests[1]);
+  QUnit.strictEqual(this.requests[1].url,
+                    'http://example.com/00001.ts',
+                    'the first segment is requested');
+});
+
+QUnit.test('recognizes domain-relative URLs', function() {
+  this.player.src({
+    src: 'manifest/domainUris.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+
+  standardXHRResponse(this.requests[0]);
+  standardXHRResponse(this.requests[1]);
+  QUnit.strictEqual(this.requests[1].url,
+                    window.location.protocol + '//' + window.location.host +
+                    '/00001.ts',
+                    'the first segment is requested');
+});
+
+QUnit.test('re-initializes the handler for each source', function() {
+  let firstPlaylists;
+  let secondPlaylists;
+  let firstMSE;
+  let secondMSE;
+  let aborts = 0;
+
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  firstPlaylists = this.player.tech_.hls.playlists;
+  firstMSE = this.player.tech_.hls.mediaSource;
+  standardXHRResponse(this.requests.shift());
+  standardXHRResponse(this.requests.shift());
+  this.player.tech_.hls.sourceBuffer.abort = function() {
+    aborts++;
+  };
+
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  secondPlaylists = this.player.tech_.hls.playlists;
+  secondMSE = this.player.tech_.hls.mediaSource;
+
+  QUnit.equal(1, aborts, 'aborted the old source buffer');
+  QUnit.ok(this.requests[0].aborted, 'aborted the old segment request');
+  QUnit.notStrictEqual(firstPlaylists,
+                       secondPlaylists,
+                       'the playlist object is not reused');
+  QUnit.notStrictEqual(firstMSE, secondMSE, 'the media source object is not reused');
+});
+
+QUnit.test('triggers an error when a master playlist request errors', function() {
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl',
+    retry: {maxAttempts: 1}
+  });
+  openMediaSource(this.player, this.clock);
+  this.requests.pop().respond(500);
+
+  QUnit.equal(this.player.tech_.error().status, 500, 'an error is triggered');
+  QUnit.equal(this.player.tech_.error().code,
+              4,
+              'server errors are reported as unsupported sources');
+});
+
+QUnit.test('downloads media playlists after loading the master', function() {
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+
+  this.player.tech_.hls.bandwidth = 20e10;
+  standardXHRResponse(this.requests[0]);
+  standardXHRResponse(this.requests[1]);
+  standardXHRResponse(this.requests[2]);
+
+  QUnit.strictEqual(this.requests[0].url,
+                    'manifest/master.m3u8',
+                    'master playlist requested');
+  QUnit.strictEqual(this.requests[1].url,
+                    absoluteUrl('manifest/media2.m3u8'),
+                    'media playlist requested');
+  QUnit.strictEqual(this.requests[2].url,
+                    absoluteUrl('manifest/media2-00001.ts'),
+                    'first segment requested');
+});
+
+QUnit.test('upshifts if the initial bandwidth hint is high', function() {
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+
+  this.player.tech_.hls.bandwidth = 10e20;
+  standardXHRResponse(this.requests[0]);
+  standardXHRResponse(this.requests[1]);
+  standardXHRResponse(this.requests[2]);
+
+  QUnit.strictEqual(this.requests[0].url,
+                    'manifest/master.m3u8',
+                    'master playlist requested');
+  QUnit.strictEqual(this.requests[1].url,
+                    absoluteUrl('manifest/media2.m3u8'),
+                    'media playlist requested');
+  QUnit.strictEqual(this.requests[2].url,
+                    absoluteUrl('manifest/media2-00001.ts'),
+                    'first segment requested');
+});
+
+QUnit.test('downshifts if the initial bandwidth hint is low', function() {
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+
+  this.player.tech_.hls.bandwidth = 100;
+  standardXHRResponse(this.requests[0]);
+  standardXHRResponse(this.requests[1]);
+  standardXHRResponse(this.requests[2]);
+
+  QUnit.strictEqual(this.requests[0].url,
+                    'manifest/master.m3u8',
+                    'master playlist requested');
+  QUnit.strictEqual(this.requests[1].url,
+                    absoluteUrl('manifest/media1.m3u8'),
+                    'media playlist requested');
+  QUnit.strictEqual(this.requests[2].url,
+                    absoluteUrl('manifest/media1-00001.ts'),
+                    'first segment requested');
+});
+
+QUnit.test('starts checking the buffer on init', function() {
+  let player;
+  let fills = 0;
+  let drains = 0;
+
+  player = createPlayer();
+  player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(player, this.clock);
+
+  // wait long enough for the buffer check interval to expire and
+  // trigger fill/drainBuffer
+  player.tech_.hls.fillBuffer = function() {
+    fills++;
+  };
+  player.tech_.hls.drainBuffer = function() {
+    drains++;
+  };
+  this.clock.tick(500);
+  QUnit.equal(fills, 1, 'called fillBuffer');
+  QUnit.equal(drains, 1, 'called drainBuffer');
+
+  player.dispose();
+  this.clock.tick(100 * 1000);
+  QUnit.equal(fills, 1, 'did not call fillBuffer again');
+  QUnit.equal(drains, 1, 'did not call drainBuffer again');
+});
+
+QUnit.test('buffer checks are noops until a media playlist is ready', function() {
+  this.player.src({
+    src: 'manifest/media.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  this.player.tech_.hls.checkBuffer_();
+
+  QUnit.strictEqual(1, this.requests.length, 'one request was made');
+  QUnit.strictEqual(this.requests[0].url,
+                    'manifest/media.m3u8',
+                    'media playlist requested');
+});
+
+QUnit.test('buffer checks are noops when only the master is ready', function() {
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  // master
+  standardXHRResponse(this.requests.shift());
+  // media
+  standardXHRResponse(this.requests.shift());
+  // ignore any outstanding segment requests
+  this.requests.length = 0;
+
+  // load in a new playlist which will cause playlists.media() to be
+  // undefined while it is being fetched
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+
+  // respond with the master playlist but don't send the media playlist yet
+  // force media1 to be requested
+  this.player.tech_.hls.bandwidth = 1;
+  // master
+  standardXHRResponse(this.requests.shift());
+  // trigger fillBuffer()
+  this.player.tech_.hls.checkBuffer_();
+
+  QUnit.strictEqual(1, this.requests.length, 'one request was made');
+  QUnit.strictEqual(this.requests[0].url,
+                    absoluteUrl('manifest/media1.m3u8'),
+                    'media playlist requested');
+});
+
+QUnit.test('calculates the bandwidth after downloading a segment', function() {
+  this.player.src({
+    src: 'manifest/media.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  standardXHRResponse(this.requests[0]);
+
+  // set the request time to be a bit earlier so our bandwidth calculations are not NaN
+  this.requests[1].requestTime = (new Date()) - 100;
+
+  standardXHRResponse(this.requests[1]);
+
+  QUnit.ok(this.player.tech_.hls.bandwidth, 'bandwidth is calculated');
+  QUnit.ok(this.player.tech_.hls.bandwidth > 0,
+           'bandwidth is positive: ' + this.player.tech_.hls.bandwidth);
+  QUnit.ok(this.player.tech_.hls.segmentXhrTime >= 0,
+           'saves segment request time: ' + this.player.tech_.hls.segmentXhrTime + 's');
+});
+
+QUnit.test('fires a progress event after downloading a segment', function() {
+  let progressCount = 0;
+
+  this.player.src({
+    src: 'manifest/media.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  standardXHRResponse(this.requests.shift());
+  this.player.on('progress', function() {
+    progressCount++;
+  });
+  standardXHRResponse(this.requests.shift());
+  QUnit.equal(progressCount, 1, 'fired a progress event');
+});
+
+QUnit.test('selects a playlist after segment downloads', function() {
+  let calls = 0;
+
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  this.player.tech_.hls.selectPlaylist = () => {
+    calls++;
+    return this.player.tech_.hls.playlists.master.playlists[0];
+  };
+
+  // master
+  standardXHRResponse(this.requests[0]);
+  // media
+  standardXHRResponse(this.requests[1]);
+  // segment
+  standardXHRResponse(this.requests[2]);
+
+  QUnit.strictEqual(calls, 2, 'selects after the initial segment');
+  this.player.currentTime = function() {
+    return 1;
+  };
+  this.player.buffered = function() {
+    return videojs.createTimeRange(0, 2);
+  };
+  this.player.tech_.hls.sourceBuffer.trigger('updateend');
+  this.player.tech_.hls.checkBuffer_();
+
+  standardXHRResponse(this.requests[3]);
+
+  QUnit.strictEqual(calls, 3, 'selects after additional segments');
+});
+
+QUnit.test('updates the duration after switching playlists', function() {
+  let selectedPlaylist = false;
+
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+
+  this.player.tech_.hls.bandwidth = 1e20;
+  // master
+  standardXHRResponse(this.requests[0]);
+  // media3
+  standardXHRResponse(this.requests[1]);
+
+  this.player.tech_.hls.selectPlaylist = () => {
+    selectedPlaylist = true;
+
+    // this duration should be overwritten by the playlist change
+    this.player.tech_.hls.mediaSource.duration = -Infinity;
+
+    return this.player.tech_.hls.playlists.master.playlists[1];
+  };
+
+  // segment 0
+  standardXHRResponse(this.requests[2]);
+  // media1
+  standardXHRResponse(this.requests[3]);
+  QUnit.ok(selectedPlaylist, 'selected playlist');
+  QUnit.ok(this.player.tech_.hls.mediaSource.duration !== -Infinity,
+           'updates the duration');
+});
+
+QUnit.test('downloads additional playlists if required', function() {
+  let called = false;
+  let playlist = {
+    uri: 'media3.m3u8'
+  };
+
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+
+  this.player.tech_.hls.bandwidth = 20000;
+  standardXHRResponse(this.requests[0]);
+
+  standardXHRResponse(this.requests[1]);
+  // before an m3u8 is downloaded, no segments are available
+  this.player.tech_.hls.selectPlaylist = function() {
+    if (!called) {
+      called = true;
+      return playlist;
+    }
+    playlist.segments = [1, 1, 1];
+    return playlist;
+  };
+
+  // the playlist selection is revisited after a new segment is downloaded
+  this.player.trigger('timeupdate');
+
+  this.requests[2].bandwidth = 3000000;
+  this.requests[2].response = new Uint8Array([0]);
+  this.requests[2].respond(200, null, '');
+  standardXHRResponse(this.requests[3]);
+
+  QUnit.strictEqual(4, this.requests.length, 'requests were made');
+  QUnit.strictEqual(this.requests[3].url,
+                    absoluteUrl('manifest/' + playlist.uri),
+                    'made playlist request');
+  QUnit.strictEqual(playlist.uri,
+                    this.player.tech_.hls.playlists.media().uri,
+                    'a new playlists was selected');
+  QUnit.ok(this.player.tech_.hls.playlists.media().segments,
+           'segments are now available');
+});
+
+QUnit.test('smooths bandwidth measurements', function() {
+  let hls;
+
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  hls = this.player.tech_.hls;
+  hls.bandwidth = 1000;
+
+  hls.setBandwidth({ bandwidth: 1e9, bytesReceived: 100 });
+  QUnit.strictEqual(hls.bandwidth, 1e9, 'used the measurement until there is an estimate');
+  QUnit.strictEqual(hls.bandwidthEstimate(), 1e9, 'has no estimate yet');
+
+  hls.setBandwidth({ bandwidth: 2e6, bytesReceived: 1024 * 1024 });
+  QUnit.ok(Math.abs(hls.bandwidth - 2e6) < 1, 'used the first large download');
+  hls.setBandwidth({ bandwidth: 2e7, bytesReceived: 100 * 1024 });
+  QUnit.ok(hls.bandwidth < 5e6, 'a single fast download has little effect');
+  QUnit.strictEqual(hls.bandwidthEstimate(), hls.bandwidth, 'exposed the estimate');
+  QUnit.strictEqual(hls.bytesReceived,
+                    100 + 1024 * 1024 + 100 * 1024,
+                    'counted every download');
+});
+
+QUnit.test('uses an assigned bandwidth until the next measurement', function() {
+  let hls;
+  let selected;
+
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  hls = this.player.tech_.hls;
+  standardXHRResponse(this.requests.shift());
+
+  hls.setBandwidth({ bandwidth: 1e10, bytesReceived: 1024 * 1024 });
+  selected = hls.selectPlaylist();
+  QUnit.notStrictEqual(selected.uri, 'media1.m3u8', 'selected from the estimate');
+
+  hls.bandwidth = 1;
+  QUnit.strictEqual(hls.selectPlaylist().uri, 'media1.m3u8',
+                    'selected from the assigned bandwidth');
+  QUnit.ok(hls.bandwidthEstimate() > 1e9, 'kept the estimate');
+
+  hls.setBandwidth({ bandwidth: 1e10, bytesReceived: 1024 * 1024 });
+  QUnit.ok(hls.bandwidth > 1e9, 'the next measurement replaced it');
+  QUnit.strictEqual(hls.selectPlaylist(), selected, 'selected from the estimate again');
+});
+
+QUnit.test('selects the bandwidth estimator from the options', function() {
+  let hlsOptions = videojs.options.hls;
+  let hls;
+
+  this.player.dispose();
+  videojs.options.hls = {
+    bandwidthEstimator: 'last-sample'
+  };
+  this.player = createPlayer();
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  hls = this.player.tech_.hls;
+
+  hls.setBandwidth({ bandwidth: 2e6, bytesReceived: 1024 * 1024 });
+  hls.setBandwidth({ bandwidth: 1e9, bytesReceived: 100 });
+  QUnit.strictEqual(hls.bandwidth, 1e9, 'used the last sample');
+  videojs.options.hls = hlsOptions;
+});
+
+QUnit.test('configures the bandwidth estimator on the source', function() {
+  let hls;
+
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl',
+    bandwidthEstimator: {
+      algorithm: 'ewma',
+      minimumBytes: 0,
+      minimumTotalBytes: 0
+    }
+  });
+  openMediaSource(this.player, this.clock);
+  hls = this.player.tech_.hls;
+
+  hls.setBandwidth({ bandwidth: 5000, bytesReceived: 100 });
+  QUnit.ok(Math.abs(hls.bandwidth - 5000) < 1, 'used the configured minimums');
+});
+
+QUnit.test('selects a playlist below the current bandwidth', function() {
+  let playlist;
+
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  standardXHRResponse(this.requests[0]);
+
+  // the default playlist has a really high bitrate
+  this.player.tech_.hls.playlists.master.playlists[0].attributes.BANDWIDTH = 9e10;
+  // playlist 1 has a very low bitrate
+  this.player.tech_.hls.playlists.master.playlists[1].attributes.BANDWIDTH = 1;
+  // but the detected client bandwidth is really low
+  this.player.tech_.hls.bandwidth = 10;
+
+  playlist = this.player.tech_.hls.selectPlaylist();
+  QUnit.strictEqual(playlist,
+                    this.player.tech_.hls.playlists.master.playlists[1],
+                    'the low bitrate stream is selected');
+});
+
+QUnit.test('allows initial bandwidth to be provided', function() {
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  this.player.tech_.hls.bandwidth = 500;
+
+  this.requests[0].bandwidth = 1;
+  this.requests.shift().respond(200, null,
+                                '#EXTM3U\n' +
+                                '#EXT-X-PLAYLIST-TYPE:VOD\n' +
+                                '#EXT-X-TARGETDURATION:10\n');
+  QUnit.equal(this.player.tech_.hls.bandwidth,
+              500,
+              'prefers user-specified intial bandwidth');
+});
+
+QUnit.test('raises the minimum bitrate for a stream proportionially', function() {
+  let playlist;
+
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+
+  standardXHRResponse(this.requests[0]);
+
+  // the default playlist's bandwidth + 10% is QUnit.equal to the current bandwidth
+  this.player.tech_.hls.playlists.master.playlists[0].attributes.BANDWIDTH = 10;
+  this.player.tech_.hls.bandwidth = 11;
+
+  // 9.9 * 1.1 < 11
+  this.player.tech_.hls.playlists.master.playlists[1].attributes.BANDWIDTH = 9.9;
+  playlist = this.player.tech_.hls.selectPlaylist();
+
+  QUnit.strictEqual(playlist,
+                    this.player.tech_.hls.playlists.master.playlists[1],
+                    'a lower bitrate stream is selected');
+});
+
+QUnit.test('uses the lowest bitrate if no other is suitable', function() {
+  let playlist;
+
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+
+  standardXHRResponse(this.requests[0]);
+
+  // the lowest bitrate playlist is much greater than 1b/s
+  this.player.tech_.hls.bandwidth = 1;
+  playlist = this.player.tech_.hls.selectPlaylist();
+
+  // playlist 1 has the lowest advertised bitrate
+  QUnit.strictEqual(playlist,
+                    this.player.tech_.hls.playlists.master.playlists[1],
+                    'the lowest bitrate stream is selected');
+});
+
+QUnit.test('selects the correct rendition by player dimensions', function() {
+  let playlist;
+
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+
+  openMediaSource(this.player, this.clock);
+  standardXHRResponse(this.requests[0]);
+
+  this.player.width(640);
+  this.player.height(360);
+  this.player.tech_.hls.bandwidth = 3000000;
+
+  playlist = this.player.tech_.hls.selectPlaylist();
+
+  QUnit.deepEqual(playlist.attributes.RESOLUTION,
+                  {width: 960, height: 540},
+                  'should return the correct resolution by player dimensions');
+  QUnit.equal(playlist.attributes.BANDWIDTH,
+              1928000,
+              'should have the expected bandwidth in case of multiple');
+
+  this.player.width(1920);
+  this.player.height(1080);
+  this.player.tech_.hls.bandwidth = 3000000;
+
+  playlist = this.player.tech_.hls.selectPlaylist();
+
+  QUnit.deepEqual(playlist.attributes.RESOLUTION,
+                  {width: 960, height: 540},
+                  'should return the correct resolution by playerdimensions');
+  QUnit.equal(playlist.attributes.BANDWIDTH,
+              1928000,
+              'should have the expected bandwidth in case of multiple');
+
+  this.player.width(396);
+  this.player.height(224);
+  playlist = this.player.tech_.hls.selectPlaylist();
+
+  QUnit.deepEqual(playlist.attributes.RESOLUTION,
+                  {width: 396, height: 224},
+                  'should return the correct resolution by ' +
+                  'player dimensions, if exact match');
+  QUnit.equal(playlist.attributes.BANDWIDTH,
+              440000,
+              'should have the expected bandwidth in case of multiple, if exact match');
+
+  this.player.width(395);
+  this.player.height(222);
+  playlist = this.player.tech_.hls.selectPlaylist();
+
+  QUnit.deepEqual(playlist.attributes.RESOLUTION,
+                  {width: 396, height: 224},
+                  'should return the next larger resolution by player dimensions, ' +
+                  'if no exact match exists');
+  QUnit.equal(playlist.attributes.BANDWIDTH,
+              440000,
+              'should have the expected bandwidth in case of multiple, if exact match');
+});
+
+QUnit.test('selects the highest bitrate playlist when the player dimensions are ' +
+     'larger than any of the variants', function() {
+  let playlist;
+
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  // master
+  this.requests.shift().respond(200, null,
+                                '#EXTM3U\n' +
+                                '#EXT-X-STREAM-INF:BANDWIDTH=1000,RESOLUTION=2x1\n' +
+                                'media.m3u8\n' +
+                                '#EXT-X-STREAM-INF:BANDWIDTH=1,RESOLUTION=1x1\n' +
+                                'media1.m3u8\n');
+  // media
+  standardXHRResponse(this.requests.shift());
+  this.player.tech_.hls.bandwidth = 1e10;
+
+  this.player.width(1024);
+  this.player.height(768);
+
+  playlist = this.player.tech_.hls.selectPlaylist();
+
+  QUnit.equal(playlist.attributes.BANDWIDTH,
+              1000,
+              'selected the highest bandwidth variant');
+});
+
+QUnit.test('filters playlists that are currently excluded', function() {
+  let playlist;
+
+  this.player.src({
+    src: 'manifest/master.m3u8',
     type: 'application/vnd.apple.mpegurl'
   });
   openMediaSource(this.player, this.clock);
+
+  this.player.tech_.hls.bandwidth = 1e10;
   // master
-  standardXHRResponse(this.requests.shift());
+  this.requests.shift().respond(200, null,
+                                '#EXTM3U\n' +
+                                '#EXT-X-STREAM-INF:BANDWIDTH=1000\n' +
+                                'media.m3u8\n' +
+                                '#EXT-X-STREAM-INF:BANDWIDTH=1\n' +
+                                'media1.m3u8\n');
   // media
   standardXHRResponse(this.requests.shift());
-  // ignore any outstanding segment requests
-  this.requests.length = 0;
 
-  // load in a new playlist which will cause playlists.media() to be
-  // undefined while it is being fetched
+  // exclude the current playlist
+  this.player.tech_.hls.playlists.master.playlists[0].excludeUntil = +new Date() + 1000;
+  playlist = this.player.tech_.hls.selectPlaylist();
+  QUnit.equal(playlist,
+              this.player.tech_.hls.playlists.master.playlists[1],
+              'respected exclusions');
+
+  // timeout the exclusion
+  this.clock.tick(1000);
+  playlist = this.player.tech_.hls.selectPlaylist();
+  QUnit.equal(playlist,
+              this.player.tech_.hls.playlists.master.playlists[0],
+              'expired the exclusion');
+});
+
+QUnit.test('blacklists switching from video+audio playlists to audio only', function() {
+  let audioPlaylist;
+
   this.player.src({
     src: 'manifest/master.m3u8',
     type: 'application/vnd.apple.mpegurl'
   });
   openMediaSource(this.player, this.clock);
 
-  // respond with the master playlist but don't send the media playlist yet
-  // force media1 to be requested
-  this.player.tech_.hls.bandwidth = 1;
+  this.player.tech_.hls.bandwidth = 1e10;
   // master
+  this.requests.shift().respond(200, null,
+                                '#EXTM3U\n' +
+                                '#EXT-X-STREAM-INF:BANDWIDTH=1,CODECS="mp4a.40.2"\n' +
+                                'media.m3u8\n' +
+                                '#EXT-X-STREAM-INF:BANDWIDTH=10,RESOLUTION=1x1\n' +
+                                'media1.m3u8\n');
+
+  // media1
   standardXHRResponse(this.requests.shift());
-  // trigger fillBuffer()
-  this.player.tech_.hls.checkBuffer_();
+  QUnit.equal(this.player.tech_.hls.playlists.media(),
+              this.player.tech_.hls.playlists.master.playlists[1],
+              'selected video+audio');
+  audioPlaylist = this.player.tech_.hls.playlists.master.playlists[0];
+  QUnit.equal(audioPlaylist.excludeUntil, Infinity, 'excluded incompatible playlist');
+});
 
-  QUnit.strictEqual(1, this.requests.length, 'one request was made');
-  QUnit.strictEqual(this.requests[0].url,
-                    absoluteUrl('manifest/media1.m3u8'),
-                    'media playlist requested');
+QUnit.test('blacklists switching from audio-only playlists to video+audio', function() {
+  let videoAudioPlaylist;
+
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+
+  this.player.tech_.hls.bandwidth = 1;
+  // master
+  this.requests.shift().respond(200, null,
+                                '#EXTM3U\n' +
+                                '#EXT-X-STREAM-INF:BANDWIDTH=1,CODECS="mp4a.40.2"\n' +
+                                'media.m3u8\n' +
+                                '#EXT-X-STREAM-INF:BANDWIDTH=10,RESOLUTION=1x1\n' +
+                                'media1.m3u8\n');
+
+  // media1
+  standardXHRResponse(this.requests.shift());
+  QUnit.equal(this.player.tech_.hls.playlists.media(),
+              this.player.tech_.hls.playlists.master.playlists[0],
+              'selected audio only');
+  videoAudioPlaylist = this.player.tech_.hls.playlists.master.playlists[1];
+  QUnit.equal(videoAudioPlaylist.excludeUntil,
+              Infinity,
+              'excluded incompatible playlist');
 });
 
-QUnit.test('calculates the bandwidth after downloading a segment', function() {
+QUnit.test('blacklists switching from video-only playlists to video+audio', function() {
+  let videoAudioPlaylist;
+
   this.player.src({
-    src: 'manifest/media.m3u8',
+    src: 'manifest/master.m3u8',
     type: 'application/vnd.apple.mpegurl'
   });
   openMediaSource(this.player, this.clock);
-  standardXHRResponse(this.requests[0]);
 
-  // set the request time to be a bit earlier so our bandwidth calculations are not NaN
-  this.requests[1].requestTime = (new Date()) - 100;
+  this.player.tech_.hls.bandwidth = 1;
+  // master
+  this.requests.shift()
+    .respond(200, null,
+             '#EXTM3U\n' +
+             '#EXT-X-STREAM-INF:BANDWIDTH=1,CODECS="avc1.4d400d"\n' +
+             'media.m3u8\n' +
+             '#EXT-X-STREAM-INF:BANDWIDTH=10,CODECS="avc1.4d400d,mp4a.40.2"\n' +
+             'media1.m3u8\n');
 
-  standardXHRResponse(this.requests[1]);
+  // media
+  standardXHRResponse(this.requests.shift());
+  QUnit.equal(this.player.tech_.hls.playlists.media(),
+              this.player.tech_.hls.playlists.master.playlists[0],
+              'selected video only');
+  videoAudioPlaylist = this.player.tech_.hls.playlists.master.playlists[1];
+  QUnit.equal(videoAudioPlaylist.excludeUntil,
+              Infinity,
+              'excluded incompatible playlist');
+});
 
-  QUnit.ok(this.player.tech_.hls.bandwidth, 'bandwidth is calculated');
-  QUnit.ok(this.player.tech_.hls.bandwidth > 0,
-           'bandwidth is positive: ' + this.player.tech_.hls.bandwidth);
-  QUnit.ok(this.player.tech_.hls.segmentXhrTime >= 0,
-           'saves segment request time: ' + this.player.tech_.hls.segmentXhrTime + 's');
+QUnit.test('After an initial media playlist 404s, we fire loadedmetadata once we successfully load a playlist', function() {
+  let count = 0;
+
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  this.player.tech_.hls.bandwidth = 20000;
+  this.player.on('loadedmetadata', function() {
+    count += 1;
+  });
+  // master
+  standardXHRResponse(this.requests.shift());
+  QUnit.equal(count,
+    0,
+    'loadedMedia not triggered before requesting playlist');
+  // media
+  this.requests.shift().respond(404);
+  QUnit.equal(count,
+              0,
+              'loadedMedia not triggered after playlist 404');
+  // media
+  standardXHRResponse(this.requests.shift());
+  QUnit.equal(count,
+              1,
+              'loadedMedia triggered after successful recovery from 404');
 });
 
-QUnit.test('fires a progress event after downloading a segment', function() {
-  let progressCount = 0;
+QUnit.test('does not blacklist compatible H.264 codec strings', function() {
+  let master;
 
   this.player.src({
-    src: 'manifest/media.m3u8',
+    src: 'manifest/master.m3u8',
     type: 'application/vnd.apple.mpegurl'
   });
   openMediaSource(this.player, this.clock);
+
+  this.player.tech_.hls.bandwidth = 1;
+  // master
+  this.requests.shift()
+    .respond(200, null,
+             '#EXTM3U\n' +
+             '#EXT-X-STREAM-INF:BANDWIDTH=1,CODECS="avc1.4d400d,mp4a.40.5"\n' +
+             'media.m3u8\n' +
+             '#EXT-X-STREAM-INF:BANDWIDTH=10,CODECS="avc1.4d400f,mp4a.40.5"\n' +
+             'media1.m3u8\n');
+
+  // media
   standardXHRResponse(this.requests.shift());
-  this.player.on('progress', function() {
-    progressCount++;
+  master = this.player.tech_.hls.playlists.master;
+  QUnit.strictEqual(typeof master.playlists[0].excludeUntil,
+                    'undefined',
+                    'did not blacklist');
+  QUnit.strictEqual(typeof master.playlists[1].excludeUntil,
+                    'undefined',
+                    'did not blacklist');
+});
+
+QUnit.test('does not blacklist compatible AAC codec strings', function() {
+  let master;
+
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
   });
+  openMediaSource(this.player, this.clock);
+
+  this.player.tech_.hls.bandwidth = 1;
+  // master
+  this.requests.shift()
+    .respond(200, null,
+             '#EXTM3U\n' +
+             '#EXT-X-STREAM-INF:BANDWIDTH=1,CODECS="avc1.4d400d,mp4a.40.2"\n' +
+             'media.m3u8\n' +
+             '#EXT-X-STREAM-INF:BANDWIDTH=10,CODECS="avc1.4d400d,mp4a.40.3"\n' +
+             'media1.m3u8\n');
+
+  // media
   standardXHRResponse(this.requests.shift());
-  QUnit.equal(progressCount, 1, 'fired a progress event');
+  master = this.player.tech_.hls.playlists.master;
+  QUnit.strictEqual(typeof master.playlists[0].excludeUntil,
+                    'undefined',
+                    'did not blacklist');
+  QUnit.strictEqual(typeof master.playlists[1].excludeUntil,
+                    'undefined',
+                    'did not blacklist');
 });
 
-QUnit.test('selects a playlist after segment downloads', function() {
-  let calls = 0;
+QUnit.test('blacklists switching between playlists with incompatible audio codecs', function() {
+  let alternatePlaylist;
 
   this.player.src({
     src: 'manifest/master.m3u8',
     type: 'application/vnd.apple.mpegurl'
   });
   openMediaSource(this.player, this.clock);
-  this.player.tech_.hls.selectPlaylist = () => {
-    calls++;
-    return this.player.tech_.hls.playlists.master.playlists[0];
-  };
 
+  this.player.tech_.hls.bandwidth = 1;
   // master
-  standardXHRResponse(this.requests[0]);
+  this.requests.shift()
+    .respond(200, null,
+             '#EXTM3U\n' +
+             '#EXT-X-STREAM-INF:BANDWIDTH=1,CODECS="avc1.4d400d,mp4a.40.5"\n' +
+             'media.m3u8\n' +
+             '#EXT-X-STREAM-INF:BANDWIDTH=10,CODECS="avc1.4d400d,mp4a.40.2"\n' +
+             'media1.m3u8\n');
+
   // media
-  standardXHRResponse(this.requests[1]);
-  // segment
-  standardXHRResponse(this.requests[2]);
+  standardXHRResponse(this.requests.shift());
+  QUnit.equal(this.player.tech_.hls.playlists.media(),
+              this.player.tech_.hls.playlists.master.playlists[0],
+              'selected HE-AAC stream');
+  alternatePlaylist = this.player.tech_.hls.playlists.master.playlists[1];
+  QUnit.equal(alternatePlaylist.excludeUntil, Infinity, 'excluded incompatible playlist');
+});
 
-  QUnit.strictEqual(calls, 2, 'selects after the initial segment');
-  this.player.currentTime = function() {
-    return 1;
+QUnit.test('does not download the next segment if the buffer is full', function() {
+  let currentTime = 15;
+
+  this.player.src({
+    src: 'manifest/media.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  this.player.tech_.currentTime = function() {
+    return currentTime;
   };
-  this.player.buffered = function() {
-    return videojs.createTimeRange(0, 2);
+  this.player.tech_.buffered = function() {
+    return videojs.createTimeRange(0, currentTime + videojs.Hls.GOAL_BUFFER_LENGTH);
   };
-  this.player.tech_.hls.sourceBuffer.trigger('updateend');
-  this.player.tech_.hls.checkBuffer_();
+  openMediaSource(this.player, this.clock);
 
-  standardXHRResponse(this.requests[3]);
+  standardXHRResponse(this.requests[0]);
 
-  QUnit.strictEqual(calls, 3, 'selects after additional segments');
+  this.player.trigger('timeupdate');
+
+  QUnit.strictEqual(this.requests.length, 1, 'no segment request was made');
 });
 
-QUnit.test('updates the duration after switching playlists', function() {
-  let selectedPlaylist = false;
+QUnit.test('respects the configured buffer goal', function() {
+  let currentTime = 15;
 
   this.player.src({
-    src: 'manifest/master.m3u8',
-    type: 'application/vnd.apple.mpegurl'
+    src: 'manifest/media.m3u8',
+    type: 'application/vnd.apple.mpegurl',
+    goalBufferLength: 10
   });
+  this.player.tech_.currentTime = function() {
+    return currentTime;
+  };
+  this.player.tech_.buffered = function() {
+    return videojs.createTimeRange(0, currentTime + 10);
+  };
   openMediaSource(this.player, this.clock);
 
-  this.player.tech_.hls.bandwidth = 1e20;
-  // master
   standardXHRResponse(this.requests[0]);
-  // media3
-  standardXHRResponse(this.requests[1]);
 
-  this.player.tech_.hls.selectPlaylist = () => {
-    selectedPlaylist = true;
+  this.player.trigger('timeupdate');
 
-    // this duration should be overwritten by the playlist change
-    this.player.tech_.hls.mediaSource.duration = -Infinity;
+  QUnit.strictEqual(this.requests.length, 1, 'no segment request was made');
+});
 
-    return this.player.tech_.hls.playlists.master.playlists[1];
+QUnit.test('the buffer goal is limited by the maximum buffer length', function() {
+  let hlsOptions = videojs.options.hls;
+
+  videojs.options.hls = {
+    goalBufferLength: 60,
+    maxBufferLength: 20
   };
+  this.player.src({
+    src: 'manifest/media.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  QUnit.strictEqual(this.player.tech_.hls.goalBufferLength_(),
+                    20,
+                    'limited the goal by the global maximum');
 
-  // segment 0
-  standardXHRResponse(this.requests[2]);
-  // media1
-  standardXHRResponse(this.requests[3]);
-  QUnit.ok(selectedPlaylist, 'selected playlist');
-  QUnit.ok(this.player.tech_.hls.mediaSource.duration !== -Infinity,
-           'updates the duration');
+  this.player.src({
+    src: 'manifest/media.m3u8',
+    type: 'application/vnd.apple.mpegurl',
+    maxBufferLength: 90
+  });
+  openMediaSource(this.player, this.clock);
+  QUnit.strictEqual(this.player.tech_.hls.goalBufferLength_(),
+                    60,
+                    'source options override the global options');
+  videojs.options.hls = hlsOptions;
 });
 
-QUnit.test('downloads additional playlists if required', function() {
-  let called = false;
-  let playlist = {
-    uri: 'media3.m3u8'
-  };
-
+QUnit.test('downloads the next segment if the buffer is getting low', function() {
   this.player.src({
-    src: 'manifest/master.m3u8',
+    src: 'manifest/media.m3u8',
     type: 'application/vnd.apple.mpegurl'
   });
   openMediaSource(this.player, this.clock);
 
-  this.player.tech_.hls.bandwidth = 20000;
   standardXHRResponse(this.requests[0]);
-
   standardXHRResponse(this.requests[1]);
-  // before an m3u8 is downloaded, no segments are available
-  this.player.tech_.hls.selectPlaylist = function() {
-    if (!called) {
-      called = true;
-      return playlist;
-    }
-    playlist.segments = [1, 1, 1];
-    return playlist;
-  };
 
-  // the playlist selection is revisited after a new segment is downloaded
-  this.player.trigger('timeupdate');
+  QUnit.strictEqual(this.requests.length, 2, 'made two requests');
+  this.player.tech_.currentTime = function() {
+    return 15;
+  };
+  this.player.tech_.buffered = function() {
+    return videojs.createTimeRange(0, 19.999);
+  };
+  this.player.tech_.hls.sourceBuffer.trigger('updateend');
+  this.player.tech_.hls.checkBuffer_();
 
-  this.requests[2].bandwidth = 3000000;
-  this.requests[2].response = new Uint8Array([0]);
-  this.requests[2].respond(200, null, '');
-  standardXHRResponse(this.requests[3]);
+  standardXHRResponse(this.requests[2]);
 
-  QUnit.strictEqual(4, this.requests.length, 'requests were made');
-  QUnit.strictEqual(this.requests[3].url,
-                    absoluteUrl('manifest/' + playlist.uri),
-                    'made playlist request');
-  QUnit.strictEqual(playlist.uri,
-                    this.player.tech_.hls.playlists.media().uri,
-                    'a new playlists was selected');
-  QUnit.ok(this.player.tech_.hls.playlists.media().segments,
-           'segments are now available');
+  QUnit.strictEqual(this.requests.length, 3, 'made a request');
+  QUnit.strictEqual(this.requests[2].url,
+                    absoluteUrl('manifest/media-00002.ts'),
+                    'made segment request');
 });
 
-QUnit.test('selects a playlist below the current bandwidth', function() {
-  let playlist;
+QUnit.test('buffers based on the correct TimeRange if multiple ranges exist', function() {
+  let currentTime;
+  let buffered;
 
   this.player.src({
-    src: 'manifest/master.m3u8',
+    src: 'manifest/media.m3u8',
     type: 'application/vnd.apple.mpegurl'
   });
   openMediaSource(this.player, this.clock);
+
+  this.player.tech_.currentTime = function() {
+    return currentTime;
+  };
+  this.player.tech_.buffered = function() {
+    return videojs.createTimeRange(buffered);
+  };
+  currentTime = 8;
+  buffered = [[0, 10], [20, 30]];
+
   standardXHRResponse(this.requests[0]);
+  standardXHRResponse(this.requests[1]);
 
-  // the default playlist has a really high bitrate
-  this.player.tech_.hls.playlists.master.playlists[0].attributes.BANDWIDTH = 9e10;
-  // playlist 1 has a very low bitrate
-  this.player.tech_.hls.playlists.master.playlists[1].attributes.BANDWIDTH = 1;
-  // but the detected client bandwidth is really low
-  this.player.tech_.hls.bandwidth = 10;
+  QUnit.strictEqual(this.requests.length, 2, 'made two requests');
+  QUnit.strictEqual(this.requests[1].url,
+                    absoluteUrl('manifest/media-00002.ts'),
+                    'made segment request');
 
-  playlist = this.player.tech_.hls.selectPlaylist();
-  QUnit.strictEqual(playlist,
-                    this.player.tech_.hls.playlists.master.playlists[1],
-                    'the low bitrate stream is selected');
+  currentTime = 22;
+  this.player.tech_.hls.sourceBuffer.trigger('updateend');
+  this.player.tech_.hls.checkBuffer_();
+  QUnit.strictEqual(this.requests.length, 3, 'made three requests');
+  QUnit.strictEqual(this.requests[2].url,
+                    absoluteUrl('manifest/media-00003.ts'),
+                    'made segment request');
 });
 
-QUnit.test('allows initial bandwidth to be provided', function() {
+QUnit.test('stops downloading segments at the end of the playlist', function() {
   this.player.src({
-    src: 'manifest/master.m3u8',
+    src: 'manifest/media.m3u8',
     type: 'application/vnd.apple.mpegurl'
   });
   openMediaSource(this.player, this.clock);
-  this.player.tech_.hls.bandwidth = 500;
+  standardXHRResponse(this.requests[0]);
+  this.requests = [];
+  this.player.tech_.hls.mediaIndex = 4;
+  this.player.trigger('timeupdate');
 
-  this.requests[0].bandwidth = 1;
-  this.requests.shift().respond(200, null,
-                                '#EXTM3U\n' +
-                                '#EXT-X-PLAYLIST-TYPE:VOD\n' +
-                                '#EXT-X-TARGETDURATION:10\n');
-  QUnit.equal(this.player.tech_.hls.bandwidth,
-              500,
-              'prefers user-specified intial bandwidth');
+  QUnit.strictEqual(this.requests.length, 0, 'no request is made');
 });
 
-QUnit.test('raises the minimum bitrate for a stream proportionially', function() {
-  let playlist;
-
+QUnit.test('only makes one segment request at a time', function() {
   this.player.src({
-    src: 'manifest/master.m3u8',
+    src: 'manifest/media.m3u8',
     type: 'application/vnd.apple.mpegurl'
   });
   openMediaSource(this.player, this.clock);
+  standardXHRResponse(this.requests.pop());
+  this.player.trigger('timeupdate');
 
-  standardXHRResponse(this.requests[0]);
-
-  // the default playlist's bandwidth + 10% is QUnit.equal to the current bandwidth
-  this.player.tech_.hls.playlists.master.playlists[0].attributes.BANDWIDTH = 10;
-  this.player.tech_.hls.bandwidth = 11;
-
-  // 9.9 * 1.1 < 11
-  this.player.tech_.hls.playlists.master.playlists[1].attributes.BANDWIDTH = 9.9;
-  playlist = this.player.tech_.hls.selectPlaylist();
-
-  QUnit.strictEqual(playlist,
-                    this.player.tech_.hls.playlists.master.playlists[1],
-                    'a lower bitrate stream is selected');
+  QUnit.strictEqual(1, this.requests.length, 'one XHR is made');
+  this.player.trigger('timeupdate');
+  QUnit.strictEqual(1, this.requests.length, 'only one XHR is made');
 });
 
-QUnit.test('uses the lowest bitrate if no other is suitable', function() {
-  let playlist;
+QUnit.test('only appends one segment at a time', function() {
+  let appends = 0;
 
   this.player.src({
-    src: 'manifest/master.m3u8',
+    src: 'manifest/media.m3u8',
     type: 'application/vnd.apple.mpegurl'
   });
   openMediaSource(this.player, this.clock);
+  // media.m3u8
+  standardXHRResponse(this.requests.pop());
+  this.player.tech_.hls.sourceBuffer.appendBuffer = function() {
+    appends++;
+  };
 
-  standardXHRResponse(this.requests[0]);
+  // segment 0
+  standardXHRResponse(this.requests.pop());
 
-  // the lowest bitrate playlist is much greater than 1b/s
-  this.player.tech_.hls.bandwidth = 1;
-  playlist = this.player.tech_.hls.selectPlaylist();
+  this.player.tech_.hls.checkBuffer_();
+  QUnit.equal(this.requests.length, 0, 'did not request while updating');
 
-  // playlist 1 has the lowest advertised bitrate
-  QUnit.strictEqual(playlist,
-                    this.player.tech_.hls.playlists.master.playlists[1],
-                    'the lowest bitrate stream is selected');
+  this.player.tech_.hls.checkBuffer_();
+  QUnit.equal(appends, 1, 'appended once');
 });
 
-QUnit.test('selects the correct rendition by player dimensions', function() {
-  let playlist;
+QUnit.test('makes room behind the play head when the source buffer is full', function() {
+  let hls;
+  let appends = 0;
+  let removes = [];
 
   this.player.src({
-    src: 'manifest/master.m3u8',
+    src: 'manifest/media.m3u8',
     type: 'application/vnd.apple.mpegurl'
   });
-
   openMediaSource(this.player, this.clock);
-  standardXHRResponse(this.requests[0]);
-
-  this.player.width(640);
-  this.player.height(360);
-  this.player.tech_.hls.bandwidth = 3000000;
-
-  playlist = this.player.tech_.hls.selectPlaylist();
-
-  QUnit.deepEqual(playlist.attributes.RESOLUTION,
-                  {width: 960, height: 540},
-                  'should return the correct resolution by player dimensions');
-  QUnit.equal(playlist.attributes.BANDWIDTH,
-              1928000,
-              'should have the expected bandwidth in case of multiple');
-
-  this.player.width(1920);
-  this.player.height(1080);
-  this.player.tech_.hls.bandwidth = 3000000;
+  hls = this.player.tech_.hls;
+  this.player.tech_.currentTime = function() {
+    return 50;
+  };
+  this.player.tech_.buffered = function() {
+    return videojs.createTimeRanges([[0, 55]]);
+  };
+  // media.m3u8
+  standardXHRResponse(this.requests.pop());
+  hls.sourceBuffer.appendBuffer = function() {
+    let error = new Error('The source buffer is full');
 
-  playlist = this.player.tech_.hls.selectPlaylist();
+    appends++;
+    if (appends === 1) {
+      error.name = 'QuotaExceededError';
+      throw error;
+    }
+  };
+  hls.sourceBuffer.remove = function(start, end) {
+    removes.push([start, end]);
+  };
 
-  QUnit.deepEqual(playlist.attributes.RESOLUTION,
-                  {width: 960, height: 540},
-                  'should return the correct resolution by playerdimensions');
-  QUnit.equal(playlist.attributes.BANDWIDTH,
-              1928000,
-              'should have the expected bandwidth in case of multiple');
+  standardXHRResponse(this.requests.pop());
+  QUnit.strictEqual(appends, 1, 'tried to append the segment');
+  QUnit.deepEqual(removes, [[0, 50 - 10]], 'removed content behind the play head');
+  QUnit.strictEqual(hls.goalBufferLength_(),
+                    videojs.Hls.GOAL_BUFFER_LENGTH / 2,
+                    'reduced the buffer goal');
+  QUnit.ok(hls.mainSegmentLoader_.pendingSegment_, 'the segment is still pending');
 
-  this.player.width(396);
-  this.player.height(224);
-  playlist = this.player.tech_.hls.selectPlaylist();
+  this.clock.tick(500);
+  QUnit.strictEqual(appends, 2, 'appended the segment again');
+});
 
-  QUnit.deepEqual(playlist.attributes.RESOLUTION,
-                  {width: 396, height: 224},
-                  'should return the correct resolution by ' +
-                  'player dimensions, if exact match');
-  QUnit.equal(playlist.attributes.BANDWIDTH,
-              440000,
-              'should have the expected bandwidth in case of multiple, if exact match');
+QUnit.test('makes room ahead of the play head if there is nothing behind it', function() {
+  let hls;
+  let removes = [];
 
-  this.player.width(395);
-  this.player.height(222);
-  playlist = this.player.tech_.hls.selectPlaylist();
+  this.player.src({
+    src: 'manifest/media.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  hls = this.player.tech_.hls;
+  this.player.tech_.currentTime = function() {
+    return 5;
+  };
+  this.player.tech_.buffered = function() {
+    return videojs.createTimeRanges([[0, 28]]);
+  };
+  // media.m3u8
+  standardXHRResponse(this.requests.pop());
+  hls.sourceBuffer.appendBuffer = function() {
+    let error = new Error('The source buffer is full');
 
-  QUnit.deepEqual(playlist.attributes.RESOLUTION,
-                  {width: 396, height: 224},
-                  'should return the next larger resolution by player dimensions, ' +
-                  'if no exact match exists');
-  QUnit.equal(playlist.attributes.BANDWIDTH,
-              440000,
-              'should have the expected bandwidth in case of multiple, if exact match');
+    error.name = 'QuotaExceededError';
+    throw error;
+  };
+  hls.sourceBuffer.remove = function(start, end) {
+    removes.push([start, end]);
+  };
+
+  standardXHRResponse(this.requests.pop());
+  QUnit.deepEqual(removes,
+                  [[5 + videojs.Hls.GOAL_BUFFER_LENGTH / 2, Infinity]],
+                  'removed content far ahead of the play head');
 });
 
-QUnit.test('selects the highest bitrate playlist when the player dimensions are ' +
-     'larger than any of the variants', function() {
-  let playlist;
+QUnit.test('makes room when the source buffer reports it is full', function() {
+  let hls;
+  let removes = [];
+  let segmentUrl;
+  let error = new Error('The source buffer is full');
 
+  error.name = 'QuotaExceededError';
   this.player.src({
-    src: 'manifest/master.m3u8',
+    src: 'manifest/media.m3u8',
     type: 'application/vnd.apple.mpegurl'
   });
   openMediaSource(this.player, this.clock);
-  // master
-  this.requests.shift().respond(200, null,
-                                '#EXTM3U\n' +
-                                '#EXT-X-STREAM-INF:BANDWIDTH=1000,RESOLUTION=2x1\n' +
-                                'media.m3u8\n' +
-                                '#EXT-X-STREAM-INF:BANDWIDTH=1,RESOLUTION=1x1\n' +
-                                'media1.m3u8\n');
-  // media
+  hls = this.player.tech_.hls;
+  this.player.tech_.currentTime = function() {
+    return 25;
+  };
+  this.player.tech_.buffered = function() {
+    return videojs.createTimeRanges([[0, 30]]);
+  };
+  // media.m3u8
+  standardXHRResponse(this.requests.shift());
+  hls.sourceBuffer.remove = function(start, end) {
+    removes.push([start, end]);
+  };
+  segmentUrl = this.requests[0].url;
   standardXHRResponse(this.requests.shift());
-  this.player.tech_.hls.bandwidth = 1e10;
-
-  this.player.width(1024);
-  this.player.height(768);
 
-  playlist = this.player.tech_.hls.selectPlaylist();
+  // MPEG-TS segments are appended once they have been transmuxed
+  hls.sourceBuffer.trigger({type: 'error', error});
+  QUnit.deepEqual(removes, [[0, 25 - 10]], 'removed content behind the play head');
+  QUnit.ok(!hls.mainSegmentLoader_.pendingSegment_, 'dropped the segment');
+  QUnit.ok(!hls.error, 'did not fail');
 
-  QUnit.equal(playlist.attributes.BANDWIDTH,
-              1000,
-              'selected the highest bandwidth variant');
+  this.clock.tick(500);
+  QUnit.strictEqual(this.requests.length, 1, 'requested a segment');
+  QUnit.strictEqual(this.requests[0].url, segmentUrl, 'requested the segment again');
 });
 
-QUnit.test('filters playlists that are currently excluded', function() {
-  let playlist;
+QUnit.test('makes room when the alternate audio source buffer is full', function() {
+  let hls;
+  let appends = 0;
+  let removes = [];
+  let videoRemoves = 0;
 
   this.player.src({
-    src: 'manifest/master.m3u8',
+    src: 'manifest/alternateAudio.m3u8',
     type: 'application/vnd.apple.mpegurl'
   });
   openMediaSource(this.player, this.clock);
+  this.player.tech_.trigger('play');
+  hls = this.player.tech_.hls;
+  this.player.tech_.currentTime = function() {
+    return 50;
+  };
+  this.player.tech_.buffered = function() {
+    return videojs.createTimeRanges([[0, 55]]);
+  };
 
-  this.player.tech_.hls.bandwidth = 1e10;
-  // master
-  this.requests.shift().respond(200, null,
-                                '#EXTM3U\n' +
-                                '#EXT-X-STREAM-INF:BANDWIDTH=1000\n' +
-                                'media.m3u8\n' +
-                                '#EXT-X-STREAM-INF:BANDWIDTH=1\n' +
-                                'media1.m3u8\n');
-  // media
   standardXHRResponse(this.requests.shift());
+  standardXHRResponse(this.requests.shift());
+  // audio playlist
+  standardXHRResponse(this.requests.shift());
+  hls.sourceBuffer.remove = function() {
+    videoRemoves++;
+  };
+  hls.audioSourceBuffer_.buffered = videojs.createTimeRanges([[20, 55]]);
+  hls.audioSourceBuffer_.appendBuffer = function() {
+    let error = new Error('The source buffer is full');
 
-  // exclude the current playlist
-  this.player.tech_.hls.playlists.master.playlists[0].excludeUntil = +new Date() + 1000;
-  playlist = this.player.tech_.hls.selectPlaylist();
-  QUnit.equal(playlist,
-              this.player.tech_.hls.playlists.master.playlists[1],
-              'respected exclusions');
+    appends++;
+    if (appends === 1) {
+      error.name = 'QuotaExceededError';
+      throw error;
+    }
+  };
+  hls.audioSourceBuffer_.remove = function(start, end) {
+    removes.push([start, end]);
+  };
+  // audio segment
+  standardXHRResponse(this.requests.pop());
 
-  // timeout the exclusion
-  this.clock.tick(1000);
-  playlist = this.player.tech_.hls.selectPlaylist();
-  QUnit.equal(playlist,
-              this.player.tech_.hls.playlists.master.playlists[0],
-              'expired the exclusion');
+  QUnit.strictEqual(appends, 1, 'tried to append the audio segment');
+  QUnit.deepEqual(removes, [[0, 50 - 10]], 'removed audio behind the play head');
+  QUnit.strictEqual(videoRemoves, 0, 'left the video alone');
+  QUnit.ok(hls.audioSegmentLoader_.pendingSegment_, 'the audio segment is still pending');
+  QUnit.ok(!hls.error, 'did not fail');
+
+  this.clock.tick(500);
+  QUnit.strictEqual(appends, 2, 'appended the audio segment again');
 });
 
-QUnit.test('blacklists switching from video+audio playlists to audio only', function() {
-  let audioPlaylist;
+QUnit.test('fails if the source buffer stays full', function() {
+  let hls;
+  let endOfStreams = [];
 
   this.player.src({
-    src: 'manifest/master.m3u8',
+    src: 'manifest/media.m3u8',
     type: 'application/vnd.apple.mpegurl'
   });
   openMediaSource(this.player, this.clock);
+  hls = this.player.tech_.hls;
+  this.player.tech_.currentTime = function() {
+    return 50;
+  };
+  this.player.tech_.buffered = function() {
+    return videojs.createTimeRanges([[0, 55]]);
+  };
+  // media.m3u8
+  standardXHRResponse(this.requests.pop());
+  hls.sourceBuffer.appendBuffer = function() {
+    let error = new Error('The source buffer is full');
 
-  this.player.tech_.hls.bandwidth = 1e10;
-  // master
-  this.requests.shift().respond(200, null,
-                                '#EXTM3U\n' +
-                                '#EXT-X-STREAM-INF:BANDWIDTH=1,CODECS="mp4a.40.2"\n' +
-                                'media.m3u8\n' +
-                                '#EXT-X-STREAM-INF:BANDWIDTH=10,RESOLUTION=1x1\n' +
-                                'media1.m3u8\n');
+    error.name = 'QuotaExceededError';
+    throw error;
+  };
+  hls.mediaSource.endOfStream = function(error) {
+    endOfStreams.push(error);
+  };
 
-  // media1
-  standardXHRResponse(this.requests.shift());
-  QUnit.equal(this.player.tech_.hls.playlists.media(),
-              this.player.tech_.hls.playlists.master.playlists[1],
-              'selected video+audio');
-  audioPlaylist = this.player.tech_.hls.playlists.master.playlists[0];
-  QUnit.equal(audioPlaylist.excludeUntil, Infinity, 'excluded incompatible playlist');
+  standardXHRResponse(this.requests.pop());
+  this.clock.tick(500);
+  this.clock.tick(500);
+  QUnit.strictEqual(endOfStreams.length, 0, 'retried the append');
+
+  this.clock.tick(500);
+  QUnit.strictEqual(endOfStreams.length, 1, 'ended the stream');
+  QUnit.strictEqual(this.player.tech_.error().code, 3, 'signaled an error');
+  QUnit.strictEqual(hls.error.code, 3, 'set the error code');
 });
 
-QUnit.test('blacklists switching from audio-only playlists to video+audio', function() {
-  let videoAudioPlaylist;
+QUnit.test('fails when an append throws an error other than running out of space', function() {
+  let hls;
+  let endOfStreams = [];
 
   this.player.src({
-    src: 'manifest/master.m3u8',
-    type: 'application/vnd.apple.mpegurl'
+    src: 'manifest/media.m3u8',
+    type: 'application/vnd.apple.mpegurl',
+    mediaErrorRecoveryAttempts: 0
   });
   openMediaSource(this.player, this.clock);
+  hls = this.player.tech_.hls;
+  // media.m3u8
+  standardXHRResponse(this.requests.pop());
+  hls.sourceBuffer.appendBuffer = function() {
+    throw new Error('The source buffer was removed');
+  };
+  hls.mediaSource.endOfStream = (error) => {
+    endOfStreams.push(error);
+  };
 
-  this.player.tech_.hls.bandwidth = 1;
-  // master
-  this.requests.shift().respond(200, null,
-                                '#EXTM3U\n' +
-                                '#EXT-X-STREAM-INF:BANDWIDTH=1,CODECS="mp4a.40.2"\n' +
-                                'media.m3u8\n' +
-                                '#EXT-X-STREAM-INF:BANDWIDTH=10,RESOLUTION=1x1\n' +
-                                'media1.m3u8\n');
+  standardXHRResponse(this.requests.pop());
+  QUnit.strictEqual(endOfStreams.length, 1, 'ended the stream');
+  QUnit.strictEqual(hls.error.code, 3, 'set the error code');
+  QUnit.strictEqual(hls.error.type, 'media', 'set the error type');
+  QUnit.strictEqual(hls.error.details, 'appendError', 'set the error details');
+  QUnit.strictEqual(this.player.tech_.error().details,
+                    'appendError',
+                    'the tech reports the error');
+  QUnit.strictEqual(this.player.error().code, 3, 'set the player error');
+});
 
-  // media1
-  standardXHRResponse(this.requests.shift());
-  QUnit.equal(this.player.tech_.hls.playlists.media(),
-              this.player.tech_.hls.playlists.master.playlists[0],
-              'selected audio only');
-  videoAudioPlaylist = this.player.tech_.hls.playlists.master.playlists[1];
-  QUnit.equal(videoAudioPlaylist.excludeUntil,
-              Infinity,
-              'excluded incompatible playlist');
+QUnit.test('recreates the MediaSource when an append fails', function() {
+  let hls;
+  let mediaSource;
+  let warnings = [];
+
+  this.player.src({
+    src: 'manifest/media.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  hls = this.player.tech_.hls;
+  this.player.on('warning', function(event) {
+    warnings.push(event.error);
+  });
+  // media.m3u8
+  standardXHRResponse(this.requests.pop());
+  hls.sourceBuffer.appendBuffer = function() {
+    throw new Error('The segment could not be parsed');
+  };
+  this.player.tech_.currentTime = function() {
+    return 15;
+  };
+  mediaSource = hls.mediaSource;
+
+  standardXHRResponse(this.requests.pop());
+  QUnit.notStrictEqual(hls.mediaSource, mediaSource, 'created a new MediaSource');
+  QUnit.ok(!mediaSource.error_, 'did not end the stream');
+  QUnit.ok(!hls.sourceBuffer, 'waits for the MediaSource to open');
+  QUnit.strictEqual(warnings.length, 1, 'reported a warning');
+  QUnit.strictEqual(warnings[0].details, 'appendError', 'reported the append error');
+  QUnit.ok(!this.player.error(), 'did not set a player error');
+
+  hls.mediaSource.readyState = 'open';
+  hls.mediaSource.dispatchEvent({
+    type: 'sourceopen',
+    swfId: this.player.tech_.el().id
+  });
+  QUnit.ok(hls.sourceBuffer, 'created a new SourceBuffer');
+  QUnit.strictEqual(this.requests.length, 1, 'requested a segment');
+  QUnit.ok((/media-00002\.ts$/).test(this.requests[0].url),
+           'resumed at the current position');
 });
 
-QUnit.test('blacklists switching from video-only playlists to video+audio', function() {
-  let videoAudioPlaylist;
+QUnit.test('excludes a rendition that fails again after a media error recovery', function() {
+  let hls;
+  let media;
+  let failAppend = function() {
+    throw new Error('The segment could not be parsed');
+  };
 
   this.player.src({
     src: 'manifest/master.m3u8',
     type: 'application/vnd.apple.mpegurl'
   });
   openMediaSource(this.player, this.clock);
-
-  this.player.tech_.hls.bandwidth = 1;
+  hls = this.player.tech_.hls;
   // master
-  this.requests.shift()
-    .respond(200, null,
-             '#EXTM3U\n' +
-             '#EXT-X-STREAM-INF:BANDWIDTH=1,CODECS="avc1.4d400d"\n' +
-             'media.m3u8\n' +
-             '#EXT-X-STREAM-INF:BANDWIDTH=10,CODECS="avc1.4d400d,mp4a.40.2"\n' +
-             'media1.m3u8\n');
-
+  standardXHRResponse(this.requests.shift());
   // media
   standardXHRResponse(this.requests.shift());
-  QUnit.equal(this.player.tech_.hls.playlists.media(),
-              this.player.tech_.hls.playlists.master.playlists[0],
-              'selected video only');
-  videoAudioPlaylist = this.player.tech_.hls.playlists.master.playlists[1];
-  QUnit.equal(videoAudioPlaylist.excludeUntil,
-              Infinity,
-              'excluded incompatible playlist');
+  media = hls.playlists.media();
+
+  hls.sourceBuffer.appendBuffer = failAppend;
+  standardXHRResponse(this.requests.shift());
+  QUnit.ok(!media.excludeUntil, 'did not exclude the rendition after one error');
+
+  hls.mediaSource.readyState = 'open';
+  hls.mediaSource.dispatchEvent({
+    type: 'sourceopen',
+    swfId: this.player.tech_.el().id
+  });
+  hls.sourceBuffer.appendBuffer = failAppend;
+  standardXHRResponse(this.requests.shift());
+  QUnit.ok(media.excludeUntil > Date.now(), 'excluded the rendition');
+  QUnit.strictEqual(this.requests.length, 1, 'requested another rendition');
+  QUnit.ok((/\.m3u8$/).test(this.requests[0].url), 'requested a playlist');
+  QUnit.ok(this.requests[0].url.indexOf(media.uri) < 0, 'requested a different playlist');
+  QUnit.ok(!hls.error, 'did not fail');
 });
 
-QUnit.test('After an initial media playlist 404s, we fire loadedmetadata once we successfully load a playlist', function() {
-  let count = 0;
+QUnit.test('excludes a rendition whose segment ahead of the play head fails again', function() {
+  let hls;
+  let media;
+  let appendUnlessCorrupt = function() {
+    if ((/media-00002\.ts$/).test(hls.mainSegmentLoader_.pendingSegment_.uri)) {
+      throw new Error('The segment could not be parsed');
+    }
+  };
 
   this.player.src({
-    src: 'manifest/master.m3u8',
+    src: 'manifest/media.m3u8',
     type: 'application/vnd.apple.mpegurl'
   });
   openMediaSource(this.player, this.clock);
-  this.player.tech_.hls.bandwidth = 20000;
-  this.player.on('loadedmetadata', function() {
-    count += 1;
+  hls = this.player.tech_.hls;
+  standardXHRResponse(this.requests.shift());
+  media = hls.playlists.media();
+  hls.sourceBuffer.appendBuffer = appendUnlessCorrupt;
+
+  // the segment before the corrupt one is appended
+  standardXHRResponse(this.requests.shift());
+  this.player.tech_.buffered = function() {
+    return videojs.createTimeRanges([[0, 10]]);
+  };
+  hls.sourceBuffer.trigger('updateend');
+  // the corrupt segment fails and the buffer is recreated empty
+  this.player.tech_.buffered = function() {
+    return videojs.createTimeRange();
+  };
+  standardXHRResponse(this.requests.shift());
+  QUnit.ok(!media.excludeUntil, 'did not exclude the rendition after one error');
+
+  hls.mediaSource.readyState = 'open';
+  hls.mediaSource.dispatchEvent({
+    type: 'sourceopen',
+    swfId: this.player.tech_.el().id
   });
-  // master
+  hls.sourceBuffer.appendBuffer = appendUnlessCorrupt;
+  QUnit.ok((/media-00001\.ts$/).test(this.requests[0].url),
+           'resumed loading at the play head');
   standardXHRResponse(this.requests.shift());
-  QUnit.equal(count,
-    0,
-    'loadedMedia not triggered before requesting playlist');
-  // media
-  this.requests.shift().respond(404);
-  QUnit.equal(count,
-              0,
-              'loadedMedia not triggered after playlist 404');
-  // media
+  this.player.tech_.buffered = function() {
+    return videojs.createTimeRanges([[0, 10]]);
+  };
+  hls.sourceBuffer.trigger('updateend');
   standardXHRResponse(this.requests.shift());
-  QUnit.equal(count,
-              1,
-              'loadedMedia triggered after successful recovery from 404');
+
+  QUnit.ok(media.excludeUntil > Date.now(), 'excluded the rendition');
 });
 
-QUnit.test('does not blacklist compatible H.264 codec strings', function() {
-  let master;
+QUnit.test('fails after the media error recovery attempts are used up', function() {
+  let hls;
+  let errors = [];
+  let failAppend = function() {
+    throw new Error('The segment could not be parsed');
+  };
 
   this.player.src({
     src: 'manifest/master.m3u8',
-    type: 'application/vnd.apple.mpegurl'
+    type: 'application/vnd.apple.mpegurl',
+    mediaErrorRecoveryAttempts: 1
   });
   openMediaSource(this.player, this.clock);
-
-  this.player.tech_.hls.bandwidth = 1;
+  hls = this.player.tech_.hls;
+  this.player.on('hlserror', function(event) {
+    errors.push(event.error);
+  });
   // master
-  this.requests.shift()
-    .respond(200, null,
-             '#EXTM3U\n' +
-             '#EXT-X-STREAM-INF:BANDWIDTH=1,CODECS="avc1.4d400d,mp4a.40.5"\n' +
-             'media.m3u8\n' +
-             '#EXT-X-STREAM-INF:BANDWIDTH=10,CODECS="avc1.4d400f,mp4a.40.5"\n' +
-             'media1.m3u8\n');
-
+  standardXHRResponse(this.requests.shift());
   // media
   standardXHRResponse(this.requests.shift());
-  master = this.player.tech_.hls.playlists.master;
-  QUnit.strictEqual(typeof master.playlists[0].excludeUntil,
-                    'undefined',
-                    'did not blacklist');
-  QUnit.strictEqual(typeof master.playlists[1].excludeUntil,
-                    'undefined',
-                    'did not blacklist');
+
+  hls.sourceBuffer.appendBuffer = failAppend;
+  standardXHRResponse(this.requests.shift());
+  QUnit.strictEqual(errors.length, 0, 'recovered once');
+
+  hls.mediaSource.readyState = 'open';
+  hls.mediaSource.dispatchEvent({
+    type: 'sourceopen',
+    swfId: this.player.tech_.el().id
+  });
+  hls.sourceBuffer.appendBuffer = failAppend;
+  standardXHRResponse(this.requests.shift());
+  QUnit.strictEqual(errors.length, 1, 'failed');
+  QUnit.strictEqual(errors[0].details, 'appendError', 'reported the append error');
+  QUnit.strictEqual(this.player.tech_.error().code, 3, 'signaled a decode error');
 });
 
-QUnit.test('does not blacklist compatible AAC codec strings', function() {
-  let master;
+QUnit.test('skips small gaps in the buffer when playback stalls', function() {
+  let seeks = [];
+  let gapJumps = [];
 
   this.player.src({
-    src: 'manifest/master.m3u8',
+    src: 'manifest/media.m3u8',
     type: 'application/vnd.apple.mpegurl'
   });
   openMediaSource(this.player, this.clock);
+  // media.m3u8
+  standardXHRResponse(this.requests.shift());
+  this.player.tech_.currentTime = function() {
+    return 10;
+  };
+  this.player.tech_.setCurrentTime = function(time) {
+    seeks.push(time);
+  };
+  this.player.tech_.buffered = function() {
+    return videojs.createTimeRanges([[0, 10], [10.5, 20]]);
+  };
+  this.player.on('gapjumped', function(event) {
+    gapJumps.push(event);
+  });
+  this.player.tech_.paused_ = false;
 
-  this.player.tech_.hls.bandwidth = 1;
-  // master
-  this.requests.shift()
-    .respond(200, null,
-             '#EXTM3U\n' +
-             '#EXT-X-STREAM-INF:BANDWIDTH=1,CODECS="avc1.4d400d,mp4a.40.2"\n' +
-             'media.m3u8\n' +
-             '#EXT-X-STREAM-INF:BANDWIDTH=10,CODECS="avc1.4d400d,mp4a.40.3"\n' +
-             'media1.m3u8\n');
+  this.clock.tick(500);
+  QUnit.strictEqual(seeks.length, 0, 'waits before declaring a stall');
 
-  // media
-  standardXHRResponse(this.requests.shift());
-  master = this.player.tech_.hls.playlists.master;
-  QUnit.strictEqual(typeof master.playlists[0].excludeUntil,
-                    'undefined',
-                    'did not blacklist');
-  QUnit.strictEqual(typeof master.playlists[1].excludeUntil,
-                    'undefined',
-                    'did not blacklist');
+  this.clock.tick(1000);
+  QUnit.deepEqual(seeks, [10.5 + 1 / 30], 'skipped the gap');
+  QUnit.strictEqual(gapJumps.length, 1, 'fired gapjumped');
+  QUnit.strictEqual(gapJumps[0].currentTime, 10, 'included the stalled position');
+  QUnit.strictEqual(gapJumps[0].gap, 0.5, 'included the gap size');
+  QUnit.deepEqual(gapJumps[0].buffered,
+                  [[0, 10], [10.5, 20]],
+                  'included the buffered ranges');
 });
 
-QUnit.test('blacklists switching between playlists with incompatible audio codecs', function() {
-  let alternatePlaylist;
+QUnit.test('reports stalls in front of large gaps', function() {
+  let seeks = [];
+  let stalls = [];
 
   this.player.src({
-    src: 'manifest/master.m3u8',
+    src: 'manifest/media.m3u8',
     type: 'application/vnd.apple.mpegurl'
   });
   openMediaSource(this.player, this.clock);
+  // media.m3u8
+  standardXHRResponse(this.requests.shift());
+  this.player.tech_.currentTime = function() {
+    return 10;
+  };
+  this.player.tech_.setCurrentTime = function(time) {
+    seeks.push(time);
+  };
+  this.player.tech_.buffered = function() {
+    return videojs.createTimeRanges([[0, 10], [15, 20]]);
+  };
+  this.player.tech_.on('stalled', function(event) {
+    stalls.push(event);
+  });
+  this.player.tech_.paused_ = false;
 
-  this.player.tech_.hls.bandwidth = 1;
-  // master
-  this.requests.shift()
-    .respond(200, null,
-             '#EXTM3U\n' +
-             '#EXT-X-STREAM-INF:BANDWIDTH=1,CODECS="avc1.4d400d,mp4a.40.5"\n' +
-             'media.m3u8\n' +
-             '#EXT-X-STREAM-INF:BANDWIDTH=10,CODECS="avc1.4d400d,mp4a.40.2"\n' +
-             'media1.m3u8\n');
+  this.clock.tick(5000);
+  QUnit.strictEqual(seeks.length, 0, 'did not skip the gap');
+  QUnit.strictEqual(stalls.length, 1, 'fired stalled once');
+  QUnit.strictEqual(stalls[0].gap, 5, 'included the gap size');
+});
 
-  // media
+QUnit.test('the largest gap to skip is configurable', function() {
+  let seeks = [];
+
+  this.player.src({
+    src: 'manifest/media.m3u8',
+    type: 'application/vnd.apple.mpegurl',
+    maxGapLength: 6
+  });
+  openMediaSource(this.player, this.clock);
+  // media.m3u8
   standardXHRResponse(this.requests.shift());
-  QUnit.equal(this.player.tech_.hls.playlists.media(),
-              this.player.tech_.hls.playlists.master.playlists[0],
-              'selected HE-AAC stream');
-  alternatePlaylist = this.player.tech_.hls.playlists.master.playlists[1];
-  QUnit.equal(alternatePlaylist.excludeUntil, Infinity, 'excluded incompatible playlist');
+  this.player.tech_.currentTime = function() {
+    return 10;
+  };
+  this.player.tech_.setCurrentTime = function(time) {
+    seeks.push(time);
+  };
+  this.player.tech_.buffered = function() {
+    return videojs.createTimeRanges([[0, 10], [15, 20]]);
+  };
+  this.player.tech_.paused_ = false;
+
+  this.clock.tick(1500);
+  QUnit.deepEqual(seeks, [15 + 1 / 30], 'skipped the gap');
 });
 
-QUnit.test('does not download the next segment if the buffer is full', function() {
-  let currentTime = 15;
+QUnit.test('does not skip gaps while paused or waiting for data', function() {
+  let seeks = [];
+  let buffered = [[0, 10]];
 
   this.player.src({
     src: 'manifest/media.m3u8',
     type: 'application/vnd.apple.mpegurl'
   });
+  openMediaSource(this.player, this.clock);
+  // media.m3u8
+  standardXHRResponse(this.requests.shift());
   this.player.tech_.currentTime = function() {
-    return currentTime;
+    return 10;
+  };
+  this.player.tech_.setCurrentTime = function(time) {
+    seeks.push(time);
   };
   this.player.tech_.buffered = function() {
-    return videojs.createTimeRange(0, currentTime + videojs.Hls.GOAL_BUFFER_LENGTH);
+    return videojs.createTimeRanges(buffered);
   };
-  openMediaSource(this.player, this.clock);
-
-  standardXHRResponse(this.requests[0]);
 
-  this.player.trigger('timeupdate');
+  this.player.tech_.paused_ = false;
+  this.clock.tick(1500);
+  QUnit.strictEqual(seeks.length, 0, 'waited for more data');
 
-  QUnit.strictEqual(this.requests.length, 1, 'no segment request was made');
+  buffered = [[0, 10], [10.5, 20]];
+  this.player.tech_.paused_ = true;
+  this.clock.tick(1500);
+  QUnit.strictEqual(seeks.length, 0, 'did not skip the gap while paused');
 });
 
-QUnit.test('downloads the next segment if the buffer is getting low', function() {
+QUnit.test('loads partial segments near the live edge', function() {
+  let hls;
+  let livePlaylist = '#EXTM3U\n' +
+    '#EXT-X-TARGETDURATION:4\n' +
+    '#EXT-X-PART-INF:PART-TARGET=1\n' +
+    '#EXT-X-MEDIA-SEQUENCE:0\n' +
+    '#EXTINF:4,\n0.ts\n' +
+    '#EXT-X-PART:DURATION=1,URI="1.0.ts"\n' +
+    '#EXT-X-PART:DURATION=1,URI="1.1.ts"\n';
+
   this.player.src({
-    src: 'manifest/media.m3u8',
+    src: 'live.m3u8',
     type: 'application/vnd.apple.mpegurl'
   });
   openMediaSource(this.player, this.clock);
+  hls = this.player.tech_.hls;
+  this.requests.shift().respond(200, null, livePlaylist);
+  this.player.tech_.currentTime = function() {
+    return 3;
+  };
+  this.player.tech_.buffered = function() {
+    return videojs.createTimeRanges([[0, 4]]);
+  };
+  this.player.tech_.trigger('play');
+  hls.checkBuffer_();
+  QUnit.strictEqual(this.requests[0].url, absoluteUrl('0.ts'), 'requested the segment');
+  standardXHRResponse(this.requests.shift());
+  hls.sourceBuffer.trigger('updateend');
 
-  standardXHRResponse(this.requests[0]);
-  standardXHRResponse(this.requests[1]);
+  QUnit.strictEqual(this.requests.length, 1, 'requested a part');
+  QUnit.strictEqual(this.requests[0].url, absoluteUrl('1.0.ts'), 'requested the first part');
+  standardXHRResponse(this.requests.shift());
+  hls.sourceBuffer.trigger('updateend');
+  QUnit.strictEqual(this.requests.length, 1, 'requested the next part');
+  QUnit.strictEqual(this.requests[0].url, absoluteUrl('1.1.ts'), 'requested the second part');
+  standardXHRResponse(this.requests.shift());
+  hls.sourceBuffer.trigger('updateend');
+  QUnit.strictEqual(this.requests.length, 0, 'waited for the next part to be published');
 
-  QUnit.strictEqual(this.requests.length, 2, 'made two requests');
+  // the segment is completed by the next version of the playlist
+  this.clock.tick(4 * 1000);
+  this.requests.shift().respond(200, null,
+                                livePlaylist +
+                                '#EXT-X-PART:DURATION=2,URI="1.2.ts"\n' +
+                                '#EXTINF:4,\n1.ts\n' +
+                                '#EXT-X-PART:DURATION=1,URI="2.0.ts"\n');
+  hls.checkBuffer_();
+  QUnit.strictEqual(this.requests[0].url,
+                    absoluteUrl('1.2.ts'),
+                    'requested the last part of the segment');
+  standardXHRResponse(this.requests.shift());
+  hls.sourceBuffer.trigger('updateend');
+  QUnit.strictEqual(this.requests[0].url,
+                    absoluteUrl('2.0.ts'),
+                    'continued with the parts of the next segment');
+});
+
+QUnit.test('ends the stream after the last part of the final segment', function() {
+  let hls;
+  let endOfStreams = 0;
+  let buffered = [[0, 4]];
+  let livePlaylist = '#EXTM3U\n' +
+    '#EXT-X-TARGETDURATION:4\n' +
+    '#EXT-X-PART-INF:PART-TARGET=1\n' +
+    '#EXT-X-MEDIA-SEQUENCE:0\n' +
+    '#EXTINF:4,\n0.ts\n' +
+    '#EXT-X-PART:DURATION=1,URI="1.0.ts"\n';
+
+  this.player.src({
+    src: 'live.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  hls = this.player.tech_.hls;
+  hls.mediaSource.endOfStream = function() {
+    endOfStreams++;
+  };
+  this.requests.shift().respond(200, null, livePlaylist);
   this.player.tech_.currentTime = function() {
-    return 15;
+    return 3;
   };
   this.player.tech_.buffered = function() {
-    return videojs.createTimeRange(0, 19.999);
+    return videojs.createTimeRanges(buffered);
   };
-  this.player.tech_.hls.sourceBuffer.trigger('updateend');
-  this.player.tech_.hls.checkBuffer_();
+  this.player.tech_.trigger('play');
+  hls.checkBuffer_();
+  standardXHRResponse(this.requests.shift());
+  hls.sourceBuffer.trigger('updateend');
+  standardXHRResponse(this.requests.shift());
+  buffered = [[0, 5]];
+  hls.sourceBuffer.trigger('updateend');
 
-  standardXHRResponse(this.requests[2]);
+  // the stream ends with the segment being loaded
+  this.clock.tick(4 * 1000);
+  this.requests.shift().respond(200, null,
+                                livePlaylist +
+                                '#EXT-X-PART:DURATION=1,URI="1.1.ts"\n' +
+                                '#EXT-X-PART:DURATION=2,URI="1.2.ts"\n' +
+                                '#EXTINF:4,\n1.ts\n' +
+                                '#EXT-X-ENDLIST\n');
+  hls.checkBuffer_();
+  QUnit.strictEqual(this.requests[0].url, absoluteUrl('1.1.ts'), 'requested a part');
+  standardXHRResponse(this.requests.shift());
+  buffered = [[0, 6]];
+  hls.sourceBuffer.trigger('updateend');
+  QUnit.strictEqual(endOfStreams, 0, 'waited for the rest of the segment');
+  QUnit.ok(!hls.playlists.media().segments[1].end, 'did not time the segment');
 
-  QUnit.strictEqual(this.requests.length, 3, 'made a request');
-  QUnit.strictEqual(this.requests[2].url,
-                    absoluteUrl('manifest/media-00002.ts'),
-                    'made segment request');
+  QUnit.strictEqual(this.requests[0].url, absoluteUrl('1.2.ts'), 'requested the last part');
+  standardXHRResponse(this.requests.shift());
+  buffered = [[0, 8]];
+  hls.sourceBuffer.trigger('updateend');
+  QUnit.strictEqual(endOfStreams, 1, 'ended the stream');
+  QUnit.strictEqual(hls.playlists.media().segments[1].end, 8, 'timed the segment');
 });
 
-QUnit.test('buffers based on the correct TimeRange if multiple ranges exist', function() {
-  let currentTime;
-  let buffered;
+QUnit.test('measures the live latency', function() {
+  let hls;
+  let currentTime = 40;
+  let livePlaylist = '#EXTM3U\n' +
+    '#EXT-X-TARGETDURATION:10\n' +
+    '#EXT-X-MEDIA-SEQUENCE:0\n' +
+    '#EXTINF:10,\n0.ts\n' +
+    '#EXTINF:10,\n1.ts\n' +
+    '#EXTINF:10,\n2.ts\n' +
+    '#EXTINF:10,\n3.ts\n' +
+    '#EXTINF:10,\n4.ts\n';
 
   this.player.src({
-    src: 'manifest/media.m3u8',
+    src: 'live.m3u8',
     type: 'application/vnd.apple.mpegurl'
   });
   openMediaSource(this.player, this.clock);
-
+  hls = this.player.tech_.hls;
+  this.requests.shift().respond(200, null, livePlaylist);
+  this.player.tech_.played = function() {
+    return videojs.createTimeRanges([[0, 1]]);
+  };
   this.player.tech_.currentTime = function() {
     return currentTime;
   };
-  this.player.tech_.buffered = function() {
-    return videojs.createTimeRange(buffered);
-  };
-  currentTime = 8;
-  buffered = [[0, 10], [20, 30]];
 
-  standardXHRResponse(this.requests[0]);
-  standardXHRResponse(this.requests[1]);
+  QUnit.strictEqual(hls.liveLatency(), 10, 'measured from the end of the playlist');
 
-  QUnit.strictEqual(this.requests.length, 2, 'made two requests');
-  QUnit.strictEqual(this.requests[1].url,
-                    absoluteUrl('manifest/media-00002.ts'),
-                    'made segment request');
+  this.clock.tick(4000);
+  QUnit.strictEqual(hls.liveLatency(), 14, 'the live edge moves forward over time');
 
-  currentTime = 22;
-  this.player.tech_.hls.sourceBuffer.trigger('updateend');
-  this.player.tech_.hls.checkBuffer_();
-  QUnit.strictEqual(this.requests.length, 3, 'made three requests');
-  QUnit.strictEqual(this.requests[2].url,
-                    absoluteUrl('manifest/media-00003.ts'),
-                    'made segment request');
+  this.clock.tick(10000);
+  QUnit.strictEqual(hls.liveLatency(),
+                    20,
+                    'the live edge moves at most a target duration');
 });
 
-QUnit.test('stops downloading segments at the end of the playlist', function() {
+QUnit.test('has no live latency for VOD', function() {
   this.player.src({
     src: 'manifest/media.m3u8',
     type: 'application/vnd.apple.mpegurl'
   });
   openMediaSource(this.player, this.clock);
-  standardXHRResponse(this.requests[0]);
-  this.requests = [];
-  this.player.tech_.hls.mediaIndex = 4;
-  this.player.trigger('timeupdate');
+  standardXHRResponse(this.requests.shift());
 
-  QUnit.strictEqual(this.requests.length, 0, 'no request is made');
+  QUnit.strictEqual(this.player.tech_.hls.liveLatency(), null, 'no latency');
 });
 
-QUnit.test('only makes one segment request at a time', function() {
+QUnit.test('fires livelatencychange', function() {
+  let hls;
+  let currentTime = 40;
+  let latencies = [];
+  let livePlaylist = '#EXTM3U\n' +
+    '#EXT-X-TARGETDURATION:10\n' +
+    '#EXT-X-MEDIA-SEQUENCE:0\n' +
+    '#EXTINF:10,\n0.ts\n' +
+    '#EXTINF:10,\n1.ts\n' +
+    '#EXTINF:10,\n2.ts\n' +
+    '#EXTINF:10,\n3.ts\n' +
+    '#EXTINF:10,\n4.ts\n';
+
   this.player.src({
-    src: 'manifest/media.m3u8',
+    src: 'live.m3u8',
     type: 'application/vnd.apple.mpegurl'
   });
   openMediaSource(this.player, this.clock);
-  standardXHRResponse(this.requests.pop());
-  this.player.trigger('timeupdate');
+  hls = this.player.tech_.hls;
+  this.requests.shift().respond(200, null, livePlaylist);
+  this.player.tech_.played = function() {
+    return videojs.createTimeRanges([[0, 1]]);
+  };
+  this.player.tech_.currentTime = function() {
+    return currentTime;
+  };
+  this.player.on('livelatencychange', function(event) {
+    latencies.push(event.latency);
+  });
 
-  QUnit.strictEqual(1, this.requests.length, 'one XHR is made');
-  this.player.trigger('timeupdate');
-  QUnit.strictEqual(1, this.requests.length, 'only one XHR is made');
+  hls.checkBuffer_();
+  QUnit.deepEqual(latencies, [10], 'reported the latency');
+
+  currentTime = 39.5;
+  hls.checkBuffer_();
+  QUnit.deepEqual(latencies, [10], 'ignored a small change');
+
+  currentTime = 35;
+  hls.checkBuffer_();
+  QUnit.deepEqual(latencies, [10, 15], 'reported a change');
+});
+
+QUnit.test('fires playlistrefresh', function() {
+  let refreshes = [];
+
+  this.player.src({
+    src: 'live.m3u8',
+    type: 'application/vnd.apple.mpegurl',
+    alignRefreshToLastSegment: true
+  });
+  openMediaSource(this.player, this.clock);
+  this.player.on('playlistrefresh', function(event) {
+    refreshes.push(event);
+  });
+  this.requests.shift().respond(200, null,
+                                '#EXTM3U\n' +
+                                '#EXT-X-TARGETDURATION:10\n' +
+                                '#EXTINF:10,\n0.ts\n' +
+                                '#EXTINF:6,\n1.ts\n');
+
+  QUnit.strictEqual(refreshes.length, 1, 'fired an event');
+  QUnit.strictEqual(refreshes[0].uri, 'live.m3u8', 'included the playlist');
+  QUnit.strictEqual(refreshes[0].result, 'updated', 'included the result');
+  QUnit.strictEqual(refreshes[0].refreshDelay,
+                    6000,
+                    'refreshes after the last segment duration');
+});
+
+QUnit.test('adjusts the playback rate to reach the target live latency', function() {
+  let hls;
+  let currentTime = 30;
+  let playbackRate = 1;
+  let livePlaylist = '#EXTM3U\n' +
+    '#EXT-X-TARGETDURATION:10\n' +
+    '#EXT-X-MEDIA-SEQUENCE:0\n' +
+    '#EXTINF:10,\n0.ts\n' +
+    '#EXTINF:10,\n1.ts\n' +
+    '#EXTINF:10,\n2.ts\n' +
+    '#EXTINF:10,\n3.ts\n' +
+    '#EXTINF:10,\n4.ts\n';
+
+  this.player.src({
+    src: 'live.m3u8',
+    type: 'application/vnd.apple.mpegurl',
+    liveSyncDuration: 10
+  });
+  openMediaSource(this.player, this.clock);
+  hls = this.player.tech_.hls;
+  this.requests.shift().respond(200, null, livePlaylist);
+  this.player.tech_.played = function() {
+    return videojs.createTimeRanges([[0, 1]]);
+  };
+  this.player.tech_.currentTime = function() {
+    return currentTime;
+  };
+  this.player.tech_.featuresPlaybackRate = true;
+  this.player.tech_.playbackRate = function() {
+    return playbackRate;
+  };
+  this.player.tech_.setPlaybackRate = function(rate) {
+    playbackRate = rate;
+  };
+  this.player.tech_.buffered = function() {
+    return videojs.createTimeRanges([[0, 40]]);
+  };
+  this.player.tech_.paused_ = false;
+
+  hls.checkBuffer_();
+  QUnit.strictEqual(playbackRate, 1.05, 'sped up to reduce the latency');
+
+  currentTime = 40.5;
+  hls.checkBuffer_();
+  QUnit.strictEqual(playbackRate, 1, 'played normally after reaching the target');
+
+  currentTime = 46;
+  hls.checkBuffer_();
+  QUnit.strictEqual(playbackRate, 0.95, 'slowed down to increase the latency');
+
+  playbackRate = 2;
+  currentTime = 30;
+  hls.checkBuffer_();
+  QUnit.strictEqual(playbackRate, 2, 'left a rate set by the viewer alone');
+});
+
+QUnit.test('seeks toward the live edge when the latency is too high', function() {
+  let hls;
+  let currentTime = 10;
+  let seeks = [];
+  let livePlaylist = '#EXTM3U\n' +
+    '#EXT-X-TARGETDURATION:10\n' +
+    '#EXT-X-MEDIA-SEQUENCE:0\n' +
+    '#EXTINF:10,\n0.ts\n' +
+    '#EXTINF:10,\n1.ts\n' +
+    '#EXTINF:10,\n2.ts\n' +
+    '#EXTINF:10,\n3.ts\n' +
+    '#EXTINF:10,\n4.ts\n';
+
+  this.player.src({
+    src: 'live.m3u8',
+    type: 'application/vnd.apple.mpegurl',
+    targetLatency: 10,
+    liveMaxLatencyDuration: 30
+  });
+  openMediaSource(this.player, this.clock);
+  hls = this.player.tech_.hls;
+  this.requests.shift().respond(200, null, livePlaylist);
+  this.player.tech_.played = function() {
+    return videojs.createTimeRanges([[0, 1]]);
+  };
+  this.player.tech_.currentTime = function() {
+    return currentTime;
+  };
+  this.player.tech_.setCurrentTime = function(time) {
+    seeks.push(time);
+  };
+  this.player.tech_.paused_ = false;
+
+  hls.checkBuffer_();
+  QUnit.deepEqual(seeks,
+                  [hls.seekable().end(0)],
+                  'seeked as close to the target latency as the seekable range allows');
+
+  seeks.length = 0;
+  hls.options_.targetLatency = 45;
+  hls.options_.liveMaxLatencyDuration = 48;
+  currentTime = 0;
+  hls.checkBuffer_();
+  QUnit.deepEqual(seeks, [50 - 45], 'seeked to the target latency');
 });
 
-QUnit.test('only appends one segment at a time', function() {
-  let appends = 0;
+QUnit.test('only restores a playback rate it changed when seeking to the live edge',
+function() {
+  let hls;
+  let currentTime = 30;
+  let playbackRate = 1;
+  let livePlaylist = '#EXTM3U\n' +
+    '#EXT-X-TARGETDURATION:10\n' +
+    '#EXT-X-MEDIA-SEQUENCE:0\n' +
+    '#EXTINF:10,\n0.ts\n' +
+    '#EXTINF:10,\n1.ts\n' +
+    '#EXTINF:10,\n2.ts\n' +
+    '#EXTINF:10,\n3.ts\n' +
+    '#EXTINF:10,\n4.ts\n';
 
   this.player.src({
-    src: 'manifest/media.m3u8',
-    type: 'application/vnd.apple.mpegurl'
+    src: 'live.m3u8',
+    type: 'application/vnd.apple.mpegurl',
+    liveSyncDuration: 10,
+    liveMaxLatencyDuration: 30
   });
   openMediaSource(this.player, this.clock);
-  // media.m3u8
-  standardXHRResponse(this.requests.pop());
-  this.player.tech_.hls.sourceBuffer.appendBuffer = function() {
-    appends++;
+  hls = this.player.tech_.hls;
+  this.requests.shift().respond(200, null, livePlaylist);
+  this.player.tech_.played = function() {
+    return videojs.createTimeRanges([[0, 1]]);
+  };
+  this.player.tech_.currentTime = function() {
+    return currentTime;
   };
+  this.player.tech_.setCurrentTime = function() {};
+  this.player.tech_.featuresPlaybackRate = true;
+  this.player.tech_.playbackRate = function() {
+    return playbackRate;
+  };
+  this.player.tech_.setPlaybackRate = function(rate) {
+    playbackRate = rate;
+  };
+  this.player.tech_.buffered = function() {
+    return videojs.createTimeRanges([[0, 40]]);
+  };
+  this.player.tech_.paused_ = false;
 
-  // segment 0
-  standardXHRResponse(this.requests.pop());
+  hls.checkBuffer_();
+  QUnit.strictEqual(playbackRate, 1.05, 'sped up to reduce the latency');
 
-  this.player.tech_.hls.checkBuffer_();
-  QUnit.equal(this.requests.length, 0, 'did not request while updating');
+  currentTime = 10;
+  hls.checkBuffer_();
+  QUnit.strictEqual(playbackRate, 1, 'restored its own playback rate');
 
-  this.player.tech_.hls.checkBuffer_();
-  QUnit.equal(appends, 1, 'appended once');
+  currentTime = 30;
+  hls.checkBuffer_();
+  QUnit.strictEqual(playbackRate, 1.05, 'sped up again');
+
+  playbackRate = 2;
+  currentTime = 10;
+  hls.checkBuffer_();
+  QUnit.strictEqual(playbackRate, 2, 'left a rate set by the viewer alone');
 });
 
 QUnit.test('waits to download new segments until the media playlist is stable', function() {
@@ -1807,7 +3917,7 @@ QUnit.test('when outstanding XHRs are cancelled, they get aborted properly', fun
   // trigger a segment download request
   this.player.trigger('timeupdate');
 
-  this.player.tech_.hls.segmentXhr_.onreadystatechange = function() {
+  this.player.tech_.hls.mainSegmentLoader_.segmentXhr_.onreadystatechange = function() {
     readystatechanges++;
   };
 
@@ -1817,7 +3927,7 @@ QUnit.test('when outstanding XHRs are cancelled, they get aborted properly', fun
 
   QUnit.ok(this.requests[1].aborted, 'XHR aborted');
   QUnit.strictEqual(this.requests.length, 3, 'opened new XHR');
-  QUnit.notEqual(this.player.tech_.hls.segmentXhr_.url,
+  QUnit.notEqual(this.player.tech_.hls.mainSegmentLoader_.segmentXhr_.url,
                  this.requests[1].url,
                  'a new segment is request that is not the aborted one');
   QUnit.strictEqual(readystatechanges, 0, 'onreadystatechange was not called');
@@ -1841,7 +3951,7 @@ QUnit.test('segmentXhr is properly nulled out when dispose is called', function(
   // trigger a segment download request
   player.trigger('timeupdate');
 
-  player.tech_.hls.segmentXhr_.onreadystatechange = function() {
+  player.tech_.hls.mainSegmentLoader_.segmentXhr_.onreadystatechange = function() {
     readystatechanges++;
   };
 
@@ -1849,7 +3959,7 @@ QUnit.test('segmentXhr is properly nulled out when dispose is called', function(
 
   QUnit.ok(this.requests[1].aborted, 'XHR aborted');
   QUnit.strictEqual(this.requests.length, 2, 'did not open a new XHR');
-  QUnit.equal(player.tech_.hls.segmentXhr_, null, 'the segment xhr is nulled out');
+  QUnit.equal(player.tech_.hls.mainSegmentLoader_.segmentXhr_, null, 'the segment xhr is nulled out');
   QUnit.strictEqual(readystatechanges, 0, 'onreadystatechange was not called');
 
   Flash.prototype.dispose = oldDispose;
@@ -1885,7 +3995,7 @@ QUnit.test('playlist 404 should end stream with a network error', function() {
   openMediaSource(this.player, this.clock);
   this.requests.pop().respond(404);
 
-  QUnit.equal(this.player.tech_.hls.mediaSource.error_, 'network', 'set a network error');
+  QUnit.equal(this.player.tech_.error().code, 2, 'set a network error');
 });
 
 QUnit.test('segment 404 should trigger blacklisting of media', function() {
@@ -1910,6 +4020,263 @@ QUnit.test('segment 404 should trigger blacklisting of media', function() {
   QUnit.ok(media.excludeUntil > 0, 'original media blacklisted for some time');
 });
 
+QUnit.test('retries segments that fail with a server error', function() {
+  let media;
+
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+
+  this.player.tech_.hls.bandwidth = 20000;
+  // master
+  standardXHRResponse(this.requests[0]);
+  // media
+  standardXHRResponse(this.requests[1]);
+
+  media = this.player.tech_.hls.playlists.media_;
+
+  // segment
+  this.requests[2].respond(503);
+  QUnit.equal(this.requests.length, 3, 'waits before retrying');
+  this.clock.tick(1200);
+
+  QUnit.equal(this.requests.length, 4, 'retried the segment');
+  QUnit.equal(this.requests[3].url, this.requests[2].url, 'requested the same segment');
+  standardXHRResponse(this.requests[3]);
+  QUnit.ok(!media.excludeUntil, 'did not blacklist the media');
+});
+
+QUnit.test('blacklists media once segment retries are exhausted', function() {
+  let media;
+
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl',
+    retry: {maxAttempts: 2}
+  });
+  openMediaSource(this.player, this.clock);
+
+  this.player.tech_.hls.bandwidth = 20000;
+  // master
+  standardXHRResponse(this.requests[0]);
+  // media
+  standardXHRResponse(this.requests[1]);
+
+  media = this.player.tech_.hls.playlists.media_;
+
+  // segment
+  this.requests[2].respond(503);
+  QUnit.ok(!media.excludeUntil, 'did not blacklist the media yet');
+  this.clock.tick(1200);
+  this.requests[3].respond(503);
+  QUnit.ok(media.excludeUntil > 0, 'original media blacklisted for some time');
+});
+
+QUnit.test('reports recoverable segment errors as warnings', function() {
+  let warnings = [];
+  let errors = 0;
+
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl',
+    retry: {maxAttempts: 2}
+  });
+  openMediaSource(this.player, this.clock);
+  this.player.on('warning', function(event) {
+    warnings.push(event.error);
+  });
+  this.player.on('hlserror', function() {
+    errors++;
+  });
+
+  this.player.tech_.hls.bandwidth = 20000;
+  // master
+  standardXHRResponse(this.requests[0]);
+  // media
+  standardXHRResponse(this.requests[1]);
+
+  // segment
+  this.requests[2].respond(503);
+  QUnit.equal(warnings.length, 1, 'reported the retry');
+  QUnit.equal(warnings[0].type, 'network', 'a network error');
+  QUnit.equal(warnings[0].details, 'segmentLoadError', 'a segment load error');
+  QUnit.equal(warnings[0].url, this.requests[2].url, 'has the URL');
+  QUnit.equal(warnings[0].status, 503, 'has the status');
+  QUnit.equal(warnings[0].retryCount, 0, 'had not been retried yet');
+  QUnit.strictEqual(warnings[0].fatal, false, 'is not fatal');
+  QUnit.equal(warnings[0].rendition.id,
+              this.player.tech_.hls.playlists.media().uri,
+              'has the rendition');
+
+  this.clock.tick(1200);
+  this.requests[3].respond(503);
+  QUnit.equal(warnings.length, 2, 'reported the blacklisting');
+  QUnit.equal(warnings[1].details, 'segmentLoadError', 'a segment load error');
+  QUnit.equal(warnings[1].retryCount, 1, 'was retried once');
+  QUnit.equal(errors, 0, 'no fatal errors');
+  QUnit.ok(!this.player.error(), 'did not set a player error');
+});
+
+QUnit.test('reports fatal errors through the player', function() {
+  let errors = [];
+  let playerErrors = 0;
+
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl',
+    retry: {maxAttempts: 1}
+  });
+  openMediaSource(this.player, this.clock);
+  this.player.on('hlserror', function(event) {
+    errors.push(event.error);
+  });
+  this.player.on('error', function() {
+    playerErrors++;
+  });
+  this.requests.pop().respond(404);
+
+  QUnit.equal(errors.length, 1, 'fired an hlserror');
+  QUnit.equal(errors[0].type, 'manifest', 'a manifest error');
+  QUnit.equal(errors[0].details, 'manifestLoadError', 'the master failed to load');
+  QUnit.equal(errors[0].status, 404, 'has the status');
+  QUnit.strictEqual(errors[0].fatal, true, 'is fatal');
+  QUnit.strictEqual(this.player.tech_.error().details,
+                    'manifestLoadError',
+                    'the tech reports the error');
+  QUnit.equal(this.player.error().code, 2, 'set the player error');
+  QUnit.equal(playerErrors, 1, 'the player fired one error');
+});
+
+QUnit.test('fails over to a redundant stream when a segment fails', function() {
+  let failovers = [];
+  let media;
+
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  this.player.on('failover', function(event) {
+    failovers.push(event);
+  });
+
+  this.requests.shift().respond(200, null,
+                                '#EXTM3U\n' +
+                                '#EXT-X-STREAM-INF:BANDWIDTH=1000\n' +
+                                'http://primary.example.com/media.m3u8\n' +
+                                '#EXT-X-STREAM-INF:BANDWIDTH=1000\n' +
+                                'http://backup.example.com/media.m3u8\n');
+  this.requests.shift().respond(200, null,
+                                '#EXTM3U\n' +
+                                '#EXTINF:10,\n' +
+                                '0.ts\n' +
+                                '#EXTINF:10,\n' +
+                                '1.ts\n' +
+                                '#EXT-X-ENDLIST\n');
+  media = this.player.tech_.hls.playlists.media();
+
+  // segment
+  this.requests.shift().respond(404);
+  QUnit.ok(!media.excludeUntil, 'did not blacklist the rendition');
+  QUnit.equal(failovers.length, 1, 'fired a failover event');
+  QUnit.equal(failovers[0].from, 'http://primary.example.com/media.m3u8', 'from the primary');
+  QUnit.equal(failovers[0].to, 'http://backup.example.com/media.m3u8', 'to the backup');
+  QUnit.equal(this.requests[0].url,
+              'http://backup.example.com/media.m3u8',
+              'requested the backup playlist');
+
+  this.requests.shift().respond(200, null,
+                                '#EXTM3U\n' +
+                                '#EXTINF:10,\n' +
+                                '0.ts\n' +
+                                '#EXTINF:10,\n' +
+                                '1.ts\n' +
+                                '#EXT-X-ENDLIST\n');
+  this.player.tech_.hls.checkBuffer_();
+  QUnit.equal(this.requests[0].url,
+              'http://backup.example.com/0.ts',
+              'requested the same segment from the backup');
+  QUnit.equal(this.player.tech_.hls.playlists.master.playlists.length,
+              1,
+              'kept the quality level');
+});
+
+QUnit.test('blacklists a rendition once all of its redundant streams fail', function() {
+  let media;
+
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+
+  this.requests.shift().respond(200, null,
+                                '#EXTM3U\n' +
+                                '#EXT-X-STREAM-INF:BANDWIDTH=1000\n' +
+                                'http://primary.example.com/media.m3u8\n' +
+                                '#EXT-X-STREAM-INF:BANDWIDTH=1000\n' +
+                                'http://backup.example.com/media.m3u8\n' +
+                                '#EXT-X-STREAM-INF:BANDWIDTH=1\n' +
+                                'http://primary.example.com/low.m3u8\n');
+  this.requests.shift().respond(200, null,
+                                '#EXTM3U\n' +
+                                '#EXTINF:10,\n' +
+                                '0.ts\n' +
+                                '#EXT-X-ENDLIST\n');
+  media = this.player.tech_.hls.playlists.media();
+
+  // segment
+  this.requests.shift().respond(404);
+  // the backup playlist fails to load, too
+  this.requests.shift().respond(404);
+
+  QUnit.ok(media.excludeUntil > 0, 'blacklisted the rendition');
+  QUnit.equal(this.requests[0].url,
+              'http://primary.example.com/low.m3u8',
+              'switched to another rendition');
+});
+
+QUnit.test('returns to the primary stream after failing over', function() {
+  let failovers = [];
+
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  this.player.on('failover', function(event) {
+    failovers.push(event);
+  });
+
+  this.requests.shift().respond(200, null,
+                                '#EXTM3U\n' +
+                                '#EXT-X-STREAM-INF:BANDWIDTH=1000\n' +
+                                'http://primary.example.com/media.m3u8\n' +
+                                '#EXT-X-STREAM-INF:BANDWIDTH=1000\n' +
+                                'http://backup.example.com/media.m3u8\n');
+  // the primary playlist fails to load
+  this.requests.shift().respond(404);
+  QUnit.equal(this.requests[0].url,
+              'http://backup.example.com/media.m3u8',
+              'requested the backup playlist');
+  this.requests.shift().respond(200, null,
+                                '#EXTM3U\n' +
+                                '#EXTINF:10,\n' +
+                                '0.ts\n' +
+                                '#EXT-X-ENDLIST\n');
+  QUnit.equal(this.player.tech_.hls.playlists.state, 'HAVE_METADATA', 'loaded the backup');
+  this.requests.length = 0;
+
+  this.clock.tick(5 * 60 * 1000);
+  QUnit.equal(failovers.length, 2, 'switched back');
+  QUnit.equal(failovers[1].to, 'http://primary.example.com/media.m3u8', 'to the primary');
+  QUnit.equal(this.requests.filter(function(request) {
+    return request.url === 'http://primary.example.com/media.m3u8';
+  }).length, 1, 'requested the primary playlist');
+});
+
 QUnit.test('playlist 404 should blacklist media', function() {
   let media;
   let url;
@@ -2192,12 +4559,12 @@ QUnit.test('aborts segment processing on seek', function() {
   standardXHRResponse(this.requests.shift());
   // key.php
   standardXHRResponse(this.requests.shift());
-  QUnit.ok(this.player.tech_.hls.pendingSegment_, 'decrypting the segment');
+  QUnit.ok(this.player.tech_.hls.mainSegmentLoader_.pendingSegment_, 'decrypting the segment');
 
   // seek back to the beginning
   this.player.currentTime(0);
   this.clock.tick(1);
-  QUnit.ok(!this.player.tech_.hls.pendingSegment_, 'aborted processing');
+  QUnit.ok(!this.player.tech_.hls.mainSegmentLoader_.pendingSegment_, 'aborted processing');
 });
 
 QUnit.test('calls mediaSource\'s timestampOffset on discontinuity', function() {
@@ -2485,7 +4852,9 @@ QUnit.skip('seeking does not fail when targeted between segments', function() {
   QUnit.equal(this.player.currentTime(), 9.5, 'seeked to the later time');
 });
 
-QUnit.test('resets the switching algorithm if a request times out', function() {
+QUnit.test('lowers the bandwidth estimate if a request times out', function() {
+  let media;
+
   this.player.src({
     src: 'master.m3u8',
     type: 'application/vnd.apple.mpegurl'
@@ -2497,15 +4866,22 @@ QUnit.test('resets the switching algorithm if a request times out', function() {
   standardXHRResponse(this.requests.shift());
   // media.m3u8
   standardXHRResponse(this.requests.shift());
+  media = this.player.tech_.hls.playlists.media();
   // simulate a segment timeout
   this.requests[0].timedout = true;
   this.requests.shift().abort();
 
+  QUnit.strictEqual(this.player.tech_.hls.bandwidthEstimate(),
+                    media.attributes.BANDWIDTH / 1.5,
+                    'sampled two thirds of the bitrate of the playlist');
   standardXHRResponse(this.requests.shift());
 
   QUnit.strictEqual(this.player.tech_.hls.playlists.media(),
-                    this.player.tech_.hls.playlists.master.playlists[1],
-                    'reset to the lowest bitrate playlist');
+                    this.player.tech_.hls.playlists.master.playlists[0],
+                    'switched to a playlist that fits the estimate');
+  QUnit.strictEqual(this.player.tech_.hls.bandwidth,
+                    media.attributes.BANDWIDTH / 1.5,
+                    'replaced the assigned bandwidth');
 });
 
 QUnit.test('disposes the playlist loader', function() {
@@ -2716,6 +5092,136 @@ QUnit.test('re-emits mediachange events', function() {
   QUnit.strictEqual(mediaChanges, 1, 'fired mediachange');
 });
 
+QUnit.test('lists the available representations', function() {
+  let representations;
+
+  this.player.src({
+    src: 'master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  QUnit.deepEqual(this.player.tech_.hls.representations(),
+                  [],
+                  'no representations before the master playlist loads');
+
+  this.requests.shift().respond(200, null,
+                                '#EXTM3U\n' +
+                                '#EXT-X-STREAM-INF:BANDWIDTH=1000,RESOLUTION=640x360,' +
+                                'CODECS="avc1.4d400d,mp4a.40.2"\n' +
+                                'low.m3u8\n' +
+                                '#EXT-X-STREAM-INF:BANDWIDTH=9000\n' +
+                                'high.m3u8\n');
+  representations = this.player.tech_.hls.representations();
+
+  QUnit.strictEqual(representations.length, 2, 'listed every variant');
+  QUnit.strictEqual(representations[0].id, 'low.m3u8', 'included the id');
+  QUnit.strictEqual(representations[0].bandwidth, 1000, 'included the bandwidth');
+  QUnit.deepEqual(representations[0].resolution,
+                  {width: 640, height: 360},
+                  'included the resolution');
+  QUnit.strictEqual(representations[0].codecs,
+                    'avc1.4d400d,mp4a.40.2',
+                    'included the codecs');
+  QUnit.strictEqual(representations[1].resolution,
+                    undefined,
+                    'resolution is optional');
+  QUnit.strictEqual(representations[0].enabled(), true, 'enabled by default');
+});
+
+QUnit.test('disabled representations are not selected', function() {
+  let hls;
+  let active;
+  let representations;
+  let qualityChanges = [];
+
+  this.player.on('qualitychange', function(event) {
+    qualityChanges.push(event.representation);
+  });
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  hls = this.player.tech_.hls;
+  hls.bandwidth = 1e10;
+  // master
+  standardXHRResponse(this.requests.shift());
+  // media
+  standardXHRResponse(this.requests.shift());
+  active = hls.playlists.master.playlists.indexOf(hls.playlists.media());
+
+  representations = hls.representations();
+  representations[active].enabled(false);
+  QUnit.strictEqual(representations[active].enabled(),
+                    false,
+                    'disabled the representation');
+  QUnit.ok(hls.selectPlaylist() !== hls.playlists.master.playlists[active],
+           'does not select the disabled representation');
+
+  // pin the lowest bitrate representation
+  representations.forEach(function(representation, i) {
+    representation.enabled(i === 1);
+  });
+  QUnit.strictEqual(hls.selectPlaylist(),
+                    hls.playlists.master.playlists[1],
+                    'selected the only enabled representation');
+  standardXHRResponse(this.requests.pop());
+  QUnit.strictEqual(hls.playlists.media().uri, 'media1.m3u8', 'switched right away');
+  QUnit.strictEqual(qualityChanges[qualityChanges.length - 1].id,
+                    'media1.m3u8',
+                    'fired qualitychange with the new representation');
+});
+
+QUnit.test('the last enabled representation cannot be disabled', function() {
+  let hls;
+  let representations;
+  let warnings = [];
+  let oldWarn = videojs.log.warn;
+
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  hls = this.player.tech_.hls;
+  // master
+  standardXHRResponse(this.requests.shift());
+  // media
+  standardXHRResponse(this.requests.shift());
+  videojs.log.warn = function(message) {
+    warnings.push(message);
+  };
+
+  representations = hls.representations();
+  representations.slice(1).forEach(function(representation) {
+    representation.enabled(false);
+  });
+  QUnit.strictEqual(warnings.length, 0, 'disabled the other representations');
+
+  QUnit.strictEqual(representations[0].enabled(false),
+                    true,
+                    'refused to disable the last representation');
+  QUnit.strictEqual(representations[0].enabled(), true, 'is still enabled');
+  QUnit.strictEqual(warnings.length, 1, 'logged a warning');
+  QUnit.strictEqual(hls.selectPlaylist(),
+                    hls.playlists.master.playlists[0],
+                    'still selects the last representation');
+
+  representations[1].enabled(true);
+  hls.playlists.master.playlists[1].excludeUntil = Infinity;
+  QUnit.strictEqual(representations[0].enabled(false),
+                    true,
+                    'refused to disable the last representation that is not excluded');
+  QUnit.strictEqual(warnings.length, 2, 'logged another warning');
+
+  hls.playlists.master.playlists[1].excludeUntil = undefined;
+  representations[0].enabled(false);
+  QUnit.strictEqual(representations[0].enabled(),
+                    false,
+                    'can be disabled once another can be selected');
+  videojs.log.warn = oldWarn;
+});
+
 QUnit.test('can be disposed before finishing initialization', function() {
   let readyHandlers = [];
 
@@ -2874,7 +5380,7 @@ QUnit.test('segments remain pending without a source buffer', function() {
   // segment
   standardXHRResponse(this.requests.shift());
   this.player.tech_.hls.checkBuffer_();
-  QUnit.ok(this.player.tech_.hls.pendingSegment_, 'waiting for the source buffer');
+  QUnit.ok(this.player.tech_.hls.mainSegmentLoader_.pendingSegment_, 'waiting for the source buffer');
 });
 
 QUnit.test('keys are requested when an encrypted segment is loaded', function() {
@@ -2961,7 +5467,7 @@ QUnit.test('a new key XHR is created when a the segment is requested', function(
   // segment 1
   standardXHRResponse(this.requests.shift());
   // "finish" decrypting segment 1
-  this.player.tech_.hls.pendingSegment_.bytes = new Uint8Array(16);
+  this.player.tech_.hls.mainSegmentLoader_.pendingSegment_.bytes = new Uint8Array(16);
   this.player.tech_.hls.checkBuffer_();
   this.player.tech_.buffered = function() {
     return videojs.createTimeRange(0, 2.833);
@@ -3008,7 +5514,7 @@ QUnit.test('seeking should abort an outstanding key request and create a new one
               'urls should match');
 });
 
-QUnit.test('retries key requests once upon failure', function() {
+QUnit.test('retries key requests that fail with a server error', function() {
   this.player.src({
     src: 'https://example.com/encrypted.m3u8',
     type: 'application/vnd.apple.mpegurl'
@@ -3027,15 +5533,48 @@ QUnit.test('retries key requests once upon failure', function() {
              'http://media.example.com/fileSequence53-A.ts\n');
     // segment
   standardXHRResponse(this.requests.pop());
-  this.requests[0].respond(404);
-  QUnit.equal(this.requests.length, 2, 'create a new XHR for the same key');
-  QUnit.equal(this.requests[1].url, this.requests[0].url, 'should be the same key');
+  this.requests[0].respond(503);
+  QUnit.equal(this.requests.length, 1, 'waits before retrying');
+
+  this.clock.tick(1200);
+  QUnit.equal(this.requests.length, 2, 'create a new XHR for the same key');
+  QUnit.equal(this.requests[1].url, this.requests[0].url, 'should be the same key');
+
+  this.requests[1].respond(503);
+  this.clock.tick(2400);
+  QUnit.equal(this.requests.length, 3, 'backs off and retries again');
+
+  this.requests[2].respond(503);
+  this.clock.tick(10 * 1000);
+  QUnit.equal(this.requests.filter((request) => {
+    return request.url === this.requests[0].url;
+  }).length, 3, 'gives up after three attempts');
+});
+
+QUnit.test('does not retry key requests that are not found', function() {
+  this.player.src({
+    src: 'https://example.com/encrypted.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  this.player.tech_.trigger('play');
+
+  this.requests.shift()
+    .respond(200, null,
+             '#EXTM3U\n' +
+             '#EXT-X-KEY:METHOD=AES-128,URI="htts://priv.example.com/key.php?r=52"\n' +
+             '#EXTINF:2.833,\n' +
+             'http://media.example.com/fileSequence52-A.ts\n' +
+             '#EXT-X-ENDLIST\n');
+    // segment
+  standardXHRResponse(this.requests.pop());
+  this.requests.shift().respond(404);
+  this.clock.tick(10 * 1000);
 
-  this.requests[1].respond(404);
-  QUnit.equal(this.requests.length, 2, 'gives up after one retry');
+  QUnit.equal(this.requests.length, 0, 'did not retry the key');
 });
 
-QUnit.test('blacklists playlist if key requests fail more than once', function() {
+QUnit.test('blacklists playlist if key request retries are exhausted', function() {
   let bytes = [];
   let media;
 
@@ -3064,9 +5603,13 @@ QUnit.test('blacklists playlist if key requests fail more than once', function()
   // segment 1
   standardXHRResponse(this.requests.pop());
   // fail key
-  this.requests.shift().respond(400);
+  this.requests.shift().respond(500);
+  this.clock.tick(1200);
   // fail key, again
-  this.requests.shift().respond(400);
+  this.requests.shift().respond(500);
+  this.clock.tick(2400);
+  // and a third time
+  this.requests.shift().respond(500);
   this.player.tech_.hls.checkBuffer_();
 
   QUnit.ok(media.excludeUntil > 0,
@@ -3184,7 +5727,7 @@ QUnit.test('switching playlists with an outstanding key request does not stall p
   // "finish" decrypting segment 1
   // key
   standardXHRResponse(this.requests.shift());
-  this.player.tech_.hls.pendingSegment_.bytes = new Uint8Array(16);
+  this.player.tech_.hls.mainSegmentLoader_.pendingSegment_.bytes = new Uint8Array(16);
   this.player.tech_.hls.checkBuffer_();
   buffered = [[0, 2.833]];
   this.player.tech_.hls.sourceBuffer.trigger('updateend');
@@ -3259,6 +5802,11 @@ QUnit.test('treats invalid keys as a key request failure and blacklists playlist
   // two failed attempts is an error - blacklist this playlist
   QUnit.ok(media.excludeUntil > 0,
            'blacklisted playlist');
+  QUnit.equal(this.player.tech_.hls.error.type, 'key', 'reported a key error');
+  QUnit.equal(this.player.tech_.hls.error.details, 'keyInvalid', 'the key was invalid');
+  QUnit.equal(this.player.tech_.hls.error.url,
+              'https://priv.example.com/key.php?r=52',
+              'reported the key URL');
 });
 
 QUnit.test('live stream should not call endOfStream', function() {
@@ -3326,18 +5874,320 @@ QUnit.test('does not process update end until buffered value has been set', func
   // segment
   standardXHRResponse(this.requests.shift());
 
-  QUnit.ok(this.player.tech_.hls.pendingSegment_, 'pending segment exists');
+  QUnit.ok(this.player.tech_.hls.mainSegmentLoader_.pendingSegment_, 'pending segment exists');
   QUnit.equal(drainBufferCallCount, 1, 'drainBuffer called');
 
   this.player.tech_.hls.sourceBuffer.trigger('updateend');
-  QUnit.ok(this.player.tech_.hls.pendingSegment_, 'pending segment exists');
+  QUnit.ok(this.player.tech_.hls.mainSegmentLoader_.pendingSegment_, 'pending segment exists');
 
   this.player.tech_.hls.drainBuffer = origDrainBuffer;
   this.player.tech_.hls.drainBuffer();
-  QUnit.ok(this.player.tech_.hls.pendingSegment_, 'pending segment exists');
+  QUnit.ok(this.player.tech_.hls.mainSegmentLoader_.pendingSegment_, 'pending segment exists');
 
   this.player.tech_.hls.sourceBuffer.trigger('updateend');
-  QUnit.ok(!this.player.tech_.hls.pendingSegment_, 'pending segment cleared out');
+  QUnit.ok(!this.player.tech_.hls.mainSegmentLoader_.pendingSegment_, 'pending segment cleared out');
+});
+
+QUnit.test('selects playlists with the strategy named by the source', function() {
+  let snapshots = [];
+  let lastSnapshot;
+  let playlist;
+  let hls;
+
+  videojs.Hls.registerAbrStrategy('test-lowest', function(snapshot) {
+    snapshots.push(snapshot);
+    return snapshot.variants.filter(function(variant) {
+      return !variant.excluded;
+    }).sort(videojs.Hls.comparePlaylistBandwidth)[0];
+  });
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl',
+    abrStrategy: 'test-lowest'
+  });
+  openMediaSource(this.player, this.clock);
+  standardXHRResponse(this.requests[0]);
+  hls = this.player.tech_.hls;
+
+  hls.bandwidth = Infinity;
+  hls.playlists.master.playlists[1].excludeUntil = Date.now() + 1000;
+  playlist = hls.selectPlaylist();
+
+  QUnit.strictEqual(playlist,
+                    hls.playlists.master.playlists[0],
+                    'returned the master playlist entry the strategy chose');
+  snapshots.forEach(function(snapshot) {
+    QUnit.strictEqual(snapshot.variants.length,
+                      hls.playlists.master.playlists.length,
+                      'included every variant');
+  });
+  lastSnapshot = snapshots[snapshots.length - 1];
+  QUnit.ok(lastSnapshot.variants[1].excluded, 'reported the exclusion');
+  QUnit.strictEqual(lastSnapshot.bandwidth, Infinity, 'included the bandwidth');
+  QUnit.strictEqual(lastSnapshot.goalBufferLength,
+                    videojs.Hls.GOAL_BUFFER_LENGTH,
+                    'included the buffer goal');
+  QUnit.strictEqual(lastSnapshot.bufferLength, 0, 'included the buffer length');
+  QUnit.ok(Object.isFrozen(lastSnapshot), 'the snapshot is frozen');
+  QUnit.ok(Object.isFrozen(lastSnapshot.variants[0].attributes), 'variants are frozen');
+  QUnit.notStrictEqual(lastSnapshot.variants[0].attributes,
+                       hls.playlists.master.playlists[0].attributes,
+                       'variants are copies');
+});
+
+QUnit.test('selects the ABR strategy from the global options', function() {
+  let hlsOptions = videojs.options.hls;
+  let calls = 0;
+
+  videojs.Hls.registerAbrStrategy('test-first', function(snapshot) {
+    calls++;
+    return snapshot.variants[0];
+  });
+  this.player.dispose();
+  videojs.options.hls = {
+    abrStrategy: 'test-first'
+  };
+  this.player = createPlayer();
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  standardXHRResponse(this.requests[0]);
+
+  QUnit.ok(calls > 0, 'used the strategy for the initial selection');
+  QUnit.strictEqual(this.player.tech_.hls.selectPlaylist(),
+                    this.player.tech_.hls.playlists.master.playlists[0],
+                    'selected the first variant');
+  videojs.options.hls = hlsOptions;
+});
+
+QUnit.test('falls back to the default strategy', function() {
+  let expected;
+  let hls;
+
+  videojs.Hls.registerAbrStrategy('test-nothing', function() {
+    return {};
+  });
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl',
+    abrStrategy: 'test-nothing'
+  });
+  openMediaSource(this.player, this.clock);
+  standardXHRResponse(this.requests[0]);
+  hls = this.player.tech_.hls;
+  hls.bandwidth = 1;
+  expected = hls.playlists.master.playlists[1];
+
+  QUnit.strictEqual(hls.selectPlaylist(),
+                    expected,
+                    'used the default when no variant was selected');
+
+  hls.options_.abrStrategy = 'not-registered';
+  QUnit.strictEqual(hls.selectPlaylist(),
+                    expected,
+                    'used the default for unknown strategies');
+});
+
+QUnit.test('respects bitrate caps', function() {
+  let hls;
+
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl',
+    maxBitrate: 500000,
+    minBitrate: 100000
+  });
+  openMediaSource(this.player, this.clock);
+  standardXHRResponse(this.requests[0]);
+  hls = this.player.tech_.hls;
+
+  hls.bandwidth = 1e10;
+  QUnit.strictEqual(hls.selectPlaylist().attributes.BANDWIDTH,
+                    440000,
+                    'selected the highest variant below the maximum');
+  hls.bandwidth = 1;
+  QUnit.strictEqual(hls.selectPlaylist().attributes.BANDWIDTH,
+                    240000,
+                    'selected the lowest variant above the minimum');
+});
+
+QUnit.test('caps the resolution to the player size in device pixels', function() {
+  let oldGetComputedStyle = window.getComputedStyle;
+  let oldDevicePixelRatio = window.devicePixelRatio;
+  let hls;
+
+  window.getComputedStyle = function() {
+    return {
+      width: '300px',
+      height: '170px'
+    };
+  };
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl',
+    capLevelToPlayerSize: true
+  });
+  openMediaSource(this.player, this.clock);
+  standardXHRResponse(this.requests[0]);
+  hls = this.player.tech_.hls;
+  hls.bandwidth = 1e10;
+
+  window.devicePixelRatio = 1;
+  QUnit.strictEqual(hls.selectPlaylist().attributes.BANDWIDTH,
+                    440000,
+                    'selected a variant that covers the player');
+
+  window.devicePixelRatio = 2;
+  QUnit.strictEqual(hls.selectPlaylist().attributes.BANDWIDTH,
+                    1928000,
+                    'accounted for the pixel ratio');
+
+  hls.options_.pixelRatio = 1;
+  QUnit.strictEqual(hls.selectPlaylist().attributes.BANDWIDTH,
+                    440000,
+                    'the pixel ratio can be overridden');
+
+  window.getComputedStyle = oldGetComputedStyle;
+  window.devicePixelRatio = oldDevicePixelRatio;
+});
+
+QUnit.test('re-evaluates the variant when the window is resized', function() {
+  let hls;
+  let selections = 0;
+
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  standardXHRResponse(this.requests.shift());
+  standardXHRResponse(this.requests.shift());
+  hls = this.player.tech_.hls;
+  hls.selectPlaylist = function() {
+    selections++;
+    return hls.playlists.master.playlists[0];
+  };
+
+  window.dispatchEvent(new window.Event('resize'));
+  this.clock.tick(100);
+  window.dispatchEvent(new window.Event('resize'));
+  this.clock.tick(100);
+  window.dispatchEvent(new window.Event('resize'));
+  QUnit.strictEqual(selections, 0, 'waited for resizing to stop');
+  this.clock.tick(250);
+  QUnit.strictEqual(selections, 1, 'selected a variant once after resizing');
+  this.player.trigger('fullscreenchange');
+  this.clock.tick(250);
+  QUnit.strictEqual(selections, 2, 'selected a variant after entering fullscreen');
+});
+
+QUnit.test('switches down when too many frames are dropped', function() {
+  let hls;
+  let media;
+  let quality = {
+    droppedVideoFrames: 0,
+    totalVideoFrames: 0
+  };
+
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  hls = this.player.tech_.hls;
+  hls.bandwidth = 1e10;
+  standardXHRResponse(this.requests.shift());
+  standardXHRResponse(this.requests.shift());
+  media = hls.playlists.media();
+  this.player.tech_.getVideoPlaybackQuality = function() {
+    return quality;
+  };
+  this.player.tech_.paused_ = false;
+
+  // start a sample period
+  this.clock.tick(500);
+  quality.droppedVideoFrames = 30;
+  quality.totalVideoFrames = 300;
+  this.clock.tick(5000);
+  QUnit.ok(!media.excludeUntil, 'did not exclude a variant dropping few frames');
+
+  quality.droppedVideoFrames = 130;
+  quality.totalVideoFrames = 600;
+  this.clock.tick(5000);
+  QUnit.ok(media.excludeUntil > Date.now(), 'excluded the variant');
+  QUnit.ok(media.excludeUntil <= Date.now() + 2 * 60 * 1000,
+           'only excluded the variant for a while');
+  QUnit.notStrictEqual(this.requests[this.requests.length - 1].url,
+                       media.resolvedUri,
+                       'requested a different variant');
+
+  this.clock.tick(2 * 60 * 1000);
+  QUnit.strictEqual(hls.selectPlaylist(), media, 'retries the variant later');
+});
+
+QUnit.test('only counts dropped frames during playback', function() {
+  let hls;
+  let media;
+  let quality = {
+    droppedVideoFrames: 0,
+    totalVideoFrames: 0
+  };
+
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  hls = this.player.tech_.hls;
+  hls.bandwidth = 1e10;
+  standardXHRResponse(this.requests.shift());
+  standardXHRResponse(this.requests.shift());
+  media = hls.playlists.media();
+  this.player.tech_.getVideoPlaybackQuality = function() {
+    return quality;
+  };
+
+  this.player.tech_.paused_ = true;
+  this.clock.tick(500);
+  quality.droppedVideoFrames = 300;
+  quality.totalVideoFrames = 600;
+  this.clock.tick(5000);
+
+  this.player.tech_.paused_ = false;
+  this.clock.tick(5000);
+  QUnit.ok(!media.excludeUntil, 'ignored frames dropped while paused');
+});
+
+QUnit.test('keeps the lowest variant despite dropped frames', function() {
+  let hls;
+  let media;
+  let quality = {
+    droppedVideoFrames: 0,
+    totalVideoFrames: 0
+  };
+
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  hls = this.player.tech_.hls;
+  hls.bandwidth = 1;
+  standardXHRResponse(this.requests.shift());
+  standardXHRResponse(this.requests.shift());
+  media = hls.playlists.media();
+  this.player.tech_.getVideoPlaybackQuality = function() {
+    return quality;
+  };
+  this.player.tech_.paused_ = false;
+
+  this.clock.tick(500);
+  quality.droppedVideoFrames = 300;
+  quality.totalVideoFrames = 600;
+  this.clock.tick(5000);
+  QUnit.ok(!media.excludeUntil, 'did not exclude the lowest variant');
 });
 
 // workaround https://bugzilla.mozilla.org/show_bug.cgi?id=548397
@@ -3363,6 +6213,258 @@ QUnit.test('selectPlaylist does not fail if getComputedStyle returns null', func
   window.getComputedStyle = oldGetComputedStyle;
 });
 
+QUnit.test('makes segment requests again with refreshed credentials', function() {
+  let request;
+  let media;
+  let failures = 0;
+
+  this.player.src({
+    src: 'manifest/media.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  this.player.tech_.hls.xhr.onAuthFailure = function() {
+    failures++;
+    return {
+      then(resolve) {
+        resolve({ Authorization: 'Bearer 2' });
+      }
+    };
+  };
+  standardXHRResponse(this.requests.pop());
+  media = this.player.tech_.hls.playlists.media();
+
+  request = this.requests.pop();
+  request.respond(403);
+  QUnit.strictEqual(failures, 1, 'consulted the hook');
+  QUnit.strictEqual(request.requestHeaders.Authorization, 'Bearer 2',
+                    'made the request again with the new headers');
+  QUnit.strictEqual(this.player.tech_.hls.mainSegmentLoader_.segmentXhr_, request,
+                    'the request is still outstanding');
+
+  standardXHRResponse(request);
+  QUnit.ok(!media.excludeUntil, 'did not blacklist the playlist');
+  QUnit.ok(this.player.tech_.hls.mainSegmentLoader_.pendingSegment_, 'loaded the segment');
+});
+
+QUnit.test('blacklists the playlist if refreshed credentials are refused', function() {
+  let request;
+  let media;
+  let failures = 0;
+
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  this.player.tech_.hls.xhr.onAuthFailure = function() {
+    failures++;
+    return {
+      then(resolve) {
+        resolve('http://example.com/segment.ts?token=2');
+      }
+    };
+  };
+  // master
+  standardXHRResponse(this.requests.shift());
+  // media
+  standardXHRResponse(this.requests.shift());
+  media = this.player.tech_.hls.playlists.media();
+
+  request = this.requests.shift();
+  request.respond(403);
+  QUnit.strictEqual(request.url, 'http://example.com/segment.ts?token=2',
+                    'made the request again at the new URL');
+  request.respond(403);
+  QUnit.strictEqual(failures, 1, 'refreshed the credentials once');
+  QUnit.ok(media.excludeUntil > 0, 'blacklisted the playlist');
+});
+
+QUnit.test('uses a global onAuthFailure hook', function() {
+  let hook = function() {};
+
+  videojs.Hls.xhr.onAuthFailure = hook;
+  this.player.src({
+    src: 'master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+
+  QUnit.strictEqual(this.player.tech_.hls.xhr.onAuthFailure, hook, 'copied the hook');
+  delete videojs.Hls.xhr.onAuthFailure;
+});
+
+QUnit.test('passes the request type to request interceptors', function() {
+  let requests = [];
+  let media;
+
+  videojs.Hls.xhr.requestInterceptors.push(function(options, context) {
+    requests.push(context);
+    if (context.requestType === videojs.Hls.RequestTypes.SEGMENT) {
+      options.uri += '?token=1';
+    }
+  });
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  videojs.Hls.xhr.requestInterceptors.length = 0;
+
+  // master
+  standardXHRResponse(this.requests.shift());
+  // media
+  standardXHRResponse(this.requests.shift());
+  media = this.player.tech_.hls.playlists.media();
+
+  QUnit.strictEqual(requests.length, 3, 'intercepted every request');
+  QUnit.strictEqual(requests[0].requestType, 'manifest', 'requested the master');
+  QUnit.strictEqual(requests[0].playlist, null, 'the master has no playlist yet');
+  QUnit.strictEqual(requests[1].requestType, 'media-playlist', 'requested the media');
+  QUnit.strictEqual(requests[1].playlist.uri, media.uri, 'passed the media playlist');
+  QUnit.strictEqual(requests[2].requestType, 'segment', 'requested a segment');
+  QUnit.strictEqual(requests[2].playlist, media, 'passed the playlist');
+  QUnit.strictEqual(requests[2].segment, media.segments[0], 'passed the segment');
+  QUnit.ok((/\.ts\?token=1$/).test(this.requests[0].url), 'rewrote the segment URI');
+});
+
+QUnit.test('waits for asynchronous request interceptors', function() {
+  let resolve;
+  let request;
+
+  this.player.src({
+    src: 'manifest/media.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  this.player.tech_.hls.xhr.requestInterceptors.push(function(options) {
+    return {
+      then(done) {
+        resolve = function() {
+          done(videojs.mergeOptions(options, {
+            headers: { Authorization: 'Bearer 1' }
+          }));
+        };
+      }
+    };
+  });
+  standardXHRResponse(this.requests.shift());
+
+  request = this.player.tech_.hls.mainSegmentLoader_.segmentXhr_;
+  QUnit.ok(!request.url, 'waited for the interceptor');
+  resolve();
+  QUnit.ok((/\.ts$/).test(request.url), 'made the request');
+  QUnit.strictEqual(this.player.tech_.hls.mainSegmentLoader_.segmentXhr_, request,
+                    'kept the same request object');
+  QUnit.strictEqual(request.requestHeaders.Authorization, 'Bearer 1',
+                    'used the intercepted options');
+});
+
+QUnit.test('does not make requests aborted while they were intercepted', function() {
+  let resolve;
+  let responses = 0;
+  let request;
+
+  this.player.src({
+    src: 'manifest/media.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  this.player.tech_.hls.xhr.requestInterceptors.push(function() {
+    return {
+      then(done) {
+        resolve = done;
+      }
+    };
+  });
+
+  request = this.player.tech_.hls.xhr({ uri: 'segment.ts' }, function() {
+    responses++;
+  });
+  request.abort();
+  resolve();
+
+  QUnit.ok(!request.url, 'did not make the request');
+  QUnit.strictEqual(responses, 0, 'did not call back');
+});
+
+QUnit.test('lets response interceptors transform bodies', function() {
+  let contexts = [];
+
+  videojs.Hls.xhr.responseInterceptors.push(function(body, context) {
+    contexts.push(context);
+    if (context.requestType === videojs.Hls.RequestTypes.MANIFEST) {
+      // the playlist is served base64 encoded
+      return window.atob(body);
+    }
+    if (context.requestType === videojs.Hls.RequestTypes.SEGMENT) {
+      return new Uint8Array([1, 2, 3]).buffer;
+    }
+  });
+  this.player.src({
+    src: 'manifest/media.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  videojs.Hls.xhr.responseInterceptors.length = 0;
+
+  this.requests.shift().respond(200, null, window.btoa(testDataManifests.media));
+  QUnit.strictEqual(this.player.tech_.hls.playlists.media().segments.length,
+                    testDataManifests.media.match(/#EXTINF/g).length,
+                    'parsed the transformed playlist');
+  QUnit.ok((/manifest\/media\.m3u8$/).test(contexts[0].request.url),
+           'passed the request');
+
+  standardXHRResponse(this.requests.shift());
+  QUnit.strictEqual(contexts[1].requestType, 'segment', 'intercepted the segment');
+  QUnit.deepEqual(this.player.tech_.hls.mainSegmentLoader_.pendingSegment_.bytes,
+                  new Uint8Array([1, 2, 3]),
+                  'used the transformed segment');
+});
+
+QUnit.test('uses the global interceptors before the player\'s own', function() {
+  let calls = [];
+
+  videojs.Hls.xhr.requestInterceptors.push(function() {
+    calls.push('global');
+  });
+  this.player.src({
+    src: 'manifest/media.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  videojs.Hls.xhr.requestInterceptors.length = 0;
+  this.player.tech_.hls.xhr.requestInterceptors.push(function() {
+    calls.push('player');
+  });
+  standardXHRResponse(this.requests.shift());
+
+  QUnit.deepEqual(calls, ['global', 'global', 'player'],
+                  'ran the global interceptor first');
+  QUnit.strictEqual(videojs.Hls.xhr.requestInterceptors.length, 0,
+                    'did not add to the global interceptors');
+});
+
+QUnit.test('reports interceptor errors as request errors', function() {
+  let media;
+
+  this.player.src({
+    src: 'manifest/media.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  openMediaSource(this.player, this.clock);
+  this.player.tech_.hls.xhr.responseInterceptors.push(function(body, context) {
+    if (context.requestType === 'segment') {
+      throw new Error('could not decode the segment');
+    }
+  });
+  standardXHRResponse(this.requests.shift());
+  media = this.player.tech_.hls.playlists.media();
+  standardXHRResponse(this.requests.shift());
+
+  QUnit.ok(media.excludeUntil > 0, 'blacklisted the playlist');
+});
+
 QUnit.test('Allows specifying the beforeRequest functionon the player', function() {
   let beforeRequestCalled = false;
 
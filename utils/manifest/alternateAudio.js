@@ -0,0 +1,47 @@
+{
+  "allowCache": true,
+  "mediaGroups": {
+    "AUDIO": {
+      "audio": {
+        "English": {
+          "default": true,
+          "autoselect": true,
+          "language": "en",
+          "uri": "media1.m3u8"
+        },
+        "Deutsch": {
+          "default": false,
+          "autoselect": true,
+          "language": "de",
+          "uri": "media2.m3u8"
+        },
+        "Commentary": {
+          "default": false,
+          "autoselect": false,
+          "language": "en",
+          "uri": "media3.m3u8",
+          "characteristics": "public.accessibility.describes-video"
+        }
+      }
+    },
+    "VIDEO": {},
+    "CLOSED-CAPTIONS": {},
+    "SUBTITLES": {}
+  },
+  "playlists": [
+    {
+      "attributes": {
+        "PROGRAM-ID": 1,
+        "BANDWIDTH": 240000,
+        "RESOLUTION": {
+          "width": 396,
+          "height": 224
+        },
+        "CODECS": "avc1.4d400d,mp4a.40.2",
+        "AUDIO": "audio"
+      },
+      "uri": "media.m3u8"
+    }
+  ],
+  "discontinuityStarts": []
+}
@@ -0,0 +1,40 @@
+{
+  "allowCache": true,
+  "mediaSequence": 0,
+  "playlistType": "VOD",
+  "targetDuration": 6,
+  "segments": [
+    {
+      "duration": 6,
+      "uri": "segment-0.m4s",
+      "map": {
+        "uri": "main.mp4",
+        "byterange": {
+          "length": 720,
+          "offset": 0
+        }
+      }
+    },
+    {
+      "duration": 6,
+      "uri": "segment-1.m4s",
+      "map": {
+        "uri": "main.mp4",
+        "byterange": {
+          "length": 720,
+          "offset": 0
+        }
+      }
+    },
+    {
+      "duration": 6,
+      "uri": "segment-2.m4s",
+      "map": {
+        "uri": "main-1.mp4"
+      }
+    }
+  ],
+  "endList": true,
+  "discontinuitySequence": 0,
+  "discontinuityStarts": []
+}
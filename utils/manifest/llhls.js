@@ -0,0 +1,57 @@
+{
+  "allowCache": true,
+  "mediaSequence": 266,
+  "targetDuration": 4,
+  "serverControl": {
+    "canBlockReload": true,
+    "canSkipUntil": 24,
+    "canSkipDateranges": false,
+    "partHoldBack": 1
+  },
+  "partTargetDuration": 0.33334,
+  "segments": [
+    {
+      "duration": 4.00008,
+      "uri": "fileSequence266.mp4"
+    },
+    {
+      "duration": 0.66668,
+      "uri": "fileSequence267.mp4",
+      "parts": [
+        {
+          "duration": 0.33334,
+          "uri": "filePart267.0.mp4",
+          "independent": true
+        },
+        {
+          "duration": 0.33334,
+          "uri": "filePart267.1.mp4"
+        }
+      ]
+    }
+  ],
+  "preloadSegment": {
+    "parts": [
+      {
+        "duration": 0.33334,
+        "uri": "filePart268.0.mp4",
+        "independent": true
+      }
+    ],
+    "preloadHints": [
+      {
+        "type": "PART",
+        "uri": "filePart268.1.mp4"
+      }
+    ]
+  },
+  "renditionReports": [
+    {
+      "uri": "../1M/waitForMSN.php",
+      "lastMsn": 267,
+      "lastPart": 1
+    }
+  ],
+  "discontinuitySequence": 0,
+  "discontinuityStarts": []
+}
@@ -0,0 +1,29 @@
+{
+  "allowCache": true,
+  "mediaSequence": 100,
+  "targetDuration": 6,
+  "serverControl": {
+    "canBlockReload": false,
+    "canSkipUntil": 36,
+    "canSkipDateranges": false
+  },
+  "skip": {
+    "skippedSegments": 8
+  },
+  "segments": [
+    {
+      "duration": 6,
+      "uri": "segment108.ts"
+    },
+    {
+      "duration": 6,
+      "uri": "segment109.ts"
+    },
+    {
+      "duration": 6,
+      "uri": "segment110.ts"
+    }
+  ],
+  "discontinuitySequence": 0,
+  "discontinuityStarts": []
+}
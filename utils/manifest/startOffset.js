@@ -0,0 +1,26 @@
+{
+  "allowCache": true,
+  "mediaSequence": 0,
+  "targetDuration": 10,
+  "start": {
+    "timeOffset": 15,
+    "precise": true
+  },
+  "segments": [
+    {
+      "duration": 10,
+      "uri": "0.ts"
+    },
+    {
+      "duration": 10,
+      "uri": "1.ts"
+    },
+    {
+      "duration": 10,
+      "uri": "2.ts"
+    }
+  ],
+  "endList": true,
+  "discontinuitySequence": 0,
+  "discontinuityStarts": []
+}
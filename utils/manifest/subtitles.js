@@ -0,0 +1,47 @@
+{
+  "allowCache": true,
+  "mediaGroups": {
+    "AUDIO": {},
+    "VIDEO": {},
+    "CLOSED-CAPTIONS": {},
+    "SUBTITLES": {
+      "subs": {
+        "English": {
+          "default": true,
+          "autoselect": true,
+          "language": "en",
+          "uri": "subtitles/en.m3u8"
+        },
+        "Español": {
+          "default": false,
+          "autoselect": true,
+          "language": "es",
+          "uri": "subtitles/es.m3u8"
+        },
+        "English (Forced)": {
+          "default": false,
+          "autoselect": false,
+          "language": "en",
+          "uri": "subtitles/en-forced.m3u8",
+          "forced": true
+        }
+      }
+    }
+  },
+  "playlists": [
+    {
+      "attributes": {
+        "PROGRAM-ID": 1,
+        "BANDWIDTH": 240000,
+        "RESOLUTION": {
+          "width": 396,
+          "height": 224
+        },
+        "CODECS": "avc1.4d400d,mp4a.40.2",
+        "SUBTITLES": "subs"
+      },
+      "uri": "media.m3u8"
+    }
+  ],
+  "discontinuityStarts": []
+}